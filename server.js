@@ -1,6 +1,7 @@
 const express = require('express');
 const path = require('path');
 const serverConfig = require('./src/config/server.config');
+const { createRecipeRouter } = require('./src/server/recipe-routes');
 
 const app = express();
 const PORT = serverConfig.api.port || 3001;
@@ -17,8 +18,14 @@ Object.values(serverConfig.static).forEach(staticConfig => {
   console.log(`Serving static files from ${staticConfig.path} at ${staticConfig.route}`);
 });
 
+// Recipe CRUD endpoints backed by the JSON files
+app.use(
+  serverConfig.api.prefix,
+  createRecipeRouter(path.join(__dirname, serverConfig.api.recipesPath))
+);
+
 // Start the server
 app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
-  console.log(`Serving static files only - no API endpoints`);
-}); 
\ No newline at end of file
+  console.log(`Recipe API available at ${serverConfig.api.prefix}/recipes`);
+});
@@ -64,7 +64,9 @@ const serverConfig = {
     // API configuration
     api: {
         prefix: '/api',
-        port: process.env.PORT || 3001
+        port: process.env.PORT || 3001,
+        // Directory holding the recipe JSON files and index.json
+        recipesPath: 'src/assets/recipes'
     }
 };
 
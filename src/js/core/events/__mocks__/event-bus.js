@@ -0,0 +1,12 @@
+/**
+ * Event Bus mock
+ * The real event bus puts itself on window, which Node does not have. Tests of modules that
+ * publish events use this one with jest.mock('../src/js/core/events/event-bus.js').
+ */
+
+const eventBus = {
+  publish: jest.fn(),
+  subscribe: jest.fn()
+};
+
+export default eventBus;
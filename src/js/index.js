@@ -1,8 +1,37 @@
 // Import modules
 import { RecipeList } from './modules/recipe/recipe-list.js';
+import { showImportDialog } from './modules/recipe/recipe-import-dialog.js';
+import { downloadTagsAndCollections } from './modules/recipe/recipe-tags-dialog.js';
+import { showPantryDialog } from './modules/shopping/pantry-dialog.js';
+import { showShoppingList, openSharedShoppingList } from './modules/shopping/shopping-list.js';
 
 // Initialize app
 document.addEventListener('DOMContentLoaded', () => {
     console.log('Recipe Viewer application initialized');
-    new RecipeList();
+    const recipeList = new RecipeList();
+
+    const importButton = document.getElementById('import-recipe-btn');
+    if (importButton) {
+        importButton.addEventListener('click', () => {
+            showImportDialog({ onImported: () => recipeList.loadRecipeList() });
+        });
+    }
+
+    const exportButton = document.getElementById('export-collections-btn');
+    if (exportButton) {
+        exportButton.addEventListener('click', downloadTagsAndCollections);
+    }
+
+    const pantryButton = document.getElementById('pantry-btn');
+    if (pantryButton) {
+        pantryButton.addEventListener('click', () => showPantryDialog());
+    }
+
+    const shoppingListButton = document.getElementById('shopping-list-btn');
+    if (shoppingListButton) {
+        shoppingListButton.addEventListener('click', showShoppingList);
+    }
+
+    // A shopping list shared from another device
+    openSharedShoppingList();
 }); 
\ No newline at end of file
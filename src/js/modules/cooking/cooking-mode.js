@@ -4,13 +4,66 @@
  */
 
 import { loadRecipeData } from '../recipe/recipe-data.js';
+import { formatIngredientLine } from '../recipe/ingredient-parser.js';
+import {
+    inferIngredientLinks,
+    buildIngredientMatchers,
+    findIngredientMentions,
+    getStepIngredients,
+    getUnusedIngredients
+} from '../recipe/ingredient-links.js';
+import { scaleIngredient, scaleStepText, scaleYields } from '../recipe/recipe-scaling.js';
+import { applyServingsFromUrl } from '../recipe/recipe-servings.js';
+import { markRecipeCooked } from '../recipe/recipe-history.js';
+import { useIngredients } from '../shopping/pantry.js';
+import { convertIngredient, convertTemperatures } from '../recipe/unit-conversion.js';
+import { getUnitSystem } from '../recipe/unit-preference.js';
 import { VoiceControl } from '../voice/voice-control.js';
-import { formatTime } from '../utils/common.js';
+import { formatTime, formatTimeMMSS } from '../utils/common.js';
+import {
+    getCookingSession,
+    saveCookingSession,
+    clearCookingSession,
+    isWorthResuming,
+    snapshotTimers,
+    resolveTimers
+} from './cooking-session.js';
+import {
+    getRecipeIdsFromUrl,
+    getRecipeColor,
+    parseRecipeCommand,
+    shiftTimerSteps
+} from './cooking-recipes.js';
+import { planDinner, getScheduleNudges, parseServeTime } from './dinner-schedule.js';
+import { renderDinnerTimeline, formatClockTime } from './dinner-timeline.js';
+import {
+    isChecklistMode,
+    setChecklistMode,
+    getCheckedBullets,
+    setBulletChecked,
+    getStepCompletion,
+    calculateChecklistProgress,
+    parseChecklistCommand
+} from './step-checklist.js';
+import { getStepOverview, formatTimerState, parseStepCommand } from './step-navigator.js';
 import eventBus from '../../core/events/event-bus.js';
 import timerModule from '../timer/index.js';
 import * as timerTests from '../timer/test-timer.js';
 import '../../../styles/main.css';
 
+// What CookingMode keeps for each recipe of a session; the active recipe's are on the instance
+const RECIPE_STATE_FIELDS = [
+    'recipeId', 'recipe', 'title', 'ingredientMatchers', 'scale', 'steps', 'currentStep',
+    'currentPhase', 'completedSteps', 'checkedBullets', 'startedAt', 'pantryUpdated', 'finished'
+];
+
+// How each step is marked in the "All Steps" overview
+const STEP_STATUS_LABELS = {
+    done: 'Done',
+    current: 'Now',
+    upcoming: ''
+};
+
 /**
  * CookingMode class - implements cooking mode functionality
  */
@@ -19,9 +72,25 @@ class CookingMode {
         // Setup properties
         this.eventBus = eventBus;
         this.recipe = null;
+        this.title = '';
+        this.ingredientMatchers = [];
+        this.scale = 1;
+        this.units = 'us';
+        this.pantryUpdated = false;
         this.steps = [];
         this.currentStep = 0;
         this.currentPhase = 'preparation';
+        this.completedSteps = new Set(); // Indexes of the steps finished in this cook-through
+        this.checkedBullets = {};        // Indexes of the bullets ticked off, by step index
+        this.checklistWarningStep = null; // Step ID whose unticked bullets were warned about
+        this.startedAt = null;           // When this cook-through started, in milliseconds
+        this.sessionActive = false;      // Whether changes are saved for resuming later
+        this.finished = false;           // Whether the last step has been done
+        this.recipeIds = [];             // Recipes in the link, when cooking several at once
+        this.recipeStates = [];          // State of each recipe being cooked ({ color, stepOffset, ...RECIPE_STATE_FIELDS })
+        this.activeRecipe = 0;           // Index of the recipe shown
+        this.dinnerSchedule = null;      // When to start each recipe and step to serve on time (from planDinner)
+        this.timelineInterval = null;    // Redraws the timeline's "now" marker
         this.elements = {};
         this.voiceControl = null;
         this.initialized = false;
@@ -50,9 +119,9 @@ class CookingMode {
             
             console.log('Starting cooking mode initialization');
             
-            // Get recipe ID from URL query parameter
-            const urlParams = new URLSearchParams(window.location.search);
-            this.recipeId = urlParams.get('id');
+            // Get the recipe IDs from the URL; several (?id=a&id=b) are cooked side by side
+            this.recipeIds = getRecipeIdsFromUrl(window.location.search);
+            this.recipeId = this.recipeIds[0];
             
             if (!this.recipeId) {
                 console.error('No recipe ID found in URL');
@@ -94,7 +163,7 @@ class CookingMode {
                         onTimerComplete: (timerId, timer) => {
                             // Auto-advance step if setting enabled and timer belongs to current step
                             if (this.recipe?.settings?.autoAdvanceOnTimer && 
-                                timer?.metadata?.stepId === this.currentStep) {
+                                timer?.metadata?.stepId === this.getStepId()) {
                                 this.nextStep();
                             }
                         }
@@ -113,8 +182,11 @@ class CookingMode {
             this.currentPhase = 'preparation';
             this.steps = [];
             
-            // Load the recipe
-            await this.loadRecipe();
+            // Load the recipes
+            await this.loadRecipes();
+
+            // Pick up an interrupted cook-through, or start a new one
+            await this.startSession();
             
             // Set current step
             this.updateStep();
@@ -148,6 +220,130 @@ class CookingMode {
         return this.initialized;
     }
 
+    /**
+     * Offer to resume the recipe's saved session, then start saving this one
+     * Resuming puts back the step, the finished steps, the start time and the timers, counted
+     * down by the time the page was closed.
+     */
+    async startSession() {
+        // Each recipe of the session has its own
+        for (let index = 0; index < this.recipeStates.length; index++) {
+            this.activateRecipe(index);
+            const session = getCookingSession(this.recipeId, { stepCount: this.steps.length });
+
+            if (isWorthResuming(session) && await this.offerResume(session)) {
+                this.currentStep = Math.min(session.step, this.steps.length - 1);
+                this.currentPhase = this.steps[this.currentStep]?.phase || 'preparation';
+                this.completedSteps = new Set(session.completedSteps);
+                this.checkedBullets = session.checkedBullets || {};
+                this.startedAt = session.startedAt;
+
+                // Tag the timers for this session, which may not be the one they were saved in
+                const timers = shiftTimerSteps(resolveTimers(session.timers), this.getStepId(0))
+                    .map(timer => ({ ...timer, metadata: { ...timer.metadata, ...this.getTimerTags() } }));
+                if (timers.length > 0 && typeof timerModule.restoreTimers === 'function') {
+                    timerModule.restoreTimers(timers);
+                }
+                console.log(`Resumed cooking session of ${this.recipeId} at step ${this.currentStep} with ${timers.length} timers`);
+            } else {
+                clearCookingSession(this.recipeId);
+                this.completedSteps = new Set();
+                this.checkedBullets = {};
+                this.startedAt = Date.now();
+            }
+        }
+        this.activateRecipe(0);
+
+        this.sessionActive = true;
+
+        // Timers change without the step changing
+        ['timer:created', 'timer:started', 'timer:paused', 'timer:reset', 'timer:removed', 'timer:completed']
+            .forEach(event => this.eventBus.subscribe(event, () => this.saveSession()));
+        window.addEventListener('pagehide', () => this.saveSession());
+    }
+
+    /**
+     * Save where the cook-through of each unfinished recipe is, if it is being tracked
+     * Timers go with the recipe they are tagged with; untagged ones, such as those made by voice,
+     * go with the first recipe.
+     */
+    saveSession() {
+        if (!this.sessionActive || this.recipeStates.length === 0) return;
+        this.storeRecipeState();
+
+        const timers = timerModule.getAllTimers ? timerModule.getAllTimers() : [];
+        const firstRecipeId = this.recipeStates[0].recipeId;
+        this.recipeStates.forEach(state => {
+            if (state.finished) return;
+            try {
+                const recipeTimers = timers.filter(timer => (timer.metadata?.recipeId || firstRecipeId) === state.recipeId);
+                saveCookingSession({
+                    recipeId: state.recipeId,
+                    step: state.currentStep,
+                    phase: state.currentPhase,
+                    completedSteps: [...state.completedSteps],
+                    checkedBullets: state.checkedBullets,
+                    timers: snapshotTimers(shiftTimerSteps(recipeTimers, -state.stepOffset)),
+                    startedAt: state.startedAt,
+                    stepCount: state.steps.length
+                });
+            } catch (error) {
+                console.error(`Error saving cooking session of ${state.recipeId}:`, error);
+            }
+        });
+    }
+
+    /**
+     * Ask whether to resume a saved session or start over
+     * @param {Object} session - Saved session
+     * @returns {Promise<boolean>} True to resume
+     */
+    offerResume(session) {
+        return new Promise(resolve => {
+            const step = this.steps[Math.min(session.step, this.steps.length - 1)];
+            const phaseSteps = this.getPhaseSteps(step.phase);
+            const stepLabel = `${step.phase === 'preparation' ? 'Preparation' : 'Cooking'} Step ${phaseSteps.indexOf(step) + 1}`;
+            const started = new Date(session.startedAt).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+
+            const modal = document.createElement('div');
+            modal.className = 'resume-session-modal';
+            modal.innerHTML = `
+                <div class="resume-session-content" role="dialog" aria-labelledby="resume-session-title">
+                    <h2 id="resume-session-title">Pick up where you left off?</h2>
+                    <p class="resume-session-summary"></p>
+                    <ul class="resume-session-timers"></ul>
+                    <div class="resume-session-actions">
+                        <button type="button" class="secondary-button" data-choice="restart">Start Over</button>
+                        <button type="button" class="primary-button" data-choice="resume">Resume</button>
+                    </div>
+                </div>
+            `;
+            modal.querySelector('.resume-session-summary').textContent =
+                `${this.recipeStates.length > 1 ? `${this.recipe.title}: you` : 'You'} started at ${started} and were on ${stepLabel} of ${this.steps.length} steps.`;
+
+            // Say how long each timer has left, as it will be once resumed
+            const timerList = modal.querySelector('.resume-session-timers');
+            resolveTimers(session.timers).forEach(timer => {
+                const item = document.createElement('li');
+                item.textContent = timer.status === 'completed'
+                    ? `${timer.name}: done`
+                    : `${timer.name}: ${formatTimeMMSS(timer.remaining)} left${timer.status === 'running' ? '' : ' (paused)'}`;
+                timerList.appendChild(item);
+            });
+            timerList.hidden = timerList.children.length === 0;
+
+            modal.querySelectorAll('[data-choice]').forEach(button => {
+                button.addEventListener('click', () => {
+                    modal.remove();
+                    resolve(button.dataset.choice === 'resume');
+                });
+            });
+
+            document.body.appendChild(modal);
+            modal.querySelector('[data-choice="resume"]').focus();
+        });
+    }
+
     /**
      * Clean up existing state before initializing
      */
@@ -219,10 +415,17 @@ class CookingMode {
     initializeElements() {
         this.elements = {
             title: document.getElementById('recipe-title'),
+            recipeSwitcher: document.getElementById('recipe-switcher'),
+            stepNavigator: document.getElementById('step-navigator'),
+            stepNavigatorList: document.getElementById('step-navigator-list'),
             stepTitle: document.getElementById('step-title'),
             stepNumber: document.getElementById('step-number'),
             currentStep: document.getElementById('current-step'),
+            stepIngredients: document.getElementById('step-ingredients'),
             stepDetails: document.getElementById('step-details'),
+            checklistStatus: document.getElementById('step-checklist'),
+            checklistToggle: document.getElementById('toggle-checklist'),
+            checklistWarning: document.getElementById('step-checklist-warning'),
             prevButton: document.getElementById('prev-step'),
             nextButton: document.getElementById('next-step'),
             readButton: document.getElementById('read-step'),
@@ -233,7 +436,12 @@ class CookingMode {
             voiceToggle: document.getElementById('toggle-voice'),
             voiceStatus: document.getElementById('voice-status'),
             showCommandsBtn: document.getElementById('show-commands'),
-            commandsPanel: document.getElementById('commands-panel')
+            commandsPanel: document.getElementById('commands-panel'),
+            dinnerScheduleForm: document.getElementById('dinner-schedule-form'),
+            serveTimeInput: document.getElementById('serve-time'),
+            clearScheduleButton: document.getElementById('clear-schedule'),
+            dinnerScheduleMessage: document.getElementById('dinner-schedule-message'),
+            dinnerTimeline: document.getElementById('dinner-timeline')
         };
 
         // Change the Read Aloud button text to Read Step
@@ -317,6 +525,61 @@ class CookingMode {
                 this.showAvailableCommands();
             });
         }
+
+        // Ticking bullets off, and turning the checklist on and off
+        this.elements.stepDetails.addEventListener('change', (e) => {
+            const bulletIndex = e.target.dataset?.bulletIndex;
+            if (bulletIndex !== undefined) {
+                this.checkBullet(Number(bulletIndex), e.target.checked);
+            }
+        });
+        if (this.elements.checklistToggle) {
+            this.elements.checklistToggle.addEventListener('click', () => this.toggleChecklistMode());
+        }
+
+        // Dinner time planning
+        if (this.elements.dinnerScheduleForm) {
+            this.elements.dinnerScheduleForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.planDinnerTime();
+            });
+            this.elements.clearScheduleButton.addEventListener('click', () => this.clearDinnerSchedule());
+        }
+
+        // Jumping from the step overview, which shows the timers as they change while it is open
+        if (this.elements.stepNavigator) {
+            this.elements.stepNavigatorList.addEventListener('click', (e) => {
+                const item = e.target.closest('[data-step-index]');
+                if (item) {
+                    this.jumpToStep(Number(item.dataset.stepIndex));
+                }
+            });
+            this.elements.stepNavigator.addEventListener('toggle', () => {
+                if (this.elements.stepNavigator.open) {
+                    this.renderStepNavigator();
+                }
+            });
+            // The list is only rebuilt when the step changes; timers are updated in place, so a
+            // step button keeps focus
+            ['timer:created', 'timer:started', 'timer:paused', 'timer:reset', 'timer:removed', 'timer:completed']
+                .forEach(event => this.eventBus.subscribe(event, () => {
+                    if (this.elements.stepNavigator.open) {
+                        this.updateStepNavigatorTimers();
+                    }
+                }));
+            this.eventBus.subscribe('timer:tick', ({ timer }) => {
+                if (this.elements.stepNavigator.open && timer) {
+                    this.updateStepNavigatorTimer(timer);
+                }
+            });
+        }
+
+        // Say the schedule's nudges when voice commands are on
+        this.eventBus.subscribe('timer:nudge', (nudge) => {
+            if (this.voiceControl && this.voiceControl.isEnabled()) {
+                this.voiceControl.speak(nudge.message);
+            }
+        });
     }
 
     unbindEvents() {
@@ -403,16 +666,29 @@ class CookingMode {
             const recipe = await loadRecipeData(this.recipeId);
             console.log('Recipe loaded successfully:', recipe.title);
             
-            this.recipe = recipe;
+            // Link steps to their ingredients; recipes without links get them inferred from the step text
+            this.recipe = inferIngredientLinks(recipe);
+            this.ingredientMatchers = buildIngredientMatchers(this.recipe.ingredients);
+
+            // Cook at the servings and in the units chosen on the recipe page, or the servings in the link
+            // (which are for a single recipe)
+            this.scale = applyServingsFromUrl(this.recipeId, recipe, this.recipeIds.length > 1 ? '' : window.location.search);
+            this.units = getUnitSystem();
+            this.title = this.scale === 1
+                ? recipe.title
+                : `${recipe.title} (${scaleYields(recipe.metadata?.yields, this.scale) || `${this.scale}x`})`;
+            if (this.elements.title) {
+                this.elements.title.textContent = this.title;
+            }
             
-            const prepSteps = (recipe.preparationSteps || []).map(step => ({
+            const prepSteps = (this.recipe.preparationSteps || []).map(step => ({
                 ...step,
                 phase: 'preparation',
                 description: step.mainStep || '',
                 bullets: step.bullets || []
             }));
             
-            const cookingSteps = (recipe.cookingSteps || []).map(step => ({
+            const cookingSteps = (this.recipe.cookingSteps || []).map(step => ({
                 ...step,
                 phase: 'cooking',
                 description: step.mainStep || '',
@@ -422,13 +698,10 @@ class CookingMode {
             this.steps = [...prepSteps, ...cookingSteps];
             console.log(`Recipe has ${this.steps.length} total steps (${prepSteps.length} prep, ${cookingSteps.length} cooking)`);
             
-            // Initialize with preparation phase
+            // Initialize with preparation phase; init shows the step once the session is settled
             this.currentStep = 0;
             this.currentPhase = 'preparation';
             
-            // Update the UI for the first step
-            this.updateStep();
-            
             // Update phase indicators
             this.updatePhaseIndicator();
         } catch (error) {
@@ -437,6 +710,368 @@ class CookingMode {
         }
     }
 
+    /**
+     * Load every recipe in the link, one after another
+     * A recipe that cannot be loaded is left out; the first one loaded is shown.
+     */
+    async loadRecipes() {
+        this.recipeStates = [];
+        this.activeRecipe = 0;
+        let stepOffset = 0;
+
+        for (const recipeId of this.recipeIds) {
+            this.setRecipeState({
+                recipeId,
+                recipe: null,
+                title: '',
+                ingredientMatchers: [],
+                scale: 1,
+                steps: [],
+                currentStep: 0,
+                currentPhase: 'preparation',
+                completedSteps: new Set(),
+                checkedBullets: {},
+                startedAt: null,
+                pantryUpdated: false,
+                finished: false
+            });
+            await this.loadRecipe();
+            if (!this.recipe) continue;
+
+            // Timers number their steps across all the recipes, so each step has its own
+            this.recipeStates.push({ color: getRecipeColor(this.recipeStates.length), stepOffset, ...this.getRecipeState() });
+            stepOffset += this.steps.length;
+        }
+
+        if (this.recipeStates.length > 0) {
+            this.setRecipeState(this.recipeStates[0]);
+            if (this.elements.title) {
+                this.elements.title.textContent = this.title;
+            }
+        }
+    }
+
+    /**
+     * Get the active recipe's state
+     * @returns {Object} Value of each of RECIPE_STATE_FIELDS
+     */
+    getRecipeState() {
+        return Object.fromEntries(RECIPE_STATE_FIELDS.map(field => [field, this[field]]));
+    }
+
+    /**
+     * Make a recipe's state the active one
+     * @param {Object} state - Value of each of RECIPE_STATE_FIELDS
+     */
+    setRecipeState(state) {
+        RECIPE_STATE_FIELDS.forEach(field => {
+            this[field] = state[field];
+        });
+    }
+
+    /**
+     * Keep the active recipe's state with the other recipes'
+     */
+    storeRecipeState() {
+        const state = this.recipeStates[this.activeRecipe];
+        if (state && state.recipeId === this.recipeId) {
+            Object.assign(state, this.getRecipeState());
+        }
+    }
+
+    /**
+     * Make another recipe of the session the active one, without showing it
+     * @param {number} index - Index of the recipe
+     */
+    activateRecipe(index) {
+        if (!this.recipeStates[index]) return;
+        this.storeRecipeState();
+        this.activeRecipe = index;
+        this.setRecipeState(this.recipeStates[index]);
+    }
+
+    /**
+     * Show another recipe of the session, at the step it was left on
+     * @param {number} index - Index of the recipe
+     */
+    switchRecipe(index) {
+        if (index === this.activeRecipe || !this.recipeStates[index]) return;
+        this.activateRecipe(index);
+        console.log(`Switched to ${this.recipeId}`);
+
+        if (this.elements.title) {
+            this.elements.title.textContent = this.title;
+        }
+        if (this.finished) {
+            this.showRecipeSummary();
+        } else {
+            this.updateStep();
+        }
+    }
+
+    /**
+     * Get the number timers use for a step of the active recipe, unique across the session's recipes
+     * @param {number} [stepIndex] - Index of the step in the recipe (defaults to the current step)
+     * @returns {number} Step ID
+     */
+    getStepId(stepIndex = this.currentStep) {
+        return (this.recipeStates[this.activeRecipe]?.stepOffset || 0) + stepIndex;
+    }
+
+    /**
+     * Get the metadata that tags timers with the active recipe, when cooking several
+     * @returns {Object} Recipe ID, title and colour, left undefined for a single recipe
+     */
+    getTimerTags() {
+        if (this.recipeStates.length < 2) {
+            return { recipeId: undefined, recipeTitle: undefined, recipeColor: undefined };
+        }
+        return {
+            recipeId: this.recipeId,
+            recipeTitle: this.recipe?.title,
+            recipeColor: this.recipeStates[this.activeRecipe].color
+        };
+    }
+
+    /**
+     * Draw a button for each recipe of the session, with the step it is on
+     * Hidden when cooking a single recipe.
+     */
+    renderRecipeSwitcher() {
+        const switcher = this.elements.recipeSwitcher;
+        if (!switcher) return;
+
+        switcher.hidden = this.recipeStates.length < 2;
+        if (switcher.hidden) return;
+
+        this.storeRecipeState();
+        switcher.innerHTML = '';
+        this.recipeStates.forEach((state, index) => {
+            const isActive = index === this.activeRecipe;
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = `recipe-switcher-button${isActive ? ' active' : ''}`;
+            button.style.setProperty('--recipe-color', state.color);
+            button.setAttribute('aria-pressed', String(isActive));
+            button.innerHTML = '<span class="recipe-switcher-title"></span><span class="recipe-switcher-step"></span>';
+            button.querySelector('.recipe-switcher-title').textContent = state.recipe.title;
+            button.querySelector('.recipe-switcher-step').textContent = state.finished
+                ? 'Done'
+                : `Step ${state.currentStep + 1} of ${state.steps.length}`;
+            button.addEventListener('click', () => this.switchRecipe(index));
+            switcher.appendChild(button);
+        });
+    }
+
+    /**
+     * Describe each step of the current recipe for the "All Steps" overview
+     * @returns {Array<Object>} Steps (from getStepOverview)
+     */
+    getStepNavigatorOverview() {
+        return getStepOverview(this.steps, {
+            currentStep: this.finished ? -1 : this.currentStep,
+            completedSteps: this.completedSteps,
+            timers: timerModule.getAllTimers ? timerModule.getAllTimers() : [],
+            stepOffset: this.getStepId(0)
+        });
+    }
+
+    /**
+     * List every step of the current recipe in the "All Steps" overview, with its timers
+     */
+    renderStepNavigator() {
+        const list = this.elements.stepNavigatorList;
+        if (!list || !this.steps) return;
+
+        const overview = this.getStepNavigatorOverview();
+        list.innerHTML = '';
+        overview.forEach(step => {
+            const item = document.createElement('li');
+            item.className = `step-navigator-item ${step.status}`;
+            item.innerHTML = `
+                <button type="button" class="step-navigator-button" data-step-index="${step.stepIndex}">
+                    <span class="step-navigator-label"></span>
+                    <span class="step-navigator-status"></span>
+                    <span class="step-navigator-text"></span>
+                    <span class="step-navigator-timers"></span>
+                </button>
+            `;
+            const button = item.querySelector('button');
+            if (step.status === 'current') {
+                button.setAttribute('aria-current', 'step');
+            }
+            item.querySelector('.step-navigator-label').textContent = step.label;
+            item.querySelector('.step-navigator-status').textContent = STEP_STATUS_LABELS[step.status];
+            item.querySelector('.step-navigator-text').textContent = step.text;
+
+            this.renderStepNavigatorTimers(item.querySelector('.step-navigator-timers'), step.timers);
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * Show the timers of one step in the overview
+     * @param {HTMLElement} container - The step's timer list; its contents are replaced
+     * @param {Array<Object>} timers - Timers ({ id, name, duration, remaining, status })
+     */
+    renderStepNavigatorTimers(container, timers) {
+        container.innerHTML = '';
+        timers.forEach(timer => {
+            const tag = document.createElement('span');
+            tag.className = `step-navigator-timer ${timer.status}`;
+            if (timer.id) {
+                tag.dataset.timerId = timer.id;
+            }
+            tag.textContent = `${timer.name}: ${formatTimerState(timer)}`;
+            container.appendChild(tag);
+        });
+        container.hidden = timers.length === 0;
+    }
+
+    /**
+     * Show the timers of every step in the overview again, after one is made, started or stopped
+     */
+    updateStepNavigatorTimers() {
+        const list = this.elements.stepNavigatorList;
+        if (!list || !this.steps) return;
+
+        this.getStepNavigatorOverview().forEach(step => {
+            const container = list.querySelector(`[data-step-index="${step.stepIndex}"] .step-navigator-timers`);
+            if (container) {
+                this.renderStepNavigatorTimers(container, step.timers);
+            }
+        });
+    }
+
+    /**
+     * Show the time left on one running timer in the overview
+     * @param {Object} timer - Timer ({ id, name, duration, remaining, status })
+     */
+    updateStepNavigatorTimer(timer) {
+        const tag = this.elements.stepNavigatorList?.querySelector(`[data-timer-id="${timer.id}"]`);
+        if (tag) {
+            tag.textContent = `${timer.name}: ${formatTimerState(timer)}`;
+        }
+    }
+
+    /**
+     * Go straight to any step of the current recipe
+     * Shown the same way as moving there step by step, so the step's timers are made once and
+     * highlighted; the steps skipped over are not marked finished. From the completion screen it
+     * takes up the cook-through again.
+     * @param {number} stepIndex - Index of the step
+     */
+    jumpToStep(stepIndex) {
+        const step = this.steps[stepIndex];
+        if (!step) return;
+
+        this.finished = false;
+        this.currentStep = stepIndex;
+        this.currentPhase = step.phase;
+        this.updateStep();
+        if (this.elements.stepNavigator) {
+            this.elements.stepNavigator.open = false;
+        }
+    }
+
+    /**
+     * Carry out a voice command that jumps to a step, like "go to step 4" or "cooking step 2"
+     * @param {string} command - Recognised speech
+     * @returns {boolean} False if the command names no step of the recipe, for other commands to try
+     */
+    handleStepCommand(command) {
+        const stepIndex = parseStepCommand(command, this.steps || [], this.currentPhase);
+        if (stepIndex === null) return false;
+
+        this.jumpToStep(stepIndex);
+        return true;
+    }
+
+    /**
+     * Carry out a voice command aimed at one recipe, like "next step for the salmon"
+     * @param {string} command - Recognised speech
+     * @returns {boolean} False if the command names no recipe of the session, for other commands to try
+     */
+    handleRecipeCommand(command) {
+        const parsed = parseRecipeCommand(command, this.recipeStates.map(state => state.recipe.title));
+        if (!parsed) return false;
+
+        this.switchRecipe(parsed.index);
+        if (parsed.action === 'next') {
+            this.nextStep();
+        } else if (parsed.action === 'previous') {
+            this.previousStep();
+        } else if (parsed.action === 'read') {
+            this.readCurrentStep();
+        }
+        return true;
+    }
+
+    /**
+     * Plan when to start each recipe and step to serve at the chosen time, draw the timeline
+     * and have the timer module nudge when a recipe needs starting or attention
+     */
+    planDinnerTime() {
+        const message = this.elements.dinnerScheduleMessage;
+        try {
+            const serveAt = parseServeTime(this.elements.serveTimeInput.value);
+            this.storeRecipeState();
+            this.dinnerSchedule = planDinner(
+                this.recipeStates.map(state => ({ ...state.recipe, id: state.recipeId })),
+                serveAt
+            );
+
+            const first = this.dinnerSchedule.recipes.find(recipe => recipe.startAt === this.dinnerSchedule.startAt);
+            message.textContent = this.dinnerSchedule.startAt <= Date.now()
+                ? `Start ${first.title} now to serve at ${formatClockTime(serveAt)}; it is running late.`
+                : `Start ${first.title} at ${formatClockTime(this.dinnerSchedule.startAt)} to serve at ${formatClockTime(serveAt)}.`;
+            this.renderDinnerSchedule();
+            this.elements.clearScheduleButton.hidden = false;
+
+            if (typeof timerModule.setNudges === 'function') {
+                timerModule.setNudges(getScheduleNudges(this.dinnerSchedule));
+            }
+            // Nudges also come as notifications when the page is in the background
+            if ('Notification' in window && Notification.permission === 'default') {
+                Notification.requestPermission();
+            }
+
+            clearInterval(this.timelineInterval);
+            this.timelineInterval = setInterval(() => this.renderDinnerSchedule(), 60 * 1000);
+        } catch (error) {
+            console.error('Error planning dinner time:', error);
+            message.textContent = error.message;
+        }
+    }
+
+    /**
+     * Draw the dinner schedule, in the colours of the recipes' timers
+     */
+    renderDinnerSchedule() {
+        if (!this.dinnerSchedule || !this.elements.dinnerTimeline) return;
+        const colors = this.recipeStates.length > 1
+            ? Object.fromEntries(this.recipeStates.map(state => [state.recipeId, state.color]))
+            : {};
+        renderDinnerTimeline(this.elements.dinnerTimeline, this.dinnerSchedule, { colors });
+    }
+
+    /**
+     * Drop the dinner schedule and its nudges
+     */
+    clearDinnerSchedule() {
+        this.dinnerSchedule = null;
+        clearInterval(this.timelineInterval);
+        this.timelineInterval = null;
+        if (typeof timerModule.setNudges === 'function') {
+            timerModule.setNudges([]);
+        }
+        if (this.elements.dinnerTimeline) {
+            this.elements.dinnerTimeline.innerHTML = '';
+            this.elements.dinnerScheduleMessage.textContent = '';
+            this.elements.clearScheduleButton.hidden = true;
+        }
+    }
+
     updateStep() {
         // Get the current step
         const step = this.steps[this.currentStep];
@@ -454,7 +1089,7 @@ class CookingMode {
         this.updatePhaseIndicator();
 
         // Store the current step ID in the document body for timer indicators
-        document.body.dataset.currentStepId = this.currentStep.toString();
+        document.body.dataset.currentStepId = this.getStepId().toString();
         document.body.dataset.currentPhase = this.currentPhase;
         
         // Get phase-specific step number (Step 1, Step 2, etc. within current phase)
@@ -467,39 +1102,18 @@ class CookingMode {
         // Update step content
         this.elements.stepTitle.textContent = `${phaseDisplayName} Step ${phaseStepNumber}`;
         this.elements.stepNumber.textContent = `Step ${phaseStepNumber} of ${this.getTotalPhaseSteps()}`;
-        this.elements.currentStep.textContent = step.description;
-
-        // Update step details (bullets)
-        if (step.bullets && step.bullets.length > 0) {
-            this.elements.stepDetails.innerHTML = step.bullets
-                .map(detail => `<li>${detail}</li>`)
-                .join('');
-        } else {
-            this.elements.stepDetails.innerHTML = '';
-        }
+        this.renderStepContent(step);
 
         // Update navigation buttons
-        this.elements.prevButton.disabled = this.currentStep === 0;
-        
-        // Handle last step differently
-        if (this.currentStep === this.steps.length - 1) {
-            this.elements.nextButton.textContent = 'Bon Appétit!';
-            this.elements.nextButton.disabled = true;
-            this.elements.nextButton.classList.add('bon-appetit');
-        } else {
-            this.elements.nextButton.textContent = 'Next Step';
-            this.elements.nextButton.disabled = false;
-            this.elements.nextButton.classList.remove('bon-appetit');
-        }
+        this.updateNavigationButtons();
 
         // Update progress bar
-        const progress = ((this.currentStep + 1) / this.steps.length) * 100;
-        this.elements.progressBar.style.width = `${progress}%`;
+        this.updateProgressIndicators();
 
         // Notify timer module about step change to trigger highlighting
         try {
             if (typeof timerModule.highlightStep === 'function') {
-                timerModule.highlightStep(this.currentStep);
+                timerModule.highlightStep(this.getStepId());
             } else {
                 console.error("timerModule.highlightStep is not a function", timerModule);
             }
@@ -509,6 +1123,216 @@ class CookingMode {
 
         // Check current step for timers and request their creation
         this.checkStepForTimers(step);
+
+        this.renderRecipeSwitcher();
+        this.renderStepNavigator();
+        this.saveSession();
+    }
+
+    /**
+     * Render a step's main text, the ingredients it uses and its bullets
+     * Amounts are shown at the chosen scale and mentions of the step's ingredients are highlighted.
+     * @param {Object} step - The step to render
+     */
+    renderStepContent(step) {
+        // A recipe finished earlier in the session left its message up
+        document.querySelector('.congratulations-message')?.remove();
+
+        const stepIngredients = getStepIngredients(this.recipe || {}, step);
+        const ids = stepIngredients.map(({ ingredient }) => ingredient.id);
+
+        this.elements.currentStep.innerHTML = '';
+        this.elements.currentStep.appendChild(this.renderStepText(step.description, ids));
+
+        if (this.elements.stepIngredients) {
+            this.elements.stepIngredients.innerHTML = '';
+            stepIngredients.forEach(({ ingredient }) => {
+                const item = document.createElement('li');
+                item.dataset.ingredientId = ingredient.id;
+                item.textContent = formatIngredientLine(this.displayIngredient(ingredient));
+                this.elements.stepIngredients.appendChild(item);
+            });
+            this.elements.stepIngredients.hidden = stepIngredients.length === 0;
+        }
+
+        // Update step details (bullets), with a box to tick each off in checklist mode
+        const checklistMode = isChecklistMode();
+        const checked = getCheckedBullets(this.checkedBullets, this.currentStep);
+        this.elements.stepDetails.classList.toggle('step-checklist', checklistMode);
+        this.elements.stepDetails.innerHTML = '';
+        (step.bullets || []).forEach((detail, index) => {
+            const item = document.createElement('li');
+            if (checklistMode) {
+                item.className = `step-bullet${checked.includes(index) ? ' checked' : ''}`;
+                item.innerHTML = '<label><input type="checkbox"> <span></span></label>';
+                const box = item.querySelector('input');
+                box.dataset.bulletIndex = index;
+                box.checked = checked.includes(index);
+                item.querySelector('span').appendChild(this.renderStepText(detail, ids));
+            } else {
+                item.appendChild(this.renderStepText(detail, ids));
+            }
+            this.elements.stepDetails.appendChild(item);
+        });
+
+        // A new step has not been warned about
+        this.checklistWarningStep = null;
+        this.hideChecklistWarning();
+        this.updateChecklistStatus(step);
+    }
+
+    /**
+     * Tick a bullet of the current step off, or clear its tick
+     * @param {number} bulletIndex - Index of the bullet
+     * @param {boolean} checked - Whether it is done
+     */
+    checkBullet(bulletIndex, checked) {
+        const step = this.steps[this.currentStep];
+        if (!step || !step.bullets[bulletIndex]) return;
+
+        this.checkedBullets = setBulletChecked(this.checkedBullets, this.currentStep, bulletIndex, checked);
+        const box = this.elements.stepDetails.querySelector(`[data-bullet-index="${bulletIndex}"]`);
+        if (box) {
+            box.checked = checked;
+            box.closest('.step-bullet').classList.toggle('checked', checked);
+        }
+
+        this.updateChecklistStatus(step);
+        this.updateProgressIndicators();
+        this.saveSession();
+    }
+
+    /**
+     * Show how many of the current step's bullets are ticked off, in checklist mode
+     * @param {Object} step - The current step
+     */
+    updateChecklistStatus(step) {
+        const checklistMode = isChecklistMode();
+        if (this.elements.checklistToggle) {
+            this.elements.checklistToggle.classList.toggle('active', checklistMode);
+            this.elements.checklistToggle.setAttribute('aria-pressed', String(checklistMode));
+        }
+
+        const status = this.elements.checklistStatus;
+        if (!status) return;
+        const { checked, total } = getStepCompletion(step, this.currentStep, this.checkedBullets);
+        status.hidden = !checklistMode || total === 0;
+        status.textContent = `${checked} of ${total} done`;
+        status.classList.toggle('complete', checked === total);
+        if (checked === total) {
+            this.hideChecklistWarning();
+        }
+    }
+
+    /**
+     * Turn the checklist on or off and show the step again
+     */
+    toggleChecklistMode() {
+        setChecklistMode(!isChecklistMode());
+        const step = this.steps[this.currentStep];
+        if (step && !this.finished) {
+            this.renderStepContent(step);
+            this.updateProgressIndicators();
+        }
+    }
+
+    /**
+     * Warn that the current step has bullets not ticked off yet
+     * @param {number} unchecked - Number of bullets not ticked off
+     */
+    showChecklistWarning(unchecked) {
+        this.checklistWarningStep = this.getStepId();
+        const message = `${unchecked} ${unchecked === 1 ? 'item is' : 'items are'} not checked off yet. Go to the next step again to move on anyway.`;
+        if (this.elements.checklistWarning) {
+            this.elements.checklistWarning.textContent = message;
+            this.elements.checklistWarning.hidden = false;
+        }
+        if (this.voiceControl && this.voiceControl.isEnabled()) {
+            this.voiceControl.speak(`${unchecked} ${unchecked === 1 ? 'item is' : 'items are'} not checked off yet`);
+        }
+    }
+
+    /**
+     * Hide the warning about bullets not ticked off
+     */
+    hideChecklistWarning() {
+        if (this.elements.checklistWarning) {
+            this.elements.checklistWarning.hidden = true;
+        }
+    }
+
+    /**
+     * Carry out a voice command ticking off a bullet, like "done with garlic" or "check item three"
+     * Turns the checklist on if it is off.
+     * @param {string} command - Recognised speech
+     * @returns {boolean} False if the command names no bullet of the current step, for other commands to try
+     */
+    handleChecklistCommand(command) {
+        const step = this.steps[this.currentStep];
+        const parsed = step && !this.finished ? parseChecklistCommand(command, step.bullets || []) : null;
+        if (!parsed) return false;
+
+        if (!isChecklistMode()) {
+            this.toggleChecklistMode();
+        }
+        this.checkBullet(parsed.index, parsed.checked);
+        return true;
+    }
+
+    /**
+     * Get an ingredient at the chosen scale and in the chosen units
+     * @param {Object} ingredient - Ingredient
+     * @returns {Object} Ingredient to show
+     */
+    displayIngredient(ingredient) {
+        return convertIngredient(scaleIngredient(ingredient, this.scale), this.units);
+    }
+
+    /**
+     * Get a step with the amounts in its text at the chosen scale and its temperatures
+     * in the chosen units, for reading aloud
+     * @param {Object} step - The step
+     * @returns {Object} The step with scaled description and bullets
+     */
+    scaleStep(step) {
+        const scaleText = text => convertTemperatures(
+            scaleStepText(text, this.scale, findIngredientMentions(text, this.ingredientMatchers)).text,
+            this.units
+        );
+        return {
+            ...step,
+            description: scaleText(step.description),
+            bullets: (step.bullets || []).map(scaleText)
+        };
+    }
+
+    /**
+     * Scale the amounts in a piece of step text, convert its temperatures and wrap mentions of the given ingredients
+     * @param {string} text - Step text
+     * @param {Array<string>} ids - Ids of the ingredients to highlight
+     * @returns {DocumentFragment} The text, with each mention in a <mark>
+     */
+    renderStepText(text, ids) {
+        const fragment = document.createDocumentFragment();
+        if (!text) return fragment;
+
+        const scaled = scaleStepText(text, this.scale, findIngredientMentions(text, this.ingredientMatchers));
+        text = scaled.text;
+
+        let position = 0;
+        scaled.mentions
+            .filter(mention => ids.includes(mention.id))
+            .forEach(({ id, start, end }) => {
+                fragment.appendChild(document.createTextNode(convertTemperatures(text.slice(position, start), this.units)));
+                const mark = document.createElement('mark');
+                mark.className = 'step-ingredient';
+                mark.dataset.ingredientId = id;
+                mark.textContent = text.slice(start, end);
+                fragment.appendChild(mark);
+                position = end;
+            });
+        fragment.appendChild(document.createTextNode(convertTemperatures(text.slice(position), this.units)));
+        return fragment;
     }
 
     /**
@@ -522,9 +1346,10 @@ class CookingMode {
         // Use the timer module to create timers for this step
         if (timerModule && typeof timerModule.createTimersForStep === 'function') {
             const context = {
-                stepIndex: this.currentStep,
+                stepIndex: this.getStepId(),
                 phase: this.currentPhase,
-                phaseStepNumber: this.getCurrentPhaseStepNumber()
+                phaseStepNumber: this.getCurrentPhaseStepNumber(),
+                ...this.getTimerTags()
             };
             
             // Let the timer module handle creating and tracking timers
@@ -544,17 +1369,45 @@ class CookingMode {
         // Find the first step of the target phase
         const targetStepIndex = this.steps.findIndex(step => step.phase === phase);
         if (targetStepIndex !== -1) {
+            // Going back to a step from the completion screen takes up the cook-through again
+            this.finished = false;
             this.currentStep = targetStepIndex;
             this.currentPhase = phase;
             this.updateStep();
         }
     }
 
+    /**
+     * Update the Previous and Next buttons for the current step
+     * On the last step the Next button finishes the cook-through, as saying "next" does.
+     */
+    updateNavigationButtons() {
+        this.elements.prevButton.disabled = this.currentStep === 0;
+
+        const lastStep = this.currentStep === this.steps.length - 1;
+        this.elements.nextButton.textContent = lastStep ? 'Finish' : 'Next Step';
+        this.elements.nextButton.disabled = false;
+        this.elements.nextButton.classList.toggle('bon-appetit', lastStep);
+    }
+
     /**
      * Navigate to the next step in the recipe
      */
     nextStep() {
         try {
+            // In checklist mode, unticked bullets get a warning first; asking again moves on
+            const step = this.steps[this.currentStep];
+            if (step && isChecklistMode() && !this.finished && this.checklistWarningStep !== this.getStepId()) {
+                const { checked, total } = getStepCompletion(step, this.currentStep, this.checkedBullets);
+                if (checked < total) {
+                    this.showChecklistWarning(total - checked);
+                    return;
+                }
+            }
+
+            // Moving on finishes the step
+            this.completedSteps.add(this.currentStep);
+
             // Get steps for the current phase
             const phaseSteps = this.getPhaseSteps();
             
@@ -599,6 +1452,13 @@ class CookingMode {
      */
     previousStep() {
         try {
+            // From the completion screen, going back shows the last step again
+            if (this.finished) {
+                this.finished = false;
+                this.updateStep();
+                return;
+            }
+
             // Find all steps in the current phase
             const phaseSteps = this.getPhaseSteps();
             
@@ -676,14 +1536,14 @@ class CookingMode {
         const step = this.steps[this.currentStep];
         if (step && this.voiceControl) {
             // Use the voice control module to read the step content without prefixes
-            this.voiceControl.readCurrentStep(step);
+            this.voiceControl.readCurrentStep(this.scaleStep(step));
         }
     }
 
     readAllSteps() {
         if (this.voiceControl) {
             // Use the voice control module to read all steps
-            this.voiceControl.readAllSteps(this.steps);
+            this.voiceControl.readAllSteps(this.steps.map(step => this.scaleStep(step)));
         }
     }
 
@@ -710,6 +1570,25 @@ class CookingMode {
 
     setupVoiceCommands() {
         const commands = {
+            // Commands for one recipe, when cooking several; checked before the general ones they contain
+            'next (step) for': command => this.handleRecipeCommand(command),
+            'previous (step) for': command => this.handleRecipeCommand(command),
+            'read (step) for': command => this.handleRecipeCommand(command),
+            'switch to': command => this.handleRecipeCommand(command),
+
+            // Jumping to any step; before "go to", which would take "step one" for a recipe name
+            'go to step': command => this.handleStepCommand(command),
+            'jump to step': command => this.handleStepCommand(command),
+            'cooking step': command => this.handleStepCommand(command),
+            'prep(aration) step': command => this.handleStepCommand(command),
+
+            'go to': command => this.handleRecipeCommand(command),
+
+            // Ticking off bullets of the current step
+            'done (with)': command => this.handleChecklistCommand(command),
+            'finished (with)': command => this.handleChecklistCommand(command),
+            'check': command => this.handleChecklistCommand(command),
+
             // Navigation commands
             'next (step)': () => this.nextStep(),
             'go (to the) next (step)': () => this.nextStep(),
@@ -870,7 +1749,8 @@ class CookingMode {
         const categories = {
             'Navigation': [
                 'next step', 'previous step',
-                'go to preparation phase', 'go to cooking phase'
+                'go to preparation phase', 'go to cooking phase',
+                'go to step 4', 'cooking step 2'
             ],
             'Reading': [
                 'read step', 'read instructions',
@@ -884,6 +1764,18 @@ class CookingMode {
                 'pause the pasta timer',
                 'reset the sauce timer'
             ],
+            ...(this.recipeStates.length > 1 ? {
+                'Recipes': [
+                    `next step for the ${this.recipeStates[1].recipe.title.toLowerCase()}`,
+                    `read step for the ${this.recipeStates[0].recipe.title.toLowerCase()}`,
+                    `switch to the ${this.recipeStates[1].recipe.title.toLowerCase()}`
+                ]
+            } : {}),
+            'Checklist': [
+                'done with garlic',
+                'check item three',
+                'uncheck item two'
+            ],
             'Voice Control': [
                 'enable voice commands',
                 'disable voice commands',
@@ -937,6 +1829,11 @@ class CookingMode {
                 this.voiceControl.cleanup();
             }
 
+            // Keep the session as it is, timers included, to resume when coming back
+            this.saveSession();
+            this.sessionActive = false;
+            this.clearDinnerSchedule();
+
             // Clean up all timers
             if (timerModule) {
                 if (timerModule.clearAllTimers) {
@@ -1088,11 +1985,16 @@ class CookingMode {
 
     /**
      * Calculate progress percentage
+     * In checklist mode this counts the finished steps and the bullets ticked off; otherwise
+     * it is the position of the current step.
      * @returns {number} - Progress percentage (0-100)
      */
     calculateProgress() {
         const totalSteps = this.steps ? this.steps.length : 0;
         if (totalSteps === 0) return 0;
+        if (isChecklistMode()) {
+            return calculateChecklistProgress(this.steps, this.checkedBullets, this.completedSteps);
+        }
         return ((this.currentStep + 1) / totalSteps) * 100;
     }
 
@@ -1124,42 +2026,26 @@ class CookingMode {
             // Update step content without calling full updateStep to avoid duplicate timers
             this.elements.stepTitle.textContent = `${phaseDisplayName} Step ${phaseStepNumber}`;
             this.elements.stepNumber.textContent = `Step ${phaseStepNumber} of ${this.getTotalPhaseSteps()}`;
-            this.elements.currentStep.textContent = step.description;
-
-            // Update step details (bullets)
-            if (step.bullets && step.bullets.length > 0) {
-                this.elements.stepDetails.innerHTML = step.bullets
-                    .map(detail => `<li>${detail}</li>`)
-                    .join('');
-            } else {
-                this.elements.stepDetails.innerHTML = '';
-            }
+            this.renderStepContent(step);
             
             // Update phase indicators
             this.updatePhaseIndicator();
             
             // Update navigation buttons
-            this.elements.prevButton.disabled = this.currentStep === 0;
-            
-            // Handle last step differently
-            if (this.currentStep === this.steps.length - 1) {
-                this.elements.nextButton.textContent = 'Bon Appétit!';
-                this.elements.nextButton.disabled = true;
-                this.elements.nextButton.classList.add('bon-appetit');
-            } else {
-                this.elements.nextButton.textContent = 'Next Step';
-                this.elements.nextButton.disabled = false;
-                this.elements.nextButton.classList.remove('bon-appetit');
-            }
+            this.updateNavigationButtons();
             
             // Highlight timers
             if (typeof timerModule.highlightStep === 'function') {
-                timerModule.highlightStep(this.currentStep);
+                timerModule.highlightStep(this.getStepId());
             }
             
             // IMPORTANT: Check for timers in this step to ensure they're created
             // This ensures timers are created regardless of how we navigate to the step
             this.checkStepForTimers(step);
+
+            this.renderRecipeSwitcher();
+            this.renderStepNavigator();
+            this.saveSession();
         } else {
             console.error('Step not found in steps array:', step);
         }
@@ -1171,6 +2057,20 @@ class CookingMode {
     showRecipeSummary() {
         try {
             console.log('Showing recipe summary');
+
+            // Finishing the last step counts as cooking the recipe, for "recently cooked" on the grid, and
+            // takes what the recipe used out of the pantry; once, however often the cook goes back to a
+            // step and finishes again
+            if (!this.pantryUpdated) {
+                markRecipeCooked(this.recipeId);
+                useIngredients((this.recipe?.ingredients || []).map(ingredient => scaleIngredient(ingredient, this.scale)));
+                this.pantryUpdated = true;
+            }
+
+            // The cook-through is over; there is nothing to resume
+            this.finished = true;
+            clearCookingSession(this.recipeId);
+            this.renderStepNavigator();
             
             // Display a completion message
             if (this.elements.currentStep) {
@@ -1181,6 +2081,11 @@ class CookingMode {
                 this.elements.stepDetails.innerHTML = '<li>Your recipe is ready to enjoy!</li><li>Click "Exit Cooking Mode" to return to the recipe.</li>';
             }
             
+            if (this.elements.stepIngredients) {
+                this.elements.stepIngredients.innerHTML = '';
+                this.elements.stepIngredients.hidden = true;
+            }
+            
             if (this.elements.stepTitle) {
                 this.elements.stepTitle.textContent = 'Recipe Complete';
             }
@@ -1201,17 +2106,36 @@ class CookingMode {
             congratsElement.className = 'congratulations-message';
             congratsElement.innerHTML = `
                 <h2>Bon Appétit!</h2>
-                <p>You've completed "${this.recipe?.title}"</p>
+                <p class="congratulations-recipe"></p>
             `;
+            congratsElement.querySelector('.congratulations-recipe').textContent = `You've completed "${this.recipe?.title}"`;
+
+            // List the ingredients no step used, so nothing is left on the counter
+            const unusedIngredients = this.recipe ? getUnusedIngredients(this.recipe) : [];
+            if (unusedIngredients.length > 0) {
+                const unused = document.createElement('div');
+                unused.className = 'unused-ingredients';
+                unused.innerHTML = `
+                    <p>No step used these ingredients:</p>
+                    <ul class="bullet-list"></ul>
+                `;
+                unusedIngredients.forEach(ingredient => {
+                    const item = document.createElement('li');
+                    item.textContent = formatIngredientLine(this.displayIngredient(ingredient));
+                    unused.querySelector('ul').appendChild(item);
+                });
+                congratsElement.appendChild(unused);
+            }
             congratsElement.style.cssText = 'text-align: center; margin: 20px 0; padding: 15px; background-color: #f8f5e6; border-radius: 8px; border: 1px solid #e6dfc3;';
             
             // Insert before the step container
+            document.querySelector('.congratulations-message')?.remove();
             const stepContainer = document.querySelector('.step-container');
             if (stepContainer && stepContainer.parentNode) {
                 stepContainer.parentNode.insertBefore(congratsElement, stepContainer);
             }
-            
-            // You could also display a summary of the recipe here
+
+            this.renderRecipeSwitcher();
         } catch (error) {
             console.error('Error showing recipe summary:', error);
         }
@@ -0,0 +1,141 @@
+/**
+ * Cooking Recipes Module
+ * Helpers for cooking several recipes at once, such as a main and a side from
+ * `cooking.html?id=salmon&id=rice`: reading the recipes from the link, giving each a colour for
+ * its timers, and working out which recipe a voice command like "next step for the salmon" means.
+ */
+
+// Colours of the recipes' timers and switcher buttons, in the order of the link
+export const RECIPE_COLORS = ['#c0392b', '#2471a3', '#1e8449', '#b9770e', '#7d3c98', '#148f77'];
+
+// Words that do not tell recipes apart
+const FILLER_WORDS = ['the', 'a', 'an', 'my', 'of', 'and', 'with', 'recipe'];
+
+/**
+ * Get the recipes to cook from a cooking mode link
+ * @param {string} search - Query string, e.g. "?id=salmon&id=rice"
+ * @returns {Array<string>} Recipe IDs, each once, in the order of the link
+ */
+export function getRecipeIdsFromUrl(search) {
+    const ids = new URLSearchParams(search).getAll('id').filter(Boolean);
+    return [...new Set(ids)];
+}
+
+/**
+ * Get the colour of a recipe
+ * @param {number} index - Position of the recipe in the session
+ * @returns {string} CSS colour
+ */
+export function getRecipeColor(index) {
+    return RECIPE_COLORS[index % RECIPE_COLORS.length];
+}
+
+/**
+ * Split a name into the words that matter for matching
+ * @param {string} text - Name or title
+ * @returns {Array<string>} Lowercase words without plural endings
+ */
+function nameWords(text) {
+    return String(text || '')
+        .toLowerCase()
+        .split(/[^a-z0-9]+/)
+        .filter(word => word && !FILLER_WORDS.includes(word))
+        .map(word => (word.length > 3 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word));
+}
+
+/**
+ * Find the text a spoken name means, by the words they share
+ * @param {string} name - Spoken name, e.g. "the garlic"
+ * @param {Array<string>} texts - Texts to choose from, such as recipe titles or step bullets
+ * @returns {number} Index of the text sharing the most words, the first on a tie, or -1 if none shares any
+ */
+export function findBestMatch(name, texts) {
+    const words = nameWords(name);
+    let best = -1;
+    let bestScore = 0;
+    texts.forEach((text, index) => {
+        const textWords = nameWords(text);
+        const score = words.filter(word => textWords.includes(word)).length;
+        if (score > bestScore) {
+            best = index;
+            bestScore = score;
+        }
+    });
+    return best;
+}
+
+/**
+ * Find the recipe a spoken name means, by the words it shares with the recipe titles
+ * @param {string} name - Spoken name, e.g. "the salmon"
+ * @param {Array<string>} titles - Titles of the recipes in the session
+ * @returns {number} Index of the recipe sharing the most words, the first on a tie, or -1 if none shares any
+ */
+export function findRecipeByName(name, titles) {
+    return findBestMatch(name, titles);
+}
+
+// Words after "go to" that name a step or phase, not a recipe ("go to step one", "go to cooking phase")
+const STEP_OR_PHASE_PATTERN = /^(?:the\s+)?(?:(?:next|previous|prep|preparation|cooking)\s+)?(?:step|phase)\b/;
+
+/**
+ * Read a voice command aimed at one of the recipes
+ * Understands "next step for the salmon", "previous step for the rice", "read step for the salmon"
+ * and "switch to the rice". A step or phase is never taken for a recipe, even when a number in it
+ * matches a title like "One-Pot Coconut Chicken and Rice".
+ * @param {string} command - Recognised speech
+ * @param {Array<string>} titles - Titles of the recipes in the session
+ * @returns {{action: string, index: number}|null} Action ("next", "previous", "read" or "switch")
+ *   and the recipe's index, or null if the command names no recipe in the session
+ */
+export function parseRecipeCommand(command, titles) {
+    const text = String(command || '').toLowerCase().trim();
+
+    let action = null;
+    let name = null;
+    const stepMatch = text.match(/\b(next|previous|read)(?:\s+(?:the\s+)?step)?\s+for\s+(.+)$/);
+    const switchMatch = text.match(/\b(?:switch|change|go)\s+(?:over\s+)?to\s+(.+)$/);
+    if (stepMatch) {
+        action = stepMatch[1];
+        name = stepMatch[2];
+    } else if (switchMatch) {
+        action = 'switch';
+        name = switchMatch[1];
+    } else {
+        return null;
+    }
+    if (STEP_OR_PHASE_PATTERN.test(name.trim())) return null;
+
+    const index = findRecipeByName(name, titles);
+    return index === -1 ? null : { action, index };
+}
+
+/**
+ * Move the step numbers of timers' metadata
+ * Timers of a session with several recipes number their steps across all the recipes, so each
+ * step has its own number; saved sessions keep the recipe's own numbers.
+ * @param {Array<Object>} timers - Timers ({ name, duration, status, metadata, ... })
+ * @param {number} offset - Amount to add to the step numbers
+ * @returns {Array<Object>} Timers with `stepId` and `stepIndex` moved
+ */
+export function shiftTimerSteps(timers, offset) {
+    if (!offset) return timers;
+    return timers.map(timer => {
+        const metadata = { ...timer.metadata };
+        ['stepId', 'stepIndex'].forEach(key => {
+            if (typeof metadata[key] === 'number') {
+                metadata[key] += offset;
+            }
+        });
+        return { ...timer, metadata };
+    });
+}
+
+export default {
+    RECIPE_COLORS,
+    getRecipeIdsFromUrl,
+    getRecipeColor,
+    findBestMatch,
+    findRecipeByName,
+    parseRecipeCommand,
+    shiftTimerSteps
+};
@@ -0,0 +1,123 @@
+/**
+ * Cooking Session Module
+ * Remembers a cook-through of each recipe in localStorage, so a reload or a tablet going to
+ * sleep does not lose the reader's place: the step and phase they were on, the steps they have
+ * finished, when they started, and their timers. Running timers are kept with the time they
+ * end rather than the time they have left, so they are right however long the page was closed.
+ */
+
+import { getFromStorage, setToStorage } from '../utils/common.js';
+
+// Storage key for the sessions, by recipe ID
+const COOKING_SESSIONS_STORAGE_KEY = 'recipe-viewer-cooking-sessions';
+
+// Sessions not touched for this long are forgotten (12 hours)
+export const SESSION_MAX_AGE = 12 * 60 * 60 * 1000;
+
+/**
+ * Get the saved session for a recipe
+ * @param {string} recipeId - Recipe ID
+ * @param {Object} [options] - Options
+ * @param {number} [options.stepCount] - Steps the recipe has now; a session saved for a different
+ *   number of steps is for an older version of the recipe and is not returned
+ * @param {number} [options.now] - Current time in milliseconds
+ * @returns {Object|null} Session ({ recipeId, step, phase, completedSteps, checkedBullets, timers,
+ *   startedAt, updatedAt, stepCount }), or null if there is none to resume
+ */
+export function getCookingSession(recipeId, { stepCount, now = Date.now() } = {}) {
+    const session = getFromStorage(COOKING_SESSIONS_STORAGE_KEY, {})[recipeId];
+    if (!session) return null;
+    if (now - session.updatedAt > SESSION_MAX_AGE) return null;
+    if (stepCount !== undefined && session.stepCount !== stepCount) return null;
+    return session;
+}
+
+/**
+ * Save a recipe's session
+ * @param {Object} session - Session
+ * @param {string} session.recipeId - Recipe ID
+ * @param {number} session.step - Index of the current step among all steps
+ * @param {string} session.phase - "preparation" or "cooking"
+ * @param {Array<number>} session.completedSteps - Indexes of the steps finished
+ * @param {Object<string, Array<number>>} [session.checkedBullets] - Indexes of the bullets ticked off, by step index
+ * @param {Array<Object>} session.timers - Timers (from snapshotTimers)
+ * @param {number} session.startedAt - When the cook-through started, in milliseconds
+ * @param {number} session.stepCount - Steps the recipe has
+ * @param {number} [now] - Current time in milliseconds
+ */
+export function saveCookingSession(session, now = Date.now()) {
+    const sessions = getFromStorage(COOKING_SESSIONS_STORAGE_KEY, {});
+    sessions[session.recipeId] = { ...session, updatedAt: now };
+    setToStorage(COOKING_SESSIONS_STORAGE_KEY, sessions);
+}
+
+/**
+ * Forget a recipe's session, when it is finished or started over
+ * @param {string} recipeId - Recipe ID
+ */
+export function clearCookingSession(recipeId) {
+    const sessions = getFromStorage(COOKING_SESSIONS_STORAGE_KEY, {});
+    if (!sessions[recipeId]) return;
+    delete sessions[recipeId];
+    setToStorage(COOKING_SESSIONS_STORAGE_KEY, sessions);
+    console.log(`Cooking session for ${recipeId} cleared`);
+}
+
+/**
+ * Check whether a session got far enough to be worth offering to resume
+ * @param {Object|null} session - Session
+ * @returns {boolean} True if a step was left, a step finished, a bullet ticked off or a timer made
+ */
+export function isWorthResuming(session) {
+    return Boolean(session && (
+        session.step > 0 ||
+        session.completedSteps?.length > 0 ||
+        Object.keys(session.checkedBullets || {}).length > 0 ||
+        session.timers?.length > 0
+    ));
+}
+
+/**
+ * Write timers down to save with a session
+ * @param {Array<Object>} timers - Timers ({ name, duration, remaining, status, metadata })
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {Array<Object>} Saved timers: running ones with `endsAt`, the others with `remaining` seconds
+ */
+export function snapshotTimers(timers, now = Date.now()) {
+    return timers.map(({ name, duration, remaining, status, metadata }) => ({
+        name,
+        duration,
+        status,
+        metadata: metadata || {},
+        ...(status === 'running' ? { endsAt: now + remaining * 1000 } : { remaining })
+    }));
+}
+
+/**
+ * Work out where saved timers are now
+ * A running timer whose end has passed is done.
+ * @param {Array<Object>} saved - Saved timers (from snapshotTimers)
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {Array<Object>} Timers ({ name, duration, remaining, status, metadata })
+ */
+export function resolveTimers(saved, now = Date.now()) {
+    return (saved || []).map(({ endsAt, remaining, ...timer }) => {
+        if (timer.status !== 'running') {
+            return { ...timer, remaining: timer.status === 'completed' ? 0 : remaining };
+        }
+        const left = Math.ceil((endsAt - now) / 1000);
+        return left > 0
+            ? { ...timer, remaining: left }
+            : { ...timer, status: 'completed', remaining: 0 };
+    });
+}
+
+export default {
+    SESSION_MAX_AGE,
+    getCookingSession,
+    saveCookingSession,
+    clearCookingSession,
+    isWorthResuming,
+    snapshotTimers,
+    resolveTimers
+};
@@ -0,0 +1,178 @@
+/**
+ * Dinner Schedule Module
+ * Back-plans one or more recipes from the time dinner is served, so the dishes finish together.
+ * Each step gets a length from the timers in its text (findTimersInStep) or, for steps without
+ * one, a share of the prep, active and hands-off times in the recipe's metadata. Steps are then
+ * placed backwards from the serve time with one cook: hands-off steps, like a long simmer, can
+ * run alongside anything, but two hands-on steps never overlap.
+ */
+
+import { parseDurationText } from '../recipe/recipe-index.js';
+import { findTimersInStep } from '../timer/utils/timer-utils.js';
+
+// Length of a step with no timer, when the recipe's metadata has no times to share out
+export const DEFAULT_STEP_MINUTES = 3;
+
+// A step with a timer this long leaves the cook free while it runs
+export const HANDS_OFF_MINUTES = 10;
+
+const MINUTE = 60 * 1000;
+
+/**
+ * Work out how long each step of a recipe takes
+ * @param {Object} recipe - Recipe ({ metadata, preparationSteps, cookingSteps })
+ * @returns {Array<Object>} Steps in cooking order ({ stepIndex, phase, label, minutes, handsOff });
+ *   `stepIndex` counts the preparation steps and then the cooking steps, as cooking mode does
+ */
+export function estimateSteps(recipe) {
+    const metadata = recipe.metadata || {};
+    const cookingTimes = [parseDurationText(metadata.activeTime), parseDurationText(metadata.handsOffTime)];
+    const phases = [
+        { phase: 'preparation', steps: recipe.preparationSteps || [], budget: parseDurationText(metadata.prepTime) },
+        {
+            phase: 'cooking',
+            steps: recipe.cookingSteps || [],
+            budget: cookingTimes.some(minutes => minutes !== null)
+                ? cookingTimes.reduce((total, minutes) => total + (minutes || 0), 0)
+                : null
+        }
+    ];
+
+    const estimated = [];
+    phases.forEach(({ phase, steps, budget }) => {
+        const timed = steps.map(step => {
+            const durations = findTimersInStep(step).map(timer => timer.duration);
+            return {
+                minutes: Math.ceil(durations.reduce((total, seconds) => total + seconds, 0) / 60),
+                longest: Math.max(0, ...durations) / 60
+            };
+        });
+
+        // Steps without a timer share what the metadata leaves over
+        const untimed = timed.filter(({ minutes }) => minutes === 0).length;
+        const spare = budget === null ? 0 : budget - timed.reduce((total, { minutes }) => total + minutes, 0);
+        const share = budget === null ? DEFAULT_STEP_MINUTES : Math.max(1, Math.ceil(spare / Math.max(untimed, 1)));
+
+        const phaseName = phase === 'preparation' ? 'Preparation' : 'Cooking';
+        timed.forEach(({ minutes, longest }, index) => {
+            estimated.push({
+                stepIndex: estimated.length,
+                phase,
+                label: `${phaseName} Step ${index + 1}`,
+                minutes: minutes || share,
+                handsOff: longest >= HANDS_OFF_MINUTES
+            });
+        });
+    });
+    return estimated;
+}
+
+/**
+ * Plan when to start each recipe and each of its steps to serve at a given time
+ * Steps are placed from the last backwards, always taking the one that can end latest, so every
+ * recipe finishes at the serve time unless the cook is busy with another recipe then, in which
+ * case it is ready a little early.
+ * @param {Array<Object>} recipes - Recipes ({ id, title, metadata, preparationSteps, cookingSteps })
+ * @param {number} serveAt - Serve time in milliseconds
+ * @returns {{serveAt: number, startAt: number, recipes: Array<Object>}} Schedule: the time to start
+ *   the first recipe, and for each recipe ({ recipeId, title, startAt, endAt, readyEarly, steps }) its
+ *   steps from estimateSteps with `startAt` and `endAt`; `readyEarly` is minutes before the serve time
+ */
+export function planDinner(recipes, serveAt) {
+    const plans = recipes.map(recipe => ({ recipeId: recipe.id, title: recipe.title, steps: estimateSteps(recipe) }));
+    const latestEnd = plans.map(() => serveAt);
+    const remaining = plans.map(plan => plan.steps.length);
+    let cookFreeUntil = serveAt;
+
+    while (remaining.some(count => count > 0)) {
+        let pick = -1;
+        let pickEnd = -Infinity;
+        plans.forEach((plan, index) => {
+            if (remaining[index] === 0) return;
+            const step = plan.steps[remaining[index] - 1];
+            const end = step.handsOff ? latestEnd[index] : Math.min(latestEnd[index], cookFreeUntil);
+            // On a tie, the recipe that has been pushed back least goes first, to keep the recipes together
+            if (end > pickEnd || (end === pickEnd && latestEnd[index] > latestEnd[pick])) {
+                pick = index;
+                pickEnd = end;
+            }
+        });
+
+        remaining[pick] -= 1;
+        const step = plans[pick].steps[remaining[pick]];
+        step.endAt = pickEnd;
+        step.startAt = pickEnd - step.minutes * MINUTE;
+        latestEnd[pick] = step.startAt;
+        if (!step.handsOff) {
+            cookFreeUntil = step.startAt;
+        }
+    }
+
+    const scheduled = plans.map(plan => {
+        const endAt = plan.steps.length > 0 ? plan.steps[plan.steps.length - 1].endAt : serveAt;
+        return {
+            ...plan,
+            startAt: plan.steps.length > 0 ? plan.steps[0].startAt : serveAt,
+            endAt,
+            readyEarly: Math.round((serveAt - endAt) / MINUTE)
+        };
+    });
+
+    return {
+        serveAt,
+        startAt: Math.min(serveAt, ...scheduled.map(recipe => recipe.startAt)),
+        recipes: scheduled
+    };
+}
+
+/**
+ * List the moments to nudge the cook during a schedule: when each recipe starts, and when a
+ * recipe needs them back after a hands-off step
+ * @param {Object} schedule - Schedule (from planDinner)
+ * @returns {Array<{at: number, recipeId: string, stepIndex: number, message: string}>} Nudges by time
+ */
+export function getScheduleNudges(schedule) {
+    const nudges = [];
+    schedule.recipes.forEach(({ recipeId, title, steps }) => {
+        const name = String(title || recipeId).toLowerCase();
+        steps.forEach((step, index) => {
+            if (index === 0) {
+                nudges.push({ at: step.startAt, recipeId, stepIndex: step.stepIndex, message: `Start the ${name} now` });
+            } else if (steps[index - 1].handsOff) {
+                nudges.push({ at: step.startAt, recipeId, stepIndex: step.stepIndex, message: `Back to the ${name}: ${step.label}` });
+            }
+        });
+    });
+    return nudges.sort((a, b) => a.at - b.at);
+}
+
+/**
+ * Read the serve time from a time input
+ * A time that has already passed today is taken as tomorrow, so "00:30" picked at 23:00 is after midnight.
+ * @param {string} value - Time, e.g. "19:30"
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {number} The next time it is that time, in milliseconds
+ * @throws {Error} If it is not a time
+ */
+export function parseServeTime(value, now = Date.now()) {
+    const match = String(value || '').match(/^(\d{1,2}):(\d{2})$/);
+    if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+        throw new Error(`"${value}" is not a time`);
+    }
+
+    const serveAt = new Date(now);
+    serveAt.setHours(Number(match[1]), Number(match[2]), 0, 0);
+    if (serveAt.getTime() <= now) {
+        serveAt.setDate(serveAt.getDate() + 1);
+    }
+    return serveAt.getTime();
+}
+
+export default {
+    DEFAULT_STEP_MINUTES,
+    HANDS_OFF_MINUTES,
+    estimateSteps,
+    planDinner,
+    getScheduleNudges,
+    parseServeTime
+};
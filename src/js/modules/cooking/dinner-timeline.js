@@ -0,0 +1,77 @@
+/**
+ * Dinner Timeline
+ * Draws a schedule from dinner-schedule.js as a Gantt chart: a row for each recipe with a bar
+ * for each step, across the time from starting the first recipe to serving.
+ */
+
+/**
+ * Format a time of day
+ * @param {number} time - Time in milliseconds
+ * @returns {string} Time, e.g. "6:45 PM"
+ */
+export function formatClockTime(time) {
+    return new Date(time).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+}
+
+/**
+ * Draw a schedule
+ * @param {HTMLElement} container - Element to draw in; its contents are replaced
+ * @param {Object} schedule - Schedule (from planDinner)
+ * @param {Object} [options] - Options
+ * @param {Object<string, string>} [options.colors] - Colour of each recipe, by recipe ID
+ * @param {number} [options.now] - Current time in milliseconds, marked on the chart while cooking
+ */
+export function renderDinnerTimeline(container, schedule, { colors = {}, now = Date.now() } = {}) {
+    container.innerHTML = '';
+    const span = Math.max(schedule.serveAt - schedule.startAt, 1);
+    const position = time => `${((time - schedule.startAt) / span) * 100}%`;
+
+    const scale = document.createElement('div');
+    scale.className = 'dinner-timeline-scale';
+    scale.innerHTML = '<span></span><span></span>';
+    scale.children[0].textContent = `Start ${formatClockTime(schedule.startAt)}`;
+    scale.children[1].textContent = `Serve ${formatClockTime(schedule.serveAt)}`;
+    container.appendChild(scale);
+
+    schedule.recipes.forEach(recipe => {
+        const row = document.createElement('div');
+        row.className = 'dinner-timeline-row';
+        if (colors[recipe.recipeId]) {
+            row.style.setProperty('--recipe-color', colors[recipe.recipeId]);
+        }
+        row.innerHTML = `
+            <div class="dinner-timeline-label">
+                <span class="dinner-timeline-title"></span>
+                <small class="dinner-timeline-start"></small>
+            </div>
+            <div class="dinner-timeline-track"></div>
+        `;
+        row.querySelector('.dinner-timeline-title').textContent = recipe.title;
+        row.querySelector('.dinner-timeline-start').textContent = `Start at ${formatClockTime(recipe.startAt)}`
+            + (recipe.readyEarly > 0 ? `, ready ${recipe.readyEarly} min early` : '');
+
+        const track = row.querySelector('.dinner-timeline-track');
+        recipe.steps.forEach(step => {
+            const bar = document.createElement('span');
+            bar.className = `dinner-timeline-bar${step.handsOff ? ' hands-off' : ''}`;
+            bar.style.left = position(step.startAt);
+            bar.style.width = position(schedule.startAt + (step.endAt - step.startAt));
+            bar.title = `${step.label}: ${formatClockTime(step.startAt)} to ${formatClockTime(step.endAt)}${step.handsOff ? ' (hands-off)' : ''}`;
+            bar.setAttribute('aria-label', bar.title);
+            track.appendChild(bar);
+        });
+
+        if (now >= schedule.startAt && now <= schedule.serveAt) {
+            const marker = document.createElement('span');
+            marker.className = 'dinner-timeline-now';
+            marker.style.left = position(now);
+            track.appendChild(marker);
+        }
+        container.appendChild(row);
+    });
+}
+
+export default {
+    formatClockTime,
+    renderDinnerTimeline
+};
@@ -0,0 +1,155 @@
+/**
+ * Step Checklist Module
+ * Lets each bullet of a cooking mode step ("1 large onion, finely chopped") be ticked off. The
+ * ticks are kept by step, so they can be saved with the cooking session, and the progress bar
+ * counts them rather than only the step the cook is on.
+ */
+
+import { getFromStorage, setToStorage } from '../utils/common.js';
+import { findBestMatch } from './cooking-recipes.js';
+
+// Storage key for whether the reader cooks with the checklist on
+const CHECKLIST_MODE_STORAGE_KEY = 'recipe-viewer-checklist-mode';
+
+// Spoken numbers for "check item three" and "check the first item"
+const NUMBER_WORDS = {
+    one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+    eleven: 11, twelve: 12,
+    first: 1, second: 2, third: 3, fourth: 4, fifth: 5, sixth: 6, seventh: 7, eighth: 8, ninth: 9, tenth: 10,
+    last: -1
+};
+
+/**
+ * Check whether bullets are shown as a checklist
+ * @returns {boolean} True if the checklist is on
+ */
+export function isChecklistMode() {
+    return getFromStorage(CHECKLIST_MODE_STORAGE_KEY, false) === true;
+}
+
+/**
+ * Turn the checklist on or off, for every recipe
+ * @param {boolean} enabled - Whether to show bullets as a checklist
+ */
+export function setChecklistMode(enabled) {
+    setToStorage(CHECKLIST_MODE_STORAGE_KEY, Boolean(enabled));
+    console.log(`Checklist mode ${enabled ? 'on' : 'off'}`);
+}
+
+/**
+ * Get the bullets of a step that are ticked off
+ * @param {Object<string, Array<number>>} checkedBullets - Ticked bullet indexes, by step index
+ * @param {number} stepIndex - Index of the step
+ * @returns {Array<number>} Ticked bullet indexes
+ */
+export function getCheckedBullets(checkedBullets, stepIndex) {
+    return checkedBullets[stepIndex] || [];
+}
+
+/**
+ * Tick a bullet off, or clear its tick
+ * @param {Object<string, Array<number>>} checkedBullets - Ticked bullet indexes, by step index
+ * @param {number} stepIndex - Index of the step
+ * @param {number} bulletIndex - Index of the bullet
+ * @param {boolean} checked - Whether it is done
+ * @returns {Object<string, Array<number>>} The ticked bullets, changed
+ */
+export function setBulletChecked(checkedBullets, stepIndex, bulletIndex, checked) {
+    const bullets = new Set(getCheckedBullets(checkedBullets, stepIndex));
+    if (checked) {
+        bullets.add(bulletIndex);
+    } else {
+        bullets.delete(bulletIndex);
+    }
+
+    const updated = { ...checkedBullets };
+    if (bullets.size > 0) {
+        updated[stepIndex] = [...bullets].sort((a, b) => a - b);
+    } else {
+        delete updated[stepIndex];
+    }
+    return updated;
+}
+
+/**
+ * Count how much of a step is ticked off
+ * @param {Object} step - Step ({ bullets })
+ * @param {number} stepIndex - Index of the step
+ * @param {Object<string, Array<number>>} checkedBullets - Ticked bullet indexes, by step index
+ * @returns {{checked: number, total: number}} Ticked and all bullets
+ */
+export function getStepCompletion(step, stepIndex, checkedBullets) {
+    const total = (step.bullets || []).length;
+    const checked = getCheckedBullets(checkedBullets, stepIndex).filter(index => index < total).length;
+    return { checked, total };
+}
+
+/**
+ * Work out how far through the recipe the cook is
+ * A finished step counts whole; any other step counts the share of its bullets ticked off.
+ * @param {Array<Object>} steps - Steps ({ bullets })
+ * @param {Object<string, Array<number>>} checkedBullets - Ticked bullet indexes, by step index
+ * @param {Set<number>|Array<number>} completedSteps - Indexes of the finished steps
+ * @returns {number} Progress percentage (0-100)
+ */
+export function calculateChecklistProgress(steps, checkedBullets, completedSteps) {
+    if (steps.length === 0) return 0;
+    const completed = new Set(completedSteps);
+
+    const done = steps.reduce((total, step, index) => {
+        if (completed.has(index)) return total + 1;
+        const { checked, total: bullets } = getStepCompletion(step, index, checkedBullets);
+        return total + (bullets > 0 ? checked / bullets : 0);
+    }, 0);
+    return (done / steps.length) * 100;
+}
+
+/**
+ * Read a spoken item or step number
+ * @param {string} word - "3", "three" or "third"
+ * @returns {number|null} Number, -1 for "last", or null if it is not one
+ */
+export function parseSpokenNumber(word) {
+    if (/^\d+$/.test(word)) return Number(word);
+    return NUMBER_WORDS[word] ?? null;
+}
+
+/**
+ * Read a voice command that ticks off a bullet of the current step
+ * Understands "done with garlic", "finished the onion", "check item three", "check off the
+ * second item" and "uncheck item 2".
+ * @param {string} command - Recognised speech
+ * @param {Array<string>} bullets - Bullets of the current step
+ * @returns {{checked: boolean, index: number}|null} Whether to tick or clear, and the bullet's
+ *   index, or null if the command names no bullet of the step
+ */
+export function parseChecklistCommand(command, bullets) {
+    const text = String(command || '').toLowerCase().trim();
+    if (bullets.length === 0) return null;
+
+    const numbered = text.match(/\b(un)?check\s+(?:off\s+)?(?:the\s+)?(?:item\s+(?:number\s+)?(\w+)|(\w+)\s+item)\b/);
+    if (numbered) {
+        const number = parseSpokenNumber(numbered[2] || numbered[3]);
+        const index = number === -1 ? bullets.length - 1 : number - 1;
+        if (number === null || index < 0 || index >= bullets.length) return null;
+        return { checked: !numbered[1], index };
+    }
+
+    const named = text.match(/\b(?:done|finished)\s+(?:with\s+)?(.+)$/);
+    if (named) {
+        const index = findBestMatch(named[1], bullets);
+        return index === -1 ? null : { checked: true, index };
+    }
+    return null;
+}
+
+export default {
+    isChecklistMode,
+    setChecklistMode,
+    getCheckedBullets,
+    setBulletChecked,
+    getStepCompletion,
+    calculateChecklistProgress,
+    parseSpokenNumber,
+    parseChecklistCommand
+};
@@ -0,0 +1,102 @@
+/**
+ * Step Navigator Module
+ * Lists every preparation and cooking step of a recipe for the "All Steps" overview in cooking
+ * mode: which are done, which is current and which are still to come, with the timers of each.
+ * Also reads voice commands that jump to a step, like "go to step 4" or "cooking step 2".
+ */
+
+import { formatTimeMMSS } from '../utils/common.js';
+import { findTimersInStep } from '../timer/utils/timer-utils.js';
+import { parseSpokenNumber } from './step-checklist.js';
+
+const PHASE_NAMES = {
+    preparation: 'Preparation',
+    cooking: 'Cooking'
+};
+
+/**
+ * Describe each step of a recipe for the overview
+ * A step shows the timers made for it; until there are any, it shows the ones its text asks for.
+ * @param {Array<Object>} steps - Steps ({ phase, description, bullets })
+ * @param {Object} state - Where the cook is
+ * @param {number} state.currentStep - Index of the current step
+ * @param {Set<number>|Array<number>} state.completedSteps - Indexes of the finished steps
+ * @param {Array<Object>} [state.timers] - Timers ({ id, name, duration, remaining, status, metadata })
+ * @param {number} [state.stepOffset] - Added to a step's index for its timers' `metadata.stepIndex`,
+ *   when cooking several recipes
+ * @returns {Array<Object>} Steps ({ stepIndex, phase, label, text, status, timers }), where `status`
+ *   is 'done', 'current' or 'upcoming' and each timer is ({ id, name, duration, remaining, status });
+ *   timers not made yet have no `id`
+ */
+export function getStepOverview(steps, { currentStep, completedSteps, timers = [], stepOffset = 0 }) {
+    const completed = new Set(completedSteps);
+    const phaseCounts = {};
+
+    return steps.map((step, stepIndex) => {
+        phaseCounts[step.phase] = (phaseCounts[step.phase] || 0) + 1;
+
+        let status = 'upcoming';
+        if (stepIndex === currentStep) {
+            status = 'current';
+        } else if (completed.has(stepIndex)) {
+            status = 'done';
+        }
+
+        const made = timers.filter(timer => timer.metadata?.stepIndex === stepOffset + stepIndex);
+        const stepTimers = made.length > 0
+            ? made.map(({ id, name, duration, remaining, status: timerStatus }) => ({ id, name, duration, remaining, status: timerStatus }))
+            : findTimersInStep(step).map(({ label, duration }) => ({ name: label, duration, remaining: duration, status: 'idle' }));
+
+        return {
+            stepIndex,
+            phase: step.phase,
+            label: `${PHASE_NAMES[step.phase] || step.phase} Step ${phaseCounts[step.phase]}`,
+            text: step.description,
+            status,
+            timers: stepTimers
+        };
+    });
+}
+
+/**
+ * Describe where a timer is, in a few words
+ * @param {Object} timer - Timer ({ duration, remaining, status })
+ * @returns {string} E.g. "12:00", "08:42 left", "08:42 paused" or "done"
+ */
+export function formatTimerState({ duration, remaining, status }) {
+    if (status === 'completed') return 'done';
+    if (status === 'running') return `${formatTimeMMSS(remaining)} left`;
+    if (status === 'paused') return `${formatTimeMMSS(remaining)} paused`;
+    return formatTimeMMSS(duration);
+}
+
+/**
+ * Read a voice command that jumps to a step
+ * "step 4" counts within the current phase, as the step header does ("Step 4 of 6");
+ * "cooking step 2" and "prep step 1" name the phase.
+ * @param {string} command - Recognised speech
+ * @param {Array<Object>} steps - Steps ({ phase })
+ * @param {string} currentPhase - Phase of the current step
+ * @returns {number|null} Index of the step, or null if the command names no step of the recipe
+ */
+export function parseStepCommand(command, steps, currentPhase) {
+    const text = String(command || '').toLowerCase().trim();
+    const match = text.match(/\b(?:(prep|preparation|cooking)\s+)?step\s+(?:number\s+)?(\w+)\b/);
+    if (!match) return null;
+
+    const phase = match[1] ? (match[1] === 'cooking' ? 'cooking' : 'preparation') : currentPhase;
+    const phaseSteps = steps
+        .map((step, index) => ({ step, index }))
+        .filter(({ step }) => step.phase === phase);
+
+    const number = parseSpokenNumber(match[2]);
+    if (number === null) return null;
+    const position = number === -1 ? phaseSteps.length - 1 : number - 1;
+    return position >= 0 && position < phaseSteps.length ? phaseSteps[position].index : null;
+}
+
+export default {
+    getStepOverview,
+    formatTimerState,
+    parseStepCommand
+};
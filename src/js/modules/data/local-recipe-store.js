@@ -0,0 +1,130 @@
+/**
+ * Local Recipe Store
+ * Persists recipe edits and user-created recipes in IndexedDB, keyed by recipe ID.
+ * Records sit on top of the bundled JSON files; recipe-data.js merges them in.
+ */
+
+const DB_NAME = 'recipe-viewer';
+const DB_VERSION = 1;
+const STORE_NAME = 'recipes';
+
+// Shared connection promise so the database is only opened once per page
+let dbPromise = null;
+
+/**
+ * Check whether IndexedDB is available in this environment
+ * @returns {boolean} True if recipes can be stored locally
+ */
+export function isLocalStoreAvailable() {
+  return typeof indexedDB !== 'undefined' && indexedDB !== null;
+}
+
+/**
+ * Wrap an IDBRequest in a promise
+ * @param {IDBRequest} request - The request
+ * @returns {Promise<*>} The request result
+ */
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Open (and if needed create) the recipe database
+ * @returns {Promise<IDBDatabase>} The database connection
+ */
+function openDatabase() {
+  if (!isLocalStoreAvailable()) {
+    return Promise.reject(new Error('IndexedDB is not available in this environment'));
+  }
+
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(STORE_NAME)) {
+          db.createObjectStore(STORE_NAME, { keyPath: 'id' });
+        }
+      };
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+
+  return dbPromise;
+}
+
+/**
+ * Run a single operation against the recipe object store
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} operation - Receives the object store and returns an IDBRequest
+ * @returns {Promise<*>} The request result
+ */
+async function withStore(mode, operation) {
+  const db = await openDatabase();
+  const transaction = db.transaction(STORE_NAME, mode);
+  const result = await promisifyRequest(operation(transaction.objectStore(STORE_NAME)));
+
+  if (mode === 'readwrite') {
+    await new Promise((resolve, reject) => {
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  return result;
+}
+
+/**
+ * Get the locally stored record for a recipe
+ * @param {string} recipeId - The recipe ID
+ * @returns {Promise<Object|null>} Record ({ id, recipe, userCreated, updatedAt }) or null
+ */
+export async function getLocalRecipe(recipeId) {
+  const record = await withStore('readonly', store => store.get(recipeId));
+  return record || null;
+}
+
+/**
+ * Get every locally stored record
+ * @returns {Promise<Array<Object>>} Records ({ id, recipe, userCreated, updatedAt })
+ */
+export async function getAllLocalRecipes() {
+  return withStore('readonly', store => store.getAll());
+}
+
+/**
+ * Store a recipe locally, replacing any previous local copy
+ * @param {Object} recipe - Recipe data including its ID
+ * @param {Object} options - Record options
+ * @param {boolean} options.userCreated - True if the recipe has no bundled JSON file
+ * @returns {Promise<Object>} The stored record
+ */
+export async function putLocalRecipe(recipe, { userCreated = false } = {}) {
+  const record = {
+    id: recipe.id,
+    recipe,
+    userCreated,
+    updatedAt: new Date().toISOString()
+  };
+  await withStore('readwrite', store => store.put(record));
+  return record;
+}
+
+/**
+ * Remove the local copy of a recipe
+ * @param {string} recipeId - The recipe ID
+ * @returns {Promise<void>}
+ */
+export async function deleteLocalRecipe(recipeId) {
+  await withStore('readwrite', store => store.delete(recipeId));
+}
@@ -1,36 +1,147 @@
 /**
  * Recipe Service
- * Provides an interface to the recipe data module
+ * Provides an interface to the recipe data module.
+ * Uses the Express recipe API when it is reachable and falls back to the
+ * static JSON files (e.g. on GitHub Pages) when it is not.
  */
 
 import { loadRecipeData, saveRecipeData, listRecipes } from '../recipe/recipe-data.js';
 
+// Must match api.prefix in src/config/server.config.js
+const API_PREFIX = '/api';
+
+// Cached result of the API reachability check
+let apiAvailablePromise = null;
+
+/**
+ * Check whether the recipe API is reachable
+ * The result is cached for the lifetime of the page.
+ * @returns {Promise<boolean>} True if the API responded
+ */
+export function isApiAvailable() {
+  if (!apiAvailablePromise) {
+    apiAvailablePromise = fetch(`${API_PREFIX}/health`)
+      .then(response => {
+        if (!response.ok) return false;
+        return response.json()
+          .then(body => body?.status === 'ok')
+          .catch(() => false);
+      })
+      .catch(() => false)
+      .then(available => {
+        console.log(`Recipe API ${available ? 'available' : 'not available, using static files'}`);
+        return available;
+      });
+  }
+  return apiAvailablePromise;
+}
+
+/**
+ * Forget the cached API reachability result
+ */
+export function resetApiAvailability() {
+  apiAvailablePromise = null;
+}
+
+/**
+ * Make a request to the recipe API
+ * @param {string} path - Path below the API prefix
+ * @param {Object} options - fetch options
+ * @returns {Promise<Object|null>} Parsed JSON response, or null for empty responses
+ */
+async function apiRequest(path, options = {}) {
+  const response = await fetch(`${API_PREFIX}${path}`, {
+    ...options,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(options.headers || {})
+    }
+  });
+
+  if (!response.ok) {
+    let message = `${response.status} ${response.statusText}`;
+    try {
+      const body = await response.json();
+      if (body?.error) message = body.error;
+    } catch (e) {
+      // Keep the status text
+    }
+    const error = new Error(`Recipe API request failed: ${message}`);
+    error.status = response.status;
+    throw error;
+  }
+
+  return response.status === 204 ? null : response.json();
+}
+
 /**
  * Get a recipe by ID
  * @param {string} recipeId - The recipe ID
  * @returns {Promise<Object>} The recipe object
  */
 export async function getRecipeById(recipeId) {
+  if (await isApiAvailable()) {
+    try {
+      return await apiRequest(`/recipes/${encodeURIComponent(recipeId)}`);
+    } catch (error) {
+      console.warn(`Recipe API could not load "${recipeId}", falling back to static files:`, error);
+    }
+  }
   return loadRecipeData(recipeId);
 }
 
 /**
  * Save a recipe
+ * Updates the recipe if it exists and creates it otherwise.
  * @param {string} recipeId - The recipe ID
  * @param {Object} recipeData - The recipe data
  * @returns {Promise<Object>} The saved recipe
  */
 export async function saveRecipe(recipeId, recipeData) {
-  return saveRecipeData(recipeId, recipeData);
+  if (!(await isApiAvailable())) {
+    return saveRecipeData(recipeId, recipeData);
+  }
+
+  const body = JSON.stringify({ ...recipeData, id: recipeId || recipeData.id });
+
+  if (recipeId) {
+    try {
+      return await apiRequest(`/recipes/${encodeURIComponent(recipeId)}`, { method: 'PUT', body });
+    } catch (error) {
+      if (error.status !== 404) throw error;
+    }
+  }
+
+  return apiRequest('/recipes', { method: 'POST', body });
+}
+
+/**
+ * Delete a recipe
+ * Only possible when the recipe API is running.
+ * @param {string} recipeId - The recipe ID
+ * @returns {Promise<void>}
+ */
+export async function deleteRecipe(recipeId) {
+  if (!(await isApiAvailable())) {
+    throw new Error('Deleting recipes requires the recipe API server');
+  }
+  await apiRequest(`/recipes/${encodeURIComponent(recipeId)}`, { method: 'DELETE' });
 }
 
 /**
  * Get all recipes
- * @returns {Promise<Array>} Array of recipe metadata
+ * @returns {Promise<Object>} The recipe index ({ recipes: [...] })
  */
 export async function getAllRecipes() {
+  if (await isApiAvailable()) {
+    try {
+      return await apiRequest('/recipes');
+    } catch (error) {
+      console.warn('Recipe API could not list recipes, falling back to static files:', error);
+    }
+  }
   return listRecipes();
 }
 
 // Re-export the original functions for compatibility
-export { loadRecipeData, saveRecipeData, listRecipes }; 
\ No newline at end of file
+export { loadRecipeData, saveRecipeData, listRecipes };
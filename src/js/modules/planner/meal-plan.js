@@ -0,0 +1,227 @@
+/**
+ * Meal Plan Module
+ * Keeps the reader's week in localStorage: a recipe and a number of servings for breakfast,
+ * lunch and dinner on each of the seven days. The plan can be exported as JSON and imported
+ * again on another device or after clearing the browser.
+ */
+
+import { getFromStorage, setToStorage } from '../utils/common.js';
+import eventBus from '../../core/events/event-bus.js';
+
+// Storage key for the plan ({ meals: { [slot]: { recipeId, title, servings } } })
+const MEAL_PLAN_STORAGE_KEY = 'recipe-viewer-meal-plan';
+
+// Version of the exported file, for importers to check
+export const EXPORT_VERSION = 1;
+
+// Days and meals of the grid, in the order they are shown
+export const DAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+export const MEALS = ['Breakfast', 'Lunch', 'Dinner'];
+
+/**
+ * Get the key of a slot in the grid
+ * @param {string} day - Day, e.g. "Monday"
+ * @param {string} meal - Meal, e.g. "Dinner"
+ * @returns {string} Slot key, e.g. "monday-dinner"
+ */
+export function getSlotKey(day, meal) {
+    return `${day}-${meal}`.toLowerCase();
+}
+
+// Every slot, day by day
+const SLOTS = DAYS.flatMap(day => MEALS.map(meal => getSlotKey(day, meal)));
+
+/**
+ * Check that a slot is in the grid
+ * @param {string} slot - Slot key
+ * @throws {Error} If it is not
+ */
+function checkSlot(slot) {
+    if (!SLOTS.includes(slot)) {
+        throw new Error(`Unknown meal slot "${slot}"`);
+    }
+}
+
+/**
+ * Read a number of servings
+ * @param {number|string} servings - Servings
+ * @returns {number} Servings
+ * @throws {Error} If it is not a positive number
+ */
+function toServings(servings) {
+    const value = Number(servings);
+    if (!(value > 0)) {
+        throw new Error(`"${servings}" is not a number of servings`);
+    }
+    return value;
+}
+
+/**
+ * Get the plan
+ * @returns {{meals: Object<string, {recipeId: string, title: string, servings: number}>}} Planned meals by slot
+ */
+export function getMealPlan() {
+    const stored = getFromStorage(MEAL_PLAN_STORAGE_KEY, null);
+    return { meals: { ...stored?.meals } };
+}
+
+/**
+ * Save the plan and let the page know
+ * @param {Object} plan - Plan
+ */
+function saveMealPlan(plan) {
+    setToStorage(MEAL_PLAN_STORAGE_KEY, plan);
+    eventBus.publish('mealplan:changed', { plan });
+}
+
+/**
+ * Plan a recipe for a meal, replacing what was planned there
+ * @param {string} slot - Slot key (from getSlotKey)
+ * @param {Object} meal - Meal
+ * @param {string} meal.recipeId - Recipe ID
+ * @param {string} meal.title - Recipe title
+ * @param {number} meal.servings - Servings to cook
+ * @returns {Object} The meal that was stored
+ * @throws {Error} If the slot, recipe or servings are not usable
+ */
+export function setMeal(slot, { recipeId, title, servings }) {
+    checkSlot(slot);
+    if (!recipeId) {
+        throw new Error('A planned meal needs a recipe');
+    }
+
+    const meal = { recipeId, title: String(title || recipeId), servings: toServings(servings) };
+    const plan = getMealPlan();
+    plan.meals[slot] = meal;
+    saveMealPlan(plan);
+    console.log(`Planned ${meal.title} for ${slot}`);
+    return meal;
+}
+
+/**
+ * Change how many servings a planned meal is for
+ * @param {string} slot - Slot key
+ * @param {number|string} servings - Servings
+ * @throws {Error} If nothing is planned there or the servings are not usable
+ */
+export function setMealServings(slot, servings) {
+    const plan = getMealPlan();
+    if (!plan.meals[slot]) {
+        throw new Error(`Nothing is planned for ${slot}`);
+    }
+    plan.meals[slot] = { ...plan.meals[slot], servings: toServings(servings) };
+    saveMealPlan(plan);
+}
+
+/**
+ * Move a meal to another slot; a meal already there takes its place
+ * @param {string} from - Slot key of the meal
+ * @param {string} to - Slot key to move it to
+ */
+export function moveMeal(from, to) {
+    checkSlot(to);
+    const plan = getMealPlan();
+    if (!plan.meals[from] || from === to) return;
+
+    const displaced = plan.meals[to];
+    plan.meals[to] = plan.meals[from];
+    if (displaced) {
+        plan.meals[from] = displaced;
+    } else {
+        delete plan.meals[from];
+    }
+    saveMealPlan(plan);
+}
+
+/**
+ * Take a meal off the plan
+ * @param {string} slot - Slot key
+ */
+export function removeMeal(slot) {
+    const plan = getMealPlan();
+    delete plan.meals[slot];
+    saveMealPlan(plan);
+}
+
+/**
+ * Empty the week
+ */
+export function clearMealPlan() {
+    saveMealPlan({ meals: {} });
+}
+
+/**
+ * Get the recipes on the plan, each once, with the servings of every meal it is planned for
+ * @param {Object} [plan] - Plan
+ * @returns {Array<{recipeId: string, title: string, servings: Array<number>}>} Recipes in the order
+ *   they first appear in the week
+ */
+export function getPlannedRecipes(plan = getMealPlan()) {
+    const recipes = new Map();
+    SLOTS.forEach(slot => {
+        const meal = plan.meals[slot];
+        if (!meal) return;
+        if (!recipes.has(meal.recipeId)) {
+            recipes.set(meal.recipeId, { recipeId: meal.recipeId, title: meal.title, servings: [] });
+        }
+        recipes.get(meal.recipeId).servings.push(meal.servings);
+    });
+    return [...recipes.values()];
+}
+
+/**
+ * Export the plan as an object to save as JSON
+ * @returns {{version: number, exportedAt: string, meals: Object}} Export
+ */
+export function exportMealPlan() {
+    return {
+        version: EXPORT_VERSION,
+        exportedAt: new Date().toISOString(),
+        meals: getMealPlan().meals
+    };
+}
+
+/**
+ * Replace the plan with an exported one
+ * Meals in slots the grid does not have are left out.
+ * @param {Object} data - Parsed export (from exportMealPlan)
+ * @returns {number} Number of meals imported
+ * @throws {Error} If it is not a meal plan, or from a newer version
+ */
+export function importMealPlan(data) {
+    if (!data || typeof data.meals !== 'object' || data.meals === null) {
+        throw new Error('This file is not a meal plan');
+    }
+    if (data.version > EXPORT_VERSION) {
+        throw new Error(`This meal plan is from a newer version (${data.version}); update the app to import it`);
+    }
+
+    const meals = {};
+    Object.entries(data.meals).forEach(([slot, meal]) => {
+        if (!SLOTS.includes(slot) || !meal?.recipeId) return;
+        meals[slot] = {
+            recipeId: String(meal.recipeId),
+            title: String(meal.title || meal.recipeId),
+            servings: Number(meal.servings) > 0 ? Number(meal.servings) : 1
+        };
+    });
+    saveMealPlan({ meals });
+    console.log(`Imported a meal plan with ${Object.keys(meals).length} meals`);
+    return Object.keys(meals).length;
+}
+
+export default {
+    EXPORT_VERSION,
+    DAYS,
+    MEALS,
+    getSlotKey,
+    getMealPlan,
+    setMeal,
+    setMealServings,
+    moveMeal,
+    removeMeal,
+    clearMealPlan,
+    getPlannedRecipes,
+    exportMealPlan,
+    importMealPlan
+};
@@ -0,0 +1,350 @@
+/**
+ * Meal Planner Page
+ * Recipes from the index are dragged (or tapped, then a meal tapped) onto a week of
+ * breakfasts, lunches and dinners kept by meal-plan.js. Each meal links to its recipe page and
+ * cooking mode at its servings, and the week's recipes can be put on the shopping list together.
+ */
+
+// Import styles
+import '../../../styles/main.css';
+
+import { listRecipes, loadRecipeData } from '../recipe/recipe-data.js';
+import { parseServings, getServingsScale, scaleRecipe } from '../recipe/recipe-scaling.js';
+import { addRecipeToShoppingList } from '../shopping/shopping-list-store.js';
+import { showShoppingList } from '../shopping/shopping-list.js';
+import {
+    DAYS,
+    MEALS,
+    getSlotKey,
+    getMealPlan,
+    setMeal,
+    setMealServings,
+    moveMeal,
+    removeMeal,
+    clearMealPlan,
+    getPlannedRecipes,
+    exportMealPlan,
+    importMealPlan
+} from './meal-plan.js';
+import { downloadText } from '../utils/common.js';
+import eventBus from '../../core/events/event-bus.js';
+
+// Name of the downloaded plan
+const EXPORT_FILENAME = 'meal-plan.json';
+
+// Type of the data dragged from the recipe list or another meal
+const DRAG_TYPE = 'application/x-recipe-viewer-meal';
+
+class MealPlanner {
+    constructor() {
+        this.recipes = [];          // Index entries to plan from
+        this.loadedRecipes = new Map(); // Full recipes by ID, loaded when first needed
+        this.selectedRecipeId = null;   // Recipe tapped in the list, to tap into a meal
+
+        this.elements = {
+            recipeList: document.getElementById('planner-recipes'),
+            search: document.getElementById('planner-search'),
+            grid: document.getElementById('planner-grid'),
+            message: document.getElementById('planner-message'),
+            shoppingListBtn: document.getElementById('plan-shopping-list-btn'),
+            exportBtn: document.getElementById('plan-export-btn'),
+            importInput: document.getElementById('plan-import-input'),
+            clearBtn: document.getElementById('plan-clear-btn')
+        };
+
+        this.bindEvents();
+        this.renderGrid();
+        this.loadRecipes();
+    }
+
+    bindEvents() {
+        this.elements.search.addEventListener('input', () => this.renderRecipes());
+        this.elements.shoppingListBtn.addEventListener('click', () => this.addWeekToShoppingList());
+        this.elements.exportBtn.addEventListener('click', () => this.downloadPlan());
+        this.elements.importInput.addEventListener('change', () => this.importPlan());
+        this.elements.clearBtn.addEventListener('click', () => {
+            if (window.confirm('Take every meal off this week\'s plan?')) {
+                clearMealPlan();
+            }
+        });
+
+        // Redraw whenever the plan changes
+        eventBus.subscribe('mealplan:changed', () => this.renderGrid());
+    }
+
+    /**
+     * Show a short message under the actions
+     * @param {string} text - Message
+     */
+    showMessage(text) {
+        this.elements.message.textContent = text;
+    }
+
+    async loadRecipes() {
+        try {
+            const recipeIndex = await listRecipes();
+            this.recipes = recipeIndex.recipes || [];
+            this.renderRecipes();
+        } catch (error) {
+            console.error('Error loading recipe list:', error);
+            this.showMessage('The recipes could not be loaded. Please try again later.');
+        }
+    }
+
+    /**
+     * Load a full recipe, once
+     * @param {string} recipeId - Recipe ID
+     * @returns {Promise<Object>} Recipe
+     */
+    async getRecipe(recipeId) {
+        if (!this.loadedRecipes.has(recipeId)) {
+            this.loadedRecipes.set(recipeId, await loadRecipeData(recipeId));
+        }
+        return this.loadedRecipes.get(recipeId);
+    }
+
+    /**
+     * Draw the recipes to plan from, filtered by the search box
+     */
+    renderRecipes() {
+        const query = this.elements.search.value.trim().toLowerCase();
+        const list = this.elements.recipeList;
+        list.innerHTML = '';
+
+        this.recipes
+            .filter(recipe => !query || recipe.title.toLowerCase().includes(query))
+            .forEach(recipe => {
+                const item = document.createElement('li');
+                item.className = `planner-recipe${recipe.id === this.selectedRecipeId ? ' selected' : ''}`;
+                item.draggable = true;
+                item.tabIndex = 0;
+                item.dataset.recipeId = recipe.id;
+                item.innerHTML = '<span class="planner-recipe-title"></span><small class="planner-recipe-time"></small>';
+                item.querySelector('.planner-recipe-title').textContent = recipe.title;
+                item.querySelector('.planner-recipe-time').textContent = recipe.time || '';
+
+                item.addEventListener('dragstart', event => {
+                    event.dataTransfer.setData(DRAG_TYPE, JSON.stringify({ recipeId: recipe.id }));
+                    event.dataTransfer.effectAllowed = 'copy';
+                });
+
+                // Tapping works where dragging does not, such as on phones
+                const select = () => {
+                    this.selectedRecipeId = this.selectedRecipeId === recipe.id ? null : recipe.id;
+                    this.renderRecipes();
+                    this.showMessage(this.selectedRecipeId ? `Now tap a meal to plan ${recipe.title}.` : '');
+                };
+                item.addEventListener('click', select);
+                item.addEventListener('keydown', event => {
+                    if (event.key === 'Enter' || event.key === ' ') {
+                        event.preventDefault();
+                        select();
+                    }
+                });
+                list.appendChild(item);
+            });
+    }
+
+    /**
+     * Plan a recipe for a meal, at the servings the recipe makes
+     * @param {string} slot - Slot key
+     * @param {string} recipeId - Recipe ID
+     */
+    async planRecipe(slot, recipeId) {
+        try {
+            const recipe = await this.getRecipe(recipeId);
+            setMeal(slot, {
+                recipeId,
+                title: recipe.title,
+                servings: parseServings(recipe.metadata?.yields) || 1
+            });
+            this.selectedRecipeId = null;
+            this.renderRecipes();
+            this.showMessage('');
+        } catch (error) {
+            console.error('Could not plan the recipe:', error);
+            this.showMessage(`The recipe could not be planned: ${error.message}`);
+        }
+    }
+
+    /**
+     * Draw the week: a row for each day and a column for each meal
+     */
+    renderGrid() {
+        const { meals } = getMealPlan();
+        const grid = this.elements.grid;
+        grid.innerHTML = '';
+
+        const header = document.createElement('div');
+        header.className = 'planner-row planner-header';
+        header.innerHTML = '<span></span>';
+        MEALS.forEach(meal => {
+            const cell = document.createElement('span');
+            cell.textContent = meal;
+            header.appendChild(cell);
+        });
+        grid.appendChild(header);
+
+        DAYS.forEach(day => {
+            const row = document.createElement('div');
+            row.className = 'planner-row';
+
+            const dayName = document.createElement('span');
+            dayName.className = 'planner-day';
+            dayName.textContent = day;
+            row.appendChild(dayName);
+
+            MEALS.forEach(meal => row.appendChild(this.renderSlot(getSlotKey(day, meal), `${day} ${meal}`, meals)));
+            grid.appendChild(row);
+        });
+
+        this.elements.shoppingListBtn.disabled = Object.keys(meals).length === 0;
+        this.elements.clearBtn.disabled = Object.keys(meals).length === 0;
+    }
+
+    /**
+     * Draw one meal of the week, empty or planned
+     * @param {string} slot - Slot key
+     * @param {string} label - "Monday Dinner"
+     * @param {Object} meals - Planned meals by slot
+     * @returns {HTMLElement} Slot
+     */
+    renderSlot(slot, label, meals) {
+        const cell = document.createElement('div');
+        cell.className = 'planner-slot';
+        cell.dataset.slot = slot;
+        cell.setAttribute('aria-label', label);
+
+        // Take recipes from the list and meals from other slots
+        cell.addEventListener('dragover', event => {
+            if (!event.dataTransfer.types.includes(DRAG_TYPE)) return;
+            event.preventDefault();
+            cell.classList.add('drop-target');
+        });
+        cell.addEventListener('dragleave', () => cell.classList.remove('drop-target'));
+        cell.addEventListener('drop', event => {
+            event.preventDefault();
+            cell.classList.remove('drop-target');
+            const data = JSON.parse(event.dataTransfer.getData(DRAG_TYPE) || '{}');
+            if (data.from) {
+                moveMeal(data.from, slot);
+            } else if (data.recipeId) {
+                this.planRecipe(slot, data.recipeId);
+            }
+        });
+
+        const meal = meals[slot];
+        if (!meal) {
+            const place = document.createElement('button');
+            place.type = 'button';
+            place.className = 'planner-slot-empty';
+            place.textContent = '+';
+            place.setAttribute('aria-label', `Plan ${label}`);
+            place.addEventListener('click', () => {
+                if (this.selectedRecipeId) {
+                    this.planRecipe(slot, this.selectedRecipeId);
+                } else {
+                    this.showMessage('Drag a recipe here, or tap a recipe and then this meal.');
+                }
+            });
+            cell.appendChild(place);
+            return cell;
+        }
+
+        cell.classList.add('planned');
+        cell.draggable = true;
+        cell.addEventListener('dragstart', event => {
+            event.dataTransfer.setData(DRAG_TYPE, JSON.stringify({ from: slot }));
+            event.dataTransfer.effectAllowed = 'move';
+        });
+
+        const query = `id=${encodeURIComponent(meal.recipeId)}&servings=${meal.servings}`;
+        cell.innerHTML = `
+            <a class="planner-meal-title"></a>
+            <label class="planner-servings">
+                <input type="number" min="1" step="1" aria-label="Servings">
+                servings
+            </label>
+            <div class="planner-meal-actions">
+                <a class="planner-cook">Cook</a>
+                <button type="button" class="planner-remove">&times;</button>
+            </div>
+        `;
+
+        const title = cell.querySelector('.planner-meal-title');
+        title.textContent = meal.title;
+        title.href = `recipe-summary.html?${query}`;
+        cell.querySelector('.planner-cook').href = `cooking.html?${query}`;
+
+        const servings = cell.querySelector('.planner-servings input');
+        servings.value = meal.servings;
+        servings.addEventListener('change', () => {
+            try {
+                setMealServings(slot, servings.value);
+            } catch (error) {
+                servings.value = meal.servings;
+                this.showMessage(error.message);
+            }
+        });
+
+        const remove = cell.querySelector('.planner-remove');
+        remove.setAttribute('aria-label', `Take ${meal.title} off ${label}`);
+        remove.addEventListener('click', () => removeMeal(slot));
+        return cell;
+    }
+
+    /**
+     * Put the week's recipes on the shopping list, each scaled to all the servings it is planned for,
+     * and show the list
+     */
+    async addWeekToShoppingList() {
+        try {
+            for (const { recipeId, servings } of getPlannedRecipes()) {
+                const recipe = await this.getRecipe(recipeId);
+                const factor = servings.reduce((total, count) => total + getServingsScale(recipe.metadata?.yields, count), 0);
+                const { ingredients } = scaleRecipe(recipe, factor);
+                addRecipeToShoppingList({ id: recipeId, title: recipe.title, ingredients });
+            }
+            showShoppingList();
+        } catch (error) {
+            console.error('Could not make the shopping list:', error);
+            this.showMessage(`The shopping list could not be made: ${error.message}`);
+        }
+    }
+
+    /**
+     * Download the plan as a JSON file
+     */
+    downloadPlan() {
+        downloadText(JSON.stringify(exportMealPlan(), null, 2), EXPORT_FILENAME, 'application/json');
+    }
+
+    /**
+     * Replace the plan with the chosen JSON file
+     */
+    async importPlan() {
+        const input = this.elements.importInput;
+        const [file] = input.files;
+        if (!file) return;
+
+        try {
+            const data = JSON.parse(await file.text());
+            const hasPlan = Object.keys(getMealPlan().meals).length > 0;
+            if (!hasPlan || window.confirm('Replace this week\'s plan with the one in the file?')) {
+                const count = importMealPlan(data);
+                this.showMessage(`Imported ${count} meal${count === 1 ? '' : 's'}.`);
+            }
+        } catch (error) {
+            console.error('Could not import the meal plan:', error);
+            this.showMessage(error instanceof SyntaxError ? 'This file is not a meal plan' : error.message);
+        } finally {
+            input.value = '';
+        }
+    }
+}
+
+// Initialize when the DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+    console.log('DOM loaded, initializing MealPlanner...');
+    new MealPlanner();
+});
@@ -0,0 +1,40 @@
+/**
+ * Ingredient Categories
+ * Guesses the shopping list category for an ingredient name.
+ */
+
+// Checked in order, so more specific groups come first
+// (e.g. "garlic powder" is a spice, "chicken broth" is canned, "fish sauce" is a condiment)
+const CATEGORY_KEYWORDS = [
+  ['Baking', /\b(flour|sugar|baking (powder|soda)|yeast|vanilla|cocoa|cornstarch|chocolate chips?)\b/],
+  ['Spices & Herbs', /\b(salt|(black|white) pepper|peppercorns?|pepper flakes|cayenne|paprika|cumin|oregano|thyme|rosemary|basil|bay lea(f|ves)|cinnamon|nutmeg|coriander|cardamom|turmeric|chili powder|garlic powder|onion powder|curry powder|seasoning|sage|dill|allspice|za'?atar|garam masala)\b/],
+  ['Frozen Foods', /\bfrozen\b/],
+  ['Condiments & Sauces', /\b(oil|vinegar|sauce|ketchup|mustard|mayo(nnaise)?|miso|honey|maple syrup|sriracha|salsa|pesto|tahini|gochujang|harissa|hot sauce|dressing)\b/],
+  ['Canned Goods', /\b(canned|cans?|tomato paste|crushed tomatoes|diced tomatoes|beans|chickpeas|lentils|coconut milk|broth|stock)\b/],
+  ['Seafood', /\b(salmon|shrimp|prawns?|tuna|cod|fish|scallops?|crab|halibut|tilapia|mussels|clams|anchov(y|ies)|trout|lobster)\b/],
+  ['Meat', /\b(chicken|beef|pork|steaks?|sausages?|bacon|turkey|lamb|ham|chorizo|prosciutto|veal|pancetta|chops?|thighs?|breasts?)\b/],
+  ['Dairy', /\b(milk|butter|cream|cheese|cheddar|mozzarella|parmesan|parmigiano|pecorino|ricotta|feta|yogurt|eggs?|buttermilk|ghee|mascarpone)\b/],
+  ['Pasta', /\b(pasta|spaghetti|penne|macaroni|noodles|farfalle|shells|linguine|fettuccine|rigatoni|orzo|lasagna|ziti|fusilli|orecchiette)\b/],
+  ['Grains', /\b(rice|couscous|quinoa|oats|barley|farro|bulgur|bread|tortillas?|breadcrumbs|panko|buns?|pita)\b/],
+  ['Beverages', /\b(wine|beer|coffee|tea|sake|vodka|rum|whiskey|bourbon)\b/],
+  ['Produce', /\b(onions?|garlic|tomato(es)?|potato(es)?|carrots?|celery|peppers?|lettuce|spinach|kale|lemons?|limes?|apples?|avocados?|cilantro|parsley|mint|scallions?|green onions?|ginger|mushrooms?|zucchini|broccoli|eggplants?|corn|cabbage|cucumbers?|shallots?|leeks?|jalape(ñ|n)os?|chiles?|chilies|\w*berries|bananas?|squash|herbs|arugula|asparagus|beets?|cauliflower|peas|oranges?)\b/]
+];
+
+// Used when no keyword matches
+const DEFAULT_CATEGORY = 'Pantry';
+
+/**
+ * Guess the shopping list category for an ingredient
+ * @param {string} name - Ingredient name (with or without preparation notes)
+ * @returns {string} One of the recipe schema's ingredient categories
+ */
+function guessIngredientCategory(name) {
+  const text = String(name || '').toLowerCase();
+  const match = CATEGORY_KEYWORDS.find(([, pattern]) => pattern.test(text));
+  return match ? match[0] : DEFAULT_CATEGORY;
+}
+
+module.exports = {
+  DEFAULT_CATEGORY,
+  guessIngredientCategory
+};
@@ -0,0 +1,213 @@
+/**
+ * Ingredient Index
+ * An inverted index from normalized ingredient names to the recipes that use them, built
+ * in the browser from the index.json entries `listRecipes` returns. It answers "what can I
+ * cook with what I have": recipes ranked by how many of their ingredients you already own,
+ * with the ones you would still need to buy.
+ *
+ * Names are matched by words: "olive oil" finds "Extra-virgin olive oil" and "garlic" finds
+ * "Garlic cloves", but "chicken" does not find "Chicken broth" because the last word (what
+ * the ingredient is) has to agree.
+ */
+
+import { singularize, isFormWord } from './ingredient-links.js';
+
+// Words that describe the state of an ingredient rather than what it is
+const DESCRIPTOR_WORDS = new Set([
+    'a', 'an', 'the', 'of', 'some', 'can', 'pinch', 'sprig', 'tbs', 'fresh', 'freshly', 'dried', 'frozen',
+    'chopped', 'minced', 'diced', 'sliced', 'slivered', 'cracked', 'large', 'medium', 'small', 'jumbo',
+    'boneless', 'skinless'
+]);
+
+// Anything after one of these words is preparation ("salmon fillets with skin")
+const CUT_PATTERN = /\b(?:with|cut|for|in)\b.*$/;
+
+// Ingredients every kitchen is assumed to have; they never count as missing
+export const PANTRY_STAPLES = ['water', 'salt', 'black pepper'];
+
+/**
+ * Split a name into the words that say what the ingredient is
+ * @param {string} text - Ingredient name or part of one
+ * @returns {Array<string>} Lowercase singular words, without descriptors or a trailing form word
+ */
+function toWords(text) {
+    const words = text
+        .split(/[^a-z0-9-]+/)
+        .map(word => word.replace(/^-+|-+$/g, ''))
+        .filter(word => word && !/^\d/.test(word) && !DESCRIPTOR_WORDS.has(word))
+        .map(singularize);
+
+    while (words.length > 1 && isFormWord(words[words.length - 1])) {
+        words.pop();
+    }
+    return words;
+}
+
+/**
+ * Normalize an ingredient name into the ingredients it could be
+ * "Yellow or red onion" is either a yellow onion or a red onion; "Sweet paprika or chili powder"
+ * is either sweet paprika or chili powder.
+ * @param {string} name - Ingredient name as written
+ * @returns {Array<string>} Normalized names such as "yellow onion", each once
+ */
+export function normalizeIngredientName(name) {
+    const text = String(name || '')
+        .toLowerCase()
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/\(.*$/, '')
+        .replace(CUT_PATTERN, '');
+
+    const parts = text.split(/\s+(?:or|and)\s+/).map(toWords).filter(words => words.length > 0);
+    if (parts.length === 0) return [];
+
+    // A single word before "or" shares the rest of the last alternative ("yellow" + "onion")
+    const last = parts[parts.length - 1];
+    const alternatives = parts.map(words => (words !== last && words.length === 1 && last.length > 1
+        ? [words[0], ...last.slice(1)]
+        : words));
+
+    return [...new Set(alternatives.map(words => words.join(' ')))];
+}
+
+/**
+ * Build the inverted index over a set of recipes
+ * @param {Array<Object>} recipes - index.json entries (from listRecipes), each with `ingredients` names
+ * @returns {Object} Index with `ingredients` (normalized name to the recipes that use it, with
+ *   the name as each recipe writes it), `words` (word to normalized names) and `recipes`
+ *   (recipe ID to its ingredients and their normalized names)
+ */
+export function buildIngredientIndex(recipes) {
+    const index = { ingredients: new Map(), words: new Map(), recipes: new Map() };
+
+    (recipes || []).forEach(recipe => {
+        const recipeIngredients = (recipe.ingredients || []).map(name => ({ name, keys: normalizeIngredientName(name) }));
+        index.recipes.set(recipe.id, recipeIngredients);
+
+        recipeIngredients.forEach(({ name, keys }) => {
+            keys.forEach(key => {
+                if (!index.ingredients.has(key)) {
+                    index.ingredients.set(key, new Map());
+                    key.split(' ').forEach(word => {
+                        if (!index.words.has(word)) index.words.set(word, new Set());
+                        index.words.get(word).add(key);
+                    });
+                }
+                index.ingredients.get(key).set(recipe.id, name);
+            });
+        });
+    });
+
+    console.log(`Indexed ${index.ingredients.size} ingredients across ${index.recipes.size} recipes`);
+    return index;
+}
+
+/**
+ * Check an item's words against an ingredient's: all of them appear, and the last words agree
+ * @param {Array<string>} words - Normalized words of the item
+ * @param {Array<string>} keyWords - Normalized words of the ingredient
+ * @returns {boolean} True if they match
+ */
+function wordsMatch(words, keyWords) {
+    return keyWords[keyWords.length - 1] === words[words.length - 1] && words.every(word => keyWords.includes(word));
+}
+
+/**
+ * Find the indexed ingredients an item matches
+ * Every word of the item must be in the ingredient, and both must end in the same word.
+ * @param {Object} index - Index from buildIngredientIndex
+ * @param {string} item - Ingredient as typed ("olive oil")
+ * @returns {Array<string>} Normalized ingredient names
+ */
+export function findIngredients(index, item) {
+    return normalizeIngredientName(item).flatMap(normalized => {
+        const words = normalized.split(' ');
+        const candidates = [...(index.words.get(words[words.length - 1]) || [])];
+        return candidates.filter(key => wordsMatch(words, key.split(' ')));
+    });
+}
+
+/**
+ * Check whether an item is an ingredient, by the same rule as findIngredients
+ * @param {string} item - Ingredient as typed ("olive oil")
+ * @param {string} name - Ingredient name as the recipe writes it ("Extra-virgin olive oil")
+ * @returns {boolean} True if the item matches the ingredient
+ */
+export function matchesIngredient(item, name) {
+    const keys = normalizeIngredientName(name).map(key => key.split(' '));
+    return normalizeIngredientName(item).some(normalized => {
+        const words = normalized.split(' ');
+        return keys.some(keyWords => wordsMatch(words, keyWords));
+    });
+}
+
+/**
+ * Find the recipes that use an ingredient
+ * @param {Object} index - Index from buildIngredientIndex
+ * @param {string} item - Ingredient as typed
+ * @returns {Array<string>} Recipe IDs
+ */
+export function findRecipesWithIngredient(index, item) {
+    const ids = findIngredients(index, item).flatMap(key => [...index.ingredients.get(key).keys()]);
+    return [...new Set(ids)];
+}
+
+/**
+ * Read a list of what you have ("chicken, rice" or one item per line)
+ * @param {string} text - Items separated by commas or new lines
+ * @returns {Array<string>} Items
+ */
+export function parsePantryItems(text) {
+    return [...new Set(String(text || '').split(/[,\n]/).map(item => item.trim()).filter(Boolean))];
+}
+
+/**
+ * Rank recipes by how many of their ingredients you already have
+ * Recipes are ordered by the share of ingredients you own, then by how few you are missing.
+ * Only recipes using at least one of your items are returned; staples count as owned.
+ * @param {Object} index - Index from buildIngredientIndex
+ * @param {Array<string>} items - What you have
+ * @returns {Array<{id: string, owned: Array<string>, missing: Array<string>, total: number}>}
+ *   Recipe matches, best first, with ingredient names as the recipe writes them
+ */
+export function matchPantry(index, items) {
+    const ownedKeys = new Set(items.flatMap(item => findIngredients(index, item)));
+    const stapleKeys = new Set(PANTRY_STAPLES.flatMap(item => findIngredients(index, item)));
+
+    const matches = [];
+    index.recipes.forEach((ingredients, id) => {
+        const owned = [];
+        const missing = [];
+        let usesAnItem = false;
+
+        ingredients.forEach(({ name, keys }) => {
+            if (keys.some(key => ownedKeys.has(key))) {
+                owned.push(name);
+                usesAnItem = true;
+            } else if (keys.some(key => stapleKeys.has(key))) {
+                owned.push(name);
+            } else {
+                missing.push(name);
+            }
+        });
+
+        if (usesAnItem) {
+            matches.push({ id, owned, missing, total: ingredients.length });
+        }
+    });
+
+    // Array.prototype.sort is stable, so ties keep the index order
+    return matches.sort((a, b) =>
+        (b.owned.length / b.total) - (a.owned.length / a.total) || a.missing.length - b.missing.length);
+}
+
+export default {
+    PANTRY_STAPLES,
+    normalizeIngredientName,
+    buildIngredientIndex,
+    findIngredients,
+    matchesIngredient,
+    findRecipesWithIngredient,
+    parsePantryItems,
+    matchPantry
+};
@@ -0,0 +1,292 @@
+/**
+ * Ingredient Links
+ * Connects steps to the ingredients they use. Ingredients get an `id` and each
+ * step lists the ingredients it mentions as `ingredients: [{ id, bullet }]`
+ * (bullet omitted for the main step), the same shape as step timers.
+ * Links can be written by hand or inferred from the step text, which is what
+ * update-recipes.js does and what cooking mode falls back to when a recipe has none.
+ */
+
+const { slugify } = require('./recipe-index');
+
+// Words naming the form an ingredient is bought in, in the singular; "garlic cloves" is usually
+// mentioned as "garlic"
+const FORM_WORDS = ['clove', 'leaf', 'sprig', 'stalk', 'stem', 'wedge', 'fillet', 'thigh', 'breast', 'chop', 'floret', 'slice'];
+
+// Plurals the suffix rules get wrong
+const IRREGULAR_PLURALS = { leaves: 'leaf', halves: 'half', loaves: 'loaf' };
+
+// Name fragments that cannot stand for an ingredient on their own
+const STOP_WORDS = ['and', 'or', 'of', 'the', 'a'];
+
+// Words that end the part of a name an ingredient is called by ("salmon fillets with skin")
+const CUT_WORDS = ['with', 'in', 'for', 'cut'];
+
+/**
+ * Lowercase text and strip accents without changing its length, so match
+ * positions still line up with the original text
+ * @param {string} text - Text
+ * @returns {string} Normalized text
+ */
+function normalizeText(text) {
+  return Array.from(String(text || '').toLowerCase(), char => char.normalize('NFD').charAt(0)).join('');
+}
+
+/**
+ * Reduce a word to its singular ("tomatoes" to "tomato", "berries" to "berry", "leaves" to "leaf")
+ * Ingredient linking and the ingredient index (pantry, shopping list) both use this, so they agree
+ * on when two names are the same ingredient.
+ * @param {string} word - Lowercase word
+ * @returns {string} Singular word
+ */
+function singularize(word) {
+  if (IRREGULAR_PLURALS[word]) return IRREGULAR_PLURALS[word];
+  if (word.length <= 3 || /(?:ss|us|is)$/.test(word)) return word;
+  if (word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+  if (/(?:oes|ches|shes|xes)$/.test(word)) return word.slice(0, -2);
+  if (word.endsWith('s')) return word.slice(0, -1);
+  return word;
+}
+
+/**
+ * Check whether a word names the form an ingredient comes in ("cloves", "fillet")
+ * @param {string} word - Lowercase word, singular or plural
+ * @returns {boolean} True for a form word
+ */
+function isFormWord(word) {
+  return FORM_WORDS.includes(singularize(word));
+}
+
+/**
+ * Build a pattern matching a singular word and its plural
+ * @param {string} word - Singular word (from singularize)
+ * @returns {string} Regular expression source, e.g. "berr(?:y|ies)" or "tomato(?:e?s)?"
+ */
+function singularOrPluralPattern(word) {
+  const plural = Object.keys(IRREGULAR_PLURALS).find(key => IRREGULAR_PLURALS[key] === word);
+  if (plural) return `(?:${escapeRegExp(word)}|${plural})`;
+  if (/[^aeiou]y$/.test(word)) return `${escapeRegExp(word.slice(0, -1))}(?:y|ies)`;
+  return `${escapeRegExp(word)}(?:e?s)?`;
+}
+
+/**
+ * Escape text for use in a regular expression
+ * @param {string} text - Text
+ * @returns {string} Escaped text
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Give every ingredient an id (a slug of its name, numbered when names repeat)
+ * Existing ids are kept.
+ * @param {Array<Object>} ingredients - Ingredients
+ * @returns {Array<Object>} Ingredients with ids
+ */
+function assignIngredientIds(ingredients) {
+  const used = new Set((ingredients || []).map(ingredient => ingredient.id).filter(Boolean));
+  return (ingredients || []).map(ingredient => {
+    if (ingredient.id) return ingredient;
+
+    const base = slugify(ingredient.name) || 'ingredient';
+    let id = base;
+    for (let number = 2; used.has(id); number++) {
+      id = `${base}-${number}`;
+    }
+    used.add(id);
+    return { id, ...ingredient };
+  });
+}
+
+/**
+ * List the phrases that may stand for an ingredient in step text:
+ * its name, the trailing words of its name ("olive oil" for "extra-virgin olive oil")
+ * and the name without a form word ("garlic" for "garlic cloves")
+ * Anything after a cut word or a trailing preparation ("basil slivered") is left out.
+ * @param {string} name - Ingredient name
+ * @returns {Array<string>} Phrases, full name first
+ */
+function getNamePhrases(name) {
+  const allWords = normalizeText(name).replace(/\([^)]*\)/g, ' ').replace(/[^a-z0-9'-]+/g, ' ').trim().split(/\s+/).filter(Boolean);
+  const cut = allWords.findIndex((word, index) => index > 0 && (CUT_WORDS.includes(word) || /^[a-z-]{3,}ed$/.test(word)));
+  const words = cut === -1 ? allWords : allWords.slice(0, cut);
+  if (words.length === 0) return [];
+
+  const stems = isFormWord(words[words.length - 1]) && words.length > 1 ? [words, words.slice(0, -1)] : [words];
+  const phrases = [];
+  stems.forEach(stem => {
+    stem.forEach((word, index) => {
+      if (!STOP_WORDS.includes(word)) {
+        phrases.push(stem.slice(index).join(' '));
+      }
+    });
+  });
+  return [...new Set(phrases)];
+}
+
+/**
+ * Build the matchers for a recipe's ingredients
+ * A shortened phrase that more than one ingredient shares ("beans" for pinto and
+ * black beans) is dropped, so a mention is only linked when it is unambiguous.
+ * @param {Array<Object>} ingredients - Ingredients with ids
+ * @returns {Array<{id: string, pattern: RegExp, length: number}>} Matchers, longest phrase first
+ */
+function buildIngredientMatchers(ingredients) {
+  // Phrases are compared in the singular, so "jalapeño" and "jalapeños" count as one
+  const owners = new Map();
+  const phrases = (ingredients || []).filter(ingredient => ingredient.id).map(ingredient => {
+    const list = getNamePhrases(ingredient.name).map(phrase => {
+      const words = phrase.split(' ');
+      return [...words.slice(0, -1), singularize(words[words.length - 1])];
+    });
+    list.forEach(words => {
+      const key = words.join(' ');
+      owners.set(key, (owners.get(key) || new Set()).add(ingredient.id));
+    });
+    return { id: ingredient.id, list };
+  });
+
+  return phrases
+    .flatMap(({ id, list }) => list
+      .filter((words, index) => index === 0 || owners.get(words.join(' ')).size === 1)
+      .map(words => {
+        // The last word may be singular or plural ("tomato", "tomatoes")
+        const source = [...words.slice(0, -1).map(escapeRegExp), singularOrPluralPattern(words[words.length - 1])].join('\\s+');
+        return { id, pattern: new RegExp(`(?<![a-z0-9'-])${source}(?![a-z0-9'-])`, 'g'), length: words.join(' ').length };
+      }))
+    .sort((a, b) => b.length - a.length);
+}
+
+/**
+ * Find the ingredients mentioned in a piece of step text
+ * Longer phrases win where mentions overlap.
+ * @param {string} text - Step text
+ * @param {Array<Object>} matchers - Result of buildIngredientMatchers
+ * @returns {Array<{id: string, start: number, end: number}>} Mentions in text order
+ */
+function findIngredientMentions(text, matchers) {
+  const normalized = normalizeText(text);
+  const mentions = [];
+
+  matchers.forEach(({ id, pattern }) => {
+    pattern.lastIndex = 0;
+    for (const match of normalized.matchAll(pattern)) {
+      const start = match.index;
+      const end = start + match[0].length;
+      if (!mentions.some(mention => start < mention.end && end > mention.start)) {
+        mentions.push({ id, start, end });
+      }
+    }
+  });
+
+  return mentions.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Infer the ingredients each step uses from its text
+ * Ingredients without an id get one; steps that already list their ingredients are kept.
+ * @param {Object} recipe - Recipe
+ * @returns {Object} Recipe with ingredient ids and step links
+ */
+function inferIngredientLinks(recipe) {
+  const ingredients = assignIngredientIds(recipe.ingredients);
+  const matchers = buildIngredientMatchers(ingredients);
+
+  const linkSteps = steps => (steps || []).map(step => {
+    if (Array.isArray(step.ingredients)) return step;
+
+    const texts = [[step.mainStep, undefined], ...(step.bullets || []).map((bullet, index) => [bullet, index])];
+    const links = [];
+    texts.forEach(([text, bullet]) => {
+      findIngredientMentions(text, matchers).forEach(({ id }) => {
+        if (!links.some(link => link.id === id && link.bullet === bullet)) {
+          links.push(bullet === undefined ? { id } : { id, bullet });
+        }
+      });
+    });
+    return links.length > 0 ? { ...step, ingredients: links } : step;
+  });
+
+  return {
+    ...recipe,
+    ingredients,
+    preparationSteps: linkSteps(recipe.preparationSteps),
+    cookingSteps: linkSteps(recipe.cookingSteps)
+  };
+}
+
+/**
+ * Get the ingredients a step uses, in the order they are first mentioned
+ * @param {Object} recipe - Recipe with ingredient ids
+ * @param {Object} step - Step
+ * @returns {Array<{ingredient: Object, bullets: Array<number|undefined>}>} Ingredients and where they are mentioned
+ */
+function getStepIngredients(recipe, step) {
+  const byId = new Map((recipe.ingredients || []).filter(ingredient => ingredient.id).map(ingredient => [ingredient.id, ingredient]));
+  const used = new Map();
+  (step.ingredients || []).forEach(link => {
+    const ingredient = byId.get(link.id);
+    if (!ingredient) return;
+    if (!used.has(link.id)) used.set(link.id, { ingredient, bullets: [] });
+    used.get(link.id).bullets.push(link.bullet);
+  });
+  return [...used.values()];
+}
+
+/**
+ * Get the ingredients no step uses
+ * @param {Object} recipe - Recipe with ingredient links
+ * @returns {Array<Object>} Unused ingredients, in recipe order
+ */
+function getUnusedIngredients(recipe) {
+  const used = new Set([...(recipe.preparationSteps || []), ...(recipe.cookingSteps || [])]
+    .flatMap(step => (step.ingredients || []).map(link => link.id)));
+  return (recipe.ingredients || []).filter(ingredient => !used.has(ingredient.id));
+}
+
+/**
+ * Check a recipe's ingredient links: ids must be unique and every link must
+ * point at an ingredient and an existing bullet
+ * @param {Object} recipe - Recipe
+ * @returns {Array<{path: string, message: string}>} Problems, with JSON pointers
+ */
+function checkIngredientLinks(recipe) {
+  const problems = [];
+  const ids = new Set();
+  (recipe.ingredients || []).forEach((ingredient, index) => {
+    if (!ingredient || !ingredient.id) return;
+    if (ids.has(ingredient.id)) {
+      problems.push({ path: `/ingredients/${index}/id`, message: `/ingredients/${index}/id "${ingredient.id}" is used by an earlier ingredient` });
+    }
+    ids.add(ingredient.id);
+  });
+
+  ['preparationSteps', 'cookingSteps'].forEach(list => {
+    (recipe[list] || []).forEach((step, stepIndex) => {
+      (step && Array.isArray(step.ingredients) ? step.ingredients : []).forEach((link, linkIndex) => {
+        const path = `/${list}/${stepIndex}/ingredients/${linkIndex}`;
+        if (link && link.id && !ids.has(link.id)) {
+          problems.push({ path: `${path}/id`, message: `${path}/id "${link.id}" is not an ingredient id` });
+        }
+        if (link && Number.isInteger(link.bullet) && link.bullet >= (step.bullets || []).length) {
+          problems.push({ path: `${path}/bullet`, message: `${path}/bullet ${link.bullet} is past the step's last bullet` });
+        }
+      });
+    });
+  });
+
+  return problems;
+}
+
+module.exports = {
+  singularize,
+  isFormWord,
+  assignIngredientIds,
+  buildIngredientMatchers,
+  findIngredientMentions,
+  inferIngredientLinks,
+  getStepIngredients,
+  getUnusedIngredients,
+  checkIngredientLinks
+};
@@ -0,0 +1,341 @@
+/**
+ * Ingredient Parser
+ * Splits an ingredient line such as "2 cans (15 oz each) diced fire-roasted tomatoes"
+ * into quantity, unit, package size, name, preparation and notes, and converts the
+ * result to the ingredient format of our recipes. Used by the import, Markdown and
+ * update tools and by the browser when it shows ingredient lines.
+ */
+
+const { guessIngredientCategory } = require('./ingredient-category');
+
+// How quantities are written, shared with the scaling and Markdown code: a number is "2", "½", "2½",
+// "1 1/2", "3/4" or "1.5", and a quantity may be a range ("2-3", "2 to 3") and approximate ("about 2")
+const FRACTION_VALUES = {
+  '⅛': 1 / 8, '¼': 1 / 4, '⅓': 1 / 3, '⅜': 3 / 8, '½': 1 / 2,
+  '⅝': 5 / 8, '⅔': 2 / 3, '¾': 3 / 4, '⅞': 7 / 8
+};
+const FRACTION_GLYPHS = Object.keys(FRACTION_VALUES).join('');
+const NUMBER = `(?:\\d+\\s*\\/\\s*\\d+|\\d+(?:\\.\\d+)?(?:\\s+\\d+\\/\\d+|\\s*[${FRACTION_GLYPHS}])?|[${FRACTION_GLYPHS}])`;
+const APPROXIMATE = '(?:about |approximately |~\\s?)';
+const RANGE_SEPARATOR = '\\s*(?:-|–|to)\\s*';
+const QUANTITY = `${APPROXIMATE}?${NUMBER}(?:${RANGE_SEPARATOR}${NUMBER})?`;
+const QUANTITY_PATTERN = new RegExp(`^(${QUANTITY})\\s*`, 'i');
+const ARTICLE_PATTERN = /^an?\s+(?=\S)/i;
+// "Drain and rinse 1 can pinto beans"
+const LEADING_INSTRUCTION_PATTERN = new RegExp(`^((?:drain|rinse|chop|dice|mince|slice|peel|grate|halve|trim)(?:\\s+(?:and|&)\\s+(?:drain|rinse|chop|dice|mince|slice|peel|grate|halve|trim))*)\\s+(?=${NUMBER})`, 'i');
+
+// "(15-ounce)", "(15 oz)", "(15 oz each)", "(400g)", or "15-ounce" without parentheses
+const SIZE_UNITS = 'fl\\.? oz|ounces?|oz|grams?|g|kilograms?|kg|ml|milliliters?|liters?|l|pounds?|lbs?|inch(?:es)?';
+const PACKAGE_SIZE_PATTERN = new RegExp(`^\\(\\s*(${NUMBER})[\\s-]*(${SIZE_UNITS})\\.?(?:\\s+(?:each|cans?|packages?|jars?))?\\s*\\)\\s*`, 'i');
+const BARE_PACKAGE_SIZE_PATTERN = new RegExp(`^(\\d+(?:\\.\\d+)?)-(${SIZE_UNITS})\\.?\\s+`, 'i');
+const PACKAGE_SIZE_NOTE_PATTERN = new RegExp(`^(${NUMBER})[\\s-]*(${SIZE_UNITS})\\.?(?:\\s+(?:each|cans?|packages?|jars?))?$`, 'i');
+
+// Longest first, so "tablespoons" wins over "tablespoon"
+const UNITS = [
+  'tablespoons', 'tablespoon', 'tbsp', 'tbs', 'teaspoons', 'teaspoon', 'tsp',
+  'cups', 'cup', 'pounds', 'pound', 'lbs', 'lb', 'ounces', 'ounce', 'fl oz', 'oz',
+  'grams', 'gram', 'g', 'kilograms', 'kilogram', 'kg', 'milliliters', 'milliliter', 'ml',
+  'liters', 'liter', 'l', 'quarts', 'quart', 'pints', 'pint',
+  'cans', 'can', 'packages', 'package', 'jars', 'jar', 'bottles', 'bottle', 'bags', 'bag',
+  'cloves', 'clove', 'sprigs', 'sprig', 'bunches', 'bunch', 'heads', 'head', 'stalks', 'stalk',
+  'slices', 'slice', 'sticks', 'stick', 'fillets', 'fillet', 'pieces', 'piece',
+  'handfuls', 'handful', 'pinches', 'pinch', 'dashes', 'dash', 'splash'
+];
+// Sizes count as units ("4 medium carrots"), or lead one ("1 large head broccoli")
+const SIZE_PATTERN = new RegExp(`^((?:extra-large|large|medium|small)(?:\\s+(?:${UNITS.join('|')}))?)\\.?(?=\\s|$)\\s*(?:of\\s+)?`, 'i');
+const UNIT_PATTERN = new RegExp(`^(${UNITS.join('|')})\\.?(?=[\\s(]|$)\\s*(?:of\\s+)?`, 'i');
+// Without a quantity only "pinch of salt"-style units count
+const UNIT_OF_PATTERN = new RegExp(`^(${UNITS.join('|')})\\s+of\\s+`, 'i');
+
+// Notes rather than preparation; the flags are set from these
+const REMARK_PATTERN = /^(?:to taste|as needed|optional|if desired|if you like|for serving|to serve|for garnish|to garnish|divided|plus more.*|or more.*|more to taste|or to taste|at room temperature)$/i;
+const TO_TASTE_PATTERN = /\b(?:to taste|as needed)\b/i;
+const OPTIONAL_PATTERN = /\b(?:optional|if desired|if you like)\b/i;
+const TRAILING_REMARK_PATTERN = /\s+(to taste|as needed|\(optional\)|optional)$/i;
+
+// Preparation that may lead or follow the name ("diced tomatoes", "chicken cut into cubes")
+const PREP_METHODS = [
+  'finely chopped', 'roughly chopped', 'coarsely chopped', 'chopped',
+  'finely minced', 'minced',
+  'finely diced', 'diced',
+  'thinly sliced', 'thickly sliced', 'sliced',
+  'finely grated', 'grated', 'shredded',
+  'julienned', 'cut into',
+  'cubed', 'peeled', 'seeded', 'cored', 'trimmed', 'stemmed',
+  'crushed', 'pressed', 'mashed', 'pureed', 'pitted', 'halved', 'quartered',
+  'torn', 'crumbled', 'washed', 'rinsed', 'scrubbed', 'drained',
+  'melted', 'softened', 'beaten', 'zested', 'juiced', 'deveined'
+];
+const PREP = `(?:${PREP_METHODS.join('|')})`;
+const PREP_PATTERN = new RegExp(`^${PREP}\\b`, 'i');
+// Preparation after the name: "seeded and minced", "cut into cubes", "sliced lengthwise"
+const TRAILING_PREP_PATTERN = new RegExp(`^(?:cut into\\b.*|${PREP}(?:\\s+(?:and|or)\\s+${PREP})*(?:\\s+(?:into|in|lengthwise|crosswise|on|from|at)\\b.*)?)$`, 'i');
+
+// Names that start with a preparation word but are products of their own
+const PRODUCT_NAMES = /^(?:crushed red pepper|crushed tomatoes|diced tomatoes|shredded cheese|sliced almonds|minced garlic|grated parmesan)\b/i;
+
+// Words that may come before a comma without ending the ingredient name ("bone-in, skin-on chicken thighs")
+const NAME_DESCRIPTORS = ['bone-in', 'boneless', 'skin-on', 'skinless', 'large', 'medium', 'small', 'fresh', 'ripe'];
+
+/**
+ * Normalize a quantity: "2 to 3" becomes "2-3" and "1 ½" becomes "1½"
+ * @param {string} text - Quantity as written
+ * @returns {string} Quantity
+ */
+function normalizeQuantity(text) {
+  return text.trim()
+    .replace(/^approximately\s+/i, 'about ')
+    .replace(/^about\s+/i, 'about ')
+    .replace(/^~\s*/, '~')
+    .replace(/\s*(?:-|–|to)\s*(?=[\d½⅓⅔¼¾⅛⅜⅝⅞])/i, '-')
+    .replace(/(\d)\s+([½⅓⅔¼¾⅛⅜⅝⅞])/g, '$1$2');
+}
+
+/**
+ * Format a package size as an adjective: "15 oz" becomes "15-oz"
+ * @param {string} amount - Size amount
+ * @param {string} unit - Size unit
+ * @returns {string} Package size
+ */
+function formatPackageSize(amount, unit) {
+  return `${normalizeQuantity(amount)}-${unit.toLowerCase().replace(/\.$/, '')}`;
+}
+
+/**
+ * Find the comma that ends the ingredient name, skipping commas that only
+ * follow descriptors such as "bone-in"
+ * @param {string} text - Ingredient text after the quantity and unit
+ * @returns {number} Index of the comma, or -1
+ */
+function findNameEnd(text) {
+  const isDescriptors = part => part.trim().toLowerCase().split(/\s+/).every(word => NAME_DESCRIPTORS.includes(word));
+  let start = 0;
+  let index = text.indexOf(',');
+  while (index > -1) {
+    const next = text.indexOf(',', index + 1);
+    // "Boneless, boneless" is a name and a note, not a list of descriptors
+    if (!isDescriptors(text.slice(start, index)) || isDescriptors(text.slice(index + 1, next > -1 ? next : undefined))) {
+      return index;
+    }
+    start = index + 1;
+    index = text.indexOf(',', start);
+  }
+  return -1;
+}
+
+/**
+ * Split "pork, turkey or chicken" into its alternatives
+ * @param {string} text - Alternatives after "or"
+ * @returns {Array<string>} Alternatives
+ */
+function splitAlternatives(text) {
+  return text.split(/\s*,\s*(?:or\s+)?|\s+or\s+/i).map(part => part.trim()).filter(Boolean);
+}
+
+/**
+ * Parse an ingredient line
+ * @param {string} line - Ingredient line, e.g. "2 cans (15 oz each) diced fire-roasted tomatoes"
+ * @returns {Object} Parsed line ({ quantity, unit, packageSize, name, preparation, alternatives, notes, optional, toTaste })
+ */
+function parseIngredient(line) {
+  let rest = String(line || '')
+    .replace(/⁄/g, '/')
+    .replace(/\s+/g, ' ')
+    .replace(/^(?:[-*•]|\d+[.)])\s+(?=\S)/, '')
+    .trim();
+
+  const parsed = {
+    quantity: '',
+    unit: '',
+    packageSize: '',
+    name: '',
+    preparation: '',
+    alternatives: [],
+    notes: [],
+    optional: false,
+    toTaste: false
+  };
+  const preparation = [];
+
+  const readPackageSize = () => {
+    const match = rest.match(PACKAGE_SIZE_PATTERN) || (parsed.quantity && rest.match(BARE_PACKAGE_SIZE_PATTERN));
+    if (match && !parsed.packageSize) {
+      parsed.packageSize = formatPackageSize(match[1], match[2]);
+      rest = rest.slice(match[0].length);
+    }
+  };
+
+  const instruction = rest.match(LEADING_INSTRUCTION_PATTERN);
+  if (instruction) {
+    preparation.push(instruction[1].toLowerCase());
+    rest = rest.slice(instruction[0].length);
+  }
+
+  const quantityMatch = rest.match(QUANTITY_PATTERN);
+  if (quantityMatch) {
+    parsed.quantity = normalizeQuantity(quantityMatch[1]);
+    rest = rest.slice(quantityMatch[0].length);
+  } else if (ARTICLE_PATTERN.test(rest) && UNIT_PATTERN.test(rest.replace(ARTICLE_PATTERN, ''))) {
+    // "a pinch of salt"
+    parsed.quantity = '1';
+    rest = rest.replace(ARTICLE_PATTERN, '');
+  }
+
+  readPackageSize();
+
+  const unitMatch = parsed.quantity
+    ? rest.match(SIZE_PATTERN) || rest.match(UNIT_PATTERN)
+    : rest.match(UNIT_OF_PATTERN);
+  if (unitMatch) {
+    // Units are lowercase except the capital-T "Tablespoon" that tells it apart from a teaspoon
+    parsed.unit = /^T(?:ablespoons?|bsp|bs)$/.test(unitMatch[1]) ? unitMatch[1] : unitMatch[1].toLowerCase();
+    rest = rest.slice(unitMatch[0].length);
+  }
+
+  readPackageSize();
+
+  // Parentheses hold alternatives, a package size or notes
+  rest = rest.replace(/\s*\(([^()]*)\)/g, (match, inner) => {
+    const text = inner.trim();
+    if (/^or\s+/i.test(text)) {
+      parsed.alternatives.push(...splitAlternatives(text.replace(/^or\s+/i, '')));
+    } else if (PACKAGE_SIZE_NOTE_PATTERN.test(text) && !parsed.packageSize) {
+      const size = text.match(PACKAGE_SIZE_NOTE_PATTERN);
+      parsed.packageSize = formatPackageSize(size[1], size[2]);
+    } else if (text) {
+      parsed.notes.push(text);
+    }
+    return '';
+  }).trim();
+
+  // Everything after the name's comma is preparation, alternatives or remarks
+  const commaIndex = findNameEnd(rest);
+  if (commaIndex > -1) {
+    // Once "or" starts the alternatives ("or pork, turkey, chicken"), the rest are alternatives too
+    let alternatives = false;
+    rest.slice(commaIndex + 1).split(',').map(part => part.trim()).filter(Boolean).forEach(part => {
+      if (REMARK_PATTERN.test(part)) {
+        parsed.notes.push(part.toLowerCase());
+      } else if (alternatives || /^or\s+/i.test(part)) {
+        alternatives = true;
+        parsed.alternatives.push(...splitAlternatives(part.replace(/^or\s+/i, '')));
+      } else {
+        preparation.push(part);
+      }
+    });
+    rest = rest.slice(0, commaIndex).trim();
+  }
+
+  const remark = rest.match(TRAILING_REMARK_PATTERN);
+  if (remark) {
+    parsed.notes.push(remark[1].replace(/[()]/g, '').toLowerCase());
+    rest = rest.slice(0, remark.index).trim();
+  }
+
+  // "diced fire-roasted tomatoes" and "chicken breasts cut into cubes"
+  const leading = !PRODUCT_NAMES.test(rest) && rest.match(PREP_PATTERN);
+  if (leading && rest.length > leading[0].length) {
+    preparation.unshift(leading[0].toLowerCase());
+    rest = rest.slice(leading[0].length).trim();
+  }
+  const words = rest.split(' ');
+  const trailingIndex = words.findIndex((word, index) => index > 0 && TRAILING_PREP_PATTERN.test(words.slice(index).join(' ')));
+  if (trailingIndex > 0) {
+    preparation.unshift(words.slice(trailingIndex).join(' '));
+    rest = words.slice(0, trailingIndex).join(' ');
+  }
+
+  // Names must not start with an amount (e.g. "1 cup reserved liquid" with no leading quantity)
+  parsed.name = rest.replace(/^of\s+/i, '').replace(/^[\d\s½⅓⅔¼¾⅛⅜⅝⅞/.-]+(?=\D)/, '').replace(/[\s,]+$/, '').trim();
+  if (!parsed.name && parsed.unit) {
+    // "2 cloves" or "1 can": the unit is all there is to buy
+    parsed.name = parsed.unit;
+    parsed.unit = '';
+  }
+  parsed.preparation = preparation.join(', ');
+  parsed.toTaste = parsed.notes.some(note => TO_TASTE_PATTERN.test(note));
+  parsed.optional = parsed.notes.some(note => OPTIONAL_PATTERN.test(note));
+
+  return parsed;
+}
+
+/**
+ * Capitalize the first letter of a string
+ * @param {string} text - Text
+ * @returns {string} Capitalized text
+ */
+function capitalize(text) {
+  return text ? text.charAt(0).toUpperCase() + text.slice(1) : text;
+}
+
+/**
+ * Convert a parsed line to the ingredient format of our recipes
+ * The package size joins the unit ("15-ounce can"); preparation, alternatives
+ * and notes become the notation.
+ * @param {Object} parsed - Result of parseIngredient
+ * @returns {Object} Ingredient ({ name, quantity, unit, category, notation? })
+ */
+function toRecipeIngredient(parsed) {
+  let unit = parsed.unit;
+  if (parsed.packageSize) {
+    unit = unit ? `${parsed.packageSize} ${unit.replace(/s$/, '')}` : parsed.packageSize;
+  }
+
+  // Anything sold by the can or jar is shopped for with the canned goods
+  const ingredient = {
+    name: capitalize(parsed.name),
+    quantity: parsed.quantity,
+    unit,
+    category: guessIngredientCategory(/^(?:cans?|jars?)$/i.test(parsed.unit) ? `canned ${parsed.name}` : parsed.name)
+  };
+
+  const notation = [
+    parsed.preparation,
+    parsed.alternatives.length > 0 ? `or ${parsed.alternatives.join(', ')}` : '',
+    ...parsed.notes
+  ].filter(Boolean).join(', ');
+  if (notation) {
+    ingredient.notation = notation;
+  }
+
+  return ingredient;
+}
+
+/**
+ * Parse an ingredient line straight into the ingredient format of our recipes
+ * @param {string} line - Ingredient line
+ * @returns {Object} Ingredient ({ name, quantity, unit, category, notation? })
+ */
+function parseIngredientLine(line) {
+  return toRecipeIngredient(parseIngredient(line));
+}
+
+/**
+ * Format an ingredient as a single line that parseIngredientLine reads back
+ * @param {Object} ingredient - Ingredient ({ name, quantity, unit, notation })
+ * @returns {string} Ingredient line, e.g. "2 cloves Garlic, minced" or "pinch of Salt"
+ */
+function formatIngredientLine(ingredient) {
+  const quantity = String(ingredient.quantity || '').trim();
+  const unit = String(ingredient.unit || '').trim();
+  const line = [quantity, unit && !quantity ? `${unit} of` : unit, ingredient.name]
+    .map(part => String(part || '').trim())
+    .filter(Boolean)
+    .join(' ');
+  return ingredient.notation ? `${line}, ${ingredient.notation}` : line;
+}
+
+module.exports = {
+  FRACTION_VALUES,
+  FRACTION_GLYPHS,
+  NUMBER,
+  APPROXIMATE,
+  RANGE_SEPARATOR,
+  QUANTITY,
+  UNITS,
+  PREP_METHODS,
+  parseIngredient,
+  toRecipeIngredient,
+  parseIngredientLine,
+  formatIngredientLine
+};
@@ -0,0 +1,178 @@
+/**
+ * Recipe Collections Module
+ * Keeps the reader's own tags for each recipe and their collections (named groups of
+ * recipe IDs) in localStorage, and exports both as JSON. Tags written in a recipe file
+ * come from index.json; the tags added here are shown alongside them.
+ */
+
+import { getFromStorage, setToStorage } from '../utils/common.js';
+import { normalizeTag, slugify } from './recipe-index.js';
+import eventBus from '../../core/events/event-bus.js';
+
+// Storage key for the tags added to each recipe, by recipe ID
+const TAGS_STORAGE_KEY = 'recipe-viewer-tags';
+
+// Storage key for the list of collections ({ id, name, recipeIds })
+const COLLECTIONS_STORAGE_KEY = 'recipe-viewer-collections';
+
+// Version of the exported file, for importers to check
+export const EXPORT_VERSION = 1;
+
+/**
+ * Let the grid know the tags or collections changed
+ */
+function publishChange() {
+    eventBus.publish('recipe:collections:changed');
+}
+
+/**
+ * Turn typed tags into normalized, unique tags
+ * @param {Array<string>|string} tags - Tags, or a comma-separated string of them
+ * @returns {Array<string>} Tags such as "one-pot"
+ */
+export function parseTags(tags) {
+    const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+    return [...new Set(list.map(normalizeTag).filter(Boolean))];
+}
+
+/**
+ * Get the tags the reader added to a recipe
+ * @param {string} recipeId - Recipe ID
+ * @returns {Array<string>} Tags
+ */
+export function getUserTags(recipeId) {
+    return getFromStorage(TAGS_STORAGE_KEY, {})[recipeId] || [];
+}
+
+/**
+ * Replace the tags the reader added to a recipe
+ * @param {string} recipeId - Recipe ID
+ * @param {Array<string>|string} tags - Tags, or a comma-separated string of them
+ * @returns {Array<string>} The tags that were stored
+ */
+export function setUserTags(recipeId, tags) {
+    const parsed = parseTags(tags);
+    const allTags = getFromStorage(TAGS_STORAGE_KEY, {});
+
+    if (parsed.length === 0) {
+        delete allTags[recipeId];
+    } else {
+        allTags[recipeId] = parsed;
+    }
+    setToStorage(TAGS_STORAGE_KEY, allTags);
+
+    publishChange();
+    return parsed;
+}
+
+/**
+ * Get all of a recipe's tags: the ones from its recipe file, then the reader's
+ * @param {Object} entry - index.json entry
+ * @returns {Array<string>} Tags
+ */
+export function getRecipeTags(entry) {
+    return [...new Set([...(entry.tags || []), ...getUserTags(entry.id)])];
+}
+
+/**
+ * Get the reader's collections
+ * @returns {Array<{id: string, name: string, recipeIds: Array<string>}>} Collections, in the order they were made
+ */
+export function getCollections() {
+    return getFromStorage(COLLECTIONS_STORAGE_KEY, []);
+}
+
+/**
+ * Save the reader's collections
+ * @param {Array<Object>} collections - Collections
+ */
+function saveCollections(collections) {
+    setToStorage(COLLECTIONS_STORAGE_KEY, collections);
+    publishChange();
+}
+
+/**
+ * Make a new, empty collection
+ * @param {string} name - Collection name
+ * @returns {Object} The new collection
+ * @throws {Error} If the name is empty
+ */
+export function createCollection(name) {
+    const trimmed = String(name || '').trim();
+    const baseId = slugify(trimmed);
+    if (!baseId) {
+        throw new Error('A collection needs a name');
+    }
+
+    const collections = getCollections();
+    const existingIds = new Set(collections.map(collection => collection.id));
+    let id = baseId;
+    let suffix = 2;
+    while (existingIds.has(id)) {
+        id = `${baseId}-${suffix++}`;
+    }
+
+    const collection = { id, name: trimmed, recipeIds: [] };
+    saveCollections([...collections, collection]);
+    console.log(`Created collection "${trimmed}"`);
+    return collection;
+}
+
+/**
+ * Delete a collection; its recipes are not affected
+ * @param {string} collectionId - Collection ID
+ */
+export function deleteCollection(collectionId) {
+    saveCollections(getCollections().filter(collection => collection.id !== collectionId));
+}
+
+/**
+ * Get the collections a recipe is in
+ * @param {string} recipeId - Recipe ID
+ * @returns {Array<Object>} Collections
+ */
+export function getRecipeCollections(recipeId) {
+    return getCollections().filter(collection => collection.recipeIds.includes(recipeId));
+}
+
+/**
+ * Put a recipe in exactly the given collections
+ * @param {string} recipeId - Recipe ID
+ * @param {Array<string>} collectionIds - IDs of the collections it belongs in
+ */
+export function setRecipeCollections(recipeId, collectionIds) {
+    saveCollections(getCollections().map(collection => {
+        const recipeIds = collection.recipeIds.filter(id => id !== recipeId);
+        return {
+            ...collection,
+            recipeIds: collectionIds.includes(collection.id) ? [...recipeIds, recipeId] : recipeIds
+        };
+    }));
+}
+
+/**
+ * Export the reader's tags and collections
+ * @returns {Object} Export data ({ version, exportedAt, tags, collections })
+ */
+export function exportTagsAndCollections() {
+    return {
+        version: EXPORT_VERSION,
+        exportedAt: new Date().toISOString(),
+        tags: getFromStorage(TAGS_STORAGE_KEY, {}),
+        collections: getCollections()
+    };
+}
+
+export default {
+    EXPORT_VERSION,
+    parseTags,
+    getUserTags,
+    setUserTags,
+    getRecipeTags,
+    getCollections,
+    createCollection,
+    deleteCollection,
+    getRecipeCollections,
+    setRecipeCollections,
+    exportTagsAndCollections
+};
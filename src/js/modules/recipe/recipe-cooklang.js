@@ -0,0 +1,491 @@
+/**
+ * Cooklang Recipes
+ * Parses Cooklang (https://cooklang.org) .cook files into our recipe format and
+ * writes recipes back out as Cooklang.
+ *
+ * - `>> key: value` lines (or YAML-style front matter) hold the title and metadata
+ * - `== Preparation ==` / `== Cooking ==` sections split the steps into phases
+ * - each paragraph is a step: the first line is the main step, the other lines are bullets
+ * - `@ingredient{qty%unit}(notes)` becomes an entry in `ingredients`
+ * - `#cookware{}` is listed in `cookware`
+ * - `~name{qty%unit}` becomes an explicit timer on the step
+ */
+
+const { slugify, normalizeTag } = require('./recipe-index');
+const { guessIngredientCategory } = require('./ingredient-category');
+
+// Cooklang metadata keys and where they live in our recipe format
+const METADATA_FIELDS = [
+  { keys: ['title'], path: ['title'] },
+  { keys: ['difficulty'], path: ['difficulty'] },
+  { keys: ['description'], path: ['description'] },
+  { keys: ['tags'], path: ['tags'] },
+  { keys: ['servings', 'yield', 'yields'], path: ['metadata', 'yields'] },
+  { keys: ['time', 'total time'], path: ['metadata', 'totalTime'] },
+  { keys: ['prep time'], path: ['metadata', 'prepTime'] },
+  { keys: ['cook time', 'active time'], path: ['metadata', 'activeTime'] },
+  { keys: ['hands-off time', 'hands off time'], path: ['metadata', 'handsOffTime'] },
+  { keys: ['image'], path: ['metadata', 'imageUrl'] },
+  { keys: ['source'], path: ['source', 'url'] }
+];
+
+// Sections whose steps are preparation steps
+const PREP_SECTION_PATTERN = /\b(?:prep|preparation|mise en place)\b/i;
+
+// A section that only lists ingredients and adds no steps
+const INGREDIENTS_SECTION_PATTERN = /^ingredients$/i;
+
+// Timer units, normalized to the names cooking mode understands
+const TIMER_UNITS = [
+  { pattern: /^(?:s|secs?|seconds?)$/i, unit: 'second' },
+  { pattern: /^(?:m|mins?|minutes?)$/i, unit: 'minute' },
+  { pattern: /^(?:h|hrs?|hours?)$/i, unit: 'hour' }
+];
+
+// @ingredient{}, #cookware{} and ~timer{} markup; single-word ingredients and cookware may omit the braces.
+// A backslash escapes a literal @, # or ~.
+const MARKUP_PATTERN = /(?<!\\)(?:([@#~])([^@#~{}\n]*?)\{([^}]*)\}(?:\(([^)]*)\))?|([@#])([^\s@#~{}.,;:!?()]+))/gu;
+
+/**
+ * Remove Cooklang comments
+ * @param {string} text - Cooklang source
+ * @returns {string} Source without `-- line` and `[- block -]` comments
+ */
+function stripComments(text) {
+  return text
+    .replace(/\[-[\s\S]*?-\]/g, '')
+    .replace(/(^|\s)--.*$/gm, '$1');
+}
+
+/**
+ * Split a `{qty%unit}` amount
+ * @param {string} amount - Text inside the braces
+ * @returns {{quantity: string, unit: string}} Quantity and unit
+ */
+function parseAmount(amount) {
+  const [quantity = '', unit = ''] = String(amount || '').replace(/^[=*]/, '').split('%');
+  return { quantity: quantity.trim(), unit: unit.trim() };
+}
+
+/**
+ * Turn a timer amount into a duration such as "10 minutes"
+ * @param {string} quantity - Timer quantity
+ * @param {string} unit - Timer unit as written
+ * @returns {string|null} Duration, or null if the unit is not a time unit
+ */
+function formatTimerDuration(quantity, unit) {
+  const match = TIMER_UNITS.find(entry => entry.pattern.test(unit));
+  if (!match || !/^\d+(?:\.\d+)?(?:-\d+(?:\.\d+)?)?$/.test(quantity)) return null;
+  return `${quantity} ${match.unit}${quantity === '1' ? '' : 's'}`;
+}
+
+/**
+ * Set a value at a path, creating objects along the way
+ * @param {Object} target - Object to update
+ * @param {Array<string>} path - Property path
+ * @param {*} value - Value to set
+ */
+function setPath(target, path, value) {
+  const parent = path.slice(0, -1).reduce((node, key) => {
+    node[key] = node[key] || {};
+    return node[key];
+  }, target);
+  parent[path[path.length - 1]] = value;
+}
+
+/**
+ * Apply one metadata entry to a recipe
+ * @param {Object} recipe - Recipe being built
+ * @param {string} key - Cooklang metadata key
+ * @param {string} value - Metadata value
+ */
+function applyMetadata(recipe, key, value) {
+  const field = METADATA_FIELDS.find(entry => entry.keys.includes(key.trim().toLowerCase()));
+  if (!field || !value) return;
+
+  let normalized = value.trim();
+  if (field.path[1] === 'yields' && /^\d+$/.test(normalized)) {
+    normalized = `${normalized} servings`;
+  } else if (field.path[0] === 'difficulty') {
+    normalized = normalized.charAt(0).toUpperCase() + normalized.slice(1).toLowerCase();
+  } else if (field.path[0] === 'source' && !/^https?:\/\//i.test(normalized)) {
+    return;
+  } else if (field.path[0] === 'tags') {
+    normalized = [...new Set(normalized.split(',').map(normalizeTag).filter(Boolean))];
+  }
+
+  setPath(recipe, field.path, normalized);
+}
+
+/**
+ * Add an ingredient mention to the ingredient list
+ * A repeated mention fills in what the first one left out; repeated amounts are kept separately.
+ * @param {Array<Object>} ingredients - Ingredients found so far
+ * @param {string} name - Ingredient name as written
+ * @param {string} amount - Text inside the braces
+ * @param {string} notes - Text inside the trailing parentheses
+ */
+function addIngredient(ingredients, name, amount, notes) {
+  const { quantity, unit } = parseAmount(amount);
+  const displayName = name.charAt(0).toUpperCase() + name.slice(1);
+  const existing = ingredients.find(ingredient => ingredient.name.toLowerCase() === name.toLowerCase());
+
+  if (existing && (!quantity || !existing.quantity)) {
+    if (!existing.quantity && quantity) {
+      existing.quantity = quantity;
+      existing.unit = unit;
+    }
+    if (!existing.notation && notes) existing.notation = notes;
+    return;
+  }
+
+  ingredients.push({
+    name: displayName,
+    quantity,
+    unit,
+    category: guessIngredientCategory(name),
+    ...(notes ? { notation: notes.trim() } : {})
+  });
+}
+
+/**
+ * Replace the markup in one line of a step with plain text
+ * @param {string} line - Cooklang line
+ * @param {Object} found - Collected { ingredients, cookware, timers }
+ * @param {number|undefined} bullet - Bullet index for timers, undefined for the main step
+ * @returns {string} Plain text
+ */
+function parseLine(line, found, bullet) {
+  return line.replace(MARKUP_PATTERN, (match, bracedMarker, bracedName, amount, notes, bareMarker, bareName) => {
+    const marker = bracedMarker || bareMarker;
+    const name = (bracedName !== undefined ? bracedName : bareName).replace(/^[&?+-]+/, '').trim();
+
+    if (marker === '@') {
+      if (!name) return match;
+      addIngredient(found.ingredients, name, amount, notes);
+      return name;
+    }
+
+    if (marker === '#') {
+      if (!name) return match;
+      if (!found.cookware.some(item => item.toLowerCase() === name.toLowerCase())) {
+        found.cookware.push(name);
+      }
+      return name;
+    }
+
+    const { quantity, unit } = parseAmount(amount);
+    const duration = formatTimerDuration(quantity, unit);
+    if (!duration) return match;
+    found.timers.push({
+      ...(name ? { name } : {}),
+      duration,
+      ...(bullet !== undefined ? { bullet } : {})
+    });
+    return duration;
+  }).replace(/\\([@#~])/g, '$1').trim();
+}
+
+/**
+ * Split Cooklang source into metadata and sections of paragraphs
+ * @param {string} text - Cooklang source
+ * @returns {{metadata: Array<Array<string>>, sections: Array<{name: string, paragraphs: Array<Array<string>>}>}}
+ */
+function splitBlocks(text) {
+  const metadata = [];
+  const sections = [{ name: '', paragraphs: [] }];
+  let paragraph = null;
+
+  let body = String(text || '').replace(/\r\n?/g, '\n');
+  const frontMatter = body.match(/^---\n([\s\S]*?)\n---(?:\n|$)/);
+  if (frontMatter) {
+    frontMatter[1].split('\n').forEach(line => {
+      const entry = line.match(/^([^:]+):\s*(.*)$/);
+      if (entry) metadata.push([entry[1], entry[2].replace(/^(['"])(.*)\1$/, '$2')]);
+    });
+    body = body.slice(frontMatter[0].length);
+  }
+
+  stripComments(body).split('\n').forEach(rawLine => {
+    const line = rawLine.trim();
+    const entry = line.match(/^>>\s*([^:]+):\s*(.*)$/);
+    const section = line.match(/^=+\s*(.*?)\s*=*$/);
+
+    if (entry) {
+      metadata.push([entry[1], entry[2]]);
+    } else if (section) {
+      sections.push({ name: section[1], paragraphs: [] });
+      paragraph = null;
+    } else if (!line || line.startsWith('>')) {
+      paragraph = null;
+    } else {
+      if (!paragraph) {
+        paragraph = [];
+        sections[sections.length - 1].paragraphs.push(paragraph);
+      }
+      paragraph.push(line);
+    }
+  });
+
+  return { metadata, sections };
+}
+
+/**
+ * Parse a Cooklang recipe
+ * @param {string} text - Cooklang source
+ * @param {Object} options - Parse options
+ * @param {string} options.id - Recipe ID (usually the filename); defaults to a slug of the title
+ * @returns {Object} Recipe in our format
+ * @throws {Error} If the recipe has neither a title nor an ID
+ */
+function parseCooklang(text, { id } = {}) {
+  const { metadata, sections } = splitBlocks(text);
+  const recipe = { id: id || '', title: '', metadata: {} };
+  metadata.forEach(([key, value]) => applyMetadata(recipe, key, value));
+
+  if (!recipe.title && id) {
+    recipe.title = id.split('-').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+  }
+  recipe.id = id || slugify(recipe.title);
+  if (!recipe.id) {
+    throw new Error('Cooklang recipe needs a ">> title:" line or an ID');
+  }
+
+  const found = { ingredients: [], cookware: [], timers: [] };
+  const steps = { prep: [], cooking: [] };
+
+  sections.forEach(section => {
+    const ingredientsOnly = INGREDIENTS_SECTION_PATTERN.test(section.name);
+    const phase = PREP_SECTION_PATTERN.test(section.name) ? 'prep' : 'cooking';
+
+    section.paragraphs.forEach(lines => {
+      found.timers = [];
+      const texts = lines.map((line, index) => parseLine(line, found, index === 0 ? undefined : index - 1));
+      if (ingredientsOnly) return;
+
+      const number = steps[phase].length + 1;
+      steps[phase].push({
+        id: `${phase}-step-${number}`,
+        title: `${phase === 'prep' ? 'Prep' : 'Cooking'} Step ${number}`,
+        mainStep: texts[0],
+        bullets: texts.slice(1),
+        ...(found.timers.length > 0 ? { timers: found.timers } : {})
+      });
+    });
+  });
+
+  return {
+    id: recipe.id,
+    title: recipe.title,
+    ...(recipe.difficulty ? { difficulty: recipe.difficulty } : {}),
+    ...(recipe.description ? { description: recipe.description } : {}),
+    ...(recipe.tags?.length ? { tags: recipe.tags } : {}),
+    ...(recipe.source ? { source: recipe.source } : {}),
+    metadata: recipe.metadata,
+    ...(found.cookware.length > 0 ? { cookware: found.cookware } : {}),
+    preparationSteps: steps.prep,
+    cookingSteps: steps.cooking,
+    ingredients: found.ingredients
+  };
+}
+
+/**
+ * Escape a string for use in a regular expression
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Find where a term appears in a line as a whole word, avoiding existing matches
+ * @param {string} line - Step text
+ * @param {string} term - Text to find
+ * @param {Array<Object>} taken - Ranges already claimed ({ start, end })
+ * @returns {{start: number, end: number}|null} Range of the match
+ */
+function findTerm(line, term, taken) {
+  if (!term) return null;
+  const pattern = new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(term)}(?![\\p{L}\\p{N}])`, 'giu');
+  for (const match of line.matchAll(pattern)) {
+    const range = { start: match.index, end: match.index + match[0].length };
+    if (!taken.some(other => range.start < other.end && other.start < range.end)) {
+      return range;
+    }
+  }
+  return null;
+}
+
+/**
+ * Escape characters in plain text that would otherwise read as markup
+ * @param {string} text - Plain text
+ * @returns {string} Text safe to write into a .cook file
+ */
+function escapeText(text) {
+  const markupAt = new RegExp(MARKUP_PATTERN.source, 'uy');
+  return text.replace(/[@#~]/g, (character, offset) => {
+    markupAt.lastIndex = offset;
+    return markupAt.test(text) ? `\\${character}` : character;
+  });
+}
+
+/**
+ * Format an amount as `{qty%unit}`
+ * @param {string} quantity - Quantity
+ * @param {string} unit - Unit
+ * @returns {string} Braced amount
+ */
+function formatAmount(quantity, unit) {
+  if (!quantity && !unit) return '{}';
+  return unit ? `{${quantity}%${unit}}` : `{${quantity}}`;
+}
+
+/**
+ * Format an ingredient as Cooklang markup
+ * @param {string} text - Ingredient name as it reads in the step
+ * @param {Object} ingredient - Ingredient
+ * @returns {string} Markup, e.g. "@olive oil{2%tablespoons}"
+ */
+function formatIngredient(text, ingredient) {
+  const notes = ingredient.notation ? `(${ingredient.notation.replace(/[()]/g, '')})` : '';
+  return `@${text}${formatAmount(ingredient.quantity, ingredient.unit)}${notes}`;
+}
+
+/**
+ * Find the first mention of an ingredient, starting from a line
+ * Mentions inside a longer ingredient name ("oil" in "olive oil") do not count.
+ * @param {Array<Object>} lines - Step lines ({ text, replacements })
+ * @param {Object} ingredient - Ingredient to place
+ * @param {Array<Object>} ingredients - All ingredients
+ * @param {number} fromLine - Index of the first line to search
+ * @returns {{line: number, start: number, end: number}|null} Where to place the markup
+ */
+function findIngredientMention(lines, ingredient, ingredients, fromLine) {
+  const name = ingredient.name.toLowerCase();
+  const longerNames = ingredients
+    .map(other => other.name.toLowerCase())
+    .filter(other => other.length > name.length && other.includes(name));
+
+  for (let index = fromLine; index < lines.length; index++) {
+    const { text, replacements } = lines[index];
+    const shadowed = [];
+    longerNames.forEach(longer => {
+      let range;
+      while ((range = findTerm(text, longer, shadowed))) shadowed.push(range);
+    });
+
+    const range = findTerm(text, ingredient.name, [...replacements, ...shadowed]);
+    if (range) return { line: index, ...range };
+  }
+  return null;
+}
+
+/**
+ * Write a recipe as Cooklang
+ * Each ingredient is marked at its first mention after the previous ingredient, so the
+ * ingredient order survives a round trip; ingredients that no step mentions are listed in
+ * an "Ingredients" section. Ingredient categories are not written; parsing guesses them again.
+ * @param {Object} recipe - Recipe in our format
+ * @returns {string} Cooklang source
+ */
+function serializeCooklang(recipe) {
+  const values = {
+    title: recipe.title,
+    difficulty: recipe.difficulty,
+    description: recipe.description,
+    tags: recipe.tags?.join(', '),
+    servings: recipe.metadata?.yields,
+    time: recipe.metadata?.totalTime,
+    'prep time': recipe.metadata?.prepTime,
+    'cook time': recipe.metadata?.activeTime,
+    'hands-off time': recipe.metadata?.handsOffTime,
+    image: recipe.metadata?.imageUrl,
+    source: recipe.source?.url
+  };
+  const metadataLines = Object.entries(values)
+    .filter(([, value]) => value)
+    .map(([key, value]) => `>> ${key}: ${String(value).replace(/\s+/g, ' ')}`);
+
+  // Every step line, with the markup to substitute into it
+  const phases = { preparation: recipe.preparationSteps || [], cooking: recipe.cookingSteps || [] };
+  const lines = [];
+  Object.entries(phases).forEach(([phase, steps]) => {
+    steps.forEach((step, stepIndex) => {
+      [step.mainStep, ...(step.bullets || [])].forEach((text, index) => {
+        const bullet = index === 0 ? undefined : index - 1;
+        const replacements = [];
+        (step.timers || []).filter(timer => timer.bullet === bullet).forEach(timer => {
+          const range = findTerm(text, timer.duration, replacements);
+          if (!range) return;
+          const [quantity, unit] = timer.duration.split(' ');
+          replacements.push({ ...range, markup: `~${timer.name || ''}${formatAmount(quantity, unit)}` });
+        });
+        lines.push({ phase, step: stepIndex, text, replacements });
+      });
+    });
+  });
+
+  const ingredients = recipe.ingredients || [];
+  const unplaced = [];
+  let cursor = 0;
+  ingredients.forEach(ingredient => {
+    const mention = findIngredientMention(lines, ingredient, ingredients, cursor)
+      || findIngredientMention(lines, ingredient, ingredients, 0);
+    if (!mention) {
+      unplaced.push(ingredient);
+      return;
+    }
+    const line = lines[mention.line];
+    line.replacements.push({
+      start: mention.start,
+      end: mention.end,
+      markup: formatIngredient(line.text.slice(mention.start, mention.end), ingredient)
+    });
+    cursor = mention.line;
+  });
+
+  (recipe.cookware || []).forEach(item => {
+    for (const line of lines) {
+      const range = findTerm(line.text, item, line.replacements);
+      if (range) {
+        line.replacements.push({ ...range, markup: `#${line.text.slice(range.start, range.end)}{}` });
+        return;
+      }
+    }
+  });
+
+  const renderSteps = phase => Object.values(lines
+    .filter(line => line.phase === phase)
+    .reduce((steps, line) => {
+      let rendered = '';
+      let position = 0;
+      [...line.replacements].sort((a, b) => a.start - b.start).forEach(({ start, end, markup }) => {
+        rendered += escapeText(line.text.slice(position, start)) + markup;
+        position = end;
+      });
+      rendered += escapeText(line.text.slice(position));
+      steps[line.step] = steps[line.step] ? `${steps[line.step]}\n${rendered}` : rendered;
+      return steps;
+    }, {}));
+
+  const preparation = renderSteps('preparation');
+  const cooking = renderSteps('cooking');
+
+  const blocks = [metadataLines.join('\n')];
+  if (unplaced.length > 0) {
+    blocks.push('== Ingredients ==', unplaced.map(ingredient => formatIngredient(ingredient.name, ingredient)).join('\n'));
+  }
+  if (preparation.length > 0) {
+    blocks.push('== Preparation ==', ...preparation, '== Cooking ==');
+  }
+  blocks.push(...cooking);
+
+  return `${blocks.join('\n\n')}\n`;
+}
+
+module.exports = {
+  setPath,
+  parseCooklang,
+  serializeCooklang
+};
@@ -1,8 +1,21 @@
 /**
  * Recipe Data Module
- * Handles loading and managing recipe data
+ * Handles loading and managing recipe data.
+ * Local edits and user-created recipes from IndexedDB are layered over the bundled recipe files
+ * (JSON, or Cooklang .cook files listed with a "file" in index.json).
  */
 
+import {
+    isLocalStoreAvailable,
+    getLocalRecipe,
+    getAllLocalRecipes,
+    putLocalRecipe,
+    deleteLocalRecipe
+} from '../data/local-recipe-store.js';
+import { buildIndexEntry, slugify } from './recipe-index.js';
+import { validateRecipe, hasStructuralErrors, RECIPE_SCHEMA_VERSION } from './recipe-schema.js';
+import { parseRecipeFile, isRecipeFile } from './recipe-files.js';
+
 // Configure asset paths based on environment
 const ASSET_CONFIG = {
     development: {
@@ -60,12 +73,18 @@ async function getRecipeIndex() {
 
 /**
  * Get the correct filename for a recipe ID
- * @param {string} recipeId - The ID of the recipe
- * @returns {Promise<string>} The correct filename (without extension)
+ * A recipe filename in the recipes directory (e.g. "weeknight-dal.md") is used as is,
+ * so recipes can be opened straight from their file without an index entry.
+ * @param {string} recipeId - The ID of the recipe, or a recipe filename
+ * @returns {Promise<string>} The correct filename (with extension)
  */
 async function getRecipeFilename(recipeId) {
     if (!recipeId) return recipeId;
     
+    if (isRecipeFile(recipeId) && !/[/\\]/.test(recipeId)) {
+        return recipeId;
+    }
+    
     try {
         // Get the recipe index
         const recipeIndex = await getRecipeIndex();
@@ -74,57 +93,101 @@ async function getRecipeFilename(recipeId) {
         const recipe = recipeIndex.recipes.find(r => r.id === recipeId);
         
         if (recipe) {
-            // Recipe found in index, use its ID
-            return recipe.id;
+            // Recipe found in index; non-JSON recipes name their file
+            return recipe.file || `${recipe.id}.json`;
         }
         
         // If not found in index, use the ID as is
         console.warn(`Recipe ID "${recipeId}" not found in index.json, using as is`);
-        return recipeId;
+        return `${recipeId}.json`;
     } catch (error) {
         // If there's an error loading the index, fall back to using the ID as is
         console.error('Error getting recipe filename:', error);
-        return recipeId;
+        return `${recipeId}.json`;
+    }
+}
+
+/**
+ * Check recipe data against the recipe JSON Schema
+ * Missing or mistyped fields always fail; other schema problems (e.g. an unknown
+ * category) only fail in strict mode and are otherwise logged as warnings.
+ * @param {Object} data - The recipe data
+ * @param {Object} options - Validation options
+ * @param {boolean} options.strict - Fail on any schema error
+ * @throws {Error} If the data does not match the schema (error.validationErrors lists the problems)
+ */
+function validateRecipeData(data, { strict = false } = {}) {
+    const { valid, errors } = validateRecipe(data);
+    if (valid) return;
+    
+    const messages = errors.map(error => error.message);
+    
+    if (strict || hasStructuralErrors(errors)) {
+        console.error(`Invalid recipe data (schema v${RECIPE_SCHEMA_VERSION}):`, messages);
+        const more = messages.length > 1 ? ` (and ${messages.length - 1} more)` : '';
+        const error = new Error(`Invalid recipe data format: ${messages[0]}${more}`);
+        error.validationErrors = errors;
+        throw error;
     }
+    
+    console.warn(`Recipe "${data.id}" does not fully match schema v${RECIPE_SCHEMA_VERSION}:`, messages);
 }
 
 /**
- * Load recipe data from local JSON file
+ * Get the local record for a recipe without letting storage errors break loading
+ * @param {string} recipeId - The ID of the recipe
+ * @returns {Promise<Object|null>} The local record or null
+ */
+async function findLocalRecord(recipeId) {
+    if (!isLocalStoreAvailable()) return null;
+
+    try {
+        return await getLocalRecipe(recipeId);
+    } catch (error) {
+        console.error('Error reading local recipe store:', error);
+        return null;
+    }
+}
+
+/**
+ * Load recipe data from the bundled recipe file
  * @param {string} recipeId - The ID of the recipe to load
  * @returns {Promise<Object>} The recipe data
  */
+async function loadBundledRecipe(recipeId) {
+    // Get the correct filename for this recipe ID
+    const filename = await getRecipeFilename(recipeId);
+    console.log(`Loading recipe with ID: ${recipeId}, using filename: ${filename}`);
+    
+    const filePath = `${config.recipesPath}/${filename}`;
+    console.log(`Fetching recipe from file: ${filePath}`);
+    
+    const response = await fetch(filePath);
+    console.log(`Recipe file response status: ${response.status}`);
+    
+    if (!response.ok) {
+        throw new Error(`Failed to load recipe: ${response.status} ${response.statusText}`);
+    }
+    
+    return parseRecipeFile(filename, await response.text());
+}
+
+/**
+ * Load recipe data, preferring a locally saved copy over the bundled recipe file
+ * @param {string} recipeId - The ID of the recipe to load, or a recipe filename such as "weeknight-dal.md"
+ * @returns {Promise<Object>} The recipe data
+ */
 export async function loadRecipeData(recipeId) {
     try {
         if (!recipeId) {
             throw new Error('Recipe ID is required');
         }
         
-        // Get the correct filename for this recipe ID
-        const filename = await getRecipeFilename(recipeId);
-        console.log(`Loading recipe with ID: ${recipeId}, using filename: ${filename}`);
+        const localRecord = await findLocalRecord(recipeId);
+        const data = localRecord ? localRecord.recipe : await loadBundledRecipe(recipeId);
+        console.log(`Recipe data loaded with title: ${data.title}${localRecord ? ' (local copy)' : ''}`);
         
-        const jsonPath = `${config.recipesPath}/${filename}.json`;
-        console.log(`Fetching recipe from JSON file: ${jsonPath}`);
-        
-        const response = await fetch(jsonPath);
-        console.log(`JSON file response status: ${response.status}`);
-        
-        if (!response.ok) {
-            throw new Error(`Failed to load recipe: ${response.status} ${response.statusText}`);
-        }
-        
-        const data = await response.json();
-        console.log(`Recipe data loaded with title: ${data.title}`);
-        
-        // Ensure the recipe data has all required fields
-        if (!data.title || !data.metadata || !data.ingredients) {
-            console.error('Invalid recipe data format. Missing required fields:', {
-                hasTitle: !!data.title,
-                hasMetadata: !!data.metadata,
-                hasIngredients: !!data.ingredients
-            });
-            throw new Error('Invalid recipe data format');
-        }
+        validateRecipeData(data);
         
         return data;
     } catch (error) {
@@ -134,25 +197,92 @@ export async function loadRecipeData(recipeId) {
 }
 
 /**
- * Save recipe data is not supported in this version
- * @param {string} recipeId - The ID of the recipe to save
+ * Save recipe data to the local store
+ * The data must match the recipe schema exactly.
+ * Edits to bundled recipes are kept as overrides; recipes without a bundled file are user-created.
+ * @param {string} recipeId - The ID of the recipe to save (derived from the title if empty)
  * @param {Object} recipeData - The recipe data to save
  * @returns {Promise<Object>} The saved recipe data
  */
 export async function saveRecipeData(recipeId, recipeData) {
-    console.warn('Saving recipes is not supported in this version');
-    return recipeData;
+    const id = recipeId || recipeData?.id || slugify(recipeData?.title);
+    if (!id) {
+        throw new Error('Recipe ID is required');
+    }
+    
+    const recipe = { ...recipeData, id };
+    validateRecipeData(recipe, { strict: true });
+    
+    if (!isLocalStoreAvailable()) {
+        throw new Error('Saving recipes requires IndexedDB, which is not available');
+    }
+    
+    let isBundled = false;
+    try {
+        const recipeIndex = await getRecipeIndex();
+        isBundled = recipeIndex.recipes.some(r => r.id === id);
+    } catch (error) {
+        console.warn('Could not load recipe index, treating recipe as user-created:', error);
+    }
+    
+    await putLocalRecipe(recipe, { userCreated: !isBundled });
+    console.log(`Saved recipe "${id}" locally (${isBundled ? 'override' : 'user-created'})`);
+    
+    return recipe;
 }
 
 /**
- * List all available recipes from the index.json file
- * @returns {Promise<Array>} Array of recipe metadata
+ * Discard the local copy of a recipe
+ * Bundled recipes revert to their JSON file; user-created recipes are removed.
+ * @param {string} recipeId - The ID of the recipe
+ * @returns {Promise<void>}
+ */
+export async function resetRecipeData(recipeId) {
+    if (!isLocalStoreAvailable()) return;
+    await deleteLocalRecipe(recipeId);
+    console.log(`Removed local copy of recipe "${recipeId}"`);
+}
+
+/**
+ * List all available recipes from the index.json file, merged with local overrides
+ * and user-created recipes
+ * @returns {Promise<Object>} The recipe index ({ recipes: [...] })
  */
 export async function listRecipes() {
     try {
-        return await getRecipeIndex();
+        const recipeIndex = await getRecipeIndex();
+        
+        let localRecords = [];
+        if (isLocalStoreAvailable()) {
+            try {
+                localRecords = await getAllLocalRecipes();
+            } catch (error) {
+                console.error('Error reading local recipe store:', error);
+            }
+        }
+        
+        if (localRecords.length === 0) {
+            return recipeIndex;
+        }
+        
+        const localById = new Map(localRecords.map(record => [record.id, record]));
+        
+        // Bundled entries, updated from any local override
+        const recipes = recipeIndex.recipes.map(entry => {
+            const record = localById.get(entry.id);
+            if (!record) return entry;
+            localById.delete(entry.id);
+            return { ...buildIndexEntry(record.recipe, entry), localOverride: true };
+        });
+        
+        // Recipes that only exist locally
+        localById.forEach(record => {
+            recipes.push({ ...buildIndexEntry(record.recipe), userCreated: true });
+        });
+        
+        return { ...recipeIndex, recipes };
     } catch (error) {
         console.error('Error loading recipe list:', error);
         throw error;
     }
-} 
\ No newline at end of file
+}
@@ -0,0 +1,105 @@
+/**
+ * Recipe Export
+ * Converts recipes into schema.org/Recipe JSON-LD, the reverse of recipe-import.js.
+ * recipe-summary.js embeds the JSON-LD in the page.
+ */
+
+const { getIngredientCategories, parseDurationText } = require('./recipe-index');
+const { formatIngredientLine } = require('./ingredient-parser');
+
+/**
+ * Format minutes as an ISO-8601 duration
+ * @param {number} minutes - Duration in minutes
+ * @returns {string} ISO-8601 duration, e.g. "PT1H5M"
+ */
+function formatIsoDuration(minutes) {
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  if (hours === 0) return `PT${rest}M`;
+  return rest === 0 ? `PT${hours}H` : `PT${hours}H${rest}M`;
+}
+
+/**
+ * Convert a metadata duration string into an ISO-8601 duration
+ * @param {string} text - Duration text, e.g. "50 - 65 minutes"
+ * @returns {string|null} ISO-8601 duration (e.g. "PT1H5M"), or null
+ */
+function toIsoDuration(text) {
+  const minutes = parseDurationText(text);
+  return minutes === null ? null : formatIsoDuration(minutes);
+}
+
+/**
+ * Convert a step into a HowToStep
+ * The step's main instruction becomes the name and leads the text.
+ * @param {Object} step - Step ({ mainStep, bullets })
+ * @returns {Object} HowToStep
+ */
+function toHowToStep(step) {
+  const sentences = [step.mainStep, ...(step.bullets || [])]
+    .map(text => String(text || '').trim().replace(/[.!?]$/, ''))
+    .filter(Boolean);
+
+  return {
+    '@type': 'HowToStep',
+    name: step.mainStep,
+    text: `${sentences.join('. ')}.`
+  };
+}
+
+/**
+ * Build a schema.org Recipe from recipe data
+ * activeTime maps to cookTime, mirroring the importer.
+ * @param {Object} recipe - Recipe data
+ * @param {Object} options - Export options
+ * @param {string} options.imageBaseUrl - URL of the images directory; image paths are resolved against it
+ * @param {string} options.url - Canonical URL of the recipe page
+ * @returns {Object} JSON-LD Recipe
+ */
+function toSchemaOrgRecipe(recipe, { imageBaseUrl, url } = {}) {
+  const metadata = recipe.metadata || {};
+  const jsonLd = {
+    '@context': 'https://schema.org',
+    '@type': 'Recipe',
+    name: recipe.title
+  };
+
+  if (recipe.description) jsonLd.description = recipe.description;
+  if (url) jsonLd.url = url;
+
+  const imageUrl = metadata.imageUrl || recipe.thumbnail;
+  if (imageUrl) {
+    jsonLd.image = imageBaseUrl
+      ? `${imageBaseUrl.replace(/\/$/, '')}/${imageUrl.replace(/^images\//, '')}`
+      : imageUrl;
+  }
+
+  if (metadata.yields) jsonLd.recipeYield = metadata.yields;
+
+  const durations = {
+    prepTime: toIsoDuration(metadata.prepTime),
+    cookTime: toIsoDuration(metadata.activeTime),
+    totalTime: toIsoDuration(metadata.totalTime)
+  };
+  Object.entries(durations).forEach(([key, value]) => {
+    if (value) jsonLd[key] = value;
+  });
+
+  // The recipe's tags, then its ingredient categories
+  const keywords = [...(recipe.tags || []), ...getIngredientCategories(recipe)];
+  if (keywords.length > 0) jsonLd.keywords = keywords.join(', ');
+
+  jsonLd.recipeIngredient = (recipe.ingredients || []).map(formatIngredientLine);
+  jsonLd.recipeInstructions = [...(recipe.preparationSteps || []), ...(recipe.cookingSteps || [])].map(toHowToStep);
+
+  if (recipe.source?.url) jsonLd.isBasedOn = recipe.source.url;
+
+  return jsonLd;
+}
+
+module.exports = {
+  parseDurationText,
+  toIsoDuration,
+  formatIngredientLine,
+  toSchemaOrgRecipe
+};
@@ -0,0 +1,97 @@
+/**
+ * Recipe Files
+ * Reads the recipe file formats that can live in src/assets/recipes: JSON,
+ * Cooklang (.cook) and Markdown (.md). Shared by the Node tools and the browser loader.
+ */
+
+const { parseCooklang, serializeCooklang } = require('./recipe-cooklang');
+const { parseMarkdownRecipe, serializeMarkdownRecipe } = require('./recipe-markdown');
+
+const INDEX_FILE = 'index.json';
+
+// Supported recipe file formats, by extension
+const RECIPE_FORMATS = {
+  '.json': {
+    parse: text => JSON.parse(text),
+    serialize: recipe => `${JSON.stringify(recipe, null, 2)}\n`
+  },
+  '.cook': {
+    parse: (text, id) => parseCooklang(text, { id }),
+    serialize: recipe => serializeCooklang(recipe)
+  },
+  '.md': {
+    parse: (text, id) => parseMarkdownRecipe(text, { id }),
+    serialize: recipe => serializeMarkdownRecipe(recipe)
+  }
+};
+
+const RECIPE_FILE_EXTENSIONS = Object.keys(RECIPE_FORMATS);
+
+/**
+ * Get the extension of a filename
+ * @param {string} filename - File name or path
+ * @returns {string} Lowercase extension including the dot
+ */
+function getExtension(filename) {
+  const match = String(filename || '').match(/\.[^./\\]+$/);
+  return match ? match[0].toLowerCase() : '';
+}
+
+/**
+ * Check whether a file in the recipes directory is a recipe
+ * @param {string} filename - File name
+ * @returns {boolean} True for recipe files (not index.json)
+ */
+function isRecipeFile(filename) {
+  return filename !== INDEX_FILE && RECIPE_FILE_EXTENSIONS.includes(getExtension(filename));
+}
+
+/**
+ * Get the recipe ID a filename implies
+ * @param {string} filename - File name or path
+ * @returns {string} The filename without directory or extension
+ */
+function getRecipeIdFromFilename(filename) {
+  const base = String(filename || '').split(/[/\\]/).pop();
+  return base.slice(0, base.length - getExtension(base).length);
+}
+
+/**
+ * Parse the contents of a recipe file
+ * @param {string} filename - File name, which decides the format and the default ID
+ * @param {string} text - File contents
+ * @returns {Object} Recipe data
+ * @throws {Error} If the format is not supported or the contents cannot be parsed
+ */
+function parseRecipeFile(filename, text) {
+  const format = RECIPE_FORMATS[getExtension(filename)];
+  if (!format) {
+    throw new Error(`Unsupported recipe file "${filename}"; expected ${RECIPE_FILE_EXTENSIONS.join(', ')}`);
+  }
+  return format.parse(text, getRecipeIdFromFilename(filename));
+}
+
+/**
+ * Write a recipe in the format of a filename
+ * @param {string} filename - File name, which decides the format
+ * @param {Object} recipe - Recipe data
+ * @returns {string} File contents
+ * @throws {Error} If the format is not supported
+ */
+function serializeRecipeFile(filename, recipe) {
+  const format = RECIPE_FORMATS[getExtension(filename)];
+  if (!format) {
+    throw new Error(`Unsupported recipe file "${filename}"; expected ${RECIPE_FILE_EXTENSIONS.join(', ')}`);
+  }
+  return format.serialize(recipe);
+}
+
+module.exports = {
+  INDEX_FILE,
+  RECIPE_FILE_EXTENSIONS,
+  getExtension,
+  isRecipeFile,
+  getRecipeIdFromFilename,
+  parseRecipeFile,
+  serializeRecipeFile
+};
@@ -0,0 +1,37 @@
+/**
+ * Recipe History Module
+ * Remembers when each recipe was last cooked through, so the recipe grid can
+ * sort by "recently cooked".
+ */
+
+import { getFromStorage, setToStorage } from '../utils/common.js';
+
+// Storage key for the time each recipe was last cooked, by recipe ID
+const COOKED_STORAGE_KEY = 'recipe-viewer-cooked';
+
+/**
+ * Get when each recipe was last cooked
+ * @returns {Object<string, number>} Timestamps in milliseconds, by recipe ID
+ */
+export function getCookedTimes() {
+    return getFromStorage(COOKED_STORAGE_KEY, {});
+}
+
+/**
+ * Record that a recipe was cooked through
+ * @param {string} recipeId - Recipe ID
+ * @param {number} [cookedAt] - When it was finished, in milliseconds
+ */
+export function markRecipeCooked(recipeId, cookedAt = Date.now()) {
+    if (!recipeId) return;
+
+    const cooked = getCookedTimes();
+    cooked[recipeId] = cookedAt;
+    setToStorage(COOKED_STORAGE_KEY, cooked);
+    console.log(`Recipe ${recipeId} marked as cooked`);
+}
+
+export default {
+    getCookedTimes,
+    markRecipeCooked
+};
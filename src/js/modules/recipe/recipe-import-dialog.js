@@ -0,0 +1,120 @@
+/**
+ * Recipe Import Dialog
+ * Lets the user import a schema.org/Recipe from a saved web page or a JSON-LD file
+ * on the index page. The recipe is saved through the recipe service, so it lands in
+ * src/assets/recipes (and index.json) when the API is running and in IndexedDB otherwise.
+ */
+
+import { importRecipe } from './recipe-import.js';
+import { saveRecipe, getAllRecipes } from '../data/recipe-service.js';
+
+const MODAL_ID = 'recipe-import-modal';
+
+/**
+ * Pick an ID that does not collide with an existing recipe
+ * @param {string} baseId - ID derived from the recipe name
+ * @returns {Promise<string>} Unused ID
+ */
+async function getUnusedRecipeId(baseId) {
+    let existingIds = new Set();
+    try {
+        const recipeIndex = await getAllRecipes();
+        existingIds = new Set(recipeIndex.recipes.map(recipe => recipe.id));
+    } catch (error) {
+        console.warn('Could not load the recipe list to check for duplicate IDs:', error);
+    }
+
+    let id = baseId;
+    let suffix = 2;
+    while (existingIds.has(id)) {
+        id = `${baseId}-${suffix++}`;
+    }
+    return id;
+}
+
+/**
+ * Close the import dialog if it is open
+ */
+export function closeImportDialog() {
+    const modal = document.getElementById(MODAL_ID);
+    if (modal) {
+        modal.remove();
+    }
+}
+
+/**
+ * Show the import dialog
+ * @param {Object} options - Dialog options
+ * @param {Function} options.onImported - Called with the saved recipe after a successful import
+ */
+export function showImportDialog({ onImported } = {}) {
+    closeImportDialog();
+
+    const modal = document.createElement('div');
+    modal.className = 'recipe-import-modal';
+    modal.id = MODAL_ID;
+
+    modal.innerHTML = `
+        <div class="recipe-import-content" role="dialog" aria-labelledby="recipe-import-title">
+            <span class="close-btn" aria-label="Close">&times;</span>
+            <h2 id="recipe-import-title">Import a Recipe</h2>
+            <p class="recipe-import-help">
+                Choose a recipe web page you saved from your browser (.html) or a schema.org JSON-LD file,
+                or paste the page source below. Nothing is downloaded.
+            </p>
+            <input type="file" class="recipe-import-file" accept=".html,.htm,.json,.jsonld,text/html,application/json,application/ld+json">
+            <textarea class="recipe-import-text" rows="8" placeholder="...or paste HTML or JSON-LD here"></textarea>
+            <p class="recipe-import-error" role="alert" hidden></p>
+            <div class="recipe-import-actions">
+                <button type="button" class="secondary-button recipe-import-cancel">Cancel</button>
+                <button type="button" class="primary-button recipe-import-submit">Import</button>
+            </div>
+        </div>
+    `;
+
+    const fileInput = modal.querySelector('.recipe-import-file');
+    const textArea = modal.querySelector('.recipe-import-text');
+    const errorMessage = modal.querySelector('.recipe-import-error');
+    const submitButton = modal.querySelector('.recipe-import-submit');
+
+    const showError = message => {
+        errorMessage.textContent = message;
+        errorMessage.hidden = false;
+    };
+
+    modal.querySelector('.close-btn').addEventListener('click', closeImportDialog);
+    modal.querySelector('.recipe-import-cancel').addEventListener('click', closeImportDialog);
+    modal.addEventListener('click', event => {
+        if (event.target === modal) closeImportDialog();
+    });
+
+    submitButton.addEventListener('click', async () => {
+        errorMessage.hidden = true;
+
+        const file = fileInput.files[0];
+        const source = file ? await file.text() : textArea.value;
+        if (!source.trim()) {
+            showError('Choose a file or paste a page to import.');
+            return;
+        }
+
+        submitButton.disabled = true;
+        try {
+            const converted = importRecipe(source);
+            const id = await getUnusedRecipeId(converted.id);
+            const saved = await saveRecipe(id, { ...converted, id });
+            console.log(`Imported recipe "${saved.title}" as "${saved.id}"`);
+
+            closeImportDialog();
+            if (onImported) {
+                onImported(saved);
+            }
+        } catch (error) {
+            console.error('Recipe import failed:', error);
+            showError(error.message);
+            submitButton.disabled = false;
+        }
+    });
+
+    document.body.appendChild(modal);
+}
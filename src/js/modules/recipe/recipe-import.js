@@ -0,0 +1,370 @@
+/**
+ * Recipe Import
+ * Converts schema.org/Recipe JSON-LD (as embedded in most recipe web pages)
+ * into the recipe format used by this app.
+ * Used by the import tool and the import dialog on the index page. Nothing here
+ * fetches from the network.
+ */
+
+const { slugify, normalizeTag } = require('./recipe-index');
+const { parseIngredientLine: parseIngredientText } = require('./ingredient-parser');
+
+// Matches <script type="application/ld+json"> blocks in saved HTML pages
+const JSON_LD_SCRIPT_PATTERN = /<script[^>]*type\s*=\s*["']?application\/ld\+json["']?[^>]*>([\s\S]*?)<\/script>/gi;
+
+// Steps up to the first one that mentions one of these go into preparationSteps
+const COOKING_KEYWORDS = /\b(heat|cook|bake|roast|simmer|boil|sear|fry|saut[eé]|grill|broil|toast|brown|stir-fry|skillet|pan|pot|oven|microwave)\b/i;
+const PREHEAT_PATTERN = /^\s*pre-?heat\b/i;
+
+// HowToSection names that mark a preparation group
+const PREP_SECTION_PATTERN = /\b(prep|preparation|mise en place|make ahead|ahead)\b/i;
+
+const FRACTION_ENTITIES = {
+  frac12: '½', frac13: '⅓', frac23: '⅔', frac14: '¼', frac34: '¾',
+  frac18: '⅛', frac38: '⅜', frac58: '⅝', frac78: '⅞'
+};
+
+/**
+ * Extract the JSON-LD blocks from an HTML page
+ * @param {string} html - HTML source
+ * @returns {Array<*>} Parsed JSON-LD values (invalid blocks are skipped)
+ */
+function extractJsonLd(html) {
+  const blocks = [];
+  for (const match of String(html).matchAll(JSON_LD_SCRIPT_PATTERN)) {
+    const text = match[1].trim().replace(/^<!\[CDATA\[|\]\]>$/g, '');
+    try {
+      blocks.push(JSON.parse(text));
+    } catch (error) {
+      console.warn('Skipping invalid JSON-LD block:', error.message);
+    }
+  }
+  return blocks;
+}
+
+/**
+ * Check whether a JSON-LD node is a schema.org Recipe
+ * @param {Object} node - JSON-LD node
+ * @returns {boolean} True for Recipe nodes
+ */
+function isRecipeNode(node) {
+  const type = node && node['@type'];
+  const types = Array.isArray(type) ? type : [type];
+  return types.some(value => typeof value === 'string' && value.replace(/^.*[/:]/, '') === 'Recipe');
+}
+
+/**
+ * Find the first Recipe node in JSON-LD data (searching arrays and @graph)
+ * @param {*} data - Parsed JSON-LD
+ * @returns {Object|null} The Recipe node
+ */
+function findRecipeNode(data) {
+  if (!data || typeof data !== 'object') return null;
+  if (Array.isArray(data)) {
+    for (const item of data) {
+      const found = findRecipeNode(item);
+      if (found) return found;
+    }
+    return null;
+  }
+  if (isRecipeNode(data)) return data;
+  return findRecipeNode(data['@graph']) || findRecipeNode(data.mainEntity);
+}
+
+/**
+ * Decode the HTML entities that commonly appear in JSON-LD strings
+ * Entities are decoded before tags are stripped, and any angle brackets left over are dropped,
+ * so an encoded tag ("&lt;img onerror=…&gt;") cannot come out as markup.
+ * @param {string} text - Text that may contain entities or tags
+ * @returns {string} Plain text
+ */
+function cleanText(text) {
+  return String(text || '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&quot;/g, '"')
+    .replace(/&#0?39;|&apos;|&#x27;/g, '\'')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&(frac\d\d);/g, (match, name) => FRACTION_ENTITIES[name] || match)
+    .replace(/&#(\d+);/g, (match, code) => String.fromCharCode(Number(code)))
+    .replace(/&#x([0-9a-f]+);/gi, (match, code) => String.fromCharCode(parseInt(code, 16)))
+    .replace(/&amp;/g, '&')
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/[<>]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Parse an ISO-8601 duration (e.g. "PT1H30M") into minutes
+ * @param {string} duration - ISO-8601 duration
+ * @returns {number|null} Minutes, or null if it cannot be parsed
+ */
+function parseIsoDuration(duration) {
+  const match = String(duration || '').trim().match(/^P(?:(\d+(?:\.\d+)?)D)?(?:T(?:(\d+(?:\.\d+)?)H)?(?:(\d+(?:\.\d+)?)M)?(?:(\d+(?:\.\d+)?)S)?)?$/i);
+  if (!match || match.slice(1).every(part => part === undefined)) return null;
+
+  const [, days = 0, hours = 0, minutes = 0, seconds = 0] = match;
+  return Math.round(Number(days) * 1440 + Number(hours) * 60 + Number(minutes) + Number(seconds) / 60);
+}
+
+/**
+ * Format minutes the way recipe metadata does ("45 minutes", "4 hours and 15 minutes")
+ * @param {number} totalMinutes - Duration in minutes
+ * @returns {string} Formatted duration
+ */
+function formatMinutes(totalMinutes) {
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+  const hourText = hours > 0 ? `${hours} hour${hours === 1 ? '' : 's'}` : '';
+  const minuteText = minutes > 0 || hours === 0 ? `${minutes} minute${minutes === 1 ? '' : 's'}` : '';
+  return [hourText, minuteText].filter(Boolean).join(' and ');
+}
+
+/**
+ * Convert recipeYield into our yields text
+ * @param {string|number|Array} recipeYield - schema.org recipeYield
+ * @returns {string} Yields text, e.g. "4 servings"
+ */
+function parseYield(recipeYield) {
+  const values = (Array.isArray(recipeYield) ? recipeYield : [recipeYield])
+    .filter(value => value !== undefined && value !== null && String(value).trim() !== '');
+  if (values.length === 0) return '';
+
+  // Prefer a descriptive value ("4 servings") over a bare number
+  const text = cleanText(values.find(value => /[a-z]/i.test(String(value))) || values[0]);
+  return /^\d+$/.test(text) ? `${text} servings` : text;
+}
+
+/**
+ * Convert a recipeIngredient line ("2 (15-ounce) cans black beans, drained")
+ * into an ingredient object; the line may still hold HTML entities
+ * @param {string} line - Ingredient line
+ * @returns {Object} Ingredient ({ name, quantity, unit, category, notation? })
+ */
+function parseIngredientLine(line) {
+  return parseIngredientText(cleanText(line));
+}
+
+/**
+ * Split instruction text into sentences
+ * @param {string} text - Instruction text
+ * @returns {Array<string>} Sentences without trailing periods
+ */
+function splitSentences(text) {
+  return cleanText(text)
+    .split(/(?<=[.!?])\s+(?=[A-Z0-9])/)
+    .map(sentence => sentence.replace(/\.$/, '').trim())
+    .filter(Boolean);
+}
+
+/**
+ * Flatten recipeInstructions into groups of steps
+ * Every HowToSection becomes one group; loose steps each become their own group.
+ * @param {*} instructions - schema.org recipeInstructions
+ * @returns {Array<{name: string, texts: Array<string>, section: boolean}>} Instruction groups
+ */
+function collectInstructionGroups(instructions) {
+  const groups = [];
+
+  const stepText = step => {
+    if (typeof step === 'string') return cleanText(step);
+    return cleanText(step.text || step.name || step.description || '');
+  };
+
+  const visit = item => {
+    if (!item) return;
+    if (typeof item === 'string') {
+      // Plain text instructions: one step per line
+      item.split(/\n+/).map(cleanText).filter(Boolean).forEach(text => {
+        groups.push({ name: '', texts: [text], section: false });
+      });
+      return;
+    }
+    if (Array.isArray(item)) {
+      item.forEach(visit);
+      return;
+    }
+
+    const type = [].concat(item['@type'] || []).join(' ');
+    if (/HowToSection/.test(type) || (Array.isArray(item.itemListElement) && !item.text)) {
+      const texts = [].concat(item.itemListElement || []).map(stepText).filter(Boolean);
+      if (texts.length > 0) {
+        groups.push({ name: cleanText(item.name), texts, section: true });
+      }
+      return;
+    }
+
+    const text = stepText(item);
+    if (text) {
+      const name = item.name && cleanText(item.name) !== text ? cleanText(item.name) : '';
+      groups.push({ name, texts: [text], section: false });
+    }
+  };
+
+  visit(instructions);
+  return groups;
+}
+
+/**
+ * Turn an instruction group into a step ({ id, title, mainStep, bullets })
+ * @param {Object} group - Instruction group
+ * @param {string} phase - 'prep' or 'cooking'
+ * @param {number} number - 1-based step number within the phase
+ * @returns {Object} Step
+ */
+function buildStep(group, phase, number) {
+  let mainStep;
+  let bullets;
+
+  if (group.section) {
+    const texts = group.texts.map(text => text.replace(/\.$/, ''));
+    mainStep = group.name || texts[0];
+    bullets = group.name ? texts : texts.slice(1);
+  } else {
+    const sentences = splitSentences(group.texts[0]);
+    mainStep = group.name || sentences[0] || group.texts[0];
+    // Steps whose text repeats the name (as our own export writes them) start with it
+    bullets = group.name && sentences[0] !== group.name ? sentences : sentences.slice(1);
+  }
+
+  return {
+    id: `${phase}-step-${number}`,
+    title: `${phase === 'prep' ? 'Prep' : 'Cooking'} Step ${number}`,
+    mainStep,
+    bullets
+  };
+}
+
+/**
+ * Split instruction groups into preparation and cooking steps
+ * Sections decide by name; otherwise everything before the first step that uses
+ * heat is preparation.
+ * @param {Array<Object>} groups - Instruction groups
+ * @returns {{preparationSteps: Array<Object>, cookingSteps: Array<Object>}}
+ */
+function splitSteps(groups) {
+  const hasSections = groups.some(group => group.section);
+  let firstCookingIndex = groups.findIndex(group => {
+    const text = [group.name, ...group.texts].join(' ');
+    return COOKING_KEYWORDS.test(text) && !PREHEAT_PATTERN.test(group.texts[0]);
+  });
+  if (firstCookingIndex === -1) firstCookingIndex = 0;
+
+  const prepGroups = [];
+  const cookingGroups = [];
+  groups.forEach((group, index) => {
+    const isPrep = hasSections
+      ? group.section && PREP_SECTION_PATTERN.test(group.name)
+      : index < firstCookingIndex;
+    (isPrep ? prepGroups : cookingGroups).push(group);
+  });
+
+  return {
+    preparationSteps: prepGroups.map((group, index) => buildStep(group, 'prep', index + 1)),
+    cookingSteps: cookingGroups.map((group, index) => buildStep(group, 'cooking', index + 1))
+  };
+}
+
+/**
+ * Convert a schema.org Recipe node into our recipe format
+ * cookTime maps to activeTime, the closest field the summary page shows.
+ * @param {Object} node - schema.org Recipe
+ * @param {Object} options - Import options
+ * @param {string} options.id - Recipe ID (derived from the name if omitted)
+ * @returns {Object} Recipe data
+ */
+function convertSchemaOrgRecipe(node, { id } = {}) {
+  const title = cleanText(node.name || node.headline);
+  if (!title) {
+    throw new Error('The schema.org Recipe has no name');
+  }
+
+  const prepMinutes = parseIsoDuration(node.prepTime);
+  const cookMinutes = parseIsoDuration(node.cookTime);
+  let totalMinutes = parseIsoDuration(node.totalTime);
+  if (totalMinutes === null && (prepMinutes !== null || cookMinutes !== null)) {
+    totalMinutes = (prepMinutes || 0) + (cookMinutes || 0);
+  }
+
+  const metadata = {
+    yields: parseYield(node.recipeYield) || 'Not specified',
+    totalTime: totalMinutes !== null ? formatMinutes(totalMinutes) : ''
+  };
+  if (prepMinutes !== null) metadata.prepTime = formatMinutes(prepMinutes);
+  if (cookMinutes !== null) metadata.activeTime = formatMinutes(cookMinutes);
+
+  const ingredientLines = [].concat(node.recipeIngredient || node.ingredients || []);
+  const ingredients = ingredientLines.map(cleanText).filter(Boolean).map(parseIngredientLine);
+  if (ingredients.length === 0) {
+    throw new Error(`"${title}" has no recipeIngredient list`);
+  }
+
+  const recipe = {
+    id: id || slugify(title),
+    title,
+    difficulty: 'Easy',
+    metadata,
+    ...splitSteps(collectInstructionGroups(node.recipeInstructions)),
+    ingredients
+  };
+
+  const description = cleanText(node.description);
+  if (description) {
+    recipe.description = description;
+  }
+
+  // schema.org keywords are a comma-separated string or a list
+  const keywords = [].concat(node.keywords || []).flatMap(keyword => String(keyword).split(','));
+  const tags = [...new Set(keywords.map(normalizeTag).filter(Boolean))];
+  if (tags.length > 0) {
+    recipe.tags = tags;
+  }
+
+  const sourceUrl = node.url || node['@id'];
+  if (typeof sourceUrl === 'string' && /^https?:\/\//.test(sourceUrl)) {
+    recipe.source = { url: sourceUrl.replace(/#.*$/, '') };
+  }
+
+  return recipe;
+}
+
+/**
+ * Import a recipe from a saved HTML page or a JSON-LD document
+ * @param {string} text - HTML or JSON-LD source
+ * @param {Object} options - Import options (see convertSchemaOrgRecipe)
+ * @returns {Object} Recipe data
+ * @throws {Error} If no schema.org Recipe can be found
+ */
+function importRecipe(text, options = {}) {
+  const source = String(text || '').trim();
+  let blocks;
+
+  if (source.startsWith('{') || source.startsWith('[')) {
+    try {
+      blocks = [JSON.parse(source)];
+    } catch (error) {
+      throw new Error(`Invalid JSON-LD: ${error.message}`);
+    }
+  } else {
+    blocks = extractJsonLd(source);
+  }
+
+  const node = findRecipeNode(blocks);
+  if (!node) {
+    throw new Error('No schema.org Recipe found in the JSON-LD');
+  }
+
+  return convertSchemaOrgRecipe(node, options);
+}
+
+module.exports = {
+  extractJsonLd,
+  findRecipeNode,
+  parseIsoDuration,
+  formatMinutes,
+  parseYield,
+  parseIngredientLine,
+  convertSchemaOrgRecipe,
+  importRecipe
+};
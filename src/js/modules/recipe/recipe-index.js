@@ -0,0 +1,157 @@
+/**
+ * Recipe Index Helpers
+ * Builds index.json entries from recipe data, including the minutes and ingredient
+ * names the recipe grid searches, filters and sorts by.
+ */
+
+/**
+ * Turn a recipe title into an ID
+ * @param {string} title - Recipe title
+ * @returns {string} Slug suitable for a filename
+ */
+function slugify(title) {
+  return String(title || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Normalize a tag ("One Pot" becomes "one-pot")
+ * @param {string} tag - Tag as typed
+ * @returns {string} Lowercase words separated by hyphens, or "" if nothing is left
+ */
+function normalizeTag(tag) {
+  return slugify(tag);
+}
+
+/**
+ * Normalize a duration for display in the index
+ * Collapses the spacing around ranges so "50 - 65 minutes" and "50-65 minutes" match.
+ * @param {string} time - Duration text from the recipe metadata
+ * @returns {string} Normalized duration
+ */
+function normalizeTime(time) {
+  return String(time || '')
+    .replace(/\s*[-–]\s*/g, '-')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+const UNIT_MINUTES = {
+  minute: 1, minutes: 1, min: 1, mins: 1,
+  hour: 60, hours: 60, hr: 60, hrs: 60
+};
+
+/**
+ * Convert a metadata duration ("15 minutes", "50 - 65 minutes",
+ * "4 hours and 15 minutes") into minutes
+ * Ranges use their upper bound so planning never comes up short.
+ * @param {string} text - Duration text
+ * @returns {number|null} Minutes, or null if the text has no duration
+ */
+function parseDurationText(text) {
+  const normalized = String(text || '')
+    .toLowerCase()
+    .replace(/(\d+(?:\.\d+)?)\s*(?:-|–|to)\s*(\d+(?:\.\d+)?)/g, '$2');
+
+  let total = 0;
+  let found = false;
+  for (const match of normalized.matchAll(/(\d+(?:\.\d+)?)\s*(minutes?|mins?|hours?|hrs?)\b/g)) {
+    total += Number(match[1]) * UNIT_MINUTES[match[2]];
+    found = true;
+  }
+
+  return found ? Math.round(total) : null;
+}
+
+/**
+ * List the shopping categories used by a recipe's ingredients, in order of first use
+ * @param {Object} recipe - Recipe data
+ * @returns {Array<string>} Category names
+ */
+function getIngredientCategories(recipe) {
+  const categories = (recipe.ingredients || [])
+    .map(ingredient => ingredient.category)
+    .filter(Boolean);
+  return [...new Set(categories)];
+}
+
+/**
+ * List a recipe's ingredient names for searching the grid
+ * @param {Object} recipe - Recipe data
+ * @returns {Array<string>} Ingredient names, each once
+ */
+function getIngredientNames(recipe) {
+  const names = (recipe.ingredients || [])
+    .map(ingredient => String(ingredient.name || '').trim())
+    .filter(Boolean);
+  return [...new Set(names)];
+}
+
+/**
+ * Build the index.json entry for a recipe
+ * Fields the recipe does not provide fall back to the existing entry.
+ * @param {Object} recipe - Recipe data
+ * @param {Object} existing - Existing index entry, if any
+ * @returns {Object} Index entry
+ */
+function buildIndexEntry(recipe, existing = {}) {
+  const metadata = recipe.metadata || {};
+  const time = normalizeTime(metadata.totalTime) || existing.time || '';
+  const totalMinutes = parseDurationText(time);
+  const preparationSteps = recipe.preparationSteps || [];
+  const cookingSteps = recipe.cookingSteps || [];
+
+  return {
+    ...existing,
+    id: recipe.id,
+    title: recipe.title,
+    thumbnail: metadata.imageUrl || existing.thumbnail || `images/${recipe.id}.jpg`,
+    time,
+    ...(totalMinutes !== null ? { totalMinutes } : {}),
+    difficulty: recipe.difficulty || existing.difficulty || 'Easy',
+    ingredientCount: (recipe.ingredients || []).length,
+    stepCount: preparationSteps.length + cookingSteps.length,
+    categories: getIngredientCategories(recipe),
+    ingredients: getIngredientNames(recipe),
+    ...(recipe.tags?.length ? { tags: recipe.tags } : {}),
+    ...(recipe.description ? { description: recipe.description } : {})
+  };
+}
+
+/**
+ * Build a complete index from recipe data
+ * Recipes already in the previous index keep their position so the grid order
+ * does not change; new recipes are appended in title order.
+ * @param {Array<Object>} recipes - Recipe data
+ * @param {Object} previousIndex - The current index.json contents, if any
+ * @returns {Object} The recipe index ({ recipes: [...] })
+ */
+function buildRecipeIndex(recipes, previousIndex = { recipes: [] }) {
+  const order = new Map((previousIndex.recipes || []).map((entry, position) => [entry.id, position]));
+
+  const sorted = [...recipes].sort((a, b) => {
+    const aKnown = order.has(a.id);
+    const bKnown = order.has(b.id);
+    if (aKnown && bKnown) return order.get(a.id) - order.get(b.id);
+    if (aKnown !== bKnown) return aKnown ? -1 : 1;
+    return a.title.localeCompare(b.title);
+  });
+
+  return { recipes: sorted.map(recipe => buildIndexEntry(recipe)) };
+}
+
+module.exports = {
+  slugify,
+  normalizeTag,
+  normalizeTime,
+  parseDurationText,
+  getIngredientCategories,
+  getIngredientNames,
+  buildIndexEntry,
+  buildRecipeIndex
+};
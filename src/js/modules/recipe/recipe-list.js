@@ -4,6 +4,19 @@
  */
 
 import { listRecipes } from './recipe-data.js';
+import { getCookedTimes } from './recipe-history.js';
+import { getRecipeTags, getCollections, getRecipeCollections } from './recipe-collections.js';
+import { showTagsDialog } from './recipe-tags-dialog.js';
+import { buildIngredientIndex, matchPantry, parsePantryItems } from './ingredient-index.js';
+import eventBus from '../../core/events/event-bus.js';
+import {
+    TIME_BUCKETS,
+    DIFFICULTIES,
+    SORT_OPTIONS,
+    parseSearchParams,
+    toSearchParams,
+    filterRecipes
+} from './recipe-search.js';
 
 // Configure asset paths based on environment
 const ASSET_CONFIG = {
@@ -32,14 +45,24 @@ export class RecipeList {
     constructor() {
         this.recipeGrid = document.getElementById('recipe-grid');
         this.listRecipesBtn = document.getElementById('list-recipes-btn');
+        this.filterForm = document.getElementById('recipe-filters');
+        this.recipeCount = document.getElementById('recipe-count');
         this.recipeIndex = null; // Store the recipe index for reference
+        this.ingredientIndex = null; // Ingredient names to recipes, for "what can I cook"
+        // Search, filters and sort order, read from the URL so filtered views can be bookmarked
+        this.filters = parseSearchParams(isBrowser ? window.location.search : '');
         this.initialize();
     }
 
     initialize() {
+        this.setupFilters();
+
         // Load recipes initially
         this.loadRecipeList();
 
+        // Redraw the cards when tags or collections are edited
+        eventBus.subscribe('recipe:collections:changed', () => this.renderRecipes());
+
         // Add click handler for the List of Recipes button
         if (this.listRecipesBtn) {
             this.listRecipesBtn.addEventListener('click', () => {
@@ -48,6 +71,102 @@ export class RecipeList {
         }
     }
 
+    /**
+     * Fill in the filter controls and listen for changes
+     */
+    setupFilters() {
+        if (!this.filterForm) return;
+
+        const { elements } = this.filterForm;
+        DIFFICULTIES.forEach(difficulty => elements.difficulty.add(new Option(difficulty, difficulty)));
+        TIME_BUCKETS.forEach(bucket => elements.time.add(new Option(bucket.label, bucket.value)));
+        SORT_OPTIONS.forEach(option => elements.sort.add(new Option(option.label, option.value)));
+        this.showFilters();
+
+        // Searching happens as you type; the form never submits
+        this.filterForm.addEventListener('input', () => this.applyFilters(this.readFilters()));
+        this.filterForm.addEventListener('submit', (event) => event.preventDefault());
+
+        // Back and forward restore the filters in the URL
+        window.addEventListener('popstate', () => {
+            this.filters = parseSearchParams(window.location.search);
+            this.showFilters();
+            this.renderRecipes();
+        });
+    }
+
+    /**
+     * Fill in the tag and collection filters from the recipes and the reader's collections
+     * A tag or collection in a bookmarked URL stays selectable even if nothing uses it any more.
+     * @param {Array<Object>} recipes - index.json entries with all their tags
+     * @param {Array<Object>} collections - The reader's collections
+     */
+    updateFilterOptions(recipes, collections) {
+        if (!this.filterForm) return;
+
+        const { elements } = this.filterForm;
+        const tags = [...new Set(recipes.flatMap(recipe => recipe.tags))].sort();
+        if (this.filters.tag && !tags.includes(this.filters.tag)) tags.push(this.filters.tag);
+        const collectionOptions = collections.map(collection => [collection.name, collection.id]);
+        if (this.filters.collection && !collections.some(collection => collection.id === this.filters.collection)) {
+            collectionOptions.push([this.filters.collection, this.filters.collection]);
+        }
+
+        // Keep the first option ("Any tag", "All recipes") and replace the rest
+        elements.tag.length = 1;
+        tags.forEach(tag => elements.tag.add(new Option(`#${tag}`, tag)));
+        elements.collection.length = 1;
+        collectionOptions.forEach(([name, id]) => elements.collection.add(new Option(name, id)));
+
+        elements.tag.value = this.filters.tag;
+        elements.collection.value = this.filters.collection;
+    }
+
+    /**
+     * Read the filters from the controls
+     * @returns {Object} Filters ({query, difficulty, time, tag, collection, sort, have})
+     */
+    readFilters() {
+        const { elements } = this.filterForm;
+        return {
+            query: elements.q.value,
+            difficulty: elements.difficulty.value,
+            time: elements.time.value,
+            tag: elements.tag.value,
+            collection: elements.collection.value,
+            sort: elements.sort.value,
+            have: elements.have.value
+        };
+    }
+
+    /**
+     * Show the current filters in the controls
+     */
+    showFilters() {
+        const { elements } = this.filterForm;
+        elements.q.value = this.filters.query;
+        elements.difficulty.value = this.filters.difficulty;
+        elements.time.value = this.filters.time;
+        elements.tag.value = this.filters.tag;
+        elements.collection.value = this.filters.collection;
+        elements.sort.value = this.filters.sort;
+        elements.have.value = this.filters.have;
+    }
+
+    /**
+     * Apply new filters, record them in the URL and redraw the grid
+     * @param {Object} filters - Filters ({query, difficulty, time, tag, collection, sort, have})
+     */
+    applyFilters(filters) {
+        this.filters = filters;
+
+        // Replace rather than push, so typing a search does not add a history entry per key
+        const url = `${window.location.pathname}${toSearchParams(filters)}${window.location.hash}`;
+        window.history.replaceState(null, '', url);
+
+        this.renderRecipes();
+    }
+
     /**
      * Loads and displays the list of recipes
      */
@@ -60,13 +179,47 @@ export class RecipeList {
             // Use the listRecipes function from recipe-data.js
             const recipeIndex = await listRecipes();
             this.recipeIndex = recipeIndex; // Store for reference
-            this.displayRecipes(recipeIndex.recipes);
+            this.ingredientIndex = buildIngredientIndex(recipeIndex.recipes);
+            this.renderRecipes();
         } catch (error) {
             console.error('Error loading recipes:', error);
             this.displayError(error);
         }
     }
 
+    /**
+     * Show the recipes that match the current filters
+     */
+    renderRecipes() {
+        if (!this.recipeIndex) return;
+
+        // Tags from the recipe files plus the ones the reader added
+        const allRecipes = (this.recipeIndex.recipes || []).map(recipe => ({ ...recipe, tags: getRecipeTags(recipe) }));
+        const collections = getCollections();
+        this.updateFilterOptions(allRecipes, collections);
+
+        // What you have, matched against every recipe's ingredients
+        const pantryMatches = this.filters.have
+            ? matchPantry(this.ingredientIndex, parsePantryItems(this.filters.have))
+            : [];
+        this.pantryMatches = new Map(pantryMatches.map(match => [match.id, match]));
+
+        const recipes = filterRecipes(allRecipes, this.filters, { cookedTimes: getCookedTimes(), collections, pantryMatches });
+        this.recipeGrid.innerHTML = '';
+
+        if (this.recipeCount) {
+            this.recipeCount.textContent = recipes.length === allRecipes.length
+                ? ''
+                : `Showing ${recipes.length} of ${allRecipes.length} recipes`;
+        }
+
+        if (allRecipes.length > 0 && recipes.length === 0) {
+            this.displayNoMatches();
+            return;
+        }
+        this.displayRecipes(recipes);
+    }
+
     /**
      * Displays the list of recipes in the grid
      * @param {Array} recipes - Array of recipe objects
@@ -98,18 +251,71 @@ export class RecipeList {
         // Handle image path - remove images/ prefix if it exists
         const imagePath = `${config.imagePath}/${recipe.thumbnail.replace(/^images\//, '')}`;
         const placeholderPath = `${config.imagePath}/placeholder.jpg`;
+        const pantryMatch = this.pantryMatches?.get(recipe.id);
         
         card.innerHTML = `
-            <img src="${imagePath}" alt="${recipe.title}" class="recipe-thumbnail" 
+            <img src="${imagePath}" alt="" class="recipe-thumbnail" 
                  onerror="this.src='${placeholderPath}'">
             <div class="recipe-info">
-                <h2 class="recipe-title">${recipe.title}</h2>
+                <h2 class="recipe-title"></h2>
                 <div class="recipe-meta">
                     <span>${recipe.time ? `${recipe.time}` : ''} ${recipe.difficulty ? `• ${recipe.difficulty}` : ''}</span>
                 </div>
-                ${recipe.description ? `<p class="recipe-description">${recipe.description}</p>` : ''}
+                ${recipe.description ? '<p class="recipe-description"></p>' : ''}
+                ${pantryMatch ? `
+                    <p class="recipe-pantry">You have ${pantryMatch.owned.length} of ${pantryMatch.total} ingredients</p>
+                    ${pantryMatch.missing.length > 0 ? '<p class="recipe-missing"></p>' : ''}
+                ` : ''}
+                <ul class="recipe-chips"></ul>
             </div>
         `;
+
+        // Recipe text can come from an imported page, so it is never read as HTML
+        card.querySelector('.recipe-thumbnail').alt = recipe.title;
+        card.querySelector('.recipe-title').textContent = recipe.title;
+        if (recipe.description) {
+            card.querySelector('.recipe-description').textContent = recipe.description;
+        }
+        if (pantryMatch && pantryMatch.missing.length > 0) {
+            card.querySelector('.recipe-missing').textContent = `Missing: ${pantryMatch.missing.join(', ')}`;
+        }
+
+        // Tags and collection names are typed by the reader, so they are set as text too
+        const chips = card.querySelector('.recipe-chips');
+        const addChip = (className, text, data = {}) => {
+            const item = document.createElement('li');
+            const chip = document.createElement('button');
+            chip.type = 'button';
+            chip.className = className;
+            chip.textContent = text;
+            Object.assign(chip.dataset, data);
+            item.appendChild(chip);
+            chips.appendChild(item);
+            return chip;
+        };
+        (recipe.tags || []).forEach(tag => addChip('recipe-chip', `#${tag}`, { tag }));
+        getRecipeCollections(recipe.id).forEach(collection => {
+            addChip('recipe-chip collection', collection.name, { collection: collection.id });
+        });
+        addChip('recipe-chip edit-tags', '+ Tag')
+            .setAttribute('aria-label', `Edit tags and collections for ${recipe.title}`);
+
+        // Chips filter the grid, and the edit chip opens the tags and collections editor
+        card.querySelector('.recipe-chips').addEventListener('click', (event) => {
+            const chip = event.target.closest('.recipe-chip');
+            if (!chip) return;
+            event.stopPropagation();
+
+            if (chip.classList.contains('edit-tags')) {
+                showTagsDialog(recipe);
+            } else if (chip.dataset.tag) {
+                this.applyFilters({ ...this.filters, tag: chip.dataset.tag });
+                if (this.filterForm) this.showFilters();
+            } else if (chip.dataset.collection) {
+                this.applyFilters({ ...this.filters, collection: chip.dataset.collection });
+                if (this.filterForm) this.showFilters();
+            }
+        });
         
         // Add click event to navigate to the recipe summary using the exact ID from index.json
         card.addEventListener('click', () => {
@@ -132,6 +338,23 @@ export class RecipeList {
         `;
     }
 
+    /**
+     * Displays a message when no recipe matches the filters
+     */
+    displayNoMatches() {
+        this.recipeGrid.innerHTML = `
+            <div class="message empty-state">
+                <h2>No Matching Recipes</h2>
+                <p>No recipe matches your search and filters.</p>
+                <button type="button" class="btn clear-filters">Clear Filters</button>
+            </div>
+        `;
+        this.recipeGrid.querySelector('.clear-filters').addEventListener('click', () => {
+            this.applyFilters(parseSearchParams(''));
+            if (this.filterForm) this.showFilters();
+        });
+    }
+
     /**
      * Displays an error message when loading fails
      * @param {Error} error - The error that occurred
@@ -147,8 +370,3 @@ export class RecipeList {
         `;
     }
 }
-
-// Initialize when the DOM is ready
-document.addEventListener('DOMContentLoaded', () => {
-    new RecipeList();
-}); 
\ No newline at end of file
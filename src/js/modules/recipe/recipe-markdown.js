@@ -0,0 +1,389 @@
+/**
+ * Markdown Recipes
+ * A Markdown dialect for writing and printing recipes, with a converter to our
+ * recipe format and back:
+ *
+ *   ---
+ *   difficulty: Easy
+ *   tags: weeknight, vegetarian
+ *   yields: 4 servings
+ *   totalTime: 40 minutes
+ *   ---
+ *
+ *   # Weeknight Dal
+ *
+ *   A description paragraph.
+ *
+ *   ## Ingredients
+ *   ### Produce
+ *   - **1 cup** Red lentils, _rinsed_
+ *
+ *   ## Preparation
+ *   ### Rinse the lentils
+ *   - Rinse until the water runs clear
+ *
+ *   ## Cooking
+ *   ### Simmer the dal
+ *   - Simmer until soft, about `20 minutes`
+ *
+ * Front matter holds the metadata, ingredient subheadings are shopping categories,
+ * each step is a heading with its bullets as list items, and durations in
+ * backticks (`20 minutes` or `name: 20 minutes`) are explicit step timers.
+ */
+
+const { slugify, normalizeTag } = require('./recipe-index');
+const { guessIngredientCategory } = require('./ingredient-category');
+const { QUANTITY, parseIngredientLine } = require('./ingredient-parser');
+const { setPath } = require('./recipe-cooklang');
+
+// Front matter keys and where they live in our recipe format
+const FRONT_MATTER_FIELDS = [
+  { key: 'id', path: ['id'] },
+  { key: 'title', path: ['title'] },
+  { key: 'difficulty', path: ['difficulty'] },
+  { key: 'tags', path: ['tags'], list: true },
+  { key: 'yields', path: ['metadata', 'yields'] },
+  { key: 'totalTime', path: ['metadata', 'totalTime'] },
+  { key: 'prepTime', path: ['metadata', 'prepTime'] },
+  { key: 'activeTime', path: ['metadata', 'activeTime'] },
+  { key: 'handsOffTime', path: ['metadata', 'handsOffTime'] },
+  { key: 'imageUrl', path: ['metadata', 'imageUrl'] },
+  { key: 'source', path: ['source', 'url'] },
+  { key: 'cookware', path: ['cookware'], list: true },
+  { key: 'autoAdvanceOnTimer', path: ['settings', 'autoAdvanceOnTimer'], boolean: true }
+];
+
+// Section headings and the part of the recipe they hold
+const SECTION_PATTERNS = [
+  { pattern: /^ingredients$/i, section: 'ingredients' },
+  { pattern: /^(?:prep|preparation|mise en place)$/i, section: 'prep' },
+  { pattern: /^(?:cooking|instructions|directions|method)$/i, section: 'cooking' }
+];
+
+const AMOUNT_PATTERN = new RegExp(`^(${QUANTITY})(?:\\s+(.*))?$`);
+
+// `20 minutes` or `simmer: 20 minutes` in step text
+const TIMER_PATTERN = /`(?:([^`:]+):\s*)?(\d+(?:\.\d+)?(?:-\d+(?:\.\d+)?)? (?:seconds?|minutes?|hours?))`/g;
+
+/**
+ * Read a front matter value, which may be a JSON-quoted string
+ * @param {string} raw - Value text
+ * @returns {string} Value
+ */
+function readFrontMatterValue(raw) {
+  const value = raw.trim();
+  if (value.startsWith('"')) {
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      return value.slice(1, -1);
+    }
+  }
+  return value.replace(/^'(.*)'$/, '$1');
+}
+
+/**
+ * Write a front matter value, quoting it when it would not read back as written
+ * @param {string} value - Value
+ * @returns {string} Value text
+ */
+function writeFrontMatterValue(value) {
+  const text = String(value);
+  return /^["'\s]|\s$|: |#/.test(text) ? JSON.stringify(text) : text;
+}
+
+/**
+ * Split a bold amount ("1 1/2 cups", "4 medium", "pinch") into quantity and unit
+ * @param {string} text - Amount text
+ * @returns {{quantity: string, unit: string}} Quantity and unit
+ */
+function splitAmount(text) {
+  const match = text.trim().match(AMOUNT_PATTERN);
+  if (!match) return { quantity: '', unit: text.trim() };
+  return { quantity: match[1], unit: (match[2] || '').trim() };
+}
+
+/**
+ * Parse an ingredient list item
+ * The canonical form is "**qty unit** Name, _notation_"; plain lines that start
+ * with an amount, such as "2 tablespoons olive oil, divided", go through the
+ * shared ingredient parser.
+ * @param {string} text - List item text
+ * @param {string} category - Category from the enclosing subheading, if any
+ * @returns {Object} Ingredient
+ */
+function parseIngredientItem(text, category) {
+  let line = text.trim();
+  let notation = '';
+
+  const italic = line.match(/^(.*?),?\s*_([^_]+)_$/);
+  if (italic) {
+    line = italic[1].trim();
+    notation = italic[2].trim();
+  }
+
+  let ingredient;
+  const bold = line.match(/^\*\*(.+?)\*\*\s*(.*)$/);
+  if (bold) {
+    ingredient = { name: bold[2].trim(), ...splitAmount(bold[1]) };
+  } else if (!splitAmount(line.split(/\s+/)[0]).quantity && !/^about\s/i.test(line)) {
+    // No amount: the whole line is the name, as written
+    ingredient = { name: line, quantity: '', unit: '' };
+  } else {
+    const parsed = parseIngredientLine(line);
+    ingredient = { name: parsed.name, quantity: parsed.quantity, unit: parsed.unit };
+    notation = [parsed.notation, notation].filter(Boolean).join(', ');
+  }
+
+  return {
+    ...ingredient,
+    category: category || guessIngredientCategory(ingredient.name),
+    ...(notation ? { notation } : {})
+  };
+}
+
+/**
+ * Take explicit timers out of one line of step text
+ * @param {string} text - Step text with `duration` markers
+ * @param {Array<Object>} timers - Timers found so far
+ * @param {number|undefined} bullet - Bullet index, undefined for the main step
+ * @returns {string} Text without the markers
+ */
+function parseTimers(text, timers, bullet) {
+  return text.replace(TIMER_PATTERN, (match, name, duration) => {
+    timers.push({
+      ...(name ? { name: name.trim() } : {}),
+      duration,
+      ...(bullet !== undefined ? { bullet } : {})
+    });
+    return duration;
+  });
+}
+
+/**
+ * Split Markdown into front matter and body lines
+ * @param {string} text - Markdown source
+ * @returns {{frontMatter: Array<Array<string>>, lines: Array<string>}}
+ */
+function splitFrontMatter(text) {
+  const source = String(text || '').replace(/\r\n?/g, '\n');
+  const match = source.match(/^---\n([\s\S]*?)\n---(?:\n|$)/);
+  if (!match) return { frontMatter: [], lines: source.split('\n') };
+
+  const frontMatter = match[1].split('\n')
+    .map(line => line.match(/^([\w-]+):\s*(.*)$/))
+    .filter(Boolean)
+    .map(entry => [entry[1], entry[2]]);
+  return { frontMatter, lines: source.slice(match[0].length).split('\n') };
+}
+
+/**
+ * Parse a Markdown recipe
+ * @param {string} text - Markdown source
+ * @param {Object} options - Parse options
+ * @param {string} options.id - Recipe ID (usually the filename); front matter `id` or a slug of the title otherwise
+ * @returns {Object} Recipe in our format
+ * @throws {Error} If the recipe has neither a title nor an ID
+ */
+function parseMarkdownRecipe(text, { id } = {}) {
+  const { frontMatter, lines } = splitFrontMatter(text);
+  const fields = { metadata: {} };
+
+  frontMatter.forEach(([key, raw]) => {
+    const field = FRONT_MATTER_FIELDS.find(entry => entry.key.toLowerCase() === key.toLowerCase());
+    const value = readFrontMatterValue(raw);
+    if (!field || !value) return;
+    if (field.key === 'tags') {
+      setPath(fields, field.path, [...new Set(value.split(',').map(normalizeTag).filter(Boolean))]);
+    } else if (field.list) {
+      setPath(fields, field.path, value.split(',').map(item => item.trim()).filter(Boolean));
+    } else if (field.boolean) {
+      setPath(fields, field.path, value === 'true');
+    } else if (field.key === 'difficulty') {
+      setPath(fields, field.path, value.charAt(0).toUpperCase() + value.slice(1).toLowerCase());
+    } else {
+      setPath(fields, field.path, value);
+    }
+  });
+
+  const description = [];
+  const ingredients = [];
+  const steps = { prep: [], cooking: [] };
+  let section = null;
+  let category = '';
+  let step = null;
+  let item = null;
+
+  const finishItem = () => {
+    if (!item) return;
+    if (section === 'ingredients') {
+      ingredients.push(parseIngredientItem(item, category));
+    } else if (step) {
+      step.bullets.push(parseTimers(item, step.timers, step.bullets.length));
+    }
+    item = null;
+  };
+
+  lines.forEach(rawLine => {
+    const line = rawLine.trim();
+    const heading = line.match(/^(#{1,6})\s+(.*?)\s*#*$/);
+    const listItem = rawLine.match(/^\s{0,3}(?:[-*+]|\d+[.)])\s+(.*)$/);
+
+    if (heading) {
+      finishItem();
+      const level = heading[1].length;
+      const title = heading[2];
+      if (level === 1) {
+        fields.title = fields.title || title;
+        section = null;
+      } else if (level === 2) {
+        const match = SECTION_PATTERNS.find(entry => entry.pattern.test(title));
+        section = match ? match.section : 'other';
+        category = '';
+        step = null;
+      } else if (section === 'ingredients') {
+        category = title;
+      } else if (section === 'prep' || section === 'cooking') {
+        const number = steps[section].length + 1;
+        step = {
+          id: `${section}-step-${number}`,
+          title: `${section === 'prep' ? 'Prep' : 'Cooking'} Step ${number}`,
+          mainStep: '',
+          bullets: [],
+          timers: []
+        };
+        step.mainStep = parseTimers(title.replace(/^(?:step\s+)?\d+[.:)]\s+/i, ''), step.timers, undefined);
+        steps[section].push(step);
+      }
+    } else if (listItem) {
+      finishItem();
+      item = listItem[1].trim();
+    } else if (!line) {
+      finishItem();
+    } else if (item) {
+      // Continuation of a wrapped list item
+      item = `${item} ${line}`;
+    } else if (section === null && fields.title) {
+      description.push(line);
+    }
+  });
+  finishItem();
+
+  const recipeId = id || fields.id || slugify(fields.title);
+  if (!recipeId) {
+    throw new Error('Markdown recipe needs a "# Title" heading or an ID');
+  }
+
+  const finishSteps = list => list.map(({ timers, ...rest }) => (timers.length > 0 ? { ...rest, timers } : rest));
+
+  return {
+    id: recipeId,
+    title: fields.title || '',
+    ...(fields.difficulty ? { difficulty: fields.difficulty } : {}),
+    ...(description.length > 0 ? { description: description.join(' ') } : {}),
+    ...(fields.tags ? { tags: fields.tags } : {}),
+    ...(fields.source ? { source: fields.source } : {}),
+    metadata: fields.metadata,
+    ...(fields.cookware ? { cookware: fields.cookware } : {}),
+    preparationSteps: finishSteps(steps.prep),
+    cookingSteps: finishSteps(steps.cooking),
+    ingredients,
+    ...(fields.settings ? { settings: fields.settings } : {})
+  };
+}
+
+/**
+ * Format an ingredient as a list item
+ * @param {Object} ingredient - Ingredient
+ * @returns {string} Markdown list item
+ */
+function formatIngredientItem(ingredient) {
+  const amount = [ingredient.quantity, ingredient.unit].filter(Boolean).join(' ');
+  const notation = ingredient.notation ? `, _${ingredient.notation}_` : '';
+  return `- ${amount ? `**${amount}** ` : ''}${ingredient.name}${notation}`;
+}
+
+/**
+ * Mark a line's explicit timers with backticks
+ * @param {string} text - Step text
+ * @param {Array<Object>} timers - Timers for this line
+ * @returns {string} Text with `duration` markers
+ */
+function formatTimers(text, timers) {
+  let result = text;
+  let searchFrom = 0;
+  timers.forEach(timer => {
+    const index = result.indexOf(timer.duration, searchFrom);
+    if (index === -1) return;
+    const marker = `\`${timer.name ? `${timer.name}: ` : ''}${timer.duration}\``;
+    result = result.slice(0, index) + marker + result.slice(index + timer.duration.length);
+    searchFrom = index + marker.length;
+  });
+  return result;
+}
+
+/**
+ * Format a list of steps as headings with bullets
+ * @param {Array<Object>} steps - Steps
+ * @returns {Array<string>} Markdown lines
+ */
+function formatSteps(steps) {
+  return steps.flatMap(step => {
+    const timersFor = bullet => (step.timers || []).filter(timer => timer.bullet === bullet);
+    return [
+      `### ${formatTimers(step.mainStep, timersFor(undefined))}`,
+      ...(step.bullets || []).map((bullet, index) => `- ${formatTimers(bullet, timersFor(index))}`),
+      ''
+    ];
+  });
+}
+
+/**
+ * Write a recipe as Markdown
+ * Ingredients are grouped under their category in order of first use.
+ * @param {Object} recipe - Recipe in our format
+ * @returns {string} Markdown source
+ */
+function serializeMarkdownRecipe(recipe) {
+  const values = {
+    id: recipe.id,
+    difficulty: recipe.difficulty,
+    tags: recipe.tags?.length ? recipe.tags.join(', ') : undefined,
+    ...Object.fromEntries(Object.entries(recipe.metadata || {})),
+    source: recipe.source?.url,
+    cookware: recipe.cookware?.length ? recipe.cookware.join(', ') : undefined,
+    autoAdvanceOnTimer: recipe.settings?.autoAdvanceOnTimer ? 'true' : undefined
+  };
+  const frontMatter = FRONT_MATTER_FIELDS
+    .filter(field => field.key !== 'title' && values[field.key])
+    .map(field => `${field.key}: ${writeFrontMatterValue(values[field.key])}`);
+
+  const lines = ['---', ...frontMatter, '---', '', `# ${recipe.title}`, ''];
+  if (recipe.description) {
+    lines.push(recipe.description, '');
+  }
+
+  lines.push('## Ingredients', '');
+  const categories = [...new Set((recipe.ingredients || []).map(ingredient => ingredient.category))];
+  categories.forEach(category => {
+    lines.push(`### ${category}`);
+    recipe.ingredients
+      .filter(ingredient => ingredient.category === category)
+      .forEach(ingredient => lines.push(formatIngredientItem(ingredient)));
+    lines.push('');
+  });
+
+  if ((recipe.preparationSteps || []).length > 0) {
+    lines.push('## Preparation', '', ...formatSteps(recipe.preparationSteps));
+  }
+  if ((recipe.cookingSteps || []).length > 0) {
+    lines.push('## Cooking', '', ...formatSteps(recipe.cookingSteps));
+  }
+
+  return `${lines.join('\n').trimEnd()}\n`;
+}
+
+module.exports = {
+  parseMarkdownRecipe,
+  serializeMarkdownRecipe
+};
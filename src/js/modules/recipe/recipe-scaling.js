@@ -0,0 +1,246 @@
+/**
+ * Recipe Scaling
+ * Scales ingredient quantities ("2", "½", "1 1/2", "2-3", "about 2") by a factor and
+ * rounds the result to fractions you can measure in a kitchen ("1⅓ cups", not "1.33").
+ * Also scales the servings in `metadata.yields` and the amounts written in step text.
+ */
+
+const { FRACTION_VALUES, FRACTION_GLYPHS, NUMBER, APPROXIMATE, RANGE_SEPARATOR, QUANTITY } = require('./ingredient-parser');
+
+const QUANTITY_PATTERN = new RegExp(`^(${APPROXIMATE})?(${NUMBER})(?:(${RANGE_SEPARATOR})(${NUMBER}))?$`, 'i');
+const NUMBER_PATTERN = new RegExp(`^(\\d+(?:\\.\\d+)?)?\\s*(?:(\\d+)\\s*\\/\\s*(\\d+)|([${FRACTION_GLYPHS}]))?$`);
+
+// Fractions a measured amount is rounded to: eighths and thirds below 1, quarters and thirds up to 10
+const SMALL_FRACTIONS = [0, 1 / 8, 1 / 4, 1 / 3, 3 / 8, 1 / 2, 5 / 8, 2 / 3, 3 / 4, 7 / 8, 1];
+const LARGE_FRACTIONS = [0, 1 / 4, 1 / 3, 1 / 2, 2 / 3, 3 / 4, 1];
+
+// Units that take an "s" in the plural; abbreviations such as "tsp" and "oz" stay as they are
+const COUNTABLE_UNITS = [
+  'tablespoon', 'teaspoon', 'cup', 'pound', 'ounce', 'gram', 'kilogram', 'milliliter', 'liter',
+  'quart', 'pint', 'can', 'package', 'jar', 'bottle', 'bag', 'clove', 'sprig', 'head', 'stalk',
+  'slice', 'stick', 'fillet', 'piece', 'handful'
+];
+const ES_PLURAL_UNITS = ['bunch', 'pinch', 'dash'];
+// What a recipe makes, in its yields text ("4 servings", "Makes 12 muffins")
+const YIELD_UNITS = ['serving', 'portion', 'muffin', 'cookie', 'cupcake', 'bar', 'roll', 'taco', 'burger'];
+const YIELD_AMOUNT_PATTERN = new RegExp(`(${QUANTITY})(\\s+)([A-Za-z]+)`, 'g');
+
+// An amount written just before an ingredient in step text: "2 Tablespoons of", "1 can (15 oz) diced"
+const UNIT_WORDS = [...COUNTABLE_UNITS.map(unit => `${unit}s?`), ...ES_PLURAL_UNITS.map(unit => `${unit}(?:es)?`),
+  'tbsp', 'tbs', 'tsp', 'lbs?', 'oz', 'g', 'kg', 'ml', 'l', 'large', 'medium', 'small'].join('|');
+const STEP_AMOUNT_PATTERN = new RegExp(`(?<![\\w./-])(${NUMBER}(?:${RANGE_SEPARATOR}${NUMBER})?)((?:\\s+(?:${UNIT_WORDS})\\.?)?(?:\\s*\\([^)]*\\))?(?:\\s+of)?(?:\\s+the)?(?:\\s+[a-z-]+){0,2}\\s+)$`, 'i');
+// Amounts of time, temperature or size are never ingredient amounts ("4 minute salmon timer", "2-inch cubes")
+const NOT_AN_AMOUNT_PATTERN = /^\s*(?:-\s*)?(?:seconds?|minutes?|min|hours?|inch(?:es)?|°|degrees?|(?:st|nd|rd|th)\b)/i;
+
+/**
+ * Read one number ("2", "½", "2½", "1 1/2", "3/4", "1.5")
+ * @param {string} text - Number text
+ * @returns {number} The value, or NaN
+ */
+function parseNumber(text) {
+  const value = String(text).trim();
+  const mixed = value.match(NUMBER_PATTERN);
+  if (!mixed || (!mixed[1] && !mixed[2] && !mixed[4])) return NaN;
+
+  const whole = mixed[1] ? parseFloat(mixed[1]) : 0;
+  if (mixed[2]) {
+    // "3/4" on its own, or the fraction of "1 1/2"
+    return whole + Number(mixed[2]) / Number(mixed[3]);
+  }
+  return whole + (mixed[4] ? FRACTION_VALUES[mixed[4]] : 0);
+}
+
+/**
+ * Parse an ingredient quantity
+ * @param {string} quantity - Quantity such as "2", "½", "2½", "1 1/2", "2-3" or "about 2"
+ * @returns {{min: number, max: number, prefix: string, separator: string}|null} The amount, or null if there is none
+ */
+function parseQuantity(quantity) {
+  const match = String(quantity || '').trim().match(QUANTITY_PATTERN);
+  if (!match) return null;
+
+  const min = parseNumber(match[2]);
+  const max = match[4] ? parseNumber(match[4]) : min;
+  if (Number.isNaN(min) || Number.isNaN(max)) return null;
+
+  return { min, max, prefix: match[1] || '', separator: match[3] ? '-' : '' };
+}
+
+/**
+ * Write an amount the way a cook would measure it
+ * Below 1 it is rounded to eighths or thirds, up to 10 to quarters or thirds, above that
+ * to whole numbers. A positive amount never rounds down to nothing.
+ * @param {number} value - Amount
+ * @returns {string} Amount such as "⅓", "1¼" or "12"
+ */
+function formatQuantity(value) {
+  if (!(value > 0)) return '0';
+  if (value >= 10) return String(Math.round(value));
+
+  const whole = Math.floor(value);
+  const fractions = value < 1 ? SMALL_FRACTIONS : LARGE_FRACTIONS;
+  const fraction = fractions.reduce((best, candidate) =>
+    Math.abs(value - whole - candidate) < Math.abs(value - whole - best) ? candidate : best);
+
+  const total = whole + fraction;
+  if (total === 0) return '⅛';
+  const glyph = Object.keys(FRACTION_VALUES).find(key => Math.abs(FRACTION_VALUES[key] - (total % 1)) < 1e-9);
+  const wholePart = Math.floor(total + 1e-9);
+  return `${wholePart || ''}${glyph || ''}` || '0';
+}
+
+/**
+ * Scale an ingredient quantity
+ * Quantities that are not amounts ("", "a few") are returned unchanged.
+ * @param {string} quantity - Quantity
+ * @param {number} factor - Scale factor (2 doubles the recipe)
+ * @returns {string} Scaled quantity
+ */
+function scaleQuantity(quantity, factor) {
+  const amount = parseQuantity(quantity);
+  if (!amount || factor === 1) return quantity;
+
+  const min = formatQuantity(amount.min * factor);
+  const max = formatQuantity(amount.max * factor);
+  return `${amount.prefix}${amount.separator && max !== min ? `${min}-${max}` : min}`;
+}
+
+/**
+ * Make a unit agree with its amount ("1 cup", "2 cups")
+ * Only the last word changes, so "15-oz can" becomes "15-oz cans".
+ * @param {string} unit - Unit
+ * @param {string} quantity - The quantity it follows
+ * @param {Array<string>} [units] - Units that take an "s" in the plural
+ * @returns {string} Unit in the singular or plural
+ */
+function matchUnitToQuantity(unit, quantity, units = COUNTABLE_UNITS) {
+  const amount = parseQuantity(quantity);
+  const match = String(unit || '').match(/^(.*?)([A-Za-z]+)$/);
+  if (!amount || !match) return unit;
+
+  const [, head, word] = match;
+  const plural = amount.max > 1;
+  const lower = word.toLowerCase();
+  const singular = ES_PLURAL_UNITS.find(base => lower === base || lower === `${base}es`)
+    || units.find(base => lower === base || lower === `${base}s`);
+  if (!singular) return unit;
+
+  const ending = ES_PLURAL_UNITS.includes(singular) ? 'es' : 's';
+  const stem = word.slice(0, singular.length);
+  return `${head}${plural ? `${stem}${ending}` : stem}`;
+}
+
+/**
+ * Scale an ingredient's quantity and make its unit agree
+ * @param {Object} ingredient - Ingredient
+ * @param {number} factor - Scale factor
+ * @returns {Object} Scaled copy of the ingredient
+ */
+function scaleIngredient(ingredient, factor) {
+  if (factor === 1 || !parseQuantity(ingredient.quantity)) return ingredient;
+
+  const quantity = scaleQuantity(ingredient.quantity, factor);
+  return { ...ingredient, quantity, unit: matchUnitToQuantity(ingredient.unit, quantity) };
+}
+
+/**
+ * Read the number of servings from a yields text ("4 servings", "Serves 6-8")
+ * @param {string} yields - Yields text
+ * @returns {number|null} Servings (the lower end of a range), or null if there is no number
+ */
+function parseServings(yields) {
+  const match = String(yields || '').match(/\d+(?:\.\d+)?/);
+  return match ? parseFloat(match[0]) : null;
+}
+
+/**
+ * Get the factor that scales a recipe to a number of servings
+ * @param {string} yields - Yields text of the recipe as written ("4 servings")
+ * @param {number} servings - Servings wanted
+ * @returns {number} Scale factor, or 1 if either number is missing
+ */
+function getServingsScale(yields, servings) {
+  const base = parseServings(yields);
+  const wanted = Number(servings);
+  return base && wanted > 0 ? wanted / base : 1;
+}
+
+/**
+ * Scale the numbers in a yields text ("4 servings" to "8 servings")
+ * The word after an amount agrees with it, so a quarter of "4 servings" is "1 serving".
+ * @param {string} yields - Yields text
+ * @param {number} factor - Scale factor
+ * @returns {string} Scaled yields text
+ */
+function scaleYields(yields, factor) {
+  if (!yields || factor === 1) return yields;
+  return yields
+    .replace(/\d+(?:\.\d+)?/g, number => formatQuantity(parseFloat(number) * factor))
+    .replace(YIELD_AMOUNT_PATTERN, (all, quantity, space, word) => `${quantity}${space}${matchUnitToQuantity(word, quantity, YIELD_UNITS)}`);
+}
+
+/**
+ * Scale the amounts written in front of ingredient mentions in step text
+ * "Add 2 Tablespoons of olive oil" doubled becomes "Add 4 Tablespoons of olive oil". Only an
+ * amount directly before a mention changes, so times, temperatures and sizes are left alone.
+ * @param {string} text - Step text
+ * @param {number} factor - Scale factor
+ * @param {Array<{start: number, end: number}>} mentions - Ingredient mentions in text order
+ *   (from ingredient-links.js findIngredientMentions)
+ * @returns {{text: string, mentions: Array<Object>}} Scaled text, with the mentions moved to match it
+ */
+function scaleStepText(text, factor, mentions) {
+  if (!text || factor === 1 || mentions.length === 0) return { text, mentions };
+
+  let result = '';
+  let position = 0;
+  const moved = mentions.map(mention => {
+    const before = text.slice(position, mention.start);
+    const match = before.match(STEP_AMOUNT_PATTERN);
+    if (match && !NOT_AN_AMOUNT_PATTERN.test(match[2]) && parseQuantity(match[1])) {
+      const amountStart = before.length - match[0].length;
+      const quantity = scaleQuantity(match[1].replace(/\s*(?:-|–|to)\s*/, '-'), factor);
+      const words = match[2].replace(/^(\s+)([A-Za-z]+)/, (all, space, word) => `${space}${matchUnitToQuantity(word, quantity)}`);
+      result += `${before.slice(0, amountStart)}${quantity}${words}`;
+    } else {
+      result += before;
+    }
+
+    const start = result.length;
+    result += text.slice(mention.start, mention.end);
+    position = mention.end;
+    return { ...mention, start, end: result.length };
+  });
+
+  return { text: result + text.slice(position), mentions: moved };
+}
+
+/**
+ * Scale a recipe's ingredients and yields
+ * Steps are left as written; scale their text with scaleStepText when showing them.
+ * @param {Object} recipe - Recipe
+ * @param {number} factor - Scale factor
+ * @returns {Object} Scaled copy of the recipe
+ */
+function scaleRecipe(recipe, factor) {
+  if (factor === 1) return recipe;
+
+  return {
+    ...recipe,
+    metadata: { ...recipe.metadata, yields: scaleYields(recipe.metadata?.yields, factor) },
+    ingredients: (recipe.ingredients || []).map(ingredient => scaleIngredient(ingredient, factor))
+  };
+}
+
+module.exports = {
+  parseQuantity,
+  formatQuantity,
+  scaleQuantity,
+  matchUnitToQuantity,
+  scaleIngredient,
+  parseServings,
+  getServingsScale,
+  scaleYields,
+  scaleStepText,
+  scaleRecipe
+};
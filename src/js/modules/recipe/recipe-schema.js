@@ -0,0 +1,244 @@
+/**
+ * Recipe Schema
+ * Validates recipe files and index.json against the JSON Schemas in ./schema.
+ * Shared by the runtime loader, the API server and the validate-recipes tool.
+ *
+ * Supports the subset of JSON Schema (draft-07) the recipe schemas use:
+ * type, enum, const, pattern, minLength, maxLength, minimum, maximum,
+ * minItems, uniqueItems, items, required, properties, additionalProperties,
+ * anyOf, oneOf and local "#/definitions/..." references.
+ */
+
+const recipeSchema = require('./schema/recipe.schema.json');
+const recipeIndexSchema = require('./schema/recipe-index.schema.json');
+
+const RECIPE_SCHEMA_VERSION = recipeSchema.version;
+const RECIPE_INDEX_SCHEMA_VERSION = recipeIndexSchema.version;
+
+// Shopping list categories allowed in a recipe's ingredients
+const INGREDIENT_CATEGORIES = recipeSchema.definitions.category.enum;
+
+// Keywords whose failures mean the data cannot be used at all
+const STRUCTURAL_KEYWORDS = ['required', 'type', 'parse'];
+
+/**
+ * Escape a property name for use in a JSON pointer
+ * @param {string|number} token - Property name or array index
+ * @returns {string} Escaped token
+ */
+function escapePointerToken(token) {
+  return String(token).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+/**
+ * Get the JSON Schema type name of a value
+ * @param {*} value - Any JSON value
+ * @returns {string} JSON Schema type
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+/**
+ * Check a value against a JSON Schema type (or list of types)
+ * @param {*} value - Any JSON value
+ * @param {string|Array<string>} expected - Expected type(s)
+ * @returns {boolean} True if the value has one of the types
+ */
+function matchesType(value, expected) {
+  const actual = typeOf(value);
+  const types = Array.isArray(expected) ? expected : [expected];
+  return types.some(type => type === actual || (type === 'number' && actual === 'integer'));
+}
+
+/**
+ * Resolve a local "#/definitions/name" reference
+ * @param {Object} rootSchema - The schema containing the definitions
+ * @param {string} ref - The reference
+ * @returns {Object} The referenced schema
+ */
+function resolveRef(rootSchema, ref) {
+  if (!ref.startsWith('#/')) {
+    throw new Error(`Unsupported schema reference: ${ref}`);
+  }
+
+  return ref.slice(2).split('/').reduce((node, token) => {
+    const key = token.replace(/~1/g, '/').replace(/~0/g, '~');
+    if (!node || !(key in node)) {
+      throw new Error(`Unresolvable schema reference: ${ref}`);
+    }
+    return node[key];
+  }, rootSchema);
+}
+
+/**
+ * Describe a schema's expected value for error messages
+ * @param {Object} schema - The schema
+ * @returns {string} Description suffix, or an empty string
+ */
+function describe(schema) {
+  return schema.description ? ` (${schema.description})` : '';
+}
+
+/**
+ * Recursively validate a value, collecting errors
+ * @param {*} value - The value to validate
+ * @param {Object} schema - The schema for this value
+ * @param {Object} rootSchema - The top-level schema (for $ref)
+ * @param {string} path - JSON pointer to the value
+ * @param {Array<Object>} errors - Collected errors
+ */
+function validateNode(value, schema, rootSchema, path, errors) {
+  if (schema.$ref) {
+    validateNode(value, resolveRef(rootSchema, schema.$ref), rootSchema, path, errors);
+    return;
+  }
+
+  const addError = (keyword, message) => {
+    errors.push({ path, keyword, message: `${path || '/'} ${message}` });
+  };
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    addError('type', `must be ${[].concat(schema.type).join(' or ')}, found ${typeOf(value)}`);
+    return;
+  }
+
+  if (schema.enum && !schema.enum.some(option => option === value)) {
+    addError('enum', `must be one of: ${schema.enum.map(option => JSON.stringify(option)).join(', ')}; found ${JSON.stringify(value)}`);
+  }
+
+  if ('const' in schema && schema.const !== value) {
+    addError('const', `must be ${JSON.stringify(schema.const)}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      addError('minLength', schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      addError('maxLength', `must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) {
+      addError('pattern', `has an invalid value ${JSON.stringify(value)}${describe(schema)}`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      addError('minimum', `must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      addError('maximum', `must be <= ${schema.maximum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      addError('minItems', `must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`);
+    }
+    if (schema.uniqueItems) {
+      const seen = new Set();
+      value.forEach((item, index) => {
+        const key = JSON.stringify(item);
+        if (seen.has(key)) {
+          errors.push({ path: `${path}/${index}`, keyword: 'uniqueItems', message: `${path}/${index} duplicates an earlier item` });
+        }
+        seen.add(key);
+      });
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        validateNode(item, schema.items, rootSchema, `${path}/${index}`, errors);
+      });
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    (schema.required || []).forEach(property => {
+      if (!(property in value)) {
+        addError('required', `is missing required property "${property}"`);
+      }
+    });
+
+    const properties = schema.properties || {};
+    Object.keys(value).forEach(property => {
+      const propertyPath = `${path}/${escapePointerToken(property)}`;
+      if (properties[property]) {
+        validateNode(value[property], properties[property], rootSchema, propertyPath, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: propertyPath, keyword: 'additionalProperties', message: `${path || '/'} has unknown property "${property}"` });
+      } else if (typeof schema.additionalProperties === 'object') {
+        validateNode(value[property], schema.additionalProperties, rootSchema, propertyPath, errors);
+      }
+    });
+  }
+
+  if (schema.anyOf || schema.oneOf) {
+    const options = schema.anyOf || schema.oneOf;
+    const passing = options.filter(option => {
+      const optionErrors = [];
+      validateNode(value, option, rootSchema, path, optionErrors);
+      return optionErrors.length === 0;
+    }).length;
+
+    if (schema.anyOf && passing === 0) {
+      addError('anyOf', `does not match any allowed shape${describe(schema)}`);
+    } else if (schema.oneOf && passing !== 1) {
+      addError('oneOf', `must match exactly one allowed shape${describe(schema)}`);
+    }
+  }
+}
+
+/**
+ * Validate data against a schema
+ * @param {Object} schema - JSON Schema
+ * @param {*} data - Data to validate
+ * @returns {{valid: boolean, errors: Array<{path: string, keyword: string, message: string}>}}
+ */
+function validate(schema, data) {
+  const errors = [];
+  validateNode(data, schema, schema, '', errors);
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Validate a recipe against the recipe schema
+ * @param {Object} recipe - Recipe data
+ * @returns {{valid: boolean, errors: Array<Object>}}
+ */
+function validateRecipe(recipe) {
+  return validate(recipeSchema, recipe);
+}
+
+/**
+ * Validate index.json against the recipe index schema
+ * @param {Object} index - Recipe index data
+ * @returns {{valid: boolean, errors: Array<Object>}}
+ */
+function validateRecipeIndex(index) {
+  return validate(recipeIndexSchema, index);
+}
+
+/**
+ * Check whether any errors make the data unusable (missing or mistyped fields)
+ * @param {Array<Object>} errors - Validation errors
+ * @returns {boolean} True if at least one error is structural
+ */
+function hasStructuralErrors(errors) {
+  return errors.some(error => STRUCTURAL_KEYWORDS.includes(error.keyword));
+}
+
+module.exports = {
+  RECIPE_SCHEMA_VERSION,
+  RECIPE_INDEX_SCHEMA_VERSION,
+  INGREDIENT_CATEGORIES,
+  recipeSchema,
+  recipeIndexSchema,
+  validate,
+  validateRecipe,
+  validateRecipeIndex,
+  hasStructuralErrors
+};
@@ -0,0 +1,153 @@
+/**
+ * Recipe Search Module
+ * Searches, filters and sorts the index.json entries shown on the recipe grid, and
+ * reads and writes the query in the page URL (?q=chili&difficulty=Easy&time=quick&tag=one-pot&sort=time)
+ * so a filtered view can be bookmarked. `have` lists what you have in the kitchen
+ * (?have=chicken,rice); the grid then shows the recipes you can make with it, best match first.
+ */
+
+// Time filters, by the upper end of the recipe's total time
+export const TIME_BUCKETS = [
+    { value: 'quick', label: '30 minutes or less', max: 30 },
+    { value: 'medium', label: '30 to 60 minutes', max: 60 },
+    { value: 'long', label: 'Over an hour', max: Infinity }
+];
+
+export const DIFFICULTIES = ['Easy', 'Medium', 'Hard'];
+
+// Tags and collection IDs are slugs
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+// Sort orders; the default keeps the order of index.json
+export const SORT_OPTIONS = [
+    { value: '', label: 'Default order' },
+    { value: 'time', label: 'Total time' },
+    { value: 'title', label: 'Title' },
+    { value: 'recent', label: 'Recently cooked' }
+];
+
+/**
+ * Lowercase text and strip accents so "jalapeno" finds "Jalapeño"
+ * @param {string} text - Text
+ * @returns {string} Text to compare
+ */
+function normalizeSearchText(text) {
+    return String(text || '')
+        .toLowerCase()
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '');
+}
+
+/**
+ * Read the filters from a URL query string
+ * Unknown difficulties, time buckets and sort orders are ignored.
+ * @param {string} search - Query string, e.g. window.location.search
+ * @returns {Object} Filters ({query, difficulty, time, tag, collection, sort, have})
+ */
+export function parseSearchParams(search) {
+    const params = new URLSearchParams(search || '');
+    const pick = (name, allowed) => (allowed.includes(params.get(name)) ? params.get(name) : '');
+    const slug = name => (SLUG_PATTERN.test(params.get(name) || '') ? params.get(name) : '');
+
+    return {
+        query: (params.get('q') || '').trim(),
+        difficulty: pick('difficulty', DIFFICULTIES),
+        time: pick('time', TIME_BUCKETS.map(bucket => bucket.value)),
+        tag: slug('tag'),
+        collection: slug('collection'),
+        sort: pick('sort', SORT_OPTIONS.map(option => option.value)),
+        have: (params.get('have') || '').trim()
+    };
+}
+
+/**
+ * Write filters as a URL query string
+ * @param {Object} filters - Filters ({query, difficulty, time, tag, collection, sort, have})
+ * @returns {string} Query string such as "?q=chili&sort=time", or "" when nothing is filtered
+ */
+export function toSearchParams(filters) {
+    const params = new URLSearchParams();
+    if (filters.query) params.set('q', filters.query.trim());
+    if (filters.difficulty) params.set('difficulty', filters.difficulty);
+    if (filters.time) params.set('time', filters.time);
+    if (filters.tag) params.set('tag', filters.tag);
+    if (filters.collection) params.set('collection', filters.collection);
+    if (filters.sort) params.set('sort', filters.sort);
+    if (filters.have?.trim()) params.set('have', filters.have.trim());
+
+    const search = params.toString();
+    return search ? `?${search}` : '';
+}
+
+/**
+ * Find the time bucket for a number of minutes
+ * @param {number|undefined} minutes - Total time in minutes
+ * @returns {string} Bucket value, or "" when the recipe has no time
+ */
+export function getTimeBucket(minutes) {
+    if (typeof minutes !== 'number') return '';
+    return TIME_BUCKETS.find(bucket => minutes <= bucket.max).value;
+}
+
+/**
+ * Check whether an index entry matches a search
+ * Every word of the search must appear in the title, the description, a tag or an ingredient name.
+ * @param {Object} entry - index.json entry
+ * @param {string} query - Search text
+ * @returns {boolean} True if the entry matches
+ */
+export function matchesQuery(entry, query) {
+    const words = normalizeSearchText(query).split(/\s+/).filter(Boolean);
+    if (words.length === 0) return true;
+
+    const haystack = normalizeSearchText([entry.title, entry.description, ...(entry.tags || []), ...(entry.ingredients || [])].join('\n'));
+    return words.every(word => haystack.includes(word));
+}
+
+/**
+ * Search, filter and sort index entries
+ * @param {Array<Object>} recipes - index.json entries, in index order, with the reader's tags added to `tags`
+ * @param {Object} filters - Filters ({query, difficulty, time, tag, collection, sort, have})
+ * @param {Object} [context] - What the reader has stored locally
+ * @param {Object<string, number>} [context.cookedTimes] - When each recipe was last cooked, for sort=recent
+ * @param {Array<Object>} [context.collections] - Collections ({ id, recipeIds }), for the collection filter
+ * @param {Array<Object>} [context.pantryMatches] - Recipes matching `have`, best first (from matchPantry)
+ * @returns {Array<Object>} The matching entries in display order
+ */
+export function filterRecipes(recipes, filters, { cookedTimes = {}, collections = [], pantryMatches = [] } = {}) {
+    const collection = filters.collection ? collections.find(entry => entry.id === filters.collection) : null;
+    const pantryRanks = filters.have ? new Map(pantryMatches.map((match, rank) => [match.id, rank])) : null;
+    const matches = (recipes || []).filter(entry =>
+        matchesQuery(entry, filters.query)
+        && (!filters.difficulty || entry.difficulty === filters.difficulty)
+        && (!filters.time || getTimeBucket(entry.totalMinutes) === filters.time)
+        && (!filters.tag || (entry.tags || []).includes(filters.tag))
+        && (!filters.collection || Boolean(collection?.recipeIds.includes(entry.id)))
+        && (!pantryRanks || pantryRanks.has(entry.id)));
+
+    // Array.prototype.sort is stable, so ties keep the index order
+    switch (filters.sort) {
+        case 'time':
+            // Recipes without a time go last
+            return matches.sort((a, b) => (a.totalMinutes ?? Infinity) - (b.totalMinutes ?? Infinity));
+        case 'title':
+            return matches.sort((a, b) => a.title.localeCompare(b.title));
+        case 'recent':
+            // Recipes never cooked keep the index order after the ones that were
+            return matches.sort((a, b) => (cookedTimes[b.id] || 0) - (cookedTimes[a.id] || 0));
+        default:
+            // What you can make with what you have comes first
+            return pantryRanks ? matches.sort((a, b) => pantryRanks.get(a.id) - pantryRanks.get(b.id)) : matches;
+    }
+}
+
+export default {
+    TIME_BUCKETS,
+    DIFFICULTIES,
+    SORT_OPTIONS,
+    parseSearchParams,
+    toSearchParams,
+    getTimeBucket,
+    matchesQuery,
+    filterRecipes
+};
@@ -0,0 +1,69 @@
+/**
+ * Recipe Servings Module
+ * Remembers how much each recipe is scaled, so the summary page, the shopping list
+ * and cooking mode all show the same amounts.
+ */
+
+import { getFromStorage, setToStorage } from '../utils/common.js';
+import { getServingsScale } from './recipe-scaling.js';
+import eventBus from '../../core/events/event-bus.js';
+
+// Storage key for the scale factor of each recipe, by recipe ID
+const SCALES_STORAGE_KEY = 'recipe-viewer-scales';
+
+// Smallest scale the servings control allows
+export const MIN_SCALE = 0.25;
+
+/**
+ * Get the scale a recipe is cooked at
+ * @param {string} recipeId - Recipe ID
+ * @returns {number} Scale factor (1 when the recipe has not been scaled)
+ */
+export function getRecipeScale(recipeId) {
+    const scale = getFromStorage(SCALES_STORAGE_KEY, {})[recipeId];
+    return typeof scale === 'number' && scale > 0 ? scale : 1;
+}
+
+/**
+ * Set the scale a recipe is cooked at
+ * Publishes 'recipe:scale:changed' with the recipe ID and scale.
+ * @param {string} recipeId - Recipe ID
+ * @param {number} scale - Scale factor (2 doubles the recipe)
+ * @returns {number} The scale that was stored
+ */
+export function setRecipeScale(recipeId, scale) {
+    const value = Math.max(MIN_SCALE, Number(scale) || 1);
+    const scales = getFromStorage(SCALES_STORAGE_KEY, {});
+
+    if (value === 1) {
+        delete scales[recipeId];
+    } else {
+        scales[recipeId] = value;
+    }
+    setToStorage(SCALES_STORAGE_KEY, scales);
+
+    console.log(`Recipe ${recipeId} scaled to ${value}x`);
+    eventBus.publish('recipe:scale:changed', { recipeId, scale: value });
+    return value;
+}
+
+/**
+ * Scale a recipe to the servings asked for in the page address (?servings=6), as the
+ * meal planner links to it
+ * @param {string} recipeId - Recipe ID
+ * @param {Object} recipe - Recipe as written, for its yields
+ * @param {string} [search] - Query string of the page
+ * @returns {number} The recipe's scale, changed or not
+ */
+export function applyServingsFromUrl(recipeId, recipe, search = window.location.search) {
+    const servings = new URLSearchParams(search).get('servings');
+    if (!servings) return getRecipeScale(recipeId);
+    return setRecipeScale(recipeId, getServingsScale(recipe.metadata?.yields, servings));
+}
+
+export default {
+    MIN_SCALE,
+    getRecipeScale,
+    setRecipeScale,
+    applyServingsFromUrl
+};
@@ -7,8 +7,15 @@
 import '../../../styles/main.css';
 
 import { loadRecipeData, listRecipes } from './recipe-data.js';
-import { initializeShoppingList, showShoppingList } from '../shopping/shopping-list.js';
+import { showShoppingList } from '../shopping/shopping-list.js';
+import { addRecipeToShoppingList, isOnShoppingList } from '../shopping/shopping-list-store.js';
 import { formatTime } from '../core/utils/utils.js';
+import { toSchemaOrgRecipe } from './recipe-export.js';
+import { formatIngredientLine } from './ingredient-parser.js';
+import { scaleRecipe, parseServings } from './recipe-scaling.js';
+import { setRecipeScale, applyServingsFromUrl, MIN_SCALE } from './recipe-servings.js';
+import { convertIngredient } from './unit-conversion.js';
+import { getUnitSystem, setUnitSystem, onUnitSystemChange } from './unit-preference.js';
 import eventBus from '../../core/events/event-bus.js';
 
 // Configure asset paths based on environment
@@ -34,6 +41,9 @@ const isDevelopment = isBrowser ?
 const ENV = isDevelopment ? 'development' : 'production';
 const config = ASSET_CONFIG[ENV];
 
+// ID of the JSON-LD script element in the page head
+const JSON_LD_SCRIPT_ID = 'recipe-json-ld';
+
 // Simple function to get recipe ID from URL query parameter
 function getRecipeIdFromUrl() {
     const urlParams = new URLSearchParams(window.location.search);
@@ -52,6 +62,9 @@ class RecipeSummary {
         // Extract recipe ID from URL search parameters
         this.recipeId = getRecipeIdFromUrl();
         console.log('Recipe ID from URL:', this.recipeId);
+
+        // Scale of the ingredient amounts (2 doubles the recipe)
+        this.scale = 1;
         
         if (!this.recipeId) {
             this.displayError(new Error('No recipe ID provided'));
@@ -88,6 +101,10 @@ class RecipeSummary {
             title: document.getElementById('recipe-title'),
             image: document.getElementById('recipe-image'),
             yields: document.getElementById('recipe-yields'),
+            servingsDecrease: document.getElementById('servings-decrease'),
+            servingsIncrease: document.getElementById('servings-increase'),
+            scalePresets: document.getElementById('scale-presets'),
+            unitToggle: document.getElementById('unit-toggle'),
             totalTime: document.getElementById('recipe-time'),
             prepTime: document.getElementById('recipe-prep-time'),
             activeTime: document.getElementById('recipe-active-time'),
@@ -95,6 +112,7 @@ class RecipeSummary {
             ingredientsList: document.getElementById('ingredients-list'),
             startCookingBtn: document.getElementById('start-cooking'),
             shoppingListBtn: document.getElementById('shopping-list'),
+            addToShoppingListBtn: document.getElementById('add-to-shopping-list'),
             mainContent: document.querySelector('.recipe-main-content')
         };
 
@@ -161,18 +179,118 @@ class RecipeSummary {
         });
 
         this.elements.shoppingListBtn.addEventListener('click', () => {
-            if (this.currentRecipe?.ingredients) {
-                console.log('Triggering shopping list with ingredients:', this.currentRecipe.ingredients);
-                // Initialize shopping list
-                initializeShoppingList(this.currentRecipe.ingredients);
-                // Trigger the event instead of directly calling showShoppingList
-                eventBus.publish('recipe:shopping:show');
-            } else {
-                console.error('No ingredients available for shopping list');
+            // A recipe viewed on its own is put on the list first
+            if (!isOnShoppingList(this.recipeId)) {
+                this.addToShoppingList();
             }
+            // Trigger the event instead of directly calling showShoppingList
+            eventBus.publish('recipe:shopping:show');
+        });
+
+        if (this.elements.addToShoppingListBtn) {
+            this.elements.addToShoppingListBtn.addEventListener('click', () => {
+                this.addToShoppingList();
+                this.elements.addToShoppingListBtn.textContent = 'Added to Shopping List';
+            });
+        }
+
+        if (this.elements.servingsDecrease && this.elements.servingsIncrease) {
+            this.elements.servingsDecrease.addEventListener('click', () => this.stepServings(-1));
+            this.elements.servingsIncrease.addEventListener('click', () => this.stepServings(1));
+        }
+
+        if (this.elements.scalePresets) {
+            this.elements.scalePresets.addEventListener('click', (event) => {
+                const preset = event.target.closest('[data-scale]');
+                if (preset) {
+                    this.setScale(parseFloat(preset.dataset.scale));
+                }
+            });
+        }
+
+        if (this.elements.unitToggle) {
+            this.elements.unitToggle.addEventListener('click', (event) => {
+                const option = event.target.closest('[data-units]');
+                if (option) {
+                    setUnitSystem(option.dataset.units, 'recipe-summary');
+                }
+            });
+        }
+
+        // Show the amounts again whenever the units change, here or on another page module
+        onUnitSystemChange(() => {
+            if (this.currentRecipe) this.displayServings(this.currentRecipe);
         });
     }
 
+    /**
+     * Add or remove a serving
+     * Recipes whose yields have no number ("1 loaf") step by half the recipe instead.
+     * @param {number} direction - 1 for more servings, -1 for fewer
+     */
+    stepServings(direction) {
+        const baseServings = parseServings(this.currentRecipe?.metadata?.yields);
+        if (baseServings) {
+            const servings = Math.max(1, Math.round(baseServings * this.scale) + direction);
+            this.setScale(servings / baseServings);
+        } else {
+            this.setScale(this.scale + direction * 0.5);
+        }
+    }
+
+    /**
+     * Scale the recipe and show the new amounts
+     * The scale is remembered for the shopping list and cooking mode.
+     * @param {number} scale - Scale factor (2 doubles the recipe)
+     */
+    setScale(scale) {
+        if (!this.currentRecipe) return;
+        this.scale = setRecipeScale(this.recipeId, scale);
+        this.displayServings(this.currentRecipe);
+    }
+
+    /**
+     * Show the yields and ingredient amounts for the current scale and units
+     * @param {Object} recipe - The displayed recipe
+     */
+    displayServings(recipe) {
+        const scaled = scaleRecipe(recipe, this.scale);
+        const units = getUnitSystem();
+        const ingredients = scaled.ingredients?.map(ingredient => convertIngredient(ingredient, units));
+
+        if (this.elements.yields) this.elements.yields.textContent = scaled.metadata?.yields || 'Not specified';
+
+        // Update ingredients list
+        if (this.elements.ingredientsList) {
+            // Quantity and unit come first, then any notation such as "to taste"
+            const ingredientsHtml = ingredients?.map(ingredient => `<li>${formatIngredientLine(ingredient)}</li>`)
+                .join('') || '<li>No ingredients listed</li>';
+            
+            console.log('Setting ingredients HTML:', ingredientsHtml.substring(0, 100) + '...');
+            this.elements.ingredientsList.innerHTML = ingredientsHtml;
+        }
+
+        // Reflect the scale in the controls
+        const baseServings = parseServings(recipe.metadata?.yields);
+        if (this.elements.servingsDecrease) {
+            this.elements.servingsDecrease.disabled = baseServings
+                ? Math.round(baseServings * this.scale) <= 1
+                : this.scale - 0.5 < MIN_SCALE;
+        }
+        if (this.elements.scalePresets) {
+            this.elements.scalePresets.querySelectorAll('[data-scale]').forEach(preset => {
+                preset.classList.toggle('active', parseFloat(preset.dataset.scale) === this.scale);
+            });
+        }
+        if (this.elements.unitToggle) {
+            this.elements.unitToggle.querySelectorAll('[data-units]').forEach(option => {
+                const active = option.dataset.units === units;
+                option.classList.toggle('active', active);
+                option.setAttribute('aria-pressed', String(active));
+            });
+        }
+    }
+
     async loadRecipe() {
         console.log('Loading recipe data for ID:', this.recipeId);
         try {
@@ -254,30 +372,16 @@ class RecipeSummary {
 
         // Update metadata
         console.log('Updating metadata with:', recipe.metadata);
-        if (this.elements.yields) this.elements.yields.textContent = recipe.metadata?.yields || 'Not specified';
         if (this.elements.totalTime) this.elements.totalTime.textContent = recipe.metadata?.totalTime || 'Not specified';
         if (this.elements.prepTime) this.elements.prepTime.textContent = recipe.metadata?.prepTime || 'Not specified';
         if (this.elements.activeTime) this.elements.activeTime.textContent = recipe.metadata?.activeTime || 'Not specified';
         if (this.elements.handsOffTime) this.elements.handsOffTime.textContent = recipe.metadata?.handsOffTime || 'Not specified';
 
-        // Update ingredients list
-        if (this.elements.ingredientsList) {
-            const ingredientsHtml = recipe.ingredients?.map(ingredient => {
-                // Check if there's a notation like "to taste"
-                if (ingredient.notation) {
-                    return `<li>${ingredient.name}, ${ingredient.notation}</li>`;
-                }
-                
-                // Handle normal ingredients with quantity/unit format
-                const quantityText = ingredient.quantity || '';
-                const unitText = ingredient.unit ? ` ${ingredient.unit}` : '';
-                
-                return `<li>${quantityText}${unitText} ${ingredient.name}</li>`;
-            }).join('') || '<li>No ingredients listed</li>';
-            
-            console.log('Setting ingredients HTML:', ingredientsHtml.substring(0, 100) + '...');
-            this.elements.ingredientsList.innerHTML = ingredientsHtml;
-        }
+        // Update yields and ingredients at the scale chosen for this recipe, or for the servings in the link
+        this.scale = applyServingsFromUrl(this.recipeId, recipe);
+        this.displayServings(recipe);
+
+        this.updateStructuredData(recipe);
 
         // Store current recipe for shopping list functionality
         this.currentRecipe = recipe;
@@ -291,6 +395,42 @@ class RecipeSummary {
         console.log('Recipe display complete');
     }
 
+    /**
+     * Put the recipe on the shopping list at the chosen servings, or update the servings if it is there
+     */
+    addToShoppingList() {
+        if (!this.currentRecipe?.ingredients) {
+            console.error('No ingredients available for shopping list');
+            return;
+        }
+        const { ingredients } = scaleRecipe(this.currentRecipe, this.scale);
+        addRecipeToShoppingList({ id: this.recipeId, title: this.currentRecipe.title, ingredients });
+    }
+
+    /**
+     * Embed the recipe as schema.org JSON-LD so link previews and other tools can read it
+     * @param {Object} recipe - The displayed recipe
+     */
+    updateStructuredData(recipe) {
+        try {
+            const jsonLd = toSchemaOrgRecipe(recipe, {
+                imageBaseUrl: new URL(config.imagePath, window.location.origin).href,
+                url: window.location.href
+            });
+
+            let script = document.getElementById(JSON_LD_SCRIPT_ID);
+            if (!script) {
+                script = document.createElement('script');
+                script.type = 'application/ld+json';
+                script.id = JSON_LD_SCRIPT_ID;
+                document.head.appendChild(script);
+            }
+            script.textContent = JSON.stringify(jsonLd, null, 2);
+        } catch (error) {
+            console.warn('Could not embed recipe JSON-LD:', error);
+        }
+    }
+
     displayError(error) {
         console.error('Recipe error:', error);
         
@@ -0,0 +1,151 @@
+/**
+ * Recipe Tags Dialog
+ * Lets the reader edit a recipe's tags and the collections it is in from the recipe
+ * grid, and download their tags and collections as a JSON file. Everything is stored
+ * locally by recipe-collections.js.
+ */
+
+import {
+    getUserTags,
+    setUserTags,
+    getCollections,
+    getRecipeCollections,
+    setRecipeCollections,
+    createCollection,
+    deleteCollection,
+    exportTagsAndCollections
+} from './recipe-collections.js';
+import { downloadText } from '../utils/common.js';
+
+const MODAL_ID = 'recipe-tags-modal';
+const EXPORT_FILENAME = 'recipe-tags-and-collections.json';
+
+/**
+ * Close the tags dialog if it is open
+ */
+export function closeTagsDialog() {
+    const modal = document.getElementById(MODAL_ID);
+    if (modal) {
+        modal.remove();
+    }
+}
+
+/**
+ * Show the tags and collections editor for a recipe
+ * Tags from the recipe file are shown but can only be changed in the file.
+ * @param {Object} recipe - index.json entry
+ */
+export function showTagsDialog(recipe) {
+    closeTagsDialog();
+
+    const fileTags = (recipe.tags || []).filter(tag => !getUserTags(recipe.id).includes(tag));
+    const modal = document.createElement('div');
+    modal.className = 'recipe-tags-modal';
+    modal.id = MODAL_ID;
+
+    modal.innerHTML = `
+        <div class="recipe-tags-content" role="dialog" aria-labelledby="recipe-tags-title">
+            <span class="close-btn" aria-label="Close">&times;</span>
+            <h2 id="recipe-tags-title">Tags &amp; Collections</h2>
+            <p class="recipe-tags-recipe"></p>
+            <label class="recipe-tags-label" for="recipe-tags-input">Your tags, separated by commas</label>
+            <input type="text" id="recipe-tags-input" class="recipe-tags-input" placeholder="weeknight, one-pot">
+            <p class="recipe-tags-help" ${fileTags.length === 0 ? 'hidden' : ''}></p>
+            <fieldset class="recipe-collections">
+                <legend>Collections</legend>
+                <ul class="recipe-collections-list"></ul>
+                <div class="recipe-collections-new">
+                    <input type="text" class="recipe-collection-name" placeholder="New collection" aria-label="New collection name">
+                    <button type="button" class="secondary-button recipe-collection-add">Add</button>
+                </div>
+            </fieldset>
+            <p class="recipe-tags-error" role="alert" hidden></p>
+            <div class="recipe-tags-actions">
+                <button type="button" class="secondary-button recipe-tags-cancel">Cancel</button>
+                <button type="button" class="primary-button recipe-tags-save">Save</button>
+            </div>
+        </div>
+    `;
+
+    // Set from the data rather than the template so titles and names are not read as HTML
+    modal.querySelector('.recipe-tags-recipe').textContent = recipe.title;
+    modal.querySelector('.recipe-tags-help').textContent = `From the recipe: ${fileTags.map(tag => `#${tag}`).join(' ')}`;
+    const tagsInput = modal.querySelector('.recipe-tags-input');
+    tagsInput.value = getUserTags(recipe.id).join(', ');
+
+    const list = modal.querySelector('.recipe-collections-list');
+    const nameInput = modal.querySelector('.recipe-collection-name');
+    const errorMessage = modal.querySelector('.recipe-tags-error');
+    const checked = new Set(getRecipeCollections(recipe.id).map(collection => collection.id));
+
+    const showError = message => {
+        errorMessage.textContent = message;
+        errorMessage.hidden = false;
+    };
+
+    // Draw the collection checkboxes, keeping the ticks made so far
+    const renderCollections = () => {
+        list.innerHTML = '';
+        getCollections().forEach(collection => {
+            const item = document.createElement('li');
+            item.innerHTML = `
+                <label><input type="checkbox"> <span></span></label>
+                <button type="button" class="recipe-collection-delete" aria-label="Delete collection">&times;</button>
+            `;
+            const checkbox = item.querySelector('input');
+            checkbox.checked = checked.has(collection.id);
+            checkbox.addEventListener('change', () => {
+                if (checkbox.checked) {
+                    checked.add(collection.id);
+                } else {
+                    checked.delete(collection.id);
+                }
+            });
+            item.querySelector('span').textContent = collection.name;
+            item.querySelector('.recipe-collection-delete').addEventListener('click', () => {
+                if (window.confirm(`Delete the collection "${collection.name}"? Its recipes are kept.`)) {
+                    deleteCollection(collection.id);
+                    checked.delete(collection.id);
+                    renderCollections();
+                }
+            });
+            list.appendChild(item);
+        });
+    };
+
+    modal.querySelector('.recipe-collection-add').addEventListener('click', () => {
+        errorMessage.hidden = true;
+        try {
+            const collection = createCollection(nameInput.value);
+            checked.add(collection.id);
+            nameInput.value = '';
+            renderCollections();
+        } catch (error) {
+            showError(error.message);
+        }
+    });
+
+    modal.querySelector('.close-btn').addEventListener('click', closeTagsDialog);
+    modal.querySelector('.recipe-tags-cancel').addEventListener('click', closeTagsDialog);
+    modal.addEventListener('click', event => {
+        if (event.target === modal) closeTagsDialog();
+    });
+
+    modal.querySelector('.recipe-tags-save').addEventListener('click', () => {
+        setUserTags(recipe.id, tagsInput.value);
+        setRecipeCollections(recipe.id, [...checked]);
+        console.log(`Saved tags and collections for "${recipe.id}"`);
+        closeTagsDialog();
+    });
+
+    renderCollections();
+    document.body.appendChild(modal);
+    tagsInput.focus();
+}
+
+/**
+ * Download the reader's tags and collections as a JSON file
+ */
+export function downloadTagsAndCollections() {
+    downloadText(JSON.stringify(exportTagsAndCollections(), null, 2), EXPORT_FILENAME, 'application/json');
+}
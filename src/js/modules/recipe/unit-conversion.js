@@ -0,0 +1,316 @@
+/**
+ * Unit Conversion
+ * Converts ingredient amounts between US units (cups, ounces, pounds) and metric units
+ * (grams, milliliters), and oven temperatures between °F and °C. Dry pantry items
+ * measured by the cup become grams using their density; liquids become milliliters.
+ * Teaspoons and tablespoons are used in both systems and are left alone.
+ */
+
+const { parseQuantity, formatQuantity, matchUnitToQuantity } = require('./recipe-scaling');
+
+const UNIT_SYSTEMS = ['us', 'metric'];
+
+// Milliliters per unit of volume
+const VOLUME_UNITS = {
+  teaspoon: 4.92892,
+  tablespoon: 14.7868,
+  'fluid ounce': 29.5735,
+  cup: 236.588,
+  pint: 473.176,
+  quart: 946.353,
+  gallon: 3785.41,
+  milliliter: 1,
+  liter: 1000
+};
+
+// Grams per unit of weight
+const WEIGHT_UNITS = {
+  ounce: 28.3495,
+  pound: 453.592,
+  gram: 1,
+  kilogram: 1000
+};
+
+// Spellings found in recipes, by unit
+const UNIT_ALIASES = {
+  teaspoon: ['teaspoons', 'tsp', 'tsps'],
+  tablespoon: ['tablespoons', 'tbsp', 'tbsps', 'tbs'],
+  'fluid ounce': ['fluid ounces', 'fl oz', 'fl. oz'],
+  cup: ['cups', 'c'],
+  pint: ['pints', 'pt'],
+  quart: ['quarts', 'qt'],
+  gallon: ['gallons', 'gal'],
+  milliliter: ['milliliters', 'millilitre', 'millilitres', 'ml'],
+  liter: ['liters', 'litre', 'litres', 'l'],
+  ounce: ['ounces', 'oz'],
+  pound: ['pounds', 'lb', 'lbs'],
+  gram: ['grams', 'gramme', 'grammes', 'g'],
+  kilogram: ['kilograms', 'kg', 'kgs']
+};
+
+// Units written in each system; spoons belong to both
+const METRIC_UNITS = ['milliliter', 'liter', 'gram', 'kilogram'];
+const SPOON_UNITS = ['teaspoon', 'tablespoon'];
+
+// How metric amounts are written
+const METRIC_ABBREVIATIONS = { milliliter: 'ml', liter: 'l', gram: 'g', kilogram: 'kg' };
+
+// Grams per cup of common dry pantry items, most specific first
+const INGREDIENT_DENSITIES = [
+  [/\bbread flour\b/, 127],
+  [/\bwhole wheat flour\b/, 120],
+  [/\bflour\b/, 125],
+  [/\bbrown sugar\b/, 213],
+  [/\b(?:powdered|confectioners'?|icing) sugar\b/, 120],
+  [/\bsugar\b/, 200],
+  [/\bcocoa\b/, 85],
+  [/\bcornstarch\b/, 128],
+  [/\bbaking (?:powder|soda)\b/, 230],
+  [/\bpeanut butter\b/, 258],
+  [/\bbutter\b/, 227],
+  [/\bhoney\b/, 340],
+  [/\b(?:rolled |old-fashioned )?oats\b/, 90],
+  [/\bcouscous\b/, 173],
+  [/\bquinoa\b/, 170],
+  [/\blentils\b/, 192],
+  [/\brice\b/, 185],
+  [/\b(?:breadcrumbs|panko)\b/, 60],
+  [/\b(?:parmesan|pecorino)\b/, 100],
+  [/\b(?:shredded|grated) (?:cheddar|mozzarella|cheese)\b|\bcheddar\b|\bmozzarella\b/, 113],
+  [/\bchocolate chips\b/, 170],
+  [/\b(?:cashews|almonds|walnuts|pecans|peanuts|nuts)\b/, 140],
+  [/\bpeas\b/, 145],
+  [/\bcorn\b/, 165]
+];
+
+// Liquids, and names that contain a dry item's name but are something else ("rice vinegar",
+// "sugar snap peas"), which are never weighed by density
+const NOT_BY_DENSITY = /\b(?:vinegar|wine|milk|oil|broth|stock|sauce|syrup|water|juice|cream|extract|sugar snap|lettuce|tortillas?|noodles|paper|cakes?)\b/;
+
+/**
+ * Find the unit a spelling stands for ("Tablespoons", "tbsp" and "tablespoon" are all "tablespoon")
+ * @param {string} unit - Unit as written
+ * @returns {string|null} The unit, or null if it is not a unit of volume or weight
+ */
+function normalizeUnit(unit) {
+  const text = String(unit || '').trim().toLowerCase().replace(/\.$/, '');
+  if (!text) return null;
+  if (VOLUME_UNITS[text] || WEIGHT_UNITS[text]) return text;
+  return Object.keys(UNIT_ALIASES).find(name => UNIT_ALIASES[name].includes(text)) || null;
+}
+
+/**
+ * Look up how many grams a cup of an ingredient weighs
+ * @param {string} name - Ingredient name
+ * @returns {number|null} Grams per cup, or null for liquids and unknown items
+ */
+function getIngredientDensity(name) {
+  const text = String(name || '').toLowerCase();
+  if (NOT_BY_DENSITY.test(text)) return null;
+  const entry = INGREDIENT_DENSITIES.find(([pattern]) => pattern.test(text));
+  return entry ? entry[1] : null;
+}
+
+/**
+ * Round a metric amount the way a scale or jug reads
+ * @param {number} value - Amount
+ * @returns {string} Amount such as "7.5", "45" or "120"
+ */
+function formatMetricAmount(value) {
+  if (value < 10) return String(Math.round(value * 2) / 2);
+  if (value < 1000) return String(Math.round(value / 5) * 5);
+  return String(Math.round(value / 10) * 10);
+}
+
+/**
+ * Write an amount in the unit it was converted to
+ * @param {string} system - "metric" or "us"
+ * @param {string} unit - Unit the amount is in
+ * @param {number} value - Amount
+ * @returns {string} Kitchen fractions for US units, "1.25" for liters and kilograms, rounded grams and milliliters otherwise
+ */
+function formatAmount(system, unit, value) {
+  if (system === 'us') return formatQuantity(value);
+  if (unit === 'liter' || unit === 'kilogram') return String(Math.round(value * 100) / 100);
+  return formatMetricAmount(value);
+}
+
+/**
+ * Pick the unit an amount reads best in
+ * @param {string} system - "metric" or "us"
+ * @param {string} measure - "weight" (grams) or "volume" (milliliters)
+ * @param {number} amount - The smallest amount, in grams or milliliters
+ * @returns {string} Unit
+ */
+function pickUnit(system, measure, amount) {
+  if (system === 'metric') {
+    if (measure === 'weight') return amount >= 1000 ? 'kilogram' : 'gram';
+    return amount >= 1000 ? 'liter' : 'milliliter';
+  }
+  if (measure === 'weight') return amount >= WEIGHT_UNITS.pound ? 'pound' : 'ounce';
+  if (amount < VOLUME_UNITS.tablespoon) return 'teaspoon';
+  if (amount < VOLUME_UNITS.cup / 4) return 'tablespoon';
+  return 'cup';
+}
+
+/**
+ * Convert an amount with a unit to a unit system
+ * In metric, cups of dry items with a known density become grams and other volumes milliliters;
+ * in US units, grams of those items become cups and other weights ounces or pounds.
+ * @param {string} quantity - Quantity ("2", "1½", "2-3")
+ * @param {string} unit - Unit as written
+ * @param {string} system - "metric" or "us"
+ * @param {number|null} density - Grams per cup of the ingredient
+ * @returns {{quantity: string, unit: string}|null} The converted amount, or null if it needs no conversion
+ */
+function convertAmount(quantity, unit, system, density = null) {
+  const name = normalizeUnit(unit);
+  const amount = parseQuantity(quantity);
+  if (!name || !amount || !UNIT_SYSTEMS.includes(system)) return null;
+
+  // Already in the system, or a spoon measure both systems use
+  if (SPOON_UNITS.includes(name) || METRIC_UNITS.includes(name) === (system === 'metric')) return null;
+
+  // Work in grams or milliliters, switching between them where the density allows
+  let measure = WEIGHT_UNITS[name] ? 'weight' : 'volume';
+  let factor = WEIGHT_UNITS[name] || VOLUME_UNITS[name];
+  if (density && system === 'metric' && measure === 'volume') {
+    measure = 'weight';
+    factor = factor / VOLUME_UNITS.cup * density;
+  } else if (density && system === 'us' && measure === 'weight') {
+    measure = 'volume';
+    factor = factor / density * VOLUME_UNITS.cup;
+  }
+
+  // Both ends of a range use the unit that suits the lower end
+  const target = pickUnit(system, measure, amount.min * factor);
+  const size = WEIGHT_UNITS[target] || VOLUME_UNITS[target];
+  const low = formatAmount(system, target, amount.min * factor / size);
+  const high = formatAmount(system, target, amount.max * factor / size);
+  const converted = `${amount.prefix}${amount.separator && high !== low ? `${low}-${high}` : low}`;
+
+  return {
+    quantity: converted,
+    unit: system === 'metric' ? METRIC_ABBREVIATIONS[target] : matchUnitToQuantity(target, converted)
+  };
+}
+
+/**
+ * Convert the size in a package unit ("15-ounce can" to "425-g can")
+ * @param {string} unit - Unit
+ * @param {string} system - "metric" or "us"
+ * @returns {string|null} The converted unit, or null if it has no size to convert
+ */
+function convertPackageUnit(unit, system) {
+  const match = String(unit || '').match(/^(\d+(?:\.\d+)?)[-\s]([A-Za-z. ]+?)\s+([A-Za-z]+)$/);
+  if (!match) return null;
+
+  const name = normalizeUnit(match[2]);
+  if (!name || SPOON_UNITS.includes(name) || METRIC_UNITS.includes(name) === (system === 'metric')) return null;
+
+  // Package sizes stay in one unit: grams or milliliters, ounces or fluid ounces
+  const value = parseFloat(match[1]);
+  const weight = Boolean(WEIGHT_UNITS[name]);
+  const base = value * (weight ? WEIGHT_UNITS[name] : VOLUME_UNITS[name]);
+  if (system === 'metric') {
+    return `${formatMetricAmount(base)}-${weight ? 'g' : 'ml'} ${match[3]}`;
+  }
+  const size = base / (weight ? WEIGHT_UNITS.ounce : VOLUME_UNITS['fluid ounce']);
+  return `${Math.round(size * 2) / 2}-${weight ? 'oz' : 'fl oz'} ${match[3]}`;
+}
+
+/**
+ * Convert an ingredient's amount to a unit system
+ * Ingredients without a unit of volume or weight ("2 cloves", "to taste") are returned unchanged.
+ * @param {Object} ingredient - Ingredient
+ * @param {string} system - "metric" or "us"
+ * @returns {Object} Converted copy of the ingredient
+ */
+function convertIngredient(ingredient, system) {
+  const packageUnit = convertPackageUnit(ingredient.unit, system);
+  if (packageUnit) {
+    return { ...ingredient, unit: packageUnit };
+  }
+
+  const converted = convertAmount(ingredient.quantity, ingredient.unit, system, getIngredientDensity(ingredient.name));
+  return converted ? { ...ingredient, ...converted } : ingredient;
+}
+
+/**
+ * Measure an amount so it can be compared with another of the same ingredient
+ * Weights are in grams and volumes in milliliters; cups of an item with a known density are
+ * weighed. Amounts without a unit of volume or weight are counted in their own unit ("2 cloves"),
+ * or as a "count" when they have none ("2 carrots").
+ * @param {string|number} quantity - Quantity ("2", "1½", "2-3"); a range counts as its upper end
+ * @param {string} unit - Unit as written
+ * @param {number|null} density - Grams per cup of the ingredient
+ * @returns {{measure: string, value: number}|null} Measure ("weight", "volume" or the unit) and amount,
+ *   or null when there is no amount ("to taste")
+ */
+function measureAmount(quantity, unit, density = null) {
+  const amount = parseQuantity(String(quantity ?? ''));
+  if (!amount) return null;
+
+  const name = normalizeUnit(unit);
+  if (name && WEIGHT_UNITS[name]) return { measure: 'weight', value: amount.max * WEIGHT_UNITS[name] };
+  if (name && density) return { measure: 'weight', value: amount.max * VOLUME_UNITS[name] / VOLUME_UNITS.cup * density };
+  if (name) return { measure: 'volume', value: amount.max * VOLUME_UNITS[name] };
+
+  // "cloves" and "clove" are the same count
+  return { measure: String(unit || '').trim().toLowerCase().replace(/s$/, '') || 'count', value: amount.max };
+}
+
+/**
+ * Write a measured amount in US units, e.g. after adding several amounts together
+ * @param {{measure: string, value: number}} amount - Weight in grams or volume in milliliters (from measureAmount)
+ * @returns {{quantity: string, unit: string}} Amount in the unit it reads best in ("⅜ cup", "1½ pounds")
+ */
+function formatMeasure({ measure, value }) {
+  const unit = pickUnit('us', measure, value);
+  const quantity = formatAmount('us', unit, value / (WEIGHT_UNITS[unit] || VOLUME_UNITS[unit]));
+  return { quantity, unit: matchUnitToQuantity(unit, quantity) };
+}
+
+// "375°F", "190 °C", "350 degrees F", "400°" and the "400o" typo
+const TEMPERATURE_PATTERN = /(\d{2,3})\s*(?:°|º|degrees?)\s*([FC])?(?![A-Za-z])|(\d{3})o(?![A-Za-z0-9])/g;
+// A temperature without a scale is only taken as one in the same sentence as the oven ("rotate 90 degrees" is not)
+const OVEN_BEFORE_PATTERN = /\b(?:oven|preheat(?:ed)?|bake|roast|broil)\b[^.!?]*$/i;
+const OVEN_AFTER_PATTERN = /^[^.!?]{0,15}\boven\b/i;
+// Ovens go up to about 260°C, so an oven temperature above that is in °F
+const HIGHEST_OVEN_CELSIUS = 260;
+
+/**
+ * Convert the temperatures in step text ("Preheat oven to 375°F" to "Preheat oven to 190°C")
+ * Oven temperatures are rounded to 5 degrees, lower ones such as doneness temperatures to 1. A temperature
+ * without a scale ("400°") is only converted when the sentence is about the oven.
+ * @param {string} text - Step text
+ * @param {string} system - "metric" or "us"
+ * @returns {string} Text with its temperatures in °C for metric or °F for US
+ */
+function convertTemperatures(text, system) {
+  if (!text || !UNIT_SYSTEMS.includes(system)) return text;
+
+  return text.replace(TEMPERATURE_PATTERN, (match, degrees, scale, typoDegrees, offset) => {
+    const value = Number(degrees || typoDegrees);
+    if (!scale && !OVEN_BEFORE_PATTERN.test(text.slice(0, offset)) && !OVEN_AFTER_PATTERN.test(text.slice(offset + match.length))) {
+      return match;
+    }
+
+    const from = scale || (value > HIGHEST_OVEN_CELSIUS ? 'F' : 'C');
+    const to = system === 'metric' ? 'C' : 'F';
+    const converted = from === to ? value : (to === 'C' ? (value - 32) * 5 / 9 : value * 9 / 5 + 32);
+    const step = (to === 'C' ? converted >= 100 : converted >= 212) ? 5 : 1;
+    return `${Math.round(converted / step) * step}°${to}`;
+  });
+}
+
+module.exports = {
+  UNIT_SYSTEMS,
+  normalizeUnit,
+  getIngredientDensity,
+  convertAmount,
+  convertIngredient,
+  convertTemperatures,
+  measureAmount,
+  formatMeasure
+};
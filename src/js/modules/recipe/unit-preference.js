@@ -0,0 +1,76 @@
+/**
+ * Unit Preference Module
+ * Keeps the reader's choice of US or metric units in the 'preferences' state namespace
+ * and in localStorage, so every page shows amounts and temperatures the same way.
+ */
+
+import { getFromStorage, setToStorage } from '../utils/common.js';
+import stateManager from '../../core/state/state-manager.js';
+import { UNIT_SYSTEMS } from './unit-conversion.js';
+
+// Storage key for the unit system
+const UNITS_STORAGE_KEY = 'recipe-viewer-units';
+
+// Recipes are written in US units, so that is what a new reader sees
+export const DEFAULT_UNIT_SYSTEM = 'us';
+
+/**
+ * Make sure the 'preferences' namespace exists, seeded from localStorage
+ */
+function ensurePreferences() {
+    if (stateManager.namespaces.has('preferences')) return;
+
+    const stored = getFromStorage(UNITS_STORAGE_KEY, DEFAULT_UNIT_SYSTEM);
+    stateManager.initNamespace('preferences', {
+        units: UNIT_SYSTEMS.includes(stored) ? stored : DEFAULT_UNIT_SYSTEM
+    });
+}
+
+/**
+ * Get the unit system the reader prefers
+ * @returns {string} "us" or "metric"
+ */
+export function getUnitSystem() {
+    ensurePreferences();
+    return stateManager.getState('preferences').units;
+}
+
+/**
+ * Set the unit system the reader prefers
+ * @param {string} system - "us" or "metric"
+ * @param {string} [source] - Who made the change, passed on to subscribers
+ * @returns {string} The unit system that is now in use
+ */
+export function setUnitSystem(system, source = '') {
+    if (!UNIT_SYSTEMS.includes(system)) {
+        throw new Error(`Unknown unit system "${system}"; expected one of ${UNIT_SYSTEMS.join(', ')}`);
+    }
+
+    ensurePreferences();
+    setToStorage(UNITS_STORAGE_KEY, system);
+    stateManager.setState('preferences', { units: system }, source);
+
+    console.log(`Showing amounts in ${system} units`);
+    return system;
+}
+
+/**
+ * Call back whenever the unit system changes
+ * @param {Function} callback - Called with the new unit system
+ * @returns {Function} Unsubscribe function
+ */
+export function onUnitSystemChange(callback) {
+    ensurePreferences();
+    return stateManager.subscribe('preferences', ({ oldState, newState }) => {
+        if (oldState.units !== newState.units) {
+            callback(newState.units);
+        }
+    });
+}
+
+export default {
+    DEFAULT_UNIT_SYSTEM,
+    getUnitSystem,
+    setUnitSystem,
+    onUnitSystemChange
+};
@@ -0,0 +1,113 @@
+/**
+ * Pantry Dialog
+ * Lets the reader list what they have in the kitchen: add items with an amount, mark
+ * staples that are always there and take items out. Everything is stored locally by pantry.js.
+ */
+
+import { getPantry, setPantryItem, removePantryItem } from './pantry.js';
+
+const MODAL_ID = 'pantry-modal';
+
+/**
+ * Close the pantry dialog if it is open
+ */
+export function closePantryDialog() {
+    const modal = document.getElementById(MODAL_ID);
+    if (modal) {
+        modal.remove();
+    }
+}
+
+/**
+ * Show the pantry editor
+ * @param {Object} [options] - Options
+ * @param {Function} [options.onClose] - Called when the dialog closes, e.g. to redraw a shopping list
+ */
+export function showPantryDialog({ onClose } = {}) {
+    closePantryDialog();
+
+    const modal = document.createElement('div');
+    modal.className = 'pantry-modal';
+    modal.id = MODAL_ID;
+
+    modal.innerHTML = `
+        <div class="pantry-content" role="dialog" aria-labelledby="pantry-title">
+            <span class="close-btn" aria-label="Close">&times;</span>
+            <h2 id="pantry-title">Pantry</h2>
+            <p class="pantry-help">
+                What you have at home. Leave the amount empty if you do not keep count; staples are
+                never used up. Finishing a recipe in cooking mode takes what it used.
+            </p>
+            <ul class="pantry-items"></ul>
+            <form class="pantry-new">
+                <input type="text" name="name" placeholder="Rice" aria-label="Item">
+                <input type="text" name="quantity" inputmode="decimal" placeholder="Amount" aria-label="Amount">
+                <input type="text" name="unit" placeholder="cups" aria-label="Unit">
+                <label><input type="checkbox" name="staple"> Staple</label>
+                <button type="submit" class="secondary-button">Add</button>
+            </form>
+            <p class="pantry-error" role="alert" hidden></p>
+        </div>
+    `;
+
+    const list = modal.querySelector('.pantry-items');
+    const form = modal.querySelector('.pantry-new');
+    const errorMessage = modal.querySelector('.pantry-error');
+
+    const close = () => {
+        closePantryDialog();
+        if (onClose) onClose();
+    };
+
+    // Draw the items, with names set as text so they are not read as HTML
+    const renderItems = () => {
+        list.innerHTML = '';
+        getPantry().forEach(item => {
+            const row = document.createElement('li');
+            row.className = item.staple ? 'staple' : '';
+            row.innerHTML = `
+                <span class="pantry-item-name"></span>
+                <span class="pantry-item-amount"></span>
+                <button type="button" class="pantry-item-remove" aria-label="Remove">&times;</button>
+            `;
+            row.querySelector('.pantry-item-name').textContent = item.name;
+            row.querySelector('.pantry-item-amount').textContent = item.staple
+                ? 'Staple'
+                : (item.quantity === null ? 'Some' : `${item.quantity} ${item.unit}`.trim());
+            row.querySelector('.pantry-item-remove').addEventListener('click', () => {
+                removePantryItem(item.name);
+                renderItems();
+            });
+            list.appendChild(row);
+        });
+    };
+
+    form.addEventListener('submit', (event) => {
+        event.preventDefault();
+        errorMessage.hidden = true;
+        const { elements } = form;
+        try {
+            setPantryItem({
+                name: elements.name.value,
+                quantity: elements.quantity.value.trim(),
+                unit: elements.unit.value,
+                staple: elements.staple.checked
+            });
+            form.reset();
+            elements.name.focus();
+            renderItems();
+        } catch (error) {
+            errorMessage.textContent = error.message;
+            errorMessage.hidden = false;
+        }
+    });
+
+    modal.querySelector('.close-btn').addEventListener('click', close);
+    modal.addEventListener('click', event => {
+        if (event.target === modal) close();
+    });
+
+    renderItems();
+    document.body.appendChild(modal);
+    form.elements.name.focus();
+}
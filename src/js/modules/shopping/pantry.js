@@ -0,0 +1,184 @@
+/**
+ * Pantry Module
+ * Keeps what the reader has in the kitchen in localStorage: each item's name, how much
+ * is left and whether it is a staple that is always there. The shopping list checks
+ * ingredients against it, and finishing a recipe in cooking mode uses up what it called for.
+ */
+
+import { getFromStorage, setToStorage } from '../utils/common.js';
+import { matchesIngredient, normalizeIngredientName } from '../recipe/ingredient-index.js';
+import { getIngredientDensity, measureAmount } from '../recipe/unit-conversion.js';
+import eventBus from '../../core/events/event-bus.js';
+
+// Storage key for the pantry items ({ name, quantity, unit, staple })
+const PANTRY_STORAGE_KEY = 'recipe-viewer-pantry';
+
+// What a new pantry starts with
+export const DEFAULT_PANTRY = [
+    { name: 'Salt', quantity: null, unit: '', staple: true },
+    { name: 'Black pepper', quantity: null, unit: '', staple: true },
+    { name: 'Olive oil', quantity: null, unit: '', staple: true }
+];
+
+// How much of an ingredient the pantry covers
+export const PANTRY_STATUS = {
+    HAVE: 'have',
+    PARTIAL: 'partial',
+    NEED: 'need'
+};
+
+/**
+ * Reduce a name to the ingredient it is, so "Garlic cloves" and "garlic" are one item
+ * @param {string} name - Item name
+ * @returns {string} Key
+ */
+function toKey(name) {
+    return normalizeIngredientName(name)[0] || String(name || '').trim().toLowerCase();
+}
+
+/**
+ * Get the pantry
+ * @returns {Array<{name: string, quantity: number|null, unit: string, staple: boolean}>} Items, in the
+ *   order they were added; a null quantity means there is some but it is not counted
+ */
+export function getPantry() {
+    return getFromStorage(PANTRY_STORAGE_KEY, null) || DEFAULT_PANTRY.map(item => ({ ...item }));
+}
+
+/**
+ * Save the pantry and let the pages know
+ * @param {Array<Object>} pantry - Items
+ */
+function savePantry(pantry) {
+    setToStorage(PANTRY_STORAGE_KEY, pantry);
+    eventBus.publish('pantry:changed', { pantry });
+}
+
+/**
+ * Add an item to the pantry, or replace the item for the same ingredient
+ * @param {Object} item - Item
+ * @param {string} item.name - Name, e.g. "Rice"
+ * @param {number|string|null} [item.quantity] - How much there is; empty when it is not counted
+ * @param {string} [item.unit] - Unit of the quantity, e.g. "cups"
+ * @param {boolean} [item.staple] - Always there, never used up
+ * @returns {Object} The item that was stored
+ * @throws {Error} If the name or quantity is not usable
+ */
+export function setPantryItem({ name, quantity = null, unit = '', staple = false }) {
+    const trimmed = String(name || '').trim();
+    if (!trimmed) {
+        throw new Error('A pantry item needs a name');
+    }
+
+    const amount = quantity === null || quantity === '' ? null : Number(quantity);
+    if (amount !== null && !(amount >= 0)) {
+        throw new Error(`"${quantity}" is not an amount`);
+    }
+
+    const item = { name: trimmed, quantity: amount, unit: String(unit || '').trim(), staple: Boolean(staple) };
+    const key = toKey(trimmed);
+    const pantry = getPantry();
+    const index = pantry.findIndex(entry => toKey(entry.name) === key);
+
+    if (index === -1) {
+        pantry.push(item);
+    } else {
+        pantry[index] = item;
+    }
+    savePantry(pantry);
+
+    console.log(`Pantry has ${trimmed}`);
+    return item;
+}
+
+/**
+ * Take an item out of the pantry
+ * @param {string} name - Item name
+ */
+export function removePantryItem(name) {
+    const key = toKey(name);
+    savePantry(getPantry().filter(entry => toKey(entry.name) !== key));
+}
+
+/**
+ * Find the pantry item for an ingredient ("Rice" for "Short-grain white rice")
+ * @param {string} ingredientName - Ingredient name as the recipe writes it
+ * @param {Array<Object>} [pantry] - Items to look in
+ * @returns {Object|null} Pantry item, or null
+ */
+export function findPantryItem(ingredientName, pantry = getPantry()) {
+    return pantry.find(item => matchesIngredient(item.name, ingredientName)) || null;
+}
+
+/**
+ * Measure a pantry item and an ingredient the same way
+ * @param {Object} item - Pantry item with a quantity
+ * @param {Object} ingredient - Ingredient ({ name, quantity, unit })
+ * @returns {{stock: Object, needed: Object}|null} Both measures, or null when they cannot be compared
+ */
+function measureAgainst(item, ingredient) {
+    const density = getIngredientDensity(ingredient.name);
+    const stock = measureAmount(item.quantity, item.unit, density);
+    const needed = measureAmount(ingredient.quantity, ingredient.unit, density);
+    return stock && needed && stock.measure === needed.measure ? { stock, needed } : null;
+}
+
+/**
+ * Work out whether the pantry covers an ingredient
+ * Staples, items that are not counted and amounts that cannot be compared (a bunch against
+ * grams) count as had.
+ * @param {Object} ingredient - Ingredient ({ name, quantity, unit }), at the amounts being bought for
+ * @param {Array<Object>} [pantry] - Items to check against
+ * @returns {string} PANTRY_STATUS value: "have", "partial" or "need"
+ */
+export function getPantryStatus(ingredient, pantry = getPantry()) {
+    const item = findPantryItem(ingredient.name, pantry);
+    if (!item) return PANTRY_STATUS.NEED;
+    if (item.staple || item.quantity === null) return PANTRY_STATUS.HAVE;
+    if (item.quantity <= 0) return PANTRY_STATUS.NEED;
+
+    const measures = measureAgainst(item, ingredient);
+    if (!measures || measures.stock.value >= measures.needed.value) return PANTRY_STATUS.HAVE;
+    return PANTRY_STATUS.PARTIAL;
+}
+
+/**
+ * Take the ingredients a recipe used out of the pantry
+ * Staples and items that are not counted are left alone; a counted item runs down to 0.
+ * @param {Array<Object>} ingredients - Ingredients at the amounts that were cooked
+ * @returns {Array<Object>} The pantry items that changed, with what is left
+ */
+export function useIngredients(ingredients) {
+    const pantry = getPantry();
+    const changed = [];
+
+    (ingredients || []).forEach(ingredient => {
+        const item = findPantryItem(ingredient.name, pantry);
+        if (!item || item.staple || item.quantity === null || item.quantity <= 0) return;
+
+        const measures = measureAgainst(item, ingredient);
+        if (!measures) return;
+
+        // What is left, in the unit the pantry counts in
+        const left = item.quantity * Math.max(0, 1 - measures.needed.value / measures.stock.value);
+        item.quantity = Math.round(left * 100) / 100;
+        if (!changed.includes(item)) changed.push(item);
+    });
+
+    if (changed.length > 0) {
+        savePantry(pantry);
+        console.log(`Used ${changed.map(item => item.name).join(', ')} from the pantry`);
+    }
+    return changed;
+}
+
+export default {
+    DEFAULT_PANTRY,
+    PANTRY_STATUS,
+    getPantry,
+    setPantryItem,
+    removePantryItem,
+    findPantryItem,
+    getPantryStatus,
+    useIngredients
+};
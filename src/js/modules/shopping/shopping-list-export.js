@@ -0,0 +1,239 @@
+/**
+ * Shopping List Export
+ * Writes the shopping list as plain text, a Markdown checklist or CSV, and packs it into a
+ * share link. The link carries the whole list in its query string (?list=...), so opening it
+ * on another device rebuilds the list without a server.
+ */
+
+import { formatIngredientLine } from '../recipe/ingredient-parser.js';
+import { convertIngredient } from '../recipe/unit-conversion.js';
+import { sortCategories } from './shopping-list-store.js';
+
+// Version of the share link format, for readers to check
+export const SHARE_VERSION = 1;
+
+// Query parameter the share link puts the list in
+export const SHARE_PARAM = 'list';
+
+// Export formats, with their file type
+export const EXPORT_FORMATS = {
+    text: { label: 'Plain text', extension: 'txt', type: 'text/plain' },
+    markdown: { label: 'Markdown checklist', extension: 'md', type: 'text/markdown' },
+    csv: { label: 'CSV', extension: 'csv', type: 'text/csv' }
+};
+
+const CSV_COLUMNS = ['category', 'item', 'qty', 'unit', 'recipe'];
+
+/**
+ * Group lines by category, in aisle order, with amounts in the reader's units
+ * @param {Array<Object>} lines - Lines from getShoppingListLines
+ * @param {Object} options - Options
+ * @param {string} options.system - "us" or "metric"
+ * @param {Array<string>} [options.categoryOrder] - Categories in aisle order
+ * @returns {Array<{category: string, lines: Array<Object>}>} Groups
+ */
+function groupLines(lines, { system, categoryOrder = [] }) {
+    const groups = new Map();
+    lines.forEach(line => {
+        const category = line.category || 'Other';
+        if (!groups.has(category)) groups.set(category, []);
+        groups.get(category).push(convertIngredient(line, system));
+    });
+    return sortCategories([...groups.keys()], categoryOrder).map(category => ({ category, lines: groups.get(category) }));
+}
+
+/**
+ * Write a line with the recipes that need it
+ * @param {Object} line - Line
+ * @returns {string} "10 Garlic cloves (Fiesta Chili, Beef Stew)"
+ */
+function describeLine(line) {
+    const text = formatIngredientLine(line);
+    return line.recipes?.length > 1 ? `${text} (${line.recipes.join(', ')})` : text;
+}
+
+/**
+ * Write the list as plain text, one category after another
+ * @param {Array<Object>} lines - Lines from getShoppingListLines
+ * @param {Object} options - { system, categoryOrder }
+ * @returns {string} Text
+ */
+export function toPlainText(lines, options) {
+    const sections = groupLines(lines, options).map(({ category, lines: items }) =>
+        [category.toUpperCase(), ...items.map(line => `- ${describeLine(line)}`)].join('\n'));
+    return ['SHOPPING LIST', ...sections].join('\n\n') + '\n';
+}
+
+/**
+ * Write the list as a Markdown checklist; checked lines are ticked
+ * @param {Array<Object>} lines - Lines from getShoppingListLines
+ * @param {Object} options - { system, categoryOrder }
+ * @returns {string} Markdown
+ */
+export function toMarkdown(lines, options) {
+    const sections = groupLines(lines, options).map(({ category, lines: items }) =>
+        [`## ${category}`, '', ...items.map(line => `- [${line.checked ? 'x' : ' '}] ${describeLine(line)}`)].join('\n'));
+    return ['# Shopping List', ...sections].join('\n\n') + '\n';
+}
+
+/**
+ * Quote a CSV field when it needs it
+ * @param {string} value - Field
+ * @returns {string} Field as written in the file
+ */
+function toCsvField(value) {
+    const text = String(value ?? '');
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Write the list as CSV with the columns category, item, qty, unit and recipe
+ * Recipes needing the same line are separated by semicolons.
+ * @param {Array<Object>} lines - Lines from getShoppingListLines
+ * @param {Object} options - { system, categoryOrder }
+ * @returns {string} CSV
+ */
+export function toCsv(lines, options) {
+    const rows = groupLines(lines, options).flatMap(({ category, lines: items }) =>
+        items.map(line => [category, line.name, line.quantity, line.unit, (line.recipes || []).join('; ')]));
+    return [CSV_COLUMNS, ...rows].map(row => row.map(toCsvField).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Write the list in an export format
+ * @param {string} format - Key of EXPORT_FORMATS
+ * @param {Array<Object>} lines - Lines from getShoppingListLines
+ * @param {Object} options - { system, categoryOrder }
+ * @returns {string} The list
+ * @throws {Error} If the format is unknown
+ */
+export function exportShoppingList(format, lines, options) {
+    switch (format) {
+        case 'text':
+            return toPlainText(lines, options);
+        case 'markdown':
+            return toMarkdown(lines, options);
+        case 'csv':
+            return toCsv(lines, options);
+        default:
+            throw new Error(`Unknown export format "${format}"; expected one of ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+    }
+}
+
+/**
+ * Encode text as URL-safe base64
+ * @param {string} text - Text
+ * @returns {string} Base64url
+ */
+function toBase64Url(text) {
+    const bytes = new TextEncoder().encode(text);
+    const binary = Array.from(bytes, byte => String.fromCharCode(byte)).join('');
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decode URL-safe base64
+ * @param {string} value - Base64url
+ * @returns {string} Text
+ */
+function fromBase64Url(value) {
+    const binary = atob(value.replace(/-/g, '+').replace(/_/g, '/'));
+    return new TextDecoder().decode(Uint8Array.from(binary, char => char.charCodeAt(0)));
+}
+
+/**
+ * Pack the list into a share link
+ * Amounts are kept as the recipes write them, so the other device shows them in its own units.
+ * Each line is [category, name, quantity, unit, notation, recipes, checked], with the category
+ * as an index into the category list to keep the link short.
+ * @param {Array<Object>} lines - Lines from getShoppingListLines
+ * @param {Array<string>} categoryOrder - Categories in aisle order
+ * @param {string} pageUrl - URL of the page that opens shared lists, e.g. ".../index.html"
+ * @returns {string} Share link
+ */
+export function createShareLink(lines, categoryOrder, pageUrl) {
+    const categories = sortCategories([...new Set(lines.map(line => line.category || 'Other'))], categoryOrder);
+    const data = {
+        v: SHARE_VERSION,
+        c: categories,
+        l: lines.map(line => [
+            categories.indexOf(line.category || 'Other'),
+            line.name,
+            line.quantity || '',
+            line.unit || '',
+            line.notation || '',
+            (line.recipes || []).join('|'),
+            line.checked ? 1 : 0
+        ])
+    };
+
+    const url = new URL(pageUrl);
+    url.search = '';
+    url.hash = '';
+    url.searchParams.set(SHARE_PARAM, toBase64Url(JSON.stringify(data)));
+    return url.toString();
+}
+
+/**
+ * Check that a line from a share link is as createShareLink writes it
+ * @param {*} line - Line ([category, name, quantity, unit, notation, recipes, checked])
+ * @param {number} categoryCount - Number of categories in the link
+ * @returns {boolean} True if the line can be read
+ */
+function isSharedLine(line, categoryCount) {
+    if (!Array.isArray(line)) return false;
+    const [category, name, quantity, unit, notation, recipes, checked] = line;
+    return Number.isInteger(category) && category >= 0 && category < categoryCount &&
+        typeof name === 'string' &&
+        [quantity, unit, notation, recipes].every(field => field === undefined || typeof field === 'string') &&
+        [undefined, 0, 1].includes(checked);
+}
+
+/**
+ * Unpack a list from a share link's query parameter
+ * @param {string} value - Value of the `list` parameter
+ * @returns {{lines: Array<Object>, categoryOrder: Array<string>}} Lines ({ name, quantity, unit, category,
+ *   notation, recipes, checked }) and the aisle order
+ * @throws {Error} If the link is damaged or from a newer version
+ */
+export function readShareLink(value) {
+    let data;
+    try {
+        data = JSON.parse(fromBase64Url(String(value || '')));
+    } catch (error) {
+        throw new Error('This shopping list link is damaged');
+    }
+    if (!data || data.v !== SHARE_VERSION || !Array.isArray(data.c) || !Array.isArray(data.l)) {
+        throw new Error('This shopping list link is damaged or from a newer version');
+    }
+    if (!data.c.every(category => typeof category === 'string') ||
+        !data.l.every(line => isSharedLine(line, data.c.length))) {
+        throw new Error('This shopping list link is damaged');
+    }
+
+    const lines = data.l.map(([category, name, quantity, unit, notation, recipes, checked]) => {
+        const line = {
+            name,
+            quantity: quantity || '',
+            unit: unit || '',
+            category: data.c[category],
+            recipes: recipes ? recipes.split('|') : [],
+            checked: checked === 1
+        };
+        if (notation) line.notation = notation;
+        return line;
+    });
+    return { lines, categoryOrder: data.c };
+}
+
+export default {
+    SHARE_VERSION,
+    SHARE_PARAM,
+    EXPORT_FORMATS,
+    toPlainText,
+    toMarkdown,
+    toCsv,
+    exportShoppingList,
+    createShareLink,
+    readShareLink
+};
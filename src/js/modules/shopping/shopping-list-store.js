@@ -0,0 +1,368 @@
+/**
+ * Shopping List Store
+ * Keeps the shopping list in the 'shoppingList' state namespace and in localStorage, so it
+ * is the same on every page and survives a reload on a phone at the store: the recipes on
+ * it, each with its ingredients at the servings it was added at, items added by hand, what
+ * has been checked off and the order of the categories (to follow a store's aisles).
+ * The ingredients of all the recipes are merged into one list: the same ingredient in two
+ * recipes is one line with the amounts added up ("Garlic cloves" 4 + 6 is 10) and the
+ * recipes that need it.
+ */
+
+import { getFromStorage, setToStorage } from '../utils/common.js';
+import stateManager from '../../core/state/state-manager.js';
+import { normalizeIngredientName } from '../recipe/ingredient-index.js';
+import { parseIngredientLine } from '../recipe/ingredient-parser.js';
+import { normalizeUnit, measureAmount, formatMeasure } from '../recipe/unit-conversion.js';
+import { parseQuantity, formatQuantity, matchUnitToQuantity } from '../recipe/recipe-scaling.js';
+
+// Storage key for the shopping list state
+const SHOPPING_LIST_STORAGE_KEY = 'recipe-viewer-shopping-list';
+
+// An empty list
+const EMPTY_LIST = {
+    recipes: [],      // { id, title, ingredients }
+    items: [],        // Items added by hand ({ id, name, quantity, unit, category }), or from a shared list (with recipes)
+    checked: [],      // Keys of the lines checked off
+    cleared: [],      // Keys of recipe lines taken off with "Clear checked"
+    categoryOrder: [] // Categories in aisle order; others follow in the order they appear
+};
+
+/**
+ * Make sure the 'shoppingList' namespace exists, seeded from localStorage
+ */
+function ensureShoppingList() {
+    if (stateManager.namespaces.has('shoppingList')) return;
+
+    // Lists saved before check-off existed are just the recipes
+    const stored = getFromStorage(SHOPPING_LIST_STORAGE_KEY, {});
+    stateManager.initNamespace('shoppingList', Array.isArray(stored)
+        ? { ...EMPTY_LIST, recipes: stored }
+        : { ...EMPTY_LIST, ...stored });
+}
+
+/**
+ * Get the whole shopping list state
+ * @returns {Object} State ({ recipes, items, checked, cleared, categoryOrder })
+ */
+export function getShoppingList() {
+    ensureShoppingList();
+    return stateManager.getState('shoppingList');
+}
+
+/**
+ * Change the shopping list, save it and let subscribers know
+ * @param {Function} updater - Returns the changes to make, given the current state
+ */
+function updateShoppingList(updater) {
+    ensureShoppingList();
+    stateManager.setState('shoppingList', state => ({ ...state, ...updater(state) }), 'shopping-list');
+    setToStorage(SHOPPING_LIST_STORAGE_KEY, stateManager.getState('shoppingList'));
+}
+
+/**
+ * Call back whenever the shopping list changes
+ * @param {Function} callback - Called with the new state
+ * @returns {Function} Unsubscribe function
+ */
+export function onShoppingListChange(callback) {
+    ensureShoppingList();
+    return stateManager.subscribe('shoppingList', ({ newState }) => callback(newState));
+}
+
+/**
+ * Get the recipes on the shopping list
+ * @returns {Array<{id: string, title: string, ingredients: Array<Object>}>} Recipes, in the order they were added
+ */
+export function getShoppingListRecipes() {
+    return getShoppingList().recipes;
+}
+
+/**
+ * Check whether a recipe is on the shopping list
+ * @param {string} recipeId - Recipe ID
+ * @returns {boolean} True if it is
+ */
+export function isOnShoppingList(recipeId) {
+    return getShoppingListRecipes().some(recipe => recipe.id === recipeId);
+}
+
+/**
+ * Get the key of the line an ingredient is on
+ * @param {Object} ingredient - Ingredient ({ name })
+ * @returns {string} Key, the normalized name
+ */
+function getLineKey(ingredient) {
+    return normalizeIngredientName(ingredient.name)[0] || String(ingredient.name || '').toLowerCase();
+}
+
+/**
+ * Put a recipe on the shopping list, or update it if it is already there
+ * Its ingredients are unchecked again, since there is now more of them to buy.
+ * @param {Object} recipe - Recipe
+ * @param {string} recipe.id - Recipe ID
+ * @param {string} recipe.title - Title, shown next to the ingredients it needs
+ * @param {Array<Object>} recipe.ingredients - Ingredients at the servings being cooked
+ */
+export function addRecipeToShoppingList({ id, title, ingredients }) {
+    const entry = { id, title, ingredients: ingredients || [] };
+    const keys = new Set(entry.ingredients.map(getLineKey));
+
+    updateShoppingList(state => {
+        const exists = state.recipes.some(recipe => recipe.id === id);
+        return {
+            recipes: exists ? state.recipes.map(recipe => (recipe.id === id ? entry : recipe)) : [...state.recipes, entry],
+            checked: state.checked.filter(key => !keys.has(key)),
+            cleared: state.cleared.filter(key => !keys.has(key))
+        };
+    });
+    console.log(`Added "${title}" to the shopping list`);
+}
+
+/**
+ * Take a recipe off the shopping list
+ * @param {string} recipeId - Recipe ID
+ */
+export function removeRecipeFromShoppingList(recipeId) {
+    updateShoppingList(state => ({ recipes: state.recipes.filter(recipe => recipe.id !== recipeId) }));
+}
+
+/**
+ * Start a new list; the category order is kept
+ */
+export function clearShoppingList() {
+    updateShoppingList(() => ({ recipes: [], items: [], checked: [], cleared: [] }));
+}
+
+/**
+ * Replace the list with lines from somewhere else, e.g. a share link
+ * The lines become items added by hand, keeping the recipes that needed them.
+ * @param {Array<Object>} lines - Lines ({ name, quantity, unit, category, notation, recipes, checked })
+ * @param {Array<string>} [categoryOrder] - Categories in aisle order
+ */
+export function replaceShoppingList(lines, categoryOrder = []) {
+    const items = lines.map(({ name, quantity, unit, category, notation, recipes }, index) => {
+        const item = { id: `item-${index + 1}`, name, quantity, unit, category, recipes: recipes || [] };
+        if (notation) item.notation = notation;
+        return item;
+    });
+    updateShoppingList(() => ({
+        recipes: [],
+        items,
+        checked: items.filter((item, index) => lines[index].checked).map(item => item.id),
+        cleared: [],
+        categoryOrder
+    }));
+}
+
+/**
+ * Add an item by hand ("2 lemons", "paper towels")
+ * The amount is read from the text and the category guessed from the name.
+ * @param {string} text - Item as typed
+ * @returns {Object} The item ({ id, name, quantity, unit, category })
+ * @throws {Error} If there is nothing to add
+ */
+export function addShoppingListItem(text) {
+    const line = String(text || '').trim();
+    if (!line) {
+        throw new Error('Type an item to add');
+    }
+
+    const { name, quantity, unit, category } = parseIngredientLine(line);
+    const state = getShoppingList();
+    const id = `item-${state.items.reduce((max, item) => Math.max(max, Number(item.id.slice(5)) || 0), 0) + 1}`;
+    const item = { id, name: name || line, quantity, unit, category };
+
+    updateShoppingList(current => ({ items: [...current.items, item] }));
+    return item;
+}
+
+/**
+ * Take an item added by hand off the list
+ * @param {string} itemId - Item ID
+ */
+export function removeShoppingListItem(itemId) {
+    updateShoppingList(state => ({
+        items: state.items.filter(item => item.id !== itemId),
+        checked: state.checked.filter(key => key !== itemId)
+    }));
+}
+
+/**
+ * Check a line off, or uncheck it
+ * @param {string} key - Line key (from getShoppingListLines)
+ * @param {boolean} checked - True to check it off
+ */
+export function setLineChecked(key, checked) {
+    updateShoppingList(state => ({
+        checked: checked
+            ? [...new Set([...state.checked, key])]
+            : state.checked.filter(entry => entry !== key)
+    }));
+}
+
+/**
+ * Take every checked line off the list
+ * Items added by hand are deleted; recipe lines stay off until their recipe is added again.
+ */
+export function clearCheckedLines() {
+    updateShoppingList(state => {
+        const checked = new Set(state.checked);
+        return {
+            items: state.items.filter(item => !checked.has(item.id)),
+            cleared: [...new Set([...state.cleared, ...state.checked.filter(key => !key.startsWith('item-'))])],
+            checked: []
+        };
+    });
+}
+
+/**
+ * Put categories in the saved aisle order
+ * @param {Array<string>} categories - Categories in the order they appear
+ * @param {Array<string>} [order] - Saved order
+ * @returns {Array<string>} Categories in the saved order, then the others as they appear
+ */
+export function sortCategories(categories, order = getShoppingList().categoryOrder) {
+    const rank = category => (order.includes(category) ? order.indexOf(category) : order.length + categories.indexOf(category));
+    return [...categories].sort((a, b) => rank(a) - rank(b));
+}
+
+/**
+ * Move a category up or down the list, and remember the new order
+ * @param {Array<string>} categories - Categories as shown
+ * @param {string} category - Category to move
+ * @param {number} offset - -1 to move it up, 1 to move it down
+ * @returns {Array<string>} The new order
+ */
+export function moveCategory(categories, category, offset) {
+    const order = sortCategories(categories);
+    const from = order.indexOf(category);
+    const to = from + offset;
+    if (from === -1 || to < 0 || to >= order.length) return order;
+
+    order.splice(to, 0, ...order.splice(from, 1));
+    updateShoppingList(state => ({
+        // Categories not on this list keep their place after the ones that are
+        categoryOrder: [...order, ...state.categoryOrder.filter(entry => !order.includes(entry))]
+    }));
+    return order;
+}
+
+
+/**
+ * Add up the amounts of one ingredient that share a measure
+ * Amounts in the same unit are added in that unit, ranges included ("2-3" + "1" is "3-4");
+ * other volumes and weights are added in milliliters or grams and written in the unit that reads best.
+ * @param {Array<Object>} parts - Ingredients whose amounts can be added
+ * @returns {{quantity: string, unit: string}} Total
+ */
+function sumAmounts(parts) {
+    const counted = parts.filter(part => parseQuantity(part.quantity));
+    if (counted.length === 0) return { quantity: parts[0].quantity || '', unit: parts[0].unit || '' };
+    if (counted.length === 1) return { quantity: counted[0].quantity, unit: counted[0].unit || '' };
+
+    const units = new Set(counted.map(part => normalizeUnit(part.unit) || String(part.unit || '').trim().toLowerCase().replace(/s$/, '')));
+    if (units.size === 1) {
+        const amounts = counted.map(part => parseQuantity(part.quantity));
+        const min = formatQuantity(amounts.reduce((total, amount) => total + amount.min, 0));
+        const max = formatQuantity(amounts.reduce((total, amount) => total + amount.max, 0));
+        const quantity = max === min ? min : `${min}-${max}`;
+        return { quantity, unit: matchUnitToQuantity(counted[0].unit || '', quantity) };
+    }
+
+    const measures = counted.map(part => measureAmount(part.quantity, part.unit));
+    return formatMeasure({ measure: measures[0].measure, value: measures.reduce((total, measure) => total + measure.value, 0) });
+}
+
+/**
+ * Merge the ingredients of the recipes on the list
+ * Ingredients are the same when their names are (see normalizeIngredientName). Amounts that
+ * cannot be added, such as a bunch and a cup, stay on separate lines; an ingredient without an
+ * amount ("Salt, to taste") joins the line that has one.
+ * @param {Array<Object>} [recipes] - Recipes ({ title, ingredients }); the stored list by default
+ * @returns {Array<Object>} Ingredients ({ key, name, quantity, unit, category, notation, recipes }) in the
+ *   order they first appear, where `recipes` lists the titles of the recipes that need it. Lines of one
+ *   ingredient share a key, so they are checked off together.
+ */
+export function aggregateIngredients(recipes = getShoppingListRecipes()) {
+    const groups = new Map();
+
+    recipes.forEach(recipe => {
+        (recipe.ingredients || []).forEach(ingredient => {
+            const key = getLineKey(ingredient);
+            const measure = measureAmount(ingredient.quantity, ingredient.unit)?.measure || null;
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push({ ingredient, measure, title: recipe.title });
+        });
+    });
+
+    const lines = [];
+    groups.forEach((entries, key) => {
+        // One line per measure; amounts are only added within a measure
+        const byMeasure = new Map();
+        entries.filter(entry => entry.measure).forEach(entry => {
+            if (!byMeasure.has(entry.measure)) byMeasure.set(entry.measure, []);
+            byMeasure.get(entry.measure).push(entry);
+        });
+        const unmeasured = entries.filter(entry => !entry.measure);
+        if (byMeasure.size === 0) {
+            byMeasure.set(null, unmeasured);
+        } else if (byMeasure.size === 1) {
+            byMeasure.set(byMeasure.keys().next().value, entries);
+        } else if (unmeasured.length > 0) {
+            byMeasure.set(null, unmeasured);
+        }
+
+        byMeasure.forEach(group => {
+            const [first] = group;
+            const line = {
+                key,
+                name: first.ingredient.name,
+                ...sumAmounts(group.map(entry => entry.ingredient)),
+                category: first.ingredient.category,
+                recipes: [...new Set(group.map(entry => entry.title))]
+            };
+
+            // "minced" in one recipe and "sliced" in another cannot both be kept; "to taste" can
+            const notation = group.length === 1 || !group.some(entry => entry.measure) ? first.ingredient.notation : null;
+            if (notation) line.notation = notation;
+            lines.push(line);
+        });
+    });
+
+    return lines;
+}
+
+/**
+ * Get the lines of the shopping list: the merged recipe ingredients, then the items added by hand
+ * @param {Object} [state] - Shopping list state
+ * @returns {Array<Object>} Ingredients ({ key, name, quantity, unit, category, notation, recipes, checked });
+ *   recipe lines taken off with "Clear checked" are left out
+ */
+export function getShoppingListLines(state = getShoppingList()) {
+    const checked = new Set(state.checked);
+    const cleared = new Set(state.cleared);
+
+    const recipeLines = aggregateIngredients(state.recipes).filter(line => !cleared.has(line.key));
+    const itemLines = state.items.map(({ id, ...item }) => ({ key: id, recipes: [], ...item }));
+    return [...recipeLines, ...itemLines].map(line => ({ ...line, checked: checked.has(line.key) }));
+}
+
+export default {
+    getShoppingList,
+    onShoppingListChange,
+    getShoppingListRecipes,
+    isOnShoppingList,
+    addRecipeToShoppingList,
+    removeRecipeFromShoppingList,
+    clearShoppingList,
+    replaceShoppingList,
+    addShoppingListItem,
+    removeShoppingListItem,
+    setLineChecked,
+    clearCheckedLines,
+    sortCategories,
+    moveCategory,
+    aggregateIngredients,
+    getShoppingListLines
+};
@@ -1,117 +1,393 @@
 /**
  * Shopping List Module
- * Handles the creation and display of shopping lists from recipe ingredients
+ * Handles the display of the shopping list: the ingredients of every recipe added to it,
+ * merged and grouped by category, and the items added by hand (all kept by
+ * shopping-list-store.js). Tapping a line checks it off; categories can be moved to follow
+ * a store's aisles. Each line says which recipes need it, and items are checked against the
+ * pantry: what you have is greyed out and what you only have some of is marked. The list can be
+ * copied or downloaded as text, Markdown or CSV, or sent to another device as a link
+ * (see shopping-list-export.js).
  */
 
 import eventBus from '../../core/events/event-bus.js';
+import { downloadText } from '../utils/common.js';
+import { formatIngredientLine } from '../recipe/ingredient-parser.js';
+import { convertIngredient } from '../recipe/unit-conversion.js';
+import { getUnitSystem } from '../recipe/unit-preference.js';
+import { getPantry, getPantryStatus, PANTRY_STATUS } from './pantry.js';
+import { showPantryDialog } from './pantry-dialog.js';
+import { EXPORT_FORMATS, SHARE_PARAM, exportShoppingList, createShareLink, readShareLink } from './shopping-list-export.js';
+import {
+    getShoppingList,
+    onShoppingListChange,
+    removeRecipeFromShoppingList,
+    clearShoppingList,
+    replaceShoppingList,
+    addShoppingListItem,
+    removeShoppingListItem,
+    setLineChecked,
+    clearCheckedLines,
+    sortCategories,
+    moveCategory,
+    getShoppingListLines
+} from './shopping-list-store.js';
 
-// Initialize shopping list
-export function initializeShoppingList(ingredients) {
-    if (!ingredients || !Array.isArray(ingredients)) {
-        console.error('Invalid ingredients data provided to shopping list');
-        return;
-    }
-    
-    // Store ingredients for later use
-    window.recipeIngredients = ingredients;
-    
-    console.log('Shopping list initialized with', ingredients.length, 'ingredients');
-}
+const MODAL_ID = 'shopping-list-modal';
+
+// Stops the open list from redrawing when it closes
+let unsubscribeFromChanges = null;
+
+// What the list says about items the pantry covers
+const STATUS_LABELS = {
+    [PANTRY_STATUS.HAVE]: 'In pantry',
+    [PANTRY_STATUS.PARTIAL]: 'Have some'
+};
 
-// Organize ingredients by category
-function organizeByCategory(ingredients) {
+/**
+ * Organize ingredients by category, with amounts in the reader's units
+ * @param {Array<Object>} ingredients - Ingredients at the amounts being bought for, with the
+ *   titles of the recipes that need them in `recipes` (from getShoppingListLines)
+ * @param {Array<Object>} [pantry] - Pantry items to check them against
+ * @param {Array<string>} [categoryOrder] - Categories in aisle order
+ * @returns {Object<string, Array<Object>>} Lines ({ key, text, status, recipes, checked }) by category,
+ *   in aisle order, each with its PANTRY_STATUS ("have", "partial" or "need")
+ */
+export function organizeByCategory(ingredients, pantry = getPantry(), categoryOrder = getShoppingList().categoryOrder) {
     const categories = {};
-    
+    const system = getUnitSystem();
+
     ingredients.forEach(ingredient => {
         const category = ingredient.category || 'Other';
         if (!categories[category]) {
             categories[category] = [];
         }
-        
-        // Format the ingredient string based on available fields
-        let ingredientText = '';
-        
-        if (ingredient.notation) {
-            // For "to taste" items
-            ingredientText = `${ingredient.name}, ${ingredient.notation}`;
-        } else {
-            // For normal ingredients
-            const quantityText = ingredient.quantity || '';
-            const unitText = ingredient.unit ? ` ${ingredient.unit}` : '';
-            ingredientText = `${quantityText}${unitText} ${ingredient.name}`;
-        }
-        
-        categories[category].push(ingredientText);
+
+        // "1 cup Red lentils, rinsed" or "Salt, to taste"
+        categories[category].push({
+            key: ingredient.key,
+            text: formatIngredientLine(convertIngredient(ingredient, system)),
+            status: getPantryStatus(ingredient, pantry),
+            recipes: ingredient.recipes || [],
+            checked: Boolean(ingredient.checked)
+        });
     });
-    
-    return categories;
+
+    return Object.fromEntries(sortCategories(Object.keys(categories), categoryOrder)
+        .map(category => [category, categories[category]]));
 }
 
-// Show shopping list
-export function showShoppingList() {
-    if (!window.recipeIngredients) {
-        console.error('No ingredients available for shopping list');
+/**
+ * Draw the recipes on the list, each with a button to take it off
+ * @param {HTMLElement} container - Element to fill
+ * @param {Array<Object>} recipes - Recipes on the list
+ */
+function renderRecipes(container, recipes) {
+    container.innerHTML = '';
+
+    recipes.forEach(recipe => {
+        const listItem = document.createElement('li');
+        const title = document.createElement('span');
+        title.textContent = recipe.title;
+        listItem.appendChild(title);
+
+        const removeBtn = document.createElement('button');
+        removeBtn.type = 'button';
+        removeBtn.className = 'shopping-list-remove';
+        removeBtn.innerHTML = '&times;';
+        removeBtn.setAttribute('aria-label', `Remove ${recipe.title} from the shopping list`);
+        removeBtn.onclick = () => removeRecipeFromShoppingList(recipe.id);
+        listItem.appendChild(removeBtn);
+
+        container.appendChild(listItem);
+    });
+}
+
+/**
+ * Draw one line of the list: a checkbox, the item, the recipes that need it and what the pantry has
+ * @param {Object} item - Line from organizeByCategory
+ * @param {boolean} showRecipes - Whether to name the recipes
+ * @returns {HTMLElement} List item
+ */
+function renderLine(item, showRecipes) {
+    const listItem = document.createElement('li');
+    listItem.className = `pantry-${item.status}${item.checked ? ' checked' : ''}`;
+
+    // The whole line is the checkbox's label, so it is easy to tap
+    const label = document.createElement('label');
+    label.className = 'shopping-list-item';
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = item.checked;
+    checkbox.onchange = () => setLineChecked(item.key, checkbox.checked);
+    label.appendChild(checkbox);
+
+    const text = document.createElement('span');
+    text.textContent = item.text;
+    if (showRecipes && item.recipes.length > 0) {
+        const note = document.createElement('small');
+        note.className = 'shopping-list-item-recipes';
+        note.textContent = item.recipes.join(', ');
+        text.appendChild(note);
+    }
+    label.appendChild(text);
+    listItem.appendChild(label);
+
+    if (STATUS_LABELS[item.status]) {
+        const status = document.createElement('span');
+        status.className = 'pantry-status';
+        status.textContent = STATUS_LABELS[item.status];
+        listItem.appendChild(status);
+    }
+
+    // Items added by hand or from a shared list can be taken off one by one
+    if (item.key.startsWith('item-')) {
+        const removeBtn = document.createElement('button');
+        removeBtn.type = 'button';
+        removeBtn.className = 'shopping-list-remove';
+        removeBtn.innerHTML = '&times;';
+        removeBtn.setAttribute('aria-label', `Remove ${item.text}`);
+        removeBtn.onclick = () => removeShoppingListItem(item.key);
+        listItem.appendChild(removeBtn);
+    }
+    return listItem;
+}
+
+/**
+ * Draw the categories of the shopping list
+ * @param {HTMLElement} container - Element to fill
+ * @param {Object} state - Shopping list state
+ */
+function renderCategories(container, state) {
+    container.innerHTML = '';
+
+    const lines = getShoppingListLines(state);
+    if (lines.length === 0) {
+        const empty = document.createElement('p');
+        empty.className = 'shopping-list-empty';
+        empty.textContent = 'Your shopping list is empty. Add recipes to it from their pages, or add items above.';
+        container.appendChild(empty);
         return;
     }
-    
+
+    // Only name the recipes when there is more than one to tell apart
+    const showRecipes = new Set(lines.flatMap(line => line.recipes)).size > 1;
+    const categorized = organizeByCategory(lines, getPantry(), state.categoryOrder);
+    const categoryNames = Object.keys(categorized);
+
+    // Add each category and its ingredients
+    Object.entries(categorized).forEach(([category, items], index) => {
+        // Create category container - use shopping-list-category as per CSS
+        const categoryDiv = document.createElement('div');
+        categoryDiv.className = 'shopping-list-category';
+
+        // Create category header, with buttons to move it to where the aisle is
+        const categoryHeader = document.createElement('h3');
+        categoryHeader.textContent = category;
+        [['up', -1, '&uarr;'], ['down', 1, '&darr;']].forEach(([direction, offset, arrow]) => {
+            const moveBtn = document.createElement('button');
+            moveBtn.type = 'button';
+            moveBtn.className = 'shopping-list-move';
+            moveBtn.innerHTML = arrow;
+            moveBtn.setAttribute('aria-label', `Move ${category} ${direction}`);
+            moveBtn.disabled = index + offset < 0 || index + offset >= categoryNames.length;
+            moveBtn.onclick = () => moveCategory(categoryNames, category, offset);
+            categoryHeader.appendChild(moveBtn);
+        });
+        categoryDiv.appendChild(categoryHeader);
+
+        // Create list for this category, marked with what the pantry has
+        const list = document.createElement('ul');
+        items.forEach(item => list.appendChild(renderLine(item, showRecipes)));
+
+        categoryDiv.appendChild(list);
+        container.appendChild(categoryDiv);
+    });
+}
+
+/**
+ * Put text on the clipboard, or show it to copy by hand where the browser does not allow that
+ * @param {string} text - Text to copy
+ * @returns {Promise<boolean>} True if it was copied
+ */
+async function copyText(text) {
+    try {
+        await navigator.clipboard.writeText(text);
+        return true;
+    } catch (error) {
+        console.error('Could not copy to the clipboard:', error);
+        window.prompt('Copy this:', text);
+        return false;
+    }
+}
+
+/**
+ * Draw the export controls: a format to copy or download the list in, and a share link
+ * @returns {HTMLElement} Export controls
+ */
+function renderExport() {
+    const exportDiv = document.createElement('div');
+    exportDiv.className = 'shopping-list-export';
+    exportDiv.innerHTML = `
+        <select name="format" aria-label="Export format"></select>
+        <button type="button" class="btn secondary" data-action="copy">Copy</button>
+        <button type="button" class="btn secondary" data-action="download">Download</button>
+        <button type="button" class="btn secondary" data-action="share">Copy Share Link</button>
+        <span class="shopping-list-export-status" role="status"></span>
+    `;
+
+    const select = exportDiv.querySelector('select');
+    Object.entries(EXPORT_FORMATS).forEach(([format, { label }]) => {
+        select.appendChild(new Option(label, format));
+    });
+    const status = exportDiv.querySelector('.shopping-list-export-status');
+
+    // Export what is on screen: in the reader's units and aisle order
+    const exportAs = format => {
+        const state = getShoppingList();
+        return exportShoppingList(format, getShoppingListLines(state), {
+            system: getUnitSystem(),
+            categoryOrder: state.categoryOrder
+        });
+    };
+
+    const copy = async (text, message) => {
+        status.textContent = await copyText(text) ? message : '';
+    };
+
+    exportDiv.querySelector('[data-action="copy"]').onclick = () => {
+        copy(exportAs(select.value), 'Copied');
+    };
+    exportDiv.querySelector('[data-action="download"]').onclick = () => {
+        const { extension, type } = EXPORT_FORMATS[select.value];
+        downloadText(exportAs(select.value), `shopping-list.${extension}`, type);
+        status.textContent = '';
+    };
+    exportDiv.querySelector('[data-action="share"]').onclick = () => {
+        // Shared lists open on the recipe list page
+        const state = getShoppingList();
+        const pageUrl = new URL('index.html', window.location.href).toString();
+        copy(createShareLink(getShoppingListLines(state), state.categoryOrder, pageUrl), 'Link copied');
+    };
+    return exportDiv;
+}
+
+/**
+ * Close the shopping list if it is open
+ */
+export function closeShoppingList() {
+    if (unsubscribeFromChanges) {
+        unsubscribeFromChanges();
+        unsubscribeFromChanges = null;
+    }
+    const modal = document.getElementById(MODAL_ID);
+    if (modal) {
+        modal.remove();
+    }
+}
+
+// Show shopping list
+export function showShoppingList() {
+    // Only one list at a time
+    closeShoppingList();
+
     // Create shopping list modal
     const modal = document.createElement('div');
     modal.className = 'shopping-list-modal';
-    modal.id = 'shopping-list-modal';
-    
+    modal.id = MODAL_ID;
+
     // Create modal content
     const content = document.createElement('div');
     content.className = 'shopping-list-content';
-    
+
+    // Redraw the list whenever it changes
+    const redraw = () => {
+        const state = getShoppingList();
+        renderRecipes(recipeList, state.recipes);
+        renderCategories(categories, state);
+        clearCheckedBtn.disabled = state.checked.length === 0;
+        clearBtn.disabled = state.recipes.length === 0 && state.items.length === 0;
+        exportControls.hidden = clearBtn.disabled;
+    };
+    unsubscribeFromChanges = onShoppingListChange(redraw);
+
     // Create close button
     const closeBtn = document.createElement('span');
     closeBtn.className = 'close-btn';
     closeBtn.innerHTML = '&times;';
-    closeBtn.onclick = () => {
-        document.body.removeChild(modal);
-    };
-    
+    closeBtn.onclick = closeShoppingList;
+
     // Create title
     const title = document.createElement('h2');
     title.textContent = 'Shopping List';
-    
+
     // Add title and close button first
     content.appendChild(closeBtn);
     content.appendChild(title);
-    
+
+    // The recipes the list is for
+    const recipeList = document.createElement('ul');
+    recipeList.className = 'shopping-list-recipes';
+    content.appendChild(recipeList);
+
+    // Add items that are not in a recipe
+    const addForm = document.createElement('form');
+    addForm.className = 'shopping-list-add';
+    addForm.innerHTML = `
+        <input type="text" name="item" placeholder="Add an item, e.g. 2 lemons" aria-label="Add an item">
+        <button type="submit" class="btn secondary">Add</button>
+    `;
+    addForm.onsubmit = (event) => {
+        event.preventDefault();
+        const input = addForm.elements.item;
+        try {
+            addShoppingListItem(input.value);
+            input.value = '';
+        } catch (error) {
+            console.error('Could not add the item:', error.message);
+        }
+        input.focus();
+    };
+    content.appendChild(addForm);
+
     // Organize ingredients by category
-    const categorizedIngredients = organizeByCategory(window.recipeIngredients);
-    
-    // Add each category and its ingredients
-    Object.entries(categorizedIngredients).forEach(([category, items]) => {
-        // Create category container - use shopping-list-category as per CSS
-        const categoryDiv = document.createElement('div');
-        categoryDiv.className = 'shopping-list-category';
-        
-        // Create category header
-        const categoryHeader = document.createElement('h3');
-        categoryHeader.textContent = category;
-        categoryDiv.appendChild(categoryHeader);
-        
-        // Create list for this category
-        const list = document.createElement('ul');
-        // No class needed as per CSS structure
-        
-        // Add items to the list
-        items.forEach(item => {
-            const listItem = document.createElement('li');
-            listItem.textContent = item;
-            list.appendChild(listItem);
-        });
-        
-        categoryDiv.appendChild(list);
-        content.appendChild(categoryDiv);
-    });
-    
+    const categories = document.createElement('div');
+    content.appendChild(categories);
+
+    // Copy, download or share the list
+    const exportControls = renderExport();
+    content.appendChild(exportControls);
+
     // Add actions container
     const actions = document.createElement('div');
     actions.className = 'shopping-list-actions';
-    
+
+    // Edit the pantry, then mark the list again
+    const pantryBtn = document.createElement('button');
+    pantryBtn.className = 'btn secondary';
+    pantryBtn.textContent = 'Edit Pantry';
+    pantryBtn.onclick = () => {
+        showPantryDialog({ onClose: redraw });
+    };
+    actions.appendChild(pantryBtn);
+
+    // Take off what is in the cart
+    const clearCheckedBtn = document.createElement('button');
+    clearCheckedBtn.className = 'btn secondary';
+    clearCheckedBtn.textContent = 'Clear Checked';
+    clearCheckedBtn.onclick = clearCheckedLines;
+    actions.appendChild(clearCheckedBtn);
+
+    // Start a new list
+    const clearBtn = document.createElement('button');
+    clearBtn.className = 'btn secondary';
+    clearBtn.textContent = 'Clear List';
+    clearBtn.onclick = () => {
+        if (window.confirm('Take everything off the shopping list?')) {
+            clearShoppingList();
+        }
+    };
+    actions.appendChild(clearBtn);
+
     // Add print button to actions
     const printBtn = document.createElement('button');
     printBtn.className = 'btn primary';
@@ -121,32 +397,64 @@ export function showShoppingList() {
     };
     actions.appendChild(printBtn);
     content.appendChild(actions);
-    
+
+    redraw();
+
     // Add content to modal
     modal.appendChild(content);
-    
+
     // Add to document
     document.body.appendChild(modal);
-    
+
     console.log('Shopping list displayed with categories');
 }
 
+/**
+ * Open a list shared with a link (index.html?list=...), then show it
+ * A list already on this device is only replaced if the reader agrees.
+ * @returns {boolean} True if the page was opened with a shared list
+ */
+export function openSharedShoppingList() {
+    const params = new URLSearchParams(window.location.search);
+    const value = params.get(SHARE_PARAM);
+    if (!value) return false;
+
+    // Take the list out of the address, so reloading does not open it again
+    params.delete(SHARE_PARAM);
+    const search = params.toString();
+    window.history.replaceState(null, '', `${window.location.pathname}${search ? `?${search}` : ''}${window.location.hash}`);
+
+    let shared;
+    try {
+        shared = readShareLink(value);
+    } catch (error) {
+        console.error('Could not open the shared shopping list:', error.message);
+        window.alert(error.message);
+        return true;
+    }
+
+    const current = getShoppingList();
+    const hasList = current.recipes.length > 0 || current.items.length > 0;
+    if (!hasList || window.confirm('Replace your shopping list with the one shared with you?')) {
+        replaceShoppingList(shared.lines, shared.categoryOrder);
+        console.log(`Opened a shared shopping list with ${shared.lines.length} items`);
+    }
+    showShoppingList();
+    return true;
+}
+
 /**
  * Setup event handlers for the shopping list module
  */
 export function setupEventHandlers() {
     console.log('Setting up shopping list event handlers');
-    
+
     // Listen for shopping list show event
     eventBus.subscribe('recipe:shopping:show', () => {
         console.log('Received recipe:shopping:show event');
-        if (window.recipeIngredients) {
-            showShoppingList();
-        } else {
-            console.error('No ingredients available for shopping list');
-        }
+        showShoppingList();
     });
 }
 
 // Initialize event handlers when module is loaded
-setupEventHandlers(); 
\ No newline at end of file
+setupEventHandlers();
\ No newline at end of file
@@ -138,6 +138,25 @@ export function createTimerNotifications() {
     handleTimerComplete(timer) {
       this.playTimerCompleteSound();
       this.showTimerNotification(timer);
+    },
+
+    /**
+     * Handle a nudge from a dinner schedule, such as "Start the rice now"
+     * @param {Object} nudge - Nudge ({ message })
+     */
+    handleNudge(nudge) {
+      this._playFallbackSound();
+      try {
+        if ('Notification' in window && Notification.permission === 'granted') {
+          new Notification('Time to Cook', {
+            body: nudge.message,
+            tag: 'timer-nudge',
+            renotify: true
+          });
+        }
+      } catch (error) {
+        console.error('Error showing nudge notification:', error);
+      }
     }
   };
 }
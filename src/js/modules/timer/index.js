@@ -19,9 +19,16 @@ const TimerEvents = {
   REQUEST_REMOVE: 'timer:request:remove',
   REQUEST_RENAME: 'timer:request:rename',
   REQUEST_ADD_METADATA: 'timer:request:addMetadata',
-  REQUEST_HIGHLIGHT_STEP: 'timer:request:highlightStep'
+  REQUEST_HIGHLIGHT_STEP: 'timer:request:highlightStep',
+  NUDGE: 'timer:nudge'
 };
 
+// How often to check for nudges that are due (15 seconds)
+const NUDGE_CHECK_INTERVAL = 15 * 1000;
+
+// Nudges missed by more than this are dropped rather than given late (5 minutes)
+const NUDGE_MAX_LATENESS = 5 * 60 * 1000;
+
 export class TimerModule {
   constructor(eventBusInstance) {
     // Use the provided event bus or fall back to the imported one
@@ -32,6 +39,10 @@ export class TimerModule {
     // Track processed steps and timers to prevent duplicates
     this.processedSteps = new Set();
     this.stepTimers = {};
+
+    // Nudges still to give, by time, and the interval checking for them
+    this.nudges = [];
+    this.nudgeInterval = null;
     
     // Keep track of initialization status
     this.initialized = false;
@@ -231,6 +242,7 @@ export class TimerModule {
     // Clear the step timers and processed steps
     this.stepTimers = {};
     this.processedSteps.clear();
+    this.setNudges([]);
     
     // Reset initialization status
     this.initialized = false;
@@ -336,6 +348,9 @@ export class TimerModule {
    * @param {number} context.stepIndex - Current step index
    * @param {string} context.phase - Current phase (preparation/cooking)
    * @param {number} context.phaseStepNumber - Step number within the current phase
+   * @param {string} [context.recipeId] - Recipe the step belongs to, when cooking several
+   * @param {string} [context.recipeTitle] - Title to tag the timers with
+   * @param {string} [context.recipeColor] - Colour to tag the timers with
    * @returns {Promise<Array>} - Array of created timer IDs
    */
   async createTimersForStep(step, context) {
@@ -350,7 +365,7 @@ export class TimerModule {
       return [];
     }
 
-    const { stepIndex, phase, phaseStepNumber } = context;
+    const { stepIndex, phase, phaseStepNumber, recipeId, recipeTitle, recipeColor } = context;
     
     // Generate a unique key for this step
     const stepKey = `${phase}-step-${stepIndex}`;
@@ -397,7 +412,8 @@ export class TimerModule {
               bulletIndex: timerInfo.bulletIndex,
               matchIndex: timerInfo.matchIndex,
               stepTitle: stepLabel,
-              sourceText: sourceText
+              sourceText: sourceText,
+              ...(recipeId ? { recipeId, recipeTitle, recipeColor } : {})
             }
           });
           
@@ -417,6 +433,34 @@ export class TimerModule {
     }
   }
 
+  /**
+   * Recreate timers saved with a cooking session
+   * Their steps count as processed, so going back to them does not make the timers again.
+   * @param {Array<Object>} timers - Timers ({ name, duration, remaining, status, metadata })
+   * @returns {Array<string>} - IDs of the restored timers
+   */
+  restoreTimers(timers) {
+    if (!this.initialized || !this.timerCore) {
+      console.error('Timer module not initialized. Call initialize() first.');
+      return [];
+    }
+
+    return timers.map(timerData => {
+      const metadata = timerData.metadata || {};
+      if (metadata.stepIndex !== undefined && metadata.stepPhase) {
+        this.processedSteps.add(`${metadata.stepPhase}-step-${metadata.stepIndex}`);
+      }
+      if (metadata.stepId !== undefined) {
+        const stepKey = `step-${metadata.stepId}`;
+        if (!this.stepTimers[stepKey]) {
+          this.stepTimers[stepKey] = new Set();
+        }
+        this.stepTimers[stepKey].add(this._createTimerSignature(timerData));
+      }
+      return this.timerCore.restoreTimer(timerData);
+    }).filter(id => id !== null);
+  }
+
   /**
    * Clear processed steps tracker
    */
@@ -551,6 +595,43 @@ export class TimerModule {
     this.eventBus.publish(TimerEvents.REQUEST_ADD_METADATA, { id, metadata });
   }
 
+  /**
+   * Nudge the cook at set times, such as "Start the rice now" from a dinner schedule
+   * Replaces the nudges set before; an empty list stops them.
+   * @param {Array<Object>} nudges - Nudges ({ at, message, ... }), `at` in milliseconds
+   */
+  setNudges(nudges) {
+    clearInterval(this.nudgeInterval);
+    this.nudgeInterval = null;
+    this.nudges = [...nudges].sort((a, b) => a.at - b.at);
+    if (this.nudges.length === 0) return;
+
+    this.nudgeInterval = setInterval(() => this._giveDueNudges(), NUDGE_CHECK_INTERVAL);
+    this._giveDueNudges();
+  }
+
+  /**
+   * Publish the nudges that are due
+   * @private
+   * @param {number} [now] - Current time in milliseconds
+   */
+  _giveDueNudges(now = Date.now()) {
+    while (this.nudges.length > 0 && this.nudges[0].at <= now) {
+      const nudge = this.nudges.shift();
+      if (now - nudge.at > NUDGE_MAX_LATENESS) {
+        console.log(`Dropping missed nudge: ${nudge.message}`);
+        continue;
+      }
+      console.log(`Nudge: ${nudge.message}`);
+      this.eventBus.publish(TimerEvents.NUDGE, nudge);
+    }
+
+    if (this.nudges.length === 0) {
+      clearInterval(this.nudgeInterval);
+      this.nudgeInterval = null;
+    }
+  }
+
   /**
    * Highlight timers for a specific step
    * @param {string|number} stepId - Step ID
@@ -615,6 +696,8 @@ export default {
   // Add step timer manager methods directly in the main module
   createTimersForStep: (step, context) => timerModule.createTimersForStep(step, context),
   clearProcessedSteps: () => timerModule.clearProcessedSteps(),
+  restoreTimers: (timers) => timerModule.restoreTimers(timers),
+  setNudges: (nudges) => timerModule.setNudges(nudges),
   
   // Expose utility functions
   utils: {
@@ -418,6 +418,36 @@ export function createTimerCore(eventBus) {
       }
     },
     
+    /**
+     * Recreate a timer saved with a cooking session, with the time it has left
+     * Running timers carry on counting down; timers that ran out while the page was closed are
+     * shown as completed without sounding again.
+     * @param {Object} timerData - Timer data ({ name, duration, remaining, status, metadata })
+     * @returns {string|null} - Timer ID
+     */
+    restoreTimer(timerData) {
+      const id = this.createTimer({ name: timerData.name, duration: timerData.duration, metadata: timerData.metadata });
+      const timer = this.timers[id];
+      if (!timer) return null;
+
+      timer.remaining = Math.max(0, Math.min(timerData.remaining, timer.duration));
+      timer.completion = ((timer.duration - timer.remaining) / timer.duration) * 100;
+      if (timerData.status === 'completed' || timer.remaining === 0) {
+        timer.status = 'completed';
+        timer.remaining = 0;
+        timer.completion = 100;
+      } else if (timerData.status === 'paused') {
+        timer.status = 'paused';
+      }
+      this.eventBus.publish('timer:updated', { timer });
+
+      if (timerData.status === 'running' && timer.status !== 'completed') {
+        this.startTimer(id);
+      }
+      this.persistTimers();
+      return id;
+    },
+    
     /**
      * Start a timer
      * @param {string} id - Timer ID
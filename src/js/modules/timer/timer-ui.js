@@ -196,6 +196,9 @@ export function createTimerUi(eventBus) {
         
         // Subscribe to the notification event from timer-core
         this.eventBus.subscribe('timer:notify:complete', this.handleTimerNotification.bind(this));
+
+        // Nudges from a dinner schedule
+        this.eventBus.subscribe('timer:nudge', (nudge) => this.showNudge(nudge));
         
         console.log('Timer UI event handlers set up successfully');
       } catch (error) {
@@ -352,6 +355,18 @@ export function createTimerUi(eventBus) {
           nameElement.title = "Click to edit timer name";
           nameElement.addEventListener('click', () => controls.startEditingName(timer.id));
           
+          // Tag timers with their recipe's name and colour when cooking several recipes
+          if (timer.metadata?.recipeColor) {
+            timerContainer.classList.add('recipe-timer');
+            timerContainer.dataset.recipeId = timer.metadata.recipeId;
+            timerContainer.style.setProperty('--recipe-color', timer.metadata.recipeColor);
+
+            const recipeTag = document.createElement('span');
+            recipeTag.className = 'timer-recipe-tag';
+            recipeTag.textContent = timer.metadata.recipeTitle || timer.metadata.recipeId;
+            nameContainer.appendChild(recipeTag);
+          }
+          
           nameContainer.appendChild(nameElement);
           
           // Create and add step indicator to the name container (next to timer name)
@@ -531,6 +546,26 @@ export function createTimerUi(eventBus) {
       this.loadExistingTimers();
     },
 
+    /**
+     * Show a nudge above the timers until it is dismissed or the next one comes
+     * @param {Object} nudge - Nudge ({ message })
+     */
+    showNudge(nudge) {
+      const containerEl = container.getContainer();
+      if (!containerEl || !containerEl.parentNode) return;
+
+      document.querySelector('.timer-nudge')?.remove();
+      const banner = document.createElement('div');
+      banner.className = 'timer-nudge';
+      banner.setAttribute('role', 'alert');
+      banner.innerHTML = '<span class="timer-nudge-message"></span><button type="button" class="timer-nudge-dismiss" aria-label="Dismiss">&times;</button>';
+      banner.querySelector('.timer-nudge-message').textContent = nudge.message;
+      banner.querySelector('.timer-nudge-dismiss').addEventListener('click', () => banner.remove());
+      containerEl.parentNode.insertBefore(banner, containerEl);
+
+      notifications.handleNudge(nudge);
+    },
+
     /**
      * Handle timer notification event
      * @param {Object} data - Event data
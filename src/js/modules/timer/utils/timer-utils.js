@@ -144,14 +144,47 @@ export function createTimerLabel(text) {
   }
 }
 
+/**
+ * Describe a timer defined explicitly on a step (e.g. from Cooklang ~timer{} markup)
+ * @param {Object} step - The step object
+ * @param {Object} timer - The timer definition ({ name, duration, bullet })
+ * @returns {Object|null} Timer object like those found in the step text, or null if the duration is invalid
+ */
+function describeExplicitTimer(step, timer) {
+  const duration = extractDuration(timer.duration);
+  if (duration <= 0) return null;
+
+  const inBullet = Number.isInteger(timer.bullet);
+  const text = inBullet ? step.bullets?.[timer.bullet] : (step.description || step.mainStep);
+  const matchIndex = typeof text === 'string' ? Math.max(0, text.indexOf(timer.duration)) : 0;
+  const label = timer.name
+    ? timer.name.charAt(0).toUpperCase() + timer.name.slice(1)
+    : generateTimerName(text, matchIndex, step.title);
+
+  return {
+    duration,
+    label,
+    source: inBullet ? 'bullet' : 'main',
+    ...(inBullet ? { bulletIndex: timer.bullet } : {}),
+    matchIndex,
+    inParentheses: false,
+    originalText: timer.duration
+  };
+}
+
 /**
  * Find all potential timers in a step
+ * Explicit step timers replace the ones found in the step text.
  * @param {Object} step - The step object with description and bullets
  * @returns {Array<Object>} Array of timer objects with duration and label
  */
 export function findTimersInStep(step) {
   if (!step) return [];
   
+  if (Array.isArray(step.timers) && step.timers.length > 0) {
+    return step.timers.map(timer => describeExplicitTimer(step, timer)).filter(Boolean);
+  }
+  
   const timers = [];
   const mainStep = step.description || step.mainStep;
   
@@ -144,6 +144,24 @@ export function cleanTranscript(text) {
     return text.trim().toLowerCase().replace(/\s+/g, ' ');
 }
 
+/**
+ * Download text as a file
+ * @param {string} text - File contents
+ * @param {string} filename - File name
+ * @param {string} type - MIME type
+ */
+export function downloadText(text, filename, type) {
+    const url = URL.createObjectURL(new Blob([text], { type }));
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
 export default {
     formatTimeMMSS,
     formatDuration,
@@ -155,5 +173,6 @@ export default {
     setToStorage,
     getFromStorage,
     delay,
-    cleanTranscript
+    cleanTranscript,
+    downloadText
 }; 
\ No newline at end of file
@@ -306,7 +306,12 @@ export class VoiceControl {
             console.log(`Testing command "${command}" against pattern: ${pattern}`);
             if (pattern.test(command)) {
                 console.log(`Command matched pattern: ${pattern}`);
-                callback();
+                // A callback returns false when the command is not one it can carry out, such as a
+                // recipe name it does not know, so a more general command can have it
+                if (callback(command) === false) {
+                    console.log(`Command passed on by pattern: ${pattern}`);
+                    continue;
+                }
                 recognized = true;
                 break;
             }
@@ -0,0 +1,152 @@
+/**
+ * Recipe Export Tool
+ *
+ * Writes schema.org/Recipe JSON-LD for recipes in src/assets/recipes, the same
+ * block recipe-summary.html embeds in the page, or converts them to Cooklang or Markdown.
+ *
+ * Usage:
+ *   node src/js/tools/export-recipe.js <id...> [--all] [--format jsonld|cooklang|markdown] [--out <dir>] [--base-url <url>]
+ *
+ *   --all       Export every recipe listed in index.json
+ *   --format    jsonld (default), cooklang or markdown
+ *   --out       Write <id>.jsonld / <id>.cook / <id>.md files to this directory instead of printing
+ *   --base-url  Where the site is deployed (e.g. https://example.com/recipe_viewer);
+ *               used for absolute image and page URLs in JSON-LD
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { toSchemaOrgRecipe } = require('../modules/recipe/recipe-export');
+const { serializeCooklang } = require('../modules/recipe/recipe-cooklang');
+const { serializeMarkdownRecipe } = require('../modules/recipe/recipe-markdown');
+const { RECIPE_FILE_EXTENSIONS, parseRecipeFile } = require('../modules/recipe/recipe-files');
+
+const DEFAULT_RECIPES_DIR = path.join(__dirname, '../../assets/recipes');
+
+// Output formats: file extension, how to convert a recipe (text formats only) and how to write it
+const FORMATS = {
+  jsonld: { extension: '.jsonld', write: jsonLd => `${JSON.stringify(jsonLd, null, 2)}\n` },
+  cooklang: { extension: '.cook', convert: serializeCooklang, write: text => text },
+  markdown: { extension: '.md', convert: serializeMarkdownRecipe, write: text => text }
+};
+
+/**
+ * Parse command line arguments
+ * @param {Array<string>} args - Command line arguments
+ * @returns {Object} Options ({ ids, all, format, outDir, baseUrl, recipesDir })
+ */
+function parseArgs(args) {
+  const options = { ids: [], all: false, format: 'jsonld', outDir: null, baseUrl: null, recipesDir: DEFAULT_RECIPES_DIR };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--all') {
+      options.all = true;
+    } else if (arg === '--format') {
+      options.format = args[++i];
+    } else if (arg === '--out') {
+      options.outDir = path.resolve(args[++i]);
+    } else if (arg === '--base-url') {
+      options.baseUrl = args[++i];
+    } else if (arg === '--recipes-dir') {
+      options.recipesDir = path.resolve(args[++i]);
+    } else {
+      options.ids.push(arg);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Read a recipe by ID, whichever format its file is in
+ * @param {string} id - Recipe ID
+ * @param {string} recipesDir - Directory containing the recipe files
+ * @returns {Object} Recipe data
+ * @throws {Error} If the recipe does not exist
+ */
+function readRecipe(id, recipesDir) {
+  const filename = RECIPE_FILE_EXTENSIONS
+    .map(extension => `${id}${extension}`)
+    .find(file => fs.existsSync(path.join(recipesDir, file)));
+  if (!filename) {
+    throw new Error(`Recipe "${id}" not found in ${recipesDir}`);
+  }
+
+  return parseRecipeFile(filename, fs.readFileSync(path.join(recipesDir, filename), 'utf8'));
+}
+
+/**
+ * Build the JSON-LD for a recipe file
+ * @param {string} id - Recipe ID
+ * @param {Object} options - Export options
+ * @param {string} options.recipesDir - Directory containing the recipe files
+ * @param {string} options.baseUrl - Deployed site URL, if known
+ * @returns {Object} JSON-LD Recipe
+ * @throws {Error} If the recipe does not exist
+ */
+function exportRecipe(id, { recipesDir = DEFAULT_RECIPES_DIR, baseUrl = null } = {}) {
+  const recipe = readRecipe(id, recipesDir);
+  const siteUrl = baseUrl ? baseUrl.replace(/\/$/, '') : null;
+
+  return toSchemaOrgRecipe(recipe, {
+    imageBaseUrl: siteUrl ? `${siteUrl}/assets/images` : undefined,
+    url: siteUrl ? `${siteUrl}/recipe-summary.html?id=${encodeURIComponent(id)}` : undefined
+  });
+}
+
+/**
+ * Run the tool from the command line
+ * @param {Array<string>} args - Command line arguments
+ * @returns {number} Exit code
+ */
+function main(args) {
+  const options = parseArgs(args);
+
+  if (options.all) {
+    const index = JSON.parse(fs.readFileSync(path.join(options.recipesDir, 'index.json'), 'utf8'));
+    options.ids = index.recipes.map(entry => entry.id);
+  }
+
+  const format = FORMATS[options.format];
+  if (options.ids.length === 0 || !format) {
+    console.error('Usage: node src/js/tools/export-recipe.js <id...> [--all] [--format jsonld|cooklang|markdown] [--out <dir>] [--base-url <url>]');
+    return 1;
+  }
+
+  try {
+    const exported = options.ids.map(id => ({
+      id,
+      output: format.convert
+        ? format.convert(readRecipe(id, options.recipesDir))
+        : exportRecipe(id, options)
+    }));
+
+    if (!options.outDir) {
+      if (format.convert) {
+        console.log(exported.map(entry => entry.output).join('\n'));
+      } else {
+        const output = exported.length === 1 ? exported[0].output : exported.map(entry => entry.output);
+        console.log(JSON.stringify(output, null, 2));
+      }
+      return 0;
+    }
+
+    fs.mkdirSync(options.outDir, { recursive: true });
+    exported.forEach(({ id, output }) => {
+      const filePath = path.join(options.outDir, `${id}${format.extension}`);
+      fs.writeFileSync(filePath, format.write(output), 'utf8');
+      console.log(`Exported "${id}" to ${path.relative(process.cwd(), filePath)}`);
+    });
+    return 0;
+  } catch (error) {
+    console.error(`Export failed: ${error.message}`);
+    return 1;
+  }
+}
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = { exportRecipe };
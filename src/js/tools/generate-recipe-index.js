@@ -0,0 +1,138 @@
+/**
+ * Recipe Index Generator
+ *
+ * Rebuilds src/assets/recipes/index.json from the recipe files (.json,
+ * Cooklang .cook or Markdown .md) so it never has to be edited by hand. Title, thumbnail, time
+ * and difficulty come from each recipe; ingredient count, step count and
+ * ingredient categories are derived. Runs before every production build.
+ *
+ * Usage:
+ *   node src/js/tools/generate-recipe-index.js [--check] [recipes-dir]
+ *
+ *   --check  Do not write; exit non-zero if index.json is out of date
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { buildRecipeIndex } = require('../modules/recipe/recipe-index');
+const { validateRecipe } = require('../modules/recipe/recipe-schema');
+const { INDEX_FILE, isRecipeFile, getRecipeIdFromFilename, parseRecipeFile } = require('../modules/recipe/recipe-files');
+
+const DEFAULT_RECIPES_DIR = path.join(__dirname, '../../assets/recipes');
+
+/**
+ * Read every recipe file in a directory
+ * @param {string} recipesDir - Directory containing the recipe files
+ * @returns {{recipes: Array<Object>, files: Map<string, string>, problems: Array<string>}}
+ *   Recipes, the file each recipe ID came from, and any problems found
+ */
+function readRecipes(recipesDir) {
+  const recipes = [];
+  const files = new Map();
+  const problems = [];
+
+  fs.readdirSync(recipesDir)
+    .filter(isRecipeFile)
+    .sort()
+    .forEach(file => {
+      const id = getRecipeIdFromFilename(file);
+      let recipe;
+      try {
+        recipe = parseRecipeFile(file, fs.readFileSync(path.join(recipesDir, file), 'utf8'));
+      } catch (error) {
+        problems.push(`${file}: ${error.message}`);
+        return;
+      }
+
+      const { errors } = validateRecipe(recipe);
+      errors.forEach(error => problems.push(`${file}: ${error.message}`));
+      if (recipe.id !== id) {
+        problems.push(`${file}: id "${recipe.id}" does not match the filename`);
+      }
+      if (files.has(id)) {
+        problems.push(`${file}: recipe "${id}" is also defined by ${files.get(id)}`);
+        return;
+      }
+      if (errors.length === 0 && recipe.id === id) {
+        recipes.push(recipe);
+        files.set(id, file);
+      }
+    });
+
+  return { recipes, files, problems };
+}
+
+/**
+ * Read the current index, if there is one
+ * @param {string} indexPath - Path to index.json
+ * @returns {Object} The index, or an empty index
+ */
+function readCurrentIndex(indexPath) {
+  try {
+    return JSON.parse(fs.readFileSync(indexPath, 'utf8'));
+  } catch (error) {
+    return { recipes: [] };
+  }
+}
+
+/**
+ * Generate index.json for a recipes directory
+ * @param {string} recipesDir - Directory containing the recipe files
+ * @param {Object} options - Generator options
+ * @param {boolean} options.check - Only report whether the index is up to date
+ * @returns {{index: Object, changed: boolean, problems: Array<string>}} Result
+ */
+function generateRecipeIndex(recipesDir, { check = false } = {}) {
+  const indexPath = path.join(recipesDir, INDEX_FILE);
+  const { recipes, files, problems } = readRecipes(recipesDir);
+
+  const current = fs.existsSync(indexPath) ? fs.readFileSync(indexPath, 'utf8') : '';
+  const index = buildRecipeIndex(recipes, readCurrentIndex(indexPath));
+
+  // Recipes that are not [id].json tell the loader which file to fetch
+  index.recipes.forEach(entry => {
+    const file = files.get(entry.id);
+    if (file !== `${entry.id}.json`) entry.file = file;
+  });
+  const output = `${JSON.stringify(index, null, 2)}\n`;
+  const changed = output !== current;
+
+  if (changed && !check && problems.length === 0) {
+    fs.writeFileSync(indexPath, output, 'utf8');
+  }
+
+  return { index, changed, problems };
+}
+
+/**
+ * Run the tool from the command line
+ * @param {Array<string>} args - Command line arguments
+ * @returns {number} Exit code
+ */
+function main(args) {
+  const check = args.includes('--check');
+  const dirArg = args.find(arg => !arg.startsWith('--'));
+  const recipesDir = dirArg ? path.resolve(dirArg) : DEFAULT_RECIPES_DIR;
+
+  const { index, changed, problems } = generateRecipeIndex(recipesDir, { check });
+
+  if (problems.length > 0) {
+    problems.forEach(problem => console.error(problem));
+    console.error(`Not writing ${INDEX_FILE}: fix the recipe files above (npm run validate:recipes shows line numbers)`);
+    return 1;
+  }
+
+  if (check) {
+    console.log(changed ? `${INDEX_FILE} is out of date; run npm run generate:index` : `${INDEX_FILE} is up to date`);
+    return changed ? 1 : 0;
+  }
+
+  console.log(`${changed ? 'Wrote' : 'Unchanged'} ${INDEX_FILE} with ${index.recipes.length} recipes`);
+  return 0;
+}
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = { generateRecipeIndex };
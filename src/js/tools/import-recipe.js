@@ -0,0 +1,137 @@
+/**
+ * Recipe Import Tool
+ *
+ * Imports a schema.org/Recipe from a saved HTML page or a JSON-LD file, or a
+ * Cooklang .cook or Markdown .md file, into src/assets/recipes as JSON and regenerates
+ * index.json. Nothing is fetched: save the page from the browser first.
+ *
+ * Usage:
+ *   node src/js/tools/import-recipe.js <page.html|recipe.json|recipe.cook|recipe.md> [--id <id>] [--force] [--dry-run]
+ *
+ *   --id       Recipe ID / filename (defaults to a slug of the recipe name)
+ *   --force    Overwrite an existing recipe with the same ID
+ *   --dry-run  Print the converted recipe instead of writing it
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { importRecipe } = require('../modules/recipe/recipe-import');
+const { parseCooklang } = require('../modules/recipe/recipe-cooklang');
+const { parseMarkdownRecipe } = require('../modules/recipe/recipe-markdown');
+const { validateRecipe } = require('../modules/recipe/recipe-schema');
+const { generateRecipeIndex } = require('./generate-recipe-index');
+
+const DEFAULT_RECIPES_DIR = path.join(__dirname, '../../assets/recipes');
+
+/**
+ * Parse command line arguments
+ * @param {Array<string>} args - Command line arguments
+ * @returns {Object} Options ({ input, id, force, dryRun, recipesDir })
+ */
+function parseArgs(args) {
+  const options = { input: null, id: undefined, force: false, dryRun: false, recipesDir: DEFAULT_RECIPES_DIR };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--id') {
+      options.id = args[++i];
+    } else if (arg === '--recipes-dir') {
+      options.recipesDir = path.resolve(args[++i]);
+    } else if (arg === '--force') {
+      options.force = true;
+    } else if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else if (!options.input) {
+      options.input = arg;
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Import a file into a recipes directory
+ * @param {string} inputPath - Saved HTML page, JSON-LD file, Cooklang or Markdown file
+ * @param {Object} options - Import options
+ * @param {string} options.recipesDir - Directory to write the recipe to
+ * @param {string} options.id - Recipe ID override
+ * @param {boolean} options.force - Overwrite an existing recipe
+ * @param {boolean} options.dryRun - Do not write anything
+ * @returns {{recipe: Object, filePath: string}} The imported recipe and its path
+ * @throws {Error} If the input cannot be imported
+ */
+function importRecipeFile(inputPath, { recipesDir = DEFAULT_RECIPES_DIR, id, force = false, dryRun = false } = {}) {
+  if (/^https?:\/\//i.test(inputPath)) {
+    throw new Error('The importer does not download pages; save the page and pass the saved file');
+  }
+
+  const text = fs.readFileSync(inputPath, 'utf8');
+  const extension = path.extname(inputPath).toLowerCase();
+  let recipe;
+  if (extension === '.cook') {
+    recipe = parseCooklang(text, { id });
+  } else if (extension === '.md') {
+    recipe = parseMarkdownRecipe(text, { id });
+  } else {
+    recipe = importRecipe(text, { id });
+  }
+
+  const { errors } = validateRecipe(recipe);
+  if (errors.length > 0) {
+    throw new Error(`Imported recipe does not match the recipe schema:\n  ${errors.map(error => error.message).join('\n  ')}`);
+  }
+
+  const filePath = path.join(recipesDir, `${recipe.id}.json`);
+  if (dryRun) {
+    return { recipe, filePath };
+  }
+
+  if (fs.existsSync(filePath) && !force) {
+    throw new Error(`${path.basename(filePath)} already exists; pass --force to overwrite it or --id to choose another ID`);
+  }
+
+  fs.writeFileSync(filePath, `${JSON.stringify(recipe, null, 2)}\n`, 'utf8');
+
+  const { problems } = generateRecipeIndex(recipesDir);
+  if (problems.length > 0) {
+    console.warn(`index.json was not updated:\n  ${problems.join('\n  ')}`);
+  }
+
+  return { recipe, filePath };
+}
+
+/**
+ * Run the tool from the command line
+ * @param {Array<string>} args - Command line arguments
+ * @returns {number} Exit code
+ */
+function main(args) {
+  const options = parseArgs(args);
+  if (!options.input) {
+    console.error('Usage: node src/js/tools/import-recipe.js <page.html|recipe.json|recipe.cook|recipe.md> [--id <id>] [--force] [--dry-run]');
+    return 1;
+  }
+
+  try {
+    const { recipe, filePath } = importRecipeFile(options.input, options);
+
+    if (options.dryRun) {
+      console.log(JSON.stringify(recipe, null, 2));
+      return 0;
+    }
+
+    console.log(`Imported "${recipe.title}" to ${path.relative(process.cwd(), filePath)}`);
+    console.log(`  ${recipe.ingredients.length} ingredients, ${recipe.preparationSteps.length} prep steps, ${recipe.cookingSteps.length} cooking steps`);
+    console.log(`  Add an image at src/assets/images/${recipe.id}.jpg and set metadata.imageUrl to use it`);
+    return 0;
+  } catch (error) {
+    console.error(`Import failed: ${error.message}`);
+    return 1;
+  }
+}
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = { importRecipeFile };
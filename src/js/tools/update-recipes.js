@@ -3,77 +3,52 @@
  * 
  * This script updates all recipe JSON files to use the new ingredient format
  * that includes unit and notation fields and removes the groceryList.
+ * Ingredients are re-parsed with the shared ingredient parser
+ * (src/js/modules/recipe/ingredient-parser.js).
+ *
+ * It can also convert a directory of recipes between file formats:
+ *   node src/js/tools/update-recipes.js --convert <json|cook|md> [dir] [--out <dir>]
+ *
+ *   dir    Recipes directory (default src/assets/recipes)
+ *   --out  Write the converted files here; without it the files are replaced in place
+ *
+ * and link the steps of JSON recipes to the ingredients they use
+ * (src/js/modules/recipe/ingredient-links.js):
+ *   node src/js/tools/update-recipes.js --link [dir]
  */
 
 const fs = require('fs');
 const path = require('path');
+const { isRecipeFile, getExtension, parseRecipeFile, serializeRecipeFile } = require('../modules/recipe/recipe-files');
+const { parseIngredientLine, formatIngredientLine } = require('../modules/recipe/ingredient-parser');
+const { inferIngredientLinks } = require('../modules/recipe/ingredient-links');
 
 const RECIPES_DIR = path.join(__dirname, '../../assets/recipes');
 
-// Terms that indicate "to taste" ingredients
-const TO_TASTE_TERMS = ['to taste', 'pinch', 'dash', 'as needed', 'optional', 'sprinkle'];
-
-// Common preparation methods to capture in notation
-const PREP_METHODS = [
-  'chopped', 'finely chopped', 'roughly chopped', 'coarsely chopped',
-  'minced', 'finely minced',
-  'diced', 'finely diced',
-  'sliced', 'thinly sliced', 'thickly sliced',
-  'grated', 'shredded',
-  'julienned', 'cut into strips',
-  'cut into', 'cubed', 'cut into cubes', 'cut into pieces', 'cut into chunks',
-  'peeled', 'seeded', 'cored',
-  'trimmed', 'stemmed',
-  'crushed', 'pressed',
-  'mashed', 'pureed',
-  'pitted', 'halved', 'quartered',
-  'torn', 'crumbled', 'broken',
-  'washed', 'rinsed', 'scrubbed',
-  'deboned', 'skinned', 'skin-on',
-  'bone-in', 'boneless',
-  'melted', 'softened', 'room temperature',
-  'packed', 'loosely packed', 'firmly packed'
-];
-
-// Mapping of units to their preferred format
-const UNIT_MAPPING = {
-  'tablespoon': 'Tablespoon',
-  'tablespoons': 'Tablespoons',
-  'tbsp': 'Tbsp',
-  'teaspoon': 'Teaspoon',
-  'teaspoons': 'Teaspoons',
-  'tsp': 'tsp',
-  'cup': 'cup',
-  'cups': 'cups',
-  'pound': 'pound',
-  'pounds': 'pounds',
-  'lb': 'lb',
-  'lbs': 'lbs',
-  'ounce': 'ounce',
-  'ounces': 'ounces',
-  'oz': 'oz',
-  'can': 'can',
-  'cans': 'cans',
-  'clove': 'clove',
-  'cloves': 'cloves'
-};
+/**
+ * Re-parse an ingredient with the shared ingredient parser
+ * The quantity, unit, name and notation are read back as one line, so sizes and
+ * units stuck in the name ("1 can (15 oz) pinto beans") move into quantity and
+ * unit, and preparation moves into the notation. The category is kept.
+ * @param {Object} ingredient - Ingredient
+ * @returns {Object} Updated ingredient
+ */
+function updateIngredient(ingredient) {
+  const parsed = parseIngredientLine(formatIngredientLine(ingredient));
 
-// Common units to check for
-const COMMON_UNITS = [
-  'Tablespoon', 'Tablespoons', 'tablespoon', 'tablespoons', 'tbsp', 'Tbsp',
-  'teaspoon', 'teaspoons', 'Teaspoon', 'Teaspoons', 'tsp',
-  'cup', 'cups', 'Cup', 'Cups',
-  'pound', 'pounds', 'Pound', 'Pounds', 'lb', 'lbs',
-  'ounce', 'ounces', 'Ounce', 'Ounces', 'oz',
-  'gram', 'grams', 'g',
-  'kilogram', 'kilograms', 'kg',
-  'milliliter', 'milliliters', 'ml',
-  'liter', 'liters', 'l',
-  'pinch', 'dash',
-  'can', 'cans', 'bottle', 'bottles', 'package', 'packages',
-  'clove', 'cloves', 'head', 'heads', 'bunch', 'bunches',
-  'large', 'small', 'medium'
-];
+  const updated = {
+    ...ingredient,
+    name: parsed.name || ingredient.name,
+    quantity: parsed.quantity,
+    unit: parsed.unit,
+    category: ingredient.category || parsed.category
+  };
+  delete updated.notation;
+  if (parsed.notation) {
+    updated.notation = parsed.notation;
+  }
+  return updated;
+}
 
 // Process a single recipe file
 function processRecipeFile(filePath) {
@@ -96,142 +71,9 @@ function processRecipeFile(filePath) {
     return;
   }
   
-  // Update the ingredients format
-  recipe.ingredients = recipe.ingredients.map(ingredient => {
-    const updated = { ...ingredient };
-    
-    // Check if this is a "to taste" ingredient
-    const quantityStr = String(ingredient.quantity || '').toLowerCase();
-    const nameStr = String(ingredient.name || '').toLowerCase();
-    
-    const isToTaste = TO_TASTE_TERMS.some(term => 
-      quantityStr.includes(term) || nameStr.includes(term)
-    );
-    
-    // Extract preparation method from name
-    let prepMethod = '';
-    let updatedName = ingredient.name;
-    
-    if (ingredient.name) {
-      // First check for preparation instructions after a comma
-      const commaIndex = ingredient.name.indexOf(',');
-      if (commaIndex > -1) {
-        const beforeComma = ingredient.name.substring(0, commaIndex).trim();
-        const afterComma = ingredient.name.substring(commaIndex + 1).trim();
-        
-        // What comes after the comma is likely a preparation instruction
-        prepMethod = afterComma;
-        updatedName = beforeComma;
-      } else {
-        // Look for specific preparation methods in the name
-        for (const method of PREP_METHODS) {
-          if (ingredient.name.toLowerCase().includes(method)) {
-            // Check if it's a phrase like "cut into 2-inch cubes"
-            const methodIndex = ingredient.name.toLowerCase().indexOf(method);
-            const endOfName = ingredient.name.toLowerCase().indexOf(',', methodIndex);
-            
-            if (endOfName > -1) {
-              // If there's a comma after the method, extract everything up to the comma
-              prepMethod = ingredient.name.substring(methodIndex, endOfName).trim();
-            } else {
-              // Otherwise, try to determine the end of the preparation phrase
-              // Find all text from the method keyword to the end or to the next comma
-              const remainingText = ingredient.name.substring(methodIndex);
-              prepMethod = remainingText;
-            }
-            
-            // The name is everything before the preparation method
-            updatedName = ingredient.name.substring(0, methodIndex).trim();
-            
-            // If we've successfully extracted a prep method, break the loop
-            if (prepMethod && updatedName) {
-              break;
-            }
-          }
-        }
-        
-        // Handle special case for ingredients that start with prep methods
-        if (!prepMethod) {
-          // Check if the name starts with a prep method
-          for (const method of PREP_METHODS) {
-            if (nameStr.startsWith(method)) {
-              const restOfName = ingredient.name.substring(method.length).trim();
-              // If there's text after the method, it's likely the ingredient name
-              if (restOfName) {
-                prepMethod = method;
-                updatedName = restOfName;
-                break;
-              }
-            }
-          }
-        }
-      }
-    }
-    
-    // Update the name with the cleaned version
-    if (updatedName && updatedName !== ingredient.name) {
-      updated.name = updatedName;
-    }
-    
-    if (isToTaste) {
-      // Format as a "to taste" ingredient
-      updated.quantity = '';
-      updated.unit = '';
-      updated.notation = 'to taste';
-      
-      // Add prep method to notation if present
-      if (prepMethod) {
-        updated.notation = `${prepMethod}, to taste`;
-      }
-    } else {
-      // Handle normal ingredient with prep method
-      if (prepMethod && !updated.notation) {
-        updated.notation = prepMethod;
-      }
-      
-      // Extract unit from quantity if present
-      if (ingredient.quantity) {
-        let unitFound = false;
-        
-        // Check if quantity contains any known units
-        for (const unit of COMMON_UNITS) {
-          const unitRegex = new RegExp(`\\b${unit}\\b`, 'i');
-          if (unitRegex.test(ingredient.quantity)) {
-            // Extract the numeric part before the unit
-            const parts = ingredient.quantity.split(unitRegex);
-            updated.quantity = parts[0].trim();
-            // Use the case from the original text for the unit
-            const unitMatch = ingredient.quantity.match(unitRegex);
-            if (unitMatch) {
-              updated.unit = unitMatch[0];
-              unitFound = true;
-              break;
-            }
-          }
-        }
-        
-        // If no unit found, try to separate by looking for numbers
-        if (!unitFound) {
-          const numericRegex = /^([\d\s⅛¼⅓½⅔¾⅝⅞\.\/]+)(?:\s+)(.+)?$/;
-          const match = String(ingredient.quantity).match(numericRegex);
-          
-          if (match && match[2]) {
-            updated.quantity = match[1].trim();
-            updated.unit = match[2].trim();
-          } else if (!updated.unit || updated.unit === '') {
-            updated.unit = '';
-          }
-        }
-      } else {
-        // No quantity, just add empty unit if not already set
-        if (!updated.unit) {
-          updated.unit = '';
-        }
-      }
-    }
-    
-    return updated;
-  });
+  // Update the ingredients format and link the steps to them
+  recipe.ingredients = recipe.ingredients.map(updateIngredient);
+  recipe = inferIngredientLinks(recipe);
   
   // Remove the groceryList if present
   if (recipe.groceryList) {
@@ -260,5 +102,139 @@ function updateAllRecipes() {
   console.log(`Processed ${count} recipe files`);
 }
 
-// Run the update
-updateAllRecipes(); 
\ No newline at end of file
+/**
+ * Link the steps of every JSON recipe in a directory to the ingredients they use
+ * Ingredients get ids and steps get an `ingredients` list; steps that already
+ * have one are left alone, so links corrected by hand survive a re-run.
+ * @param {string} recipesDir - Directory containing the recipe files
+ * @returns {Array<{file: string, links: number}>} The files updated and their link counts
+ */
+function linkRecipeDirectory(recipesDir) {
+  return fs.readdirSync(recipesDir)
+    .filter(file => isRecipeFile(file) && getExtension(file) === '.json')
+    .sort()
+    .map(file => {
+      const filePath = path.join(recipesDir, file);
+      const recipe = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      const linked = inferIngredientLinks(recipe);
+      const links = [...linked.preparationSteps, ...linked.cookingSteps]
+        .reduce((count, step) => count + (step.ingredients || []).length, 0);
+
+      fs.writeFileSync(filePath, `${JSON.stringify(linked, null, 2)}\n`, 'utf8');
+      console.log(`Linked ${file} (${links} ingredient links)`);
+      return { file, links };
+    });
+}
+
+// Target formats for --convert, by name
+const CONVERT_FORMATS = {
+  json: '.json',
+  cook: '.cook',
+  cooklang: '.cook',
+  md: '.md',
+  markdown: '.md'
+};
+
+/**
+ * Convert every recipe file in a directory to one format
+ * Files already in that format are left alone. Without an output directory the
+ * converted file replaces the original, so each recipe keeps a single file.
+ * @param {string} recipesDir - Directory containing the recipe files
+ * @param {string} format - Target format (json, cook or md)
+ * @param {Object} options - Conversion options
+ * @param {string} options.outDir - Where to write the converted files (defaults to recipesDir)
+ * @returns {Array<{from: string, to: string}>} The files converted
+ * @throws {Error} If the format is unknown or a recipe cannot be read
+ */
+function convertRecipeDirectory(recipesDir, format, { outDir = recipesDir } = {}) {
+  const extension = CONVERT_FORMATS[String(format).toLowerCase()];
+  if (!extension) {
+    throw new Error(`Unknown format "${format}"; expected ${Object.keys(CONVERT_FORMATS).join(', ')}`);
+  }
+
+  const inPlace = path.resolve(outDir) === path.resolve(recipesDir);
+  fs.mkdirSync(outDir, { recursive: true });
+
+  return fs.readdirSync(recipesDir)
+    .filter(file => isRecipeFile(file) && getExtension(file) !== extension)
+    .sort()
+    .map(file => {
+      const recipe = parseRecipeFile(file, fs.readFileSync(path.join(recipesDir, file), 'utf8'));
+      const target = `${recipe.id}${extension}`;
+      fs.writeFileSync(path.join(outDir, target), serializeRecipeFile(target, recipe), 'utf8');
+      if (inPlace) {
+        fs.unlinkSync(path.join(recipesDir, file));
+      }
+      console.log(`Converted ${file} to ${target}`);
+      return { from: file, to: target };
+    });
+}
+
+/**
+ * Parse command line arguments
+ * @param {Array<string>} args - Command line arguments
+ * @returns {Object} Options ({ convert, link, recipesDir, outDir })
+ */
+function parseArgs(args) {
+  const options = { convert: null, link: false, recipesDir: RECIPES_DIR, outDir: null };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--convert') {
+      options.convert = args[++i];
+    } else if (arg === '--link') {
+      options.link = true;
+    } else if (arg === '--out') {
+      options.outDir = path.resolve(args[++i]);
+    } else {
+      options.recipesDir = path.resolve(arg);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Run the tool from the command line
+ * @param {Array<string>} args - Command line arguments
+ * @returns {number} Exit code
+ */
+function main(args) {
+  const options = parseArgs(args);
+
+  if (options.link) {
+    try {
+      const linked = linkRecipeDirectory(options.recipesDir);
+      console.log(`Linked ${linked.length} recipe files`);
+      return 0;
+    } catch (error) {
+      console.error(`Linking failed: ${error.message}`);
+      return 1;
+    }
+  }
+
+  if (!options.convert) {
+    updateAllRecipes();
+    return 0;
+  }
+
+  try {
+    const converted = convertRecipeDirectory(options.recipesDir, options.convert, {
+      outDir: options.outDir || options.recipesDir
+    });
+    console.log(`Converted ${converted.length} recipe files`);
+    if (converted.length > 0 && !options.outDir) {
+      console.log('Run "npm run generate:index" to update index.json');
+    }
+    return 0;
+  } catch (error) {
+    console.error(`Conversion failed: ${error.message}`);
+    return 1;
+  }
+}
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = { updateIngredient, linkRecipeDirectory, convertRecipeDirectory }; 
\ No newline at end of file
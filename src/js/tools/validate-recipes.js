@@ -0,0 +1,347 @@
+/**
+ * Recipe Validation Tool
+ *
+ * Validates every recipe file (.json, Cooklang .cook or Markdown .md) and index.json in
+ * src/assets/recipes against the
+ * JSON Schemas in src/js/modules/recipe/schema, then cross-checks them:
+ * every index entry needs a recipe file with the same id, every recipe file needs
+ * an index entry, thumbnails and recipe images must exist in src/assets/images, and
+ * step ingredient links must point at an ingredient id and an existing bullet.
+ *
+ * Errors are printed as "file:line:column message". The process exits with a
+ * non-zero status when anything fails.
+ *
+ * Usage:
+ *   node src/js/tools/validate-recipes.js [--strict] [recipes-dir]
+ *
+ *   --strict  Treat warnings (e.g. missing images) as errors
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+  RECIPE_SCHEMA_VERSION,
+  RECIPE_INDEX_SCHEMA_VERSION,
+  validateRecipe,
+  validateRecipeIndex
+} = require('../modules/recipe/recipe-schema');
+const {
+  INDEX_FILE,
+  isRecipeFile,
+  getExtension,
+  getRecipeIdFromFilename,
+  parseRecipeFile
+} = require('../modules/recipe/recipe-files');
+const { checkIngredientLinks } = require('../modules/recipe/ingredient-links');
+
+const DEFAULT_RECIPES_DIR = path.join(__dirname, '../../assets/recipes');
+
+/**
+ * Build a lookup from JSON pointer to character offset in the source text.
+ * Property pointers map to the position of the property name so errors land
+ * on the line a person would edit.
+ * @param {string} text - Valid JSON text
+ * @returns {Map<string, number>} Offsets keyed by JSON pointer
+ */
+function mapJsonPositions(text) {
+  const positions = new Map();
+  let i = 0;
+
+  const skipWhitespace = () => {
+    while (i < text.length && /\s/.test(text[i])) i++;
+  };
+
+  const readString = () => {
+    const start = i;
+    i++;
+    while (i < text.length && text[i] !== '"') {
+      i += text[i] === '\\' ? 2 : 1;
+    }
+    i++;
+    return JSON.parse(text.slice(start, i));
+  };
+
+  const readValue = pointer => {
+    skipWhitespace();
+    if (!positions.has(pointer)) positions.set(pointer, i);
+
+    if (text[i] === '{') {
+      i++;
+      skipWhitespace();
+      while (text[i] !== '}') {
+        skipWhitespace();
+        const keyStart = i;
+        const key = readString();
+        const childPointer = `${pointer}/${key.replace(/~/g, '~0').replace(/\//g, '~1')}`;
+        positions.set(childPointer, keyStart);
+        skipWhitespace();
+        i++; // colon
+        readValue(childPointer);
+        skipWhitespace();
+        if (text[i] === ',') i++;
+        skipWhitespace();
+      }
+      i++;
+    } else if (text[i] === '[') {
+      i++;
+      skipWhitespace();
+      let index = 0;
+      while (text[i] !== ']') {
+        readValue(`${pointer}/${index++}`);
+        skipWhitespace();
+        if (text[i] === ',') i++;
+        skipWhitespace();
+      }
+      i++;
+    } else if (text[i] === '"') {
+      readString();
+    } else {
+      while (i < text.length && !/[\s,\]}]/.test(text[i])) i++;
+    }
+  };
+
+  readValue('');
+  return positions;
+}
+
+/**
+ * Convert a character offset to a 1-based line and column
+ * @param {string} text - The source text
+ * @param {number} offset - Character offset
+ * @returns {{line: number, column: number}}
+ */
+function offsetToLineColumn(text, offset) {
+  const before = text.slice(0, Math.max(0, offset));
+  const lines = before.split('\n');
+  return { line: lines.length, column: lines[lines.length - 1].length + 1 };
+}
+
+/**
+ * Find the line and column for a JSON pointer, falling back to the nearest
+ * parent that exists (e.g. the object a required property is missing from)
+ * @param {Object} source - { text, positions }
+ * @param {string} pointer - JSON pointer
+ * @returns {{line: number, column: number}}
+ */
+function locatePointer(source, pointer) {
+  let current = pointer;
+  while (!source.positions.has(current) && current !== '') {
+    current = current.slice(0, current.lastIndexOf('/'));
+  }
+  return offsetToLineColumn(source.text, source.positions.get(current) || 0);
+}
+
+/**
+ * Read and parse a JSON file, reporting parse errors with a location
+ * @param {string} filePath - Path to the file
+ * @param {Function} report - Problem reporter
+ * @returns {{data: *, text: string, positions: Map}|null} Parsed source or null
+ */
+function readJsonFile(filePath, report) {
+  const text = fs.readFileSync(filePath, 'utf8');
+
+  if (!text.trim()) {
+    report('error', filePath, { line: 1, column: 1 }, 'file is empty');
+    return null;
+  }
+
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    const position = error.message.match(/at position (\d+)/);
+    const lineColumn = error.message.match(/line (\d+) column (\d+)/);
+    let location = { line: 1, column: 1 };
+    if (lineColumn) {
+      location = { line: Number(lineColumn[1]), column: Number(lineColumn[2]) };
+    } else if (position) {
+      location = offsetToLineColumn(text, Number(position[1]));
+    }
+    report('error', filePath, location, `invalid JSON: ${error.message}`);
+    return null;
+  }
+
+  return { data, text, positions: mapJsonPositions(text) };
+}
+
+/**
+ * Read and parse a recipe file in any supported format
+ * Only JSON files have per-property locations; problems in other formats are
+ * reported at the top of the file.
+ * @param {string} filePath - Path to the file
+ * @param {Function} report - Problem reporter
+ * @returns {{data: *, text: string, positions: Map}|null} Parsed source or null
+ */
+function readRecipeFile(filePath, report) {
+  if (getExtension(filePath) === '.json') {
+    return readJsonFile(filePath, report);
+  }
+
+  const text = fs.readFileSync(filePath, 'utf8');
+  try {
+    return { data: parseRecipeFile(filePath, text), text, positions: new Map() };
+  } catch (error) {
+    report('error', filePath, { line: 1, column: 1 }, `invalid recipe: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Report schema errors against their source locations
+ * @param {string} filePath - The validated file
+ * @param {Object} source - Parsed source
+ * @param {Array<Object>} errors - Schema errors
+ * @param {Function} report - Problem reporter
+ */
+function reportSchemaErrors(filePath, source, errors, report) {
+  errors.forEach(error => {
+    report('error', filePath, locatePointer(source, error.path), error.message);
+  });
+}
+
+/**
+ * Check that an asset path from a recipe or index entry exists
+ * @param {string} assetPath - Path relative to src/assets (e.g. images/x.jpg)
+ * @param {string} assetsDir - The assets directory
+ * @returns {boolean} True if the file exists
+ */
+function assetExists(assetPath, assetsDir) {
+  return fs.existsSync(path.join(assetsDir, assetPath));
+}
+
+/**
+ * Validate all recipe files and the index in a directory
+ * @param {string} recipesDir - Directory containing the recipe files
+ * @param {Object} options - Validation options
+ * @param {boolean} options.strict - Treat warnings as errors
+ * @param {Function} options.log - Output function for problems
+ * @returns {{errors: number, warnings: number, files: number}} Summary
+ */
+function validateRecipeDirectory(recipesDir, { strict = false, log = console.log } = {}) {
+  const assetsDir = path.dirname(recipesDir);
+  const summary = { errors: 0, warnings: 0, files: 0 };
+
+  const report = (level, filePath, location, message) => {
+    const isError = level === 'error' || strict;
+    summary[isError ? 'errors' : 'warnings']++;
+    const relativePath = path.relative(process.cwd(), filePath) || filePath;
+    log(`${relativePath}:${location.line}:${location.column} ${isError ? 'error' : 'warning'} ${message}`);
+  };
+
+  const recipeFiles = fs.readdirSync(recipesDir)
+    .filter(isRecipeFile)
+    .sort();
+
+  // Recipe files
+  const recipes = new Map();
+  recipeFiles.forEach(file => {
+    const filePath = path.join(recipesDir, file);
+    const expectedId = getRecipeIdFromFilename(file);
+    summary.files++;
+
+    if (recipes.has(expectedId)) {
+      report('error', filePath, { line: 1, column: 1 },
+        `recipe "${expectedId}" is also defined by ${path.basename(recipes.get(expectedId).filePath)}`);
+      return;
+    }
+
+    const source = readRecipeFile(filePath, report);
+    if (!source) return;
+
+    reportSchemaErrors(filePath, source, validateRecipe(source.data).errors, report);
+
+    const recipe = source.data || {};
+    if (typeof recipe.id === 'string' && recipe.id !== expectedId) {
+      report('error', filePath, locatePointer(source, '/id'),
+        `/id "${recipe.id}" does not match the filename "${file}"`);
+    }
+
+    checkIngredientLinks(recipe).forEach(({ path: pointer, message }) => {
+      report('error', filePath, locatePointer(source, pointer), message);
+    });
+
+    const imageUrl = recipe.metadata?.imageUrl;
+    if (typeof imageUrl === 'string' && imageUrl && !assetExists(imageUrl, assetsDir)) {
+      report('warning', filePath, locatePointer(source, '/metadata/imageUrl'),
+        `/metadata/imageUrl "${imageUrl}" does not exist in ${path.relative(process.cwd(), assetsDir)}`);
+    }
+
+    recipes.set(expectedId, { filePath, source });
+  });
+
+  // Index
+  const indexPath = path.join(recipesDir, INDEX_FILE);
+  if (!fs.existsSync(indexPath)) {
+    report('error', indexPath, { line: 1, column: 1 }, 'file is missing');
+    return summary;
+  }
+
+  summary.files++;
+  const indexSource = readJsonFile(indexPath, report);
+  if (!indexSource) return summary;
+
+  reportSchemaErrors(indexPath, indexSource, validateRecipeIndex(indexSource.data).errors, report);
+
+  const entries = Array.isArray(indexSource.data?.recipes) ? indexSource.data.recipes : [];
+  const indexedIds = new Set();
+
+  entries.forEach((entry, position) => {
+    if (!entry || typeof entry.id !== 'string') return;
+    const pointer = `/recipes/${position}`;
+
+    if (indexedIds.has(entry.id)) {
+      report('error', indexPath, locatePointer(indexSource, `${pointer}/id`),
+        `${pointer}/id "${entry.id}" is listed more than once`);
+    }
+    indexedIds.add(entry.id);
+
+    const recipe = recipes.get(entry.id);
+    const expectedFile = entry.file || `${entry.id}.json`;
+    if (!recipe) {
+      report('error', indexPath, locatePointer(indexSource, `${pointer}/id`),
+        `${pointer}/id "${entry.id}" has no recipe file ${expectedFile}`);
+    } else if (path.basename(recipe.filePath) !== expectedFile) {
+      report('error', indexPath, locatePointer(indexSource, `${pointer}/${entry.file ? 'file' : 'id'}`),
+        `${pointer} points at ${expectedFile} but the recipe is in ${path.basename(recipe.filePath)}`);
+    } else if (recipe.source.data?.title && entry.title && recipe.source.data.title !== entry.title) {
+      report('warning', indexPath, locatePointer(indexSource, `${pointer}/title`),
+        `${pointer}/title does not match the title in ${expectedFile}`);
+    }
+
+    if (typeof entry.thumbnail === 'string' && entry.thumbnail && !assetExists(entry.thumbnail, assetsDir)) {
+      report('warning', indexPath, locatePointer(indexSource, `${pointer}/thumbnail`),
+        `${pointer}/thumbnail "${entry.thumbnail}" does not exist in ${path.relative(process.cwd(), assetsDir)}`);
+    }
+  });
+
+  recipes.forEach(({ filePath }, id) => {
+    if (!indexedIds.has(id)) {
+      report('error', filePath, { line: 1, column: 1 }, `recipe "${id}" is not listed in ${INDEX_FILE}`);
+    }
+  });
+
+  return summary;
+}
+
+/**
+ * Run the tool from the command line
+ * @param {Array<string>} args - Command line arguments
+ * @returns {number} Exit code
+ */
+function main(args) {
+  const strict = args.includes('--strict');
+  const dirArg = args.find(arg => !arg.startsWith('--'));
+  const recipesDir = dirArg ? path.resolve(dirArg) : DEFAULT_RECIPES_DIR;
+
+  console.log(`Validating recipes in ${recipesDir} (recipe schema v${RECIPE_SCHEMA_VERSION}, index schema v${RECIPE_INDEX_SCHEMA_VERSION})`);
+  const { errors, warnings, files } = validateRecipeDirectory(recipesDir, { strict });
+  console.log(`Checked ${files} files: ${errors} error${errors === 1 ? '' : 's'}, ${warnings} warning${warnings === 1 ? '' : 's'}`);
+
+  return errors > 0 ? 1 : 0;
+}
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = { validateRecipeDirectory, mapJsonPositions };
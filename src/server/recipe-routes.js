@@ -0,0 +1,80 @@
+/**
+ * Recipe API Routes
+ * Express router exposing CRUD endpoints for recipes
+ */
+
+const express = require('express');
+const { createRecipeStore } = require('./recipe-store');
+
+/**
+ * Wrap an async route handler so rejected promises reach the error handler
+ * @param {Function} handler - Async route handler
+ * @returns {Function} Express middleware
+ */
+function asyncRoute(handler) {
+  return (req, res, next) => {
+    handler(req, res, next).catch(next);
+  };
+}
+
+/**
+ * Create the recipe API router
+ * @param {string} recipesDir - Absolute path to the recipes directory
+ * @returns {express.Router} The router
+ */
+function createRecipeRouter(recipesDir) {
+  const store = createRecipeStore(recipesDir);
+  const router = express.Router();
+
+  router.use(express.json({ limit: '1mb' }));
+
+  // Lets the browser check whether the API is reachable
+  router.get('/health', (req, res) => {
+    res.json({ status: 'ok' });
+  });
+
+  router.get('/recipes', asyncRoute(async (req, res) => {
+    res.json(await store.getIndex());
+  }));
+
+  router.get('/recipes/:id', asyncRoute(async (req, res) => {
+    res.json(await store.getRecipe(req.params.id));
+  }));
+
+  router.post('/recipes', asyncRoute(async (req, res) => {
+    const recipe = await store.createRecipe(req.body);
+    res.status(201).json(recipe);
+  }));
+
+  router.put('/recipes/:id', asyncRoute(async (req, res) => {
+    res.json(await store.updateRecipe(req.params.id, req.body));
+  }));
+
+  router.delete('/recipes/:id', asyncRoute(async (req, res) => {
+    await store.deleteRecipe(req.params.id);
+    res.status(204).end();
+  }));
+
+  // Report errors as JSON so the client can show the message; once a response has started, Express's
+  // own handler has to close the connection
+  router.use((error, req, res, next) => {
+    if (res.headersSent) {
+      next(error);
+      return;
+    }
+
+    const status = error.status || error.statusCode || 500;
+    if (status >= 500) {
+      console.error('Recipe API error:', error);
+    }
+    const body = { error: error.message };
+    if (error.details) {
+      body.details = error.details;
+    }
+    res.status(status).json(body);
+  });
+
+  return router;
+}
+
+module.exports = { createRecipeRouter };
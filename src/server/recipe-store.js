@@ -0,0 +1,228 @@
+/**
+ * Recipe Store
+ * Reads and writes recipe files (JSON, Cooklang or Markdown) and keeps index.json in sync
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { buildIndexEntry, slugify } = require('../js/modules/recipe/recipe-index');
+const { validateRecipe } = require('../js/modules/recipe/recipe-schema');
+const { RECIPE_FILE_EXTENSIONS, parseRecipeFile, serializeRecipeFile } = require('../js/modules/recipe/recipe-files');
+
+const INDEX_FILENAME = 'index.json';
+
+// Recipe IDs double as filenames, so keep them to lowercase slugs
+const RECIPE_ID_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+/**
+ * Create an error carrying an HTTP status code
+ * @param {number} status - HTTP status code
+ * @param {string} message - Error message
+ * @returns {Error} The error
+ */
+function createHttpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Check that a recipe ID is safe to use as a filename
+ * @param {string} recipeId - The recipe ID
+ */
+function assertValidId(recipeId) {
+  if (!recipeId || !RECIPE_ID_PATTERN.test(recipeId) || recipeId === 'index') {
+    throw createHttpError(400, `Invalid recipe ID: "${recipeId}"`);
+  }
+}
+
+/**
+ * Check that a request body is a JSON object
+ * @param {Object} recipe - Recipe data
+ */
+function assertRecipeObject(recipe) {
+  if (!recipe || typeof recipe !== 'object' || Array.isArray(recipe)) {
+    throw createHttpError(400, 'Recipe body must be a JSON object');
+  }
+}
+
+/**
+ * Check recipe data against the recipe JSON Schema
+ * @param {Object} recipe - Recipe data including its ID
+ */
+function assertValidRecipe(recipe) {
+  const { valid, errors } = validateRecipe(recipe);
+  if (!valid) {
+    const error = createHttpError(400, `Invalid recipe data: ${errors[0].message}`);
+    error.details = errors.map(schemaError => schemaError.message);
+    throw error;
+  }
+}
+
+/**
+ * Copy recipe data with the ID as its first field, matching the existing files
+ * @param {Object} recipe - Recipe data
+ * @param {string} recipeId - The recipe ID
+ * @returns {Object} Recipe data with the ID set
+ */
+function withId(recipe, recipeId) {
+  return Object.assign({ id: recipeId }, recipe, { id: recipeId });
+}
+
+/**
+ * Create a store backed by a directory of recipe JSON files
+ * @param {string} recipesDir - Absolute path to the recipes directory
+ * @returns {Object} Recipe store
+ */
+function createRecipeStore(recipesDir) {
+  const indexPath = path.join(recipesDir, INDEX_FILENAME);
+
+  const recipePath = (recipeId) => path.join(recipesDir, `${recipeId}.json`);
+
+  async function readJson(filePath) {
+    const content = await fs.readFile(filePath, 'utf8');
+    return JSON.parse(content);
+  }
+
+  async function writeJson(filePath, data) {
+    await fs.writeFile(filePath, `${JSON.stringify(data, null, 2)}\n`, 'utf8');
+  }
+
+  async function exists(filePath) {
+    try {
+      await fs.access(filePath);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // The existing file for a recipe, whichever format it is in
+  async function findRecipeFile(recipeId) {
+    for (const extension of RECIPE_FILE_EXTENSIONS) {
+      const filePath = path.join(recipesDir, `${recipeId}${extension}`);
+      if (await exists(filePath)) return filePath;
+    }
+    return null;
+  }
+
+  async function readRecipeFile(filePath) {
+    return parseRecipeFile(filePath, await fs.readFile(filePath, 'utf8'));
+  }
+
+  async function writeRecipeFile(filePath, recipe) {
+    await fs.writeFile(filePath, serializeRecipeFile(filePath, recipe), 'utf8');
+  }
+
+  return {
+    /**
+     * Read index.json
+     * @returns {Promise<Object>} The recipe index ({ recipes: [...] })
+     */
+    async getIndex() {
+      const index = await readJson(indexPath);
+      return { ...index, recipes: index.recipes || [] };
+    },
+
+    /**
+     * Read a single recipe
+     * @param {string} recipeId - The recipe ID
+     * @returns {Promise<Object>} The recipe data
+     */
+    async getRecipe(recipeId) {
+      assertValidId(recipeId);
+
+      const filePath = await findRecipeFile(recipeId);
+      if (!filePath) {
+        throw createHttpError(404, `Recipe "${recipeId}" not found`);
+      }
+
+      try {
+        return await readRecipeFile(filePath);
+      } catch (error) {
+        throw createHttpError(500, `Recipe "${recipeId}" could not be read: ${error.message}`);
+      }
+    },
+
+    /**
+     * Create a new recipe file and add it to the index
+     * @param {Object} recipe - Recipe data; the ID is derived from the title if missing
+     * @returns {Promise<Object>} The stored recipe
+     */
+    async createRecipe(recipe) {
+      assertRecipeObject(recipe);
+
+      const recipeId = recipe.id || slugify(recipe.title);
+      assertValidId(recipeId);
+
+      if (await findRecipeFile(recipeId)) {
+        throw createHttpError(409, `Recipe "${recipeId}" already exists`);
+      }
+
+      const stored = withId(recipe, recipeId);
+      assertValidRecipe(stored);
+      await writeRecipeFile(recipePath(recipeId), stored);
+
+      const index = await this.getIndex();
+      index.recipes = index.recipes.filter(entry => entry.id !== recipeId);
+      index.recipes.push(buildIndexEntry(stored));
+      await writeJson(indexPath, index);
+
+      return stored;
+    },
+
+    /**
+     * Replace an existing recipe and refresh its index entry
+     * The recipe keeps its file format, so Cooklang and Markdown recipes are written back in their own format.
+     * @param {string} recipeId - The recipe ID
+     * @param {Object} recipe - Recipe data
+     * @returns {Promise<Object>} The stored recipe
+     */
+    async updateRecipe(recipeId, recipe) {
+      assertValidId(recipeId);
+      assertRecipeObject(recipe);
+
+      const filePath = await findRecipeFile(recipeId);
+      if (!filePath) {
+        throw createHttpError(404, `Recipe "${recipeId}" not found`);
+      }
+
+      const stored = withId(recipe, recipeId);
+      assertValidRecipe(stored);
+      await writeRecipeFile(filePath, stored);
+
+      const index = await this.getIndex();
+      const position = index.recipes.findIndex(entry => entry.id === recipeId);
+      if (position === -1) {
+        const file = path.basename(filePath);
+        index.recipes.push({ ...buildIndexEntry(stored), ...(file !== `${recipeId}.json` ? { file } : {}) });
+      } else {
+        index.recipes[position] = buildIndexEntry(stored, index.recipes[position]);
+      }
+      await writeJson(indexPath, index);
+
+      return stored;
+    },
+
+    /**
+     * Delete a recipe file and remove it from the index
+     * @param {string} recipeId - The recipe ID
+     */
+    async deleteRecipe(recipeId) {
+      assertValidId(recipeId);
+
+      const filePath = await findRecipeFile(recipeId);
+      if (!filePath) {
+        throw createHttpError(404, `Recipe "${recipeId}" not found`);
+      }
+
+      await fs.unlink(filePath);
+
+      const index = await this.getIndex();
+      index.recipes = index.recipes.filter(entry => entry.id !== recipeId);
+      await writeJson(indexPath, index);
+    }
+  };
+}
+
+module.exports = { createRecipeStore };
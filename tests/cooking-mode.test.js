@@ -0,0 +1,171 @@
+import { markRecipeCooked } from '../src/js/modules/recipe/recipe-history.js';
+import { useIngredients } from '../src/js/modules/shopping/pantry.js';
+import { clearCookingSession } from '../src/js/modules/cooking/cooking-session.js';
+import { buildIngredientMatchers } from '../src/js/modules/recipe/ingredient-links.js';
+import { useLocalStorage } from './helpers/local-storage.js';
+
+jest.mock('../src/styles/main.css', () => ({}));
+jest.mock('../src/js/core/events/event-bus.js');
+jest.mock('../src/js/modules/recipe/recipe-history.js', () => ({
+  __esModule: true,
+  markRecipeCooked: jest.fn()
+}));
+jest.mock('../src/js/modules/shopping/pantry.js', () => ({
+  __esModule: true,
+  useIngredients: jest.fn()
+}));
+jest.mock('../src/js/modules/cooking/cooking-session.js', () => ({
+  __esModule: true,
+  ...jest.requireActual('../src/js/modules/cooking/cooking-session.js'),
+  clearCookingSession: jest.fn()
+}));
+
+// Just enough of an element for the navigation buttons and the step text; markup set through
+// innerHTML is not parsed, so text can only get in as text
+const createElement = tagName => {
+  const classes = new Set();
+  const listeners = {};
+  const parts = {};
+  const element = {
+    tagName,
+    textContent: '',
+    disabled: false,
+    hidden: false,
+    dataset: {},
+    style: {},
+    children: [],
+    classList: {
+      add: name => classes.add(name),
+      remove: name => classes.delete(name),
+      toggle: (name, force) => (force ? classes.add(name) : classes.delete(name)),
+      contains: name => classes.has(name)
+    },
+    appendChild: child => {
+      element.children.push(child);
+      return child;
+    },
+    querySelector: selector => {
+      parts[selector] = parts[selector] || createElement(selector);
+      return parts[selector];
+    },
+    addEventListener: (type, listener) => {
+      listeners[type] = [...(listeners[type] || []), listener];
+    },
+    click: () => (listeners.click || []).forEach(listener => listener({ preventDefault: () => {} }))
+  };
+  let html = '';
+  Object.defineProperty(element, 'innerHTML', {
+    get: () => html,
+    set: value => {
+      html = value;
+      element.children = [];
+    }
+  });
+  return element;
+};
+
+// The text of an element's children, with each <mark> in brackets
+const readNodes = element => element.children
+  .map(child => (child.tagName === 'mark' ? `[${child.textContent}]` : child.textContent))
+  .join('');
+
+useLocalStorage();
+
+describe('Cooking mode', () => {
+  let cookingMode;
+
+  beforeAll(() => {
+    // Cooking mode starts itself on a page, so it is loaded once the page is faked
+    global.window = { location: { search: '' } };
+    global.document = {
+      body: { dataset: {} },
+      addEventListener: () => {},
+      createElement,
+      createDocumentFragment: () => createElement('#fragment'),
+      createTextNode: text => ({ textContent: text }),
+      querySelector: () => null
+    };
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    cookingMode = require('../src/js/modules/cooking/cooking-mode.js').default._instance;
+  });
+
+  afterAll(() => {
+    delete global.window;
+    delete global.document;
+    jest.restoreAllMocks();
+  });
+
+  test('finishes the cook-through from the last step\'s button', () => {
+    Object.assign(cookingMode, {
+      recipeId: 'fiesta-chili',
+      recipe: { title: 'Fiesta Chili', ingredients: [{ name: 'Onion', quantity: '1', unit: '' }] },
+      steps: [
+        { phase: 'preparation', description: 'Chop the onion', bullets: [] },
+        { phase: 'cooking', description: 'Simmer the onion', bullets: [] }
+      ],
+      currentStep: 1,
+      currentPhase: 'cooking',
+      elements: {
+        prevButton: createElement('button'),
+        nextButton: createElement('button'),
+        readButton: createElement('button'),
+        exitButton: createElement('button'),
+        stepDetails: createElement('ul'),
+        currentStep: createElement('p'),
+        stepTitle: createElement('h2'),
+        stepNumber: createElement('span'),
+        phaseIndicators: []
+      }
+    });
+    cookingMode.bindEvents();
+
+    const { nextButton } = cookingMode.elements;
+    cookingMode.updateNavigationButtons();
+    expect(nextButton.textContent).toBe('Finish');
+    expect(nextButton.disabled).toBe(false);
+
+    nextButton.click();
+    expect(cookingMode.finished).toBe(true);
+    expect(cookingMode.elements.stepTitle.textContent).toBe('Recipe Complete');
+    expect(markRecipeCooked).toHaveBeenCalledWith('fiesta-chili');
+    expect(useIngredients).toHaveBeenCalledWith([expect.objectContaining({ name: 'Onion' })]);
+    expect(clearCookingSession).toHaveBeenCalledWith('fiesta-chili');
+    expect(nextButton.textContent).toBe('Bon Appétit!');
+    expect(nextButton.disabled).toBe(true);
+  });
+
+  test('shows step text and ingredients as text, with the mentions marked', () => {
+    const recipe = {
+      ingredients: [{ id: 'beans', name: 'Beans & <b>rice</b>', quantity: '1', unit: 'can' }],
+      preparationSteps: [],
+      cookingSteps: []
+    };
+    const step = {
+      phase: 'cooking',
+      description: 'Stir <img src=x> into the beans & rice',
+      bullets: ['Keep <script> warm'],
+      ingredients: [{ id: 'beans' }]
+    };
+    Object.assign(cookingMode, {
+      recipe,
+      ingredientMatchers: buildIngredientMatchers([{ id: 'beans', name: 'beans' }]),
+      steps: [step],
+      currentStep: 0,
+      scale: 1,
+      units: 'us',
+      elements: {
+        currentStep: createElement('p'),
+        stepIngredients: createElement('ul'),
+        stepDetails: createElement('ul')
+      }
+    });
+
+    cookingMode.renderStepContent(step);
+    const { currentStep, stepIngredients, stepDetails } = cookingMode.elements;
+    expect(currentStep.innerHTML).toBe('');
+    expect(readNodes(currentStep.children[0])).toBe('Stir <img src=x> into the [beans] & rice');
+    expect(stepIngredients.innerHTML).toBe('');
+    expect(stepIngredients.children.map(item => item.textContent)).toEqual(['1 can Beans & <b>rice</b>']);
+    expect(stepDetails.children.map(item => readNodes(item.children[0]))).toEqual(['Keep <script> warm']);
+  });
+});
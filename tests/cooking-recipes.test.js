@@ -0,0 +1,74 @@
+import {
+  RECIPE_COLORS,
+  getRecipeIdsFromUrl,
+  getRecipeColor,
+  findRecipeByName,
+  parseRecipeCommand,
+  shiftTimerSteps
+} from '../src/js/modules/cooking/cooking-recipes.js';
+
+const titles = ['Honey Garlic Salmon', 'Coconut Rice', 'Garlic Green Beans'];
+
+describe('Recipes of a cooking session', () => {
+  test('are read from every id in the link, each once', () => {
+    expect(getRecipeIdsFromUrl('?id=honey-garlic-salmon&id=coconut-rice&id=honey-garlic-salmon'))
+      .toEqual(['honey-garlic-salmon', 'coconut-rice']);
+    expect(getRecipeIdsFromUrl('?id=coconut-rice&servings=4')).toEqual(['coconut-rice']);
+    expect(getRecipeIdsFromUrl('?id=')).toEqual([]);
+  });
+
+  test('each get a colour, starting over when there are more recipes than colours', () => {
+    expect(getRecipeColor(0)).toBe(RECIPE_COLORS[0]);
+    expect(getRecipeColor(1)).not.toBe(getRecipeColor(0));
+    expect(getRecipeColor(RECIPE_COLORS.length)).toBe(RECIPE_COLORS[0]);
+  });
+
+  test('are found by the words of their title', () => {
+    expect(findRecipeByName('the salmon', titles)).toBe(0);
+    expect(findRecipeByName('rice', titles)).toBe(1);
+    expect(findRecipeByName('green beans', titles)).toBe(2);
+    expect(findRecipeByName('garlic bean', titles)).toBe(2);
+    // A word in two titles means the first
+    expect(findRecipeByName('garlic', titles)).toBe(0);
+    expect(findRecipeByName('the pasta', titles)).toBe(-1);
+  });
+});
+
+describe('Voice commands for one recipe', () => {
+  test('move, read or switch to the recipe named', () => {
+    expect(parseRecipeCommand('next step for the salmon', titles)).toEqual({ action: 'next', index: 0 });
+    expect(parseRecipeCommand('previous step for the rice', titles)).toEqual({ action: 'previous', index: 1 });
+    expect(parseRecipeCommand('read the step for the green beans', titles)).toEqual({ action: 'read', index: 2 });
+    expect(parseRecipeCommand('switch to the rice', titles)).toEqual({ action: 'switch', index: 1 });
+  });
+
+  test('leave other commands alone', () => {
+    expect(parseRecipeCommand('next step', titles)).toBeNull();
+    expect(parseRecipeCommand('go to the next step', titles)).toBeNull();
+    expect(parseRecipeCommand('switch to cooking phase', titles)).toBeNull();
+    expect(parseRecipeCommand('next step for the pasta', titles)).toBeNull();
+  });
+
+  test('leave steps and phases to the step commands, even when a title shares a word', () => {
+    const onePot = ['One-Pot Coconut Chicken and Rice', 'Cooking Rice for a Crowd'];
+    expect(parseRecipeCommand('go to step one', onePot)).toBeNull();
+    expect(parseRecipeCommand('go to the cooking step two', onePot)).toBeNull();
+    expect(parseRecipeCommand('go to cooking phase', onePot)).toBeNull();
+    expect(parseRecipeCommand('go to the one pot chicken', onePot)).toEqual({ action: 'switch', index: 0 });
+  });
+});
+
+describe('Timer steps', () => {
+  const timers = [
+    { name: 'Bake', duration: 720, metadata: { stepId: 2, stepIndex: 2, stepPhase: 'cooking' } },
+    { name: 'Pasta', duration: 600, metadata: {} }
+  ];
+
+  test('are numbered across the recipes and back', () => {
+    const shifted = shiftTimerSteps(timers, 5);
+    expect(shifted[0].metadata).toEqual({ stepId: 7, stepIndex: 7, stepPhase: 'cooking' });
+    expect(shifted[1].metadata).toEqual({});
+    expect(shiftTimerSteps(shifted, -5)).toEqual(timers);
+    expect(shiftTimerSteps(timers, 0)).toBe(timers);
+  });
+});
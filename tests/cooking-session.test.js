@@ -0,0 +1,90 @@
+import {
+  SESSION_MAX_AGE,
+  getCookingSession,
+  saveCookingSession,
+  clearCookingSession,
+  isWorthResuming,
+  snapshotTimers,
+  resolveTimers
+} from '../src/js/modules/cooking/cooking-session.js';
+import { useLocalStorage } from './helpers/local-storage.js';
+
+useLocalStorage();
+
+const NOW = Date.UTC(2024, 4, 1, 18, 0, 0);
+
+const session = {
+  recipeId: 'red-lentil-dal',
+  step: 3,
+  phase: 'cooking',
+  completedSteps: [0, 1, 2],
+  timers: [],
+  startedAt: NOW - 20 * 60 * 1000,
+  stepCount: 8
+};
+
+describe('Cooking sessions', () => {
+  test('are saved per recipe and cleared', () => {
+    saveCookingSession(session, NOW);
+    saveCookingSession({ ...session, recipeId: 'fiesta-chili', step: 1 }, NOW);
+
+    expect(getCookingSession('red-lentil-dal', { now: NOW })).toEqual({ ...session, updatedAt: NOW });
+    expect(getCookingSession('fiesta-chili', { now: NOW }).step).toBe(1);
+
+    clearCookingSession('red-lentil-dal');
+    expect(getCookingSession('red-lentil-dal', { now: NOW })).toBeNull();
+    expect(getCookingSession('fiesta-chili', { now: NOW })).not.toBeNull();
+  });
+
+  test('are forgotten when old or saved for a different version of the recipe', () => {
+    saveCookingSession(session, NOW);
+    expect(getCookingSession('red-lentil-dal', { now: NOW + SESSION_MAX_AGE + 1 })).toBeNull();
+    expect(getCookingSession('red-lentil-dal', { stepCount: 9, now: NOW })).toBeNull();
+    expect(getCookingSession('red-lentil-dal', { stepCount: 8, now: NOW })).not.toBeNull();
+  });
+
+  test('are only worth resuming once something happened', () => {
+    expect(isWorthResuming(null)).toBe(false);
+    expect(isWorthResuming({ ...session, step: 0, completedSteps: [], timers: [] })).toBe(false);
+    expect(isWorthResuming({ ...session, step: 0, completedSteps: [], timers: [{ name: 'Rice' }] })).toBe(true);
+    expect(isWorthResuming({ ...session, step: 0, completedSteps: [], checkedBullets: { 0: [1] }, timers: [] })).toBe(true);
+    expect(isWorthResuming(session)).toBe(true);
+  });
+});
+
+describe('Session timers', () => {
+  const metadata = { stepIndex: 3, stepPhase: 'cooking' };
+  const timers = [
+    { name: 'Simmer', duration: 600, remaining: 300, status: 'running', metadata },
+    { name: 'Rice', duration: 900, remaining: 120, status: 'paused', metadata },
+    { name: 'Rest', duration: 60, remaining: 60, status: 'idle' },
+    { name: 'Toast', duration: 60, remaining: 0, status: 'completed', metadata }
+  ];
+
+  test('keep the end time of running timers', () => {
+    expect(snapshotTimers(timers, NOW)).toEqual([
+      { name: 'Simmer', duration: 600, status: 'running', metadata, endsAt: NOW + 300 * 1000 },
+      { name: 'Rice', duration: 900, status: 'paused', metadata, remaining: 120 },
+      { name: 'Rest', duration: 60, status: 'idle', metadata: {}, remaining: 60 },
+      { name: 'Toast', duration: 60, status: 'completed', metadata, remaining: 0 }
+    ]);
+  });
+
+  test('count running timers down by the time the page was closed', () => {
+    const saved = snapshotTimers(timers, NOW);
+
+    const resumed = resolveTimers(saved, NOW + 100 * 1000);
+    expect(resumed[0]).toEqual({ name: 'Simmer', duration: 600, status: 'running', metadata, remaining: 200 });
+    expect(resumed[1]).toEqual({ name: 'Rice', duration: 900, status: 'paused', metadata, remaining: 120 });
+    expect(resumed[3].remaining).toBe(0);
+
+    // A part of a second left still shows as a second
+    expect(resolveTimers(saved, NOW + 299.5 * 1000)[0].remaining).toBe(1);
+  });
+
+  test('finish running timers whose end passed while the page was closed', () => {
+    const resumed = resolveTimers(snapshotTimers(timers, NOW), NOW + 301 * 1000);
+    expect(resumed[0]).toMatchObject({ name: 'Simmer', status: 'completed', remaining: 0 });
+    expect(resumed[1].status).toBe('paused');
+  });
+});
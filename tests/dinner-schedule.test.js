@@ -0,0 +1,121 @@
+import {
+  DEFAULT_STEP_MINUTES,
+  estimateSteps,
+  planDinner,
+  getScheduleNudges,
+  parseServeTime
+} from '../src/js/modules/cooking/dinner-schedule.js';
+
+const MINUTE = 60 * 1000;
+const NOW = new Date(2024, 4, 1, 17, 0).getTime();
+const SERVE_AT = new Date(2024, 4, 1, 19, 0).getTime();
+
+const chili = {
+  id: 'fiesta-chili',
+  title: 'Fiesta Chili',
+  metadata: { prepTime: '10 minutes', activeTime: '15 minutes', handsOffTime: '20 minutes' },
+  preparationSteps: [
+    { mainStep: 'Dice the onion', bullets: [] },
+    { mainStep: 'Mince the garlic', bullets: [] }
+  ],
+  cookingSteps: [
+    { mainStep: 'Heat a large pot', bullets: ['Add and heat olive oil (1 minute)', 'Cook onion until golden (3-5 minutes)'] },
+    { mainStep: 'Bring to a boil, then simmer covered (20 minutes)', bullets: [] },
+    { mainStep: 'Stir in the beans and season to taste', bullets: [] }
+  ]
+};
+
+const rice = {
+  id: 'coconut-rice',
+  title: 'Coconut Rice',
+  preparationSteps: [{ mainStep: 'Rinse the rice', bullets: [] }],
+  cookingSteps: [{ mainStep: 'Simmer covered (15 minutes)', bullets: [] }]
+};
+
+const salmon = {
+  id: 'pan-seared-salmon',
+  title: 'Pan-Seared Salmon',
+  preparationSteps: [{ mainStep: 'Season the salmon', bullets: [] }],
+  cookingSteps: [{ mainStep: 'Sear skin side down (6 minutes)', bullets: [] }]
+};
+
+describe('Step lengths', () => {
+  test('come from the timers in the step, with the rest of the metadata shared out', () => {
+    expect(estimateSteps(chili)).toEqual([
+      { stepIndex: 0, phase: 'preparation', label: 'Preparation Step 1', minutes: 5, handsOff: false },
+      { stepIndex: 1, phase: 'preparation', label: 'Preparation Step 2', minutes: 5, handsOff: false },
+      { stepIndex: 2, phase: 'cooking', label: 'Cooking Step 1', minutes: 6, handsOff: false },
+      { stepIndex: 3, phase: 'cooking', label: 'Cooking Step 2', minutes: 20, handsOff: true },
+      { stepIndex: 4, phase: 'cooking', label: 'Cooking Step 3', minutes: 9, handsOff: false }
+    ]);
+  });
+
+  test('fall back to a few minutes when the recipe has no times', () => {
+    expect(estimateSteps(rice).map(step => step.minutes)).toEqual([DEFAULT_STEP_MINUTES, 15]);
+  });
+});
+
+describe('Dinner schedule', () => {
+  test('starts a recipe so it finishes at the serve time', () => {
+    const schedule = planDinner([chili], SERVE_AT);
+    const [recipe] = schedule.recipes;
+
+    expect(recipe.endAt).toBe(SERVE_AT);
+    expect(recipe.startAt).toBe(SERVE_AT - 45 * MINUTE);
+    expect(schedule.startAt).toBe(recipe.startAt);
+    recipe.steps.slice(1).forEach((step, index) => {
+      expect(step.startAt).toBe(recipe.steps[index].endAt);
+    });
+  });
+
+  test('fits one recipe\'s hands-on steps around another\'s hands-off ones', () => {
+    const schedule = planDinner([rice, salmon], SERVE_AT);
+    const [riceTimes, salmonTimes] = schedule.recipes;
+
+    expect(riceTimes.endAt).toBe(SERVE_AT);
+    expect(salmonTimes.endAt).toBe(SERVE_AT);
+    expect(riceTimes.startAt).toBe(SERVE_AT - 18 * MINUTE);
+    expect(salmonTimes.startAt).toBe(SERVE_AT - 9 * MINUTE);
+  });
+
+  test('never has the cook on two hands-on steps at once', () => {
+    const schedule = planDinner([salmon, { ...salmon, id: 'seared-scallops', title: 'Seared Scallops' }], SERVE_AT);
+    const handsOn = schedule.recipes
+      .flatMap(recipe => recipe.steps)
+      .filter(step => !step.handsOff)
+      .sort((a, b) => a.startAt - b.startAt);
+
+    handsOn.slice(1).forEach((step, index) => {
+      expect(step.startAt).toBeGreaterThanOrEqual(handsOn[index].endAt);
+    });
+    expect(schedule.recipes.map(recipe => recipe.readyEarly)).toEqual([0, 6]);
+  });
+});
+
+describe('Schedule nudges', () => {
+  test('say when to start each recipe and when to come back after a hands-off step', () => {
+    const schedule = planDinner([chili, rice], SERVE_AT);
+    expect(getScheduleNudges(schedule).map(({ at, message }) => [at, message])).toEqual([
+      [SERVE_AT - 45 * MINUTE, 'Start the fiesta chili now'],
+      [SERVE_AT - 18 * MINUTE, 'Start the coconut rice now'],
+      [SERVE_AT - 9 * MINUTE, 'Back to the fiesta chili: Cooking Step 3']
+    ]);
+  });
+});
+
+describe('Serve time', () => {
+  test('is read from a time input as today', () => {
+    expect(parseServeTime('19:00', NOW)).toBe(SERVE_AT);
+  });
+
+  test('must be a time', () => {
+    expect(() => parseServeTime('soon', NOW)).toThrow('"soon" is not a time');
+    expect(() => parseServeTime('25:00', NOW)).toThrow('is not a time');
+  });
+
+  test('is tomorrow when it has already passed today', () => {
+    const lateEvening = new Date(2024, 4, 1, 23, 0).getTime();
+    expect(parseServeTime('00:30', lateEvening)).toBe(new Date(2024, 4, 2, 0, 30).getTime());
+    expect(parseServeTime('16:30', NOW)).toBe(new Date(2024, 4, 2, 16, 30).getTime());
+  });
+});
@@ -0,0 +1,32 @@
+/**
+ * localStorage for tests
+ * The stores that keep the pantry, shopping list, plans and sessions use localStorage, which
+ * Node does not have. Call useLocalStorage() at the top of a test file, or inside a describe,
+ * to give each test an empty one.
+ */
+
+/**
+ * Create an empty in-memory localStorage
+ * @returns {Object} Storage with getItem, setItem and removeItem
+ */
+export function createStorage() {
+  const items = new Map();
+  return {
+    getItem: key => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: key => items.delete(key)
+  };
+}
+
+/**
+ * Give every test in the current scope an empty localStorage, removed again afterwards
+ */
+export function useLocalStorage() {
+  beforeEach(() => {
+    global.localStorage = createStorage();
+  });
+
+  afterEach(() => {
+    delete global.localStorage;
+  });
+}
@@ -0,0 +1,83 @@
+import fs from 'fs';
+import path from 'path';
+import {
+  normalizeIngredientName,
+  buildIngredientIndex,
+  findIngredients,
+  findRecipesWithIngredient,
+  parsePantryItems,
+  matchPantry
+} from '../src/js/modules/recipe/ingredient-index.js';
+
+const INDEX_PATH = path.resolve(__dirname, '../src/assets/recipes/index.json');
+
+const recipes = [
+  { id: 'soup', ingredients: ['Olive oil', 'Yellow or red onion', 'Garlic cloves', 'Chicken broth', 'Salt'] },
+  { id: 'rice', ingredients: ['Skinless chicken thighs', 'Short-grain white rice', 'Water'] },
+  { id: 'salad', ingredients: ['Cherry tomatoes cut in half', 'Extra-virgin olive oil', 'Fresh basil leaves'] }
+];
+
+describe('ingredient names', () => {
+  test('are normalized to what the ingredient is', () => {
+    expect(normalizeIngredientName('Garlic cloves')).toEqual(['garlic']);
+    expect(normalizeIngredientName('Cherry tomatoes cut in half')).toEqual(['cherry tomato']);
+    expect(normalizeIngredientName('Fresh basil leaves')).toEqual(['basil']);
+    expect(normalizeIngredientName('Can of pickled hot jalapeños')).toEqual(['pickled hot jalapeno']);
+    expect(normalizeIngredientName('Fresh')).toEqual([]);
+  });
+
+  test('with alternatives are each alternative', () => {
+    expect(normalizeIngredientName('Yellow or red onion')).toEqual(['yellow onion', 'red onion']);
+    expect(normalizeIngredientName('Sweet paprika or chili powder')).toEqual(['sweet paprika', 'chili powder']);
+  });
+});
+
+describe('the index', () => {
+  const index = buildIngredientIndex(recipes);
+
+  test('finds ingredients by their words and what they are', () => {
+    expect(findIngredients(index, 'olive oil')).toEqual(['olive oil', 'extra-virgin olive oil']);
+    expect(findIngredients(index, 'onions')).toEqual(['yellow onion', 'red onion']);
+    expect(findIngredients(index, 'chicken')).toEqual(['chicken']);
+    expect(findIngredients(index, 'saffron')).toEqual([]);
+  });
+
+  test('finds the recipes using an ingredient', () => {
+    expect(findRecipesWithIngredient(index, 'chicken broth')).toEqual(['soup']);
+    expect(findRecipesWithIngredient(index, 'oil')).toEqual(['soup', 'salad']);
+  });
+});
+
+describe('what can I cook', () => {
+  const index = buildIngredientIndex(recipes);
+
+  test('reads a list of what you have', () => {
+    expect(parsePantryItems('chicken, rice\nonion,, chicken')).toEqual(['chicken', 'rice', 'onion']);
+  });
+
+  test('ranks recipes by the share of ingredients you have and lists what is missing', () => {
+    const matches = matchPantry(index, ['chicken', 'rice', 'olive oil']);
+
+    expect(matches.map(match => match.id)).toEqual(['rice', 'soup', 'salad']);
+    expect(matches[0]).toEqual({
+      id: 'rice',
+      owned: ['Skinless chicken thighs', 'Short-grain white rice', 'Water'],
+      missing: [],
+      total: 3
+    });
+    expect(matches[1].missing).toEqual(['Yellow or red onion', 'Garlic cloves', 'Chicken broth']);
+  });
+
+  test('leaves out recipes using none of what you have, even with the staples', () => {
+    expect(matchPantry(index, ['basil']).map(match => match.id)).toEqual(['salad']);
+    expect(matchPantry(index, [])).toEqual([]);
+  });
+});
+
+test('the bundled recipes can be matched', () => {
+  const { recipes: entries } = JSON.parse(fs.readFileSync(INDEX_PATH, 'utf8'));
+  const index = buildIngredientIndex(entries);
+
+  expect(findRecipesWithIngredient(index, 'garlic').length).toBeGreaterThan(1);
+  expect(matchPantry(index, ['chicken', 'rice']).length).toBeGreaterThan(0);
+});
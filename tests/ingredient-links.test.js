@@ -0,0 +1,172 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  assignIngredientIds,
+  buildIngredientMatchers,
+  findIngredientMentions,
+  inferIngredientLinks,
+  getStepIngredients,
+  getUnusedIngredients,
+  checkIngredientLinks
+} from '../src/js/modules/recipe/ingredient-links.js';
+import { normalizeIngredientName } from '../src/js/modules/recipe/ingredient-index.js';
+import { parseRecipeFile, isRecipeFile } from '../src/js/modules/recipe/recipe-files.js';
+import { validateRecipe } from '../src/js/modules/recipe/recipe-schema.js';
+import { validateRecipeDirectory } from '../src/js/tools/validate-recipes.js';
+import { linkRecipeDirectory } from '../src/js/tools/update-recipes.js';
+
+const RECIPES_DIR = path.resolve(__dirname, '../src/assets/recipes');
+
+const readRecipe = file => parseRecipeFile(file, fs.readFileSync(path.join(RECIPES_DIR, file), 'utf8'));
+
+const stripLinks = recipe => {
+  const stripped = JSON.parse(JSON.stringify(recipe));
+  stripped.ingredients.forEach(ingredient => delete ingredient.id);
+  [...stripped.preparationSteps, ...stripped.cookingSteps].forEach(step => delete step.ingredients);
+  return stripped;
+};
+
+const recipe = {
+  id: 'bean-tacos',
+  title: 'Bean Tacos',
+  metadata: { yields: '2 servings', totalTime: '15 minutes' },
+  ingredients: [
+    { name: 'Pinto beans', quantity: '1', unit: 'can', category: 'Canned Goods' },
+    { name: 'Black beans', quantity: '1', unit: 'can', category: 'Canned Goods' },
+    { name: 'Garlic cloves', quantity: '2', unit: '', category: 'Produce' },
+    { name: 'Jalapeño', quantity: '1', unit: '', category: 'Produce' },
+    { name: 'Cotija cheese', quantity: '', unit: '', category: 'Dairy', notation: 'to taste' }
+  ],
+  preparationSteps: [
+    { id: 'prep-step-1', mainStep: 'Drain the beans', bullets: ['Drain 1 can pinto beans', 'Drain 1 can black beans'] }
+  ],
+  cookingSteps: [
+    { id: 'cooking-step-1', mainStep: 'Warm the beans with the garlic', bullets: ['Add the jalapenos and cook (2 minutes)'] }
+  ]
+};
+
+describe('ingredient links', () => {
+  test('give every ingredient a unique id', () => {
+    expect(assignIngredientIds([{ name: 'Olive oil' }, { name: 'Olive Oil' }, { id: 'salt', name: 'Kosher salt' }])
+      .map(ingredient => ingredient.id)).toEqual(['olive-oil', 'olive-oil-2', 'salt']);
+  });
+
+  test('find full and shortened names, ignoring accents and plurals', () => {
+    const ingredients = assignIngredientIds(recipe.ingredients);
+    const matchers = buildIngredientMatchers(ingredients);
+    const text = 'Add the garlic, 2 jalapeños and black beans';
+
+    expect(findIngredientMentions(text, matchers).map(({ id, start, end }) => [id, text.slice(start, end)])).toEqual([
+      ['garlic-cloves', 'garlic'],
+      ['jalapeno', 'jalapeños'],
+      ['black-beans', 'black beans']
+    ]);
+    // "beans" alone could be either kind, so it is not linked
+    expect(findIngredientMentions('Drain the beans', matchers)).toEqual([]);
+  });
+
+  test('agree with the ingredient index on plurals and form words', () => {
+    const ingredients = assignIngredientIds([
+      { name: 'Mixed berries', quantity: '1', unit: 'cup', category: 'Produce' },
+      { name: 'Basil leaves', quantity: '', unit: '', category: 'Produce' },
+      { name: 'Chicken thighs', quantity: '4', unit: '', category: 'Meat' }
+    ]);
+    const matchers = buildIngredientMatchers(ingredients);
+    const text = 'Top the chicken with a berry and a basil leaf';
+
+    expect(findIngredientMentions(text, matchers).map(({ id, start, end }) => [id, text.slice(start, end)])).toEqual([
+      ['chicken-thighs', 'chicken'],
+      ['mixed-berries', 'berry'],
+      ['basil-leaves', 'basil leaf']
+    ]);
+    expect(['Mixed berries', 'Basil leaves', 'Chicken thighs'].map(name => normalizeIngredientName(name)[0]))
+      .toEqual(['mixed berry', 'basil', 'chicken']);
+  });
+
+  test('are inferred for each step with the bullet that mentions them', () => {
+    const linked = inferIngredientLinks(recipe);
+
+    expect(linked.preparationSteps[0].ingredients).toEqual([
+      { id: 'pinto-beans', bullet: 0 },
+      { id: 'black-beans', bullet: 1 }
+    ]);
+    expect(linked.cookingSteps[0].ingredients).toEqual([{ id: 'garlic-cloves' }, { id: 'jalapeno', bullet: 0 }]);
+    expect(getStepIngredients(linked, linked.cookingSteps[0]).map(({ ingredient }) => ingredient.name)).toEqual(['Garlic cloves', 'Jalapeño']);
+    expect(getUnusedIngredients(linked).map(ingredient => ingredient.id)).toEqual(['cotija-cheese']);
+    expect(validateRecipe(linked).errors).toEqual([]);
+  });
+
+  test('keep links a step already has', () => {
+    const edited = { ...recipe, cookingSteps: [{ ...recipe.cookingSteps[0], ingredients: [] }] };
+
+    expect(inferIngredientLinks(edited).cookingSteps[0].ingredients).toEqual([]);
+  });
+
+  test('link the bullets of fiesta-chili.json to its ingredients', () => {
+    const linked = inferIngredientLinks(stripLinks(readRecipe('fiesta-chili.json')));
+    const firstStep = linked.preparationSteps[0];
+
+    expect(firstStep.bullets[0]).toBe('¼ cup extra-virgin olive oil');
+    expect(firstStep.ingredients).toContainEqual({ id: 'extra-virgin-olive-oil', bullet: 0 });
+    expect(getStepIngredients(linked, firstStep).map(({ ingredient }) => ingredient.id)).toEqual([
+      'extra-virgin-olive-oil', 'yellow-or-red-onion', 'garlic-cloves', 'ground-beef', 'salt', 'black-pepper'
+    ]);
+  });
+
+  test('report duplicate ids, unknown ids and missing bullets', () => {
+    const broken = inferIngredientLinks(recipe);
+    broken.ingredients[4] = { ...broken.ingredients[4], id: 'pinto-beans' };
+    broken.cookingSteps[0] = { ...broken.cookingSteps[0], ingredients: [{ id: 'tortillas' }, { id: 'jalapeno', bullet: 3 }] };
+
+    expect(checkIngredientLinks(broken)).toEqual([
+      { path: '/ingredients/4/id', message: '/ingredients/4/id "pinto-beans" is used by an earlier ingredient' },
+      { path: '/cookingSteps/0/ingredients/0/id', message: '/cookingSteps/0/ingredients/0/id "tortillas" is not an ingredient id' },
+      { path: '/cookingSteps/0/ingredients/1/bullet', message: '/cookingSteps/0/ingredients/1/bullet 3 is past the step\'s last bullet' }
+    ]);
+  });
+});
+
+describe('bundled recipes', () => {
+  test('have valid ingredient links', () => {
+    fs.readdirSync(RECIPES_DIR).filter(isRecipeFile).forEach(file => {
+      expect({ file, problems: checkIngredientLinks(readRecipe(file)) }).toEqual({ file, problems: [] });
+    });
+  });
+});
+
+describe('linking a recipes directory', () => {
+  let recipesDir;
+
+  beforeEach(() => {
+    recipesDir = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'ingredient-links-')), 'recipes');
+    fs.mkdirSync(recipesDir);
+    fs.writeFileSync(path.join(recipesDir, 'bean-tacos.json'), JSON.stringify(recipe, null, 2));
+    fs.writeFileSync(path.join(recipesDir, 'index.json'), JSON.stringify({
+      recipes: [{ id: 'bean-tacos', title: 'Bean Tacos', file: 'bean-tacos.json' }]
+    }, null, 2));
+  });
+
+  afterEach(() => {
+    fs.rmSync(path.dirname(recipesDir), { recursive: true, force: true });
+  });
+
+  test('writes the links into the JSON recipes', () => {
+    const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+    const result = linkRecipeDirectory(recipesDir);
+    log.mockRestore();
+
+    expect(result).toEqual([{ file: 'bean-tacos.json', links: 4 }]);
+    expect(JSON.parse(fs.readFileSync(path.join(recipesDir, 'bean-tacos.json'), 'utf8'))).toEqual(inferIngredientLinks(recipe));
+  });
+
+  test('reports broken links as validation errors', () => {
+    const broken = inferIngredientLinks(recipe);
+    broken.cookingSteps[0].ingredients.push({ id: 'tortillas' });
+    fs.writeFileSync(path.join(recipesDir, 'bean-tacos.json'), JSON.stringify(broken, null, 2));
+    const lines = [];
+
+    expect(validateRecipeDirectory(recipesDir, { log: line => lines.push(line) }).errors).toBeGreaterThan(0);
+    expect(lines.join('\n')).toContain('/cookingSteps/0/ingredients/2/id "tortillas" is not an ingredient id');
+  });
+});
@@ -0,0 +1,112 @@
+import fs from 'fs';
+import path from 'path';
+import {
+  parseIngredient,
+  toRecipeIngredient,
+  parseIngredientLine,
+  formatIngredientLine
+} from '../src/js/modules/recipe/ingredient-parser.js';
+import { parseRecipeFile, isRecipeFile } from '../src/js/modules/recipe/recipe-files.js';
+import { validateRecipe } from '../src/js/modules/recipe/recipe-schema.js';
+import { updateIngredient } from '../src/js/tools/update-recipes.js';
+
+const FIXTURE = path.resolve(__dirname, 'fixtures/ingredients/ingredient-lines.json');
+const RECIPES_DIR = path.resolve(__dirname, '../src/assets/recipes');
+
+const EMPTY = {
+  quantity: '',
+  unit: '',
+  packageSize: '',
+  name: '',
+  preparation: '',
+  alternatives: [],
+  notes: [],
+  optional: false,
+  toTaste: false
+};
+
+const fixtures = JSON.parse(fs.readFileSync(FIXTURE, 'utf8'));
+
+const readRecipes = () => fs.readdirSync(RECIPES_DIR)
+  .filter(isRecipeFile)
+  .map(file => parseRecipeFile(file, fs.readFileSync(path.join(RECIPES_DIR, file), 'utf8')));
+
+describe('ingredient line parser', () => {
+  test.each(fixtures.map(({ line, expected }) => [line, expected]))('parses "%s"', (line, expected) => {
+    expect(parseIngredient(line)).toEqual({ ...EMPTY, ...expected });
+  });
+
+  test('handles empty input', () => {
+    expect(parseIngredient('')).toEqual(EMPTY);
+    expect(parseIngredient(undefined)).toEqual(EMPTY);
+  });
+});
+
+describe('recipe ingredients from parsed lines', () => {
+  test('joins the package size to the unit and collects the notation', () => {
+    expect(parseIngredientLine('2 cans (15 oz each) diced fire-roasted tomatoes')).toEqual({
+      name: 'Fire-roasted tomatoes',
+      quantity: '2',
+      unit: '15-oz can',
+      category: 'Canned Goods',
+      notation: 'diced'
+    });
+    expect(parseIngredientLine('1 pound ground beef (or pork, turkey, chicken)')).toEqual({
+      name: 'Ground beef',
+      quantity: '1',
+      unit: 'pound',
+      category: 'Meat',
+      notation: 'or pork, turkey, chicken'
+    });
+    expect(toRecipeIngredient(parseIngredient('4 6-ounce salmon fillets')).unit).toBe('6-ounce');
+  });
+
+  test('match the recipe schema for every fixture line', () => {
+    fixtures.forEach(({ line }) => {
+      const recipe = {
+        id: 'fixture',
+        title: 'Fixture',
+        metadata: { yields: '1 serving', totalTime: '5 minutes' },
+        ingredients: [parseIngredientLine(line)],
+        preparationSteps: [],
+        cookingSteps: [{ id: 'cooking-step-1', title: 'Cooking Step 1', mainStep: 'Cook', bullets: [] }]
+      };
+      expect({ line, errors: validateRecipe(recipe).errors }).toEqual({ line, errors: [] });
+    });
+  });
+
+  test('format back into a single line', () => {
+    expect(formatIngredientLine({ name: 'Red lentils', quantity: '1', unit: 'cup', notation: 'rinsed' })).toBe('1 cup Red lentils, rinsed');
+    expect(formatIngredientLine({ name: 'Salt', quantity: '', unit: '', notation: 'to taste' })).toBe('Salt, to taste');
+    expect(formatIngredientLine({ name: 'Onion', quantity: '1', unit: '' })).toBe('1 Onion');
+  });
+
+  test('read back their own formatted lines', () => {
+    fixtures.forEach(({ line }) => {
+      const ingredient = parseIngredientLine(line);
+      expect(parseIngredientLine(formatIngredientLine(ingredient))).toEqual(ingredient);
+    });
+  });
+});
+
+describe('recipe update tool', () => {
+  test('moves units and sizes out of ingredient names', () => {
+    expect(updateIngredient({ name: 'Can of pickled hot jalapeños', quantity: '1', unit: '', category: 'Canned Goods' })).toEqual({
+      name: 'Pickled hot jalapeños', quantity: '1', unit: 'can', category: 'Canned Goods'
+    });
+    expect(updateIngredient({ name: 'Large yellow onion', quantity: '1', unit: '', category: 'Produce' })).toEqual({
+      name: 'Yellow onion', quantity: '1', unit: 'large', category: 'Produce'
+    });
+  });
+
+  test('keeps the bundled ingredients valid and their categories unchanged', () => {
+    readRecipes().forEach(recipe => {
+      const updated = { ...recipe, ingredients: recipe.ingredients.map(updateIngredient) };
+
+      expect(validateRecipe(updated).errors).toEqual([]);
+      expect(updated.ingredients.map(ingredient => ingredient.category)).toEqual(recipe.ingredients.map(ingredient => ingredient.category));
+      // Re-running the tool changes nothing
+      expect(updated.ingredients.map(updateIngredient)).toEqual(updated.ingredients);
+    });
+  });
+});
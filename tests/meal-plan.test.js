@@ -0,0 +1,122 @@
+import {
+  DAYS,
+  MEALS,
+  EXPORT_VERSION,
+  getSlotKey,
+  getMealPlan,
+  setMeal,
+  setMealServings,
+  moveMeal,
+  removeMeal,
+  clearMealPlan,
+  getPlannedRecipes,
+  exportMealPlan,
+  importMealPlan
+} from '../src/js/modules/planner/meal-plan.js';
+import { applyServingsFromUrl, getRecipeScale } from '../src/js/modules/recipe/recipe-servings.js';
+import eventBus from '../src/js/core/events/event-bus.js';
+import { useLocalStorage } from './helpers/local-storage.js';
+
+jest.mock('../src/js/core/events/event-bus.js');
+
+useLocalStorage();
+
+beforeEach(() => {
+  eventBus.publish.mockClear();
+});
+
+const chili = { recipeId: 'fiesta-chili', title: 'Fiesta Chili', servings: 4 };
+const dal = { recipeId: 'red-lentil-dal', title: 'Red Lentil Dal', servings: 2 };
+
+describe('Meal plan', () => {
+  test('has a breakfast, lunch and dinner for each day of the week', () => {
+    expect(DAYS).toHaveLength(7);
+    expect(MEALS).toEqual(['Breakfast', 'Lunch', 'Dinner']);
+    expect(getSlotKey('Monday', 'Dinner')).toBe('monday-dinner');
+    expect(getMealPlan()).toEqual({ meals: {} });
+  });
+
+  test('plans meals and keeps them in localStorage', () => {
+    setMeal('monday-dinner', chili);
+    setMeal('tuesday-lunch', { ...dal, servings: '3' });
+
+    expect(getMealPlan().meals).toEqual({
+      'monday-dinner': chili,
+      'tuesday-lunch': { ...dal, servings: 3 }
+    });
+    expect(eventBus.publish).toHaveBeenLastCalledWith('mealplan:changed', { plan: getMealPlan() });
+  });
+
+  test('rejects unknown slots, missing recipes and servings that are not a number', () => {
+    expect(() => setMeal('someday-brunch', chili)).toThrow('Unknown meal slot "someday-brunch"');
+    expect(() => setMeal('monday-dinner', { title: 'Nothing', servings: 2 })).toThrow('needs a recipe');
+    expect(() => setMeal('monday-dinner', { ...chili, servings: 0 })).toThrow('"0" is not a number of servings');
+    expect(() => setMealServings('monday-dinner', 2)).toThrow('Nothing is planned for monday-dinner');
+
+    setMeal('monday-dinner', chili);
+    expect(() => setMealServings('monday-dinner', 'lots')).toThrow('is not a number of servings');
+    setMealServings('monday-dinner', 6);
+    expect(getMealPlan().meals['monday-dinner'].servings).toBe(6);
+  });
+
+  test('moves meals, swapping with one already there', () => {
+    setMeal('monday-dinner', chili);
+    setMeal('friday-dinner', dal);
+
+    moveMeal('monday-dinner', 'wednesday-lunch');
+    expect(getMealPlan().meals).toEqual({ 'wednesday-lunch': chili, 'friday-dinner': dal });
+
+    moveMeal('wednesday-lunch', 'friday-dinner');
+    expect(getMealPlan().meals).toEqual({ 'wednesday-lunch': dal, 'friday-dinner': chili });
+
+    removeMeal('wednesday-lunch');
+    expect(getMealPlan().meals).toEqual({ 'friday-dinner': chili });
+    clearMealPlan();
+    expect(getMealPlan().meals).toEqual({});
+  });
+
+  test('lists each planned recipe once, with the servings of every meal', () => {
+    setMeal('sunday-dinner', chili);
+    setMeal('monday-lunch', dal);
+    setMeal('monday-dinner', { ...chili, servings: 2 });
+
+    expect(getPlannedRecipes()).toEqual([
+      { recipeId: 'red-lentil-dal', title: 'Red Lentil Dal', servings: [2] },
+      { recipeId: 'fiesta-chili', title: 'Fiesta Chili', servings: [2, 4] }
+    ]);
+  });
+
+  test('exports and imports the plan as JSON', () => {
+    setMeal('monday-dinner', chili);
+    const exported = JSON.parse(JSON.stringify(exportMealPlan()));
+    expect(exported.version).toBe(EXPORT_VERSION);
+
+    clearMealPlan();
+    expect(importMealPlan({
+      ...exported,
+      meals: { ...exported.meals, 'someday-brunch': dal, 'tuesday-lunch': { recipeId: 'red-lentil-dal' } }
+    })).toBe(2);
+    expect(getMealPlan().meals).toEqual({
+      'monday-dinner': chili,
+      'tuesday-lunch': { recipeId: 'red-lentil-dal', title: 'red-lentil-dal', servings: 1 }
+    });
+  });
+
+  test('rejects files that are not meal plans', () => {
+    expect(() => importMealPlan({ tags: {} })).toThrow('not a meal plan');
+    expect(() => importMealPlan({ version: EXPORT_VERSION + 1, meals: {} })).toThrow('newer version');
+  });
+});
+
+describe('Servings in a link', () => {
+  const recipe = { metadata: { yields: '4 servings' } };
+
+  test('scale the recipe to them', () => {
+    expect(applyServingsFromUrl('fiesta-chili', recipe, '?id=fiesta-chili&servings=6')).toBe(1.5);
+    expect(getRecipeScale('fiesta-chili')).toBe(1.5);
+  });
+
+  test('leave the scale alone when there are none', () => {
+    expect(applyServingsFromUrl('fiesta-chili', recipe, '?id=fiesta-chili')).toBe(1);
+  });
+});
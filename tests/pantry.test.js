@@ -0,0 +1,127 @@
+import {
+  DEFAULT_PANTRY,
+  PANTRY_STATUS,
+  getPantry,
+  setPantryItem,
+  removePantryItem,
+  findPantryItem,
+  getPantryStatus,
+  useIngredients
+} from '../src/js/modules/shopping/pantry.js';
+import { organizeByCategory } from '../src/js/modules/shopping/shopping-list.js';
+import { measureAmount } from '../src/js/modules/recipe/unit-conversion.js';
+import eventBus from '../src/js/core/events/event-bus.js';
+import { useLocalStorage } from './helpers/local-storage.js';
+
+jest.mock('../src/js/core/events/event-bus.js');
+
+useLocalStorage();
+
+beforeEach(() => {
+  eventBus.publish.mockClear();
+});
+
+describe('the pantry', () => {
+  test('starts with the staples', () => {
+    expect(getPantry()).toEqual(DEFAULT_PANTRY);
+  });
+
+  test('keeps one item per ingredient', () => {
+    setPantryItem({ name: 'Garlic', quantity: '6', unit: 'cloves' });
+    setPantryItem({ name: 'Garlic cloves', quantity: 4, unit: 'cloves' });
+
+    expect(getPantry().filter(item => item.name.startsWith('Garlic'))).toEqual([
+      { name: 'Garlic cloves', quantity: 4, unit: 'cloves', staple: false }
+    ]);
+    expect(eventBus.publish).toHaveBeenCalledWith('pantry:changed', expect.any(Object));
+
+    removePantryItem('garlic');
+    expect(findPantryItem('Garlic cloves')).toBeNull();
+  });
+
+  test('rejects items without a name or with a bad amount', () => {
+    expect(() => setPantryItem({ name: ' ' })).toThrow('A pantry item needs a name');
+    expect(() => setPantryItem({ name: 'Rice', quantity: 'lots' })).toThrow('"lots" is not an amount');
+  });
+
+  test('finds the item for an ingredient by name', () => {
+    setPantryItem({ name: 'Rice', quantity: 2, unit: 'cups' });
+
+    expect(findPantryItem('Short-grain white rice').name).toBe('Rice');
+    expect(findPantryItem('Extra-virgin olive oil').name).toBe('Olive oil');
+    expect(findPantryItem('Rice vinegar')).toBeNull();
+  });
+});
+
+describe('pantry status', () => {
+  test('compares amounts in the same measure', () => {
+    setPantryItem({ name: 'Rice', quantity: 2, unit: 'cups' });
+    setPantryItem({ name: 'Chicken broth', quantity: 500, unit: 'ml' });
+
+    expect(getPantryStatus({ name: 'Short-grain white rice', quantity: '1½', unit: 'cups' })).toBe(PANTRY_STATUS.HAVE);
+    expect(getPantryStatus({ name: 'Short-grain white rice', quantity: '3', unit: 'cups' })).toBe(PANTRY_STATUS.PARTIAL);
+    expect(getPantryStatus({ name: 'Rice', quantity: '300', unit: 'g' })).toBe(PANTRY_STATUS.HAVE);
+    expect(getPantryStatus({ name: 'Chicken broth', quantity: '4', unit: 'cups' })).toBe(PANTRY_STATUS.PARTIAL);
+    expect(getPantryStatus({ name: 'Carrots', quantity: '2', unit: '' })).toBe(PANTRY_STATUS.NEED);
+  });
+
+  test('counts staples, uncounted items and amounts that cannot be compared as had', () => {
+    setPantryItem({ name: 'Parsley', quantity: 1, unit: 'bunch' });
+    setPantryItem({ name: 'Soy sauce' });
+
+    expect(getPantryStatus({ name: 'Salt', quantity: '', unit: '', notation: 'to taste' })).toBe(PANTRY_STATUS.HAVE);
+    expect(getPantryStatus({ name: 'Soy sauce', quantity: '2', unit: 'tablespoons' })).toBe(PANTRY_STATUS.HAVE);
+    expect(getPantryStatus({ name: 'Fresh parsley', quantity: '¼', unit: 'cup' })).toBe(PANTRY_STATUS.HAVE);
+  });
+
+  test('marks the shopping list', () => {
+    setPantryItem({ name: 'Rice', quantity: 1, unit: 'cup' });
+
+    expect(organizeByCategory([
+      { name: 'Salt', quantity: '', unit: '', category: 'Pantry', notation: 'to taste' },
+      { name: 'Short-grain white rice', quantity: '2', unit: 'cups', category: 'Pantry' },
+      { name: 'Carrots', quantity: '2', unit: '', category: 'Produce' }
+    ])).toEqual({
+      Pantry: [
+        { text: 'Salt, to taste', status: 'have', recipes: [], checked: false },
+        { text: '2 cups Short-grain white rice', status: 'partial', recipes: [], checked: false }
+      ],
+      Produce: [{ text: '2 Carrots', status: 'need', recipes: [], checked: false }]
+    });
+  });
+});
+
+describe('cooking a recipe', () => {
+  test('uses up the counted items', () => {
+    setPantryItem({ name: 'Rice', quantity: 2, unit: 'cups' });
+    setPantryItem({ name: 'Garlic', quantity: 3, unit: 'cloves' });
+    setPantryItem({ name: 'Soy sauce' });
+
+    const changed = useIngredients([
+      { name: 'Short-grain white rice', quantity: '1½', unit: 'cups' },
+      { name: 'Garlic cloves', quantity: '4', unit: 'cloves' },
+      { name: 'Soy sauce', quantity: '2', unit: 'tablespoons' },
+      { name: 'Kosher salt', quantity: '1', unit: 'teaspoon' }
+    ]);
+
+    expect(changed.map(item => item.name)).toEqual(['Rice', 'Garlic']);
+    expect(findPantryItem('Rice')).toMatchObject({ quantity: 0.5, unit: 'cups' });
+    expect(findPantryItem('Garlic').quantity).toBe(0);
+    expect(getPantryStatus({ name: 'Garlic', quantity: '1', unit: '' })).toBe(PANTRY_STATUS.NEED);
+    expect(findPantryItem('Soy sauce').quantity).toBeNull();
+  });
+
+  test('leaves the pantry alone when nothing counted was used', () => {
+    expect(useIngredients([{ name: 'Salt', quantity: '1', unit: 'teaspoon' }])).toEqual([]);
+    expect(eventBus.publish).not.toHaveBeenCalled();
+  });
+});
+
+test('amounts are measured in grams, milliliters or their own unit', () => {
+  expect(measureAmount('2', 'cups')).toEqual({ measure: 'volume', value: 2 * 236.588 });
+  expect(measureAmount('1', 'lb')).toEqual({ measure: 'weight', value: 453.592 });
+  expect(measureAmount('1', 'cup', 185)).toEqual({ measure: 'weight', value: 185 });
+  expect(measureAmount('2-3', 'cloves')).toEqual({ measure: 'clove', value: 3 });
+  expect(measureAmount('2', '')).toEqual({ measure: 'count', value: 2 });
+  expect(measureAmount('', '')).toBeNull();
+});
@@ -0,0 +1,106 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import express from 'express';
+import { createRecipeRouter } from '../src/server/recipe-routes.js';
+
+const recipe = (id, title, overrides = {}) => ({
+  id,
+  title,
+  metadata: {
+    imageUrl: `images/${id}.jpg`,
+    yields: '4 servings',
+    totalTime: '50 - 65 minutes'
+  },
+  preparationSteps: [{ id: 'prep-step-1', mainStep: 'Chop' }],
+  cookingSteps: [{ id: 'cooking-step-1', mainStep: 'Simmer' }],
+  ingredients: [{ name: 'Onion', quantity: '1', unit: '', category: 'Produce' }],
+  ...overrides
+});
+
+describe('Recipe API', () => {
+  let recipesDir;
+  let server;
+  let baseUrl;
+
+  const readIndex = () => JSON.parse(fs.readFileSync(path.join(recipesDir, 'index.json'), 'utf8'));
+
+  const request = (method, urlPath, body) => fetch(`${baseUrl}${urlPath}`, {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+
+  beforeEach(async () => {
+    recipesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'recipe-api-'));
+    fs.writeFileSync(path.join(recipesDir, 'chili.json'), `${JSON.stringify(recipe('chili', 'Chili'), null, 2)}\n`);
+    fs.writeFileSync(path.join(recipesDir, 'index.json'), `${JSON.stringify({ recipes: [{ id: 'chili', title: 'Chili' }] }, null, 2)}\n`);
+
+    const app = express();
+    app.use('/api', createRecipeRouter(recipesDir));
+    await new Promise(resolve => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+  });
+
+  afterEach(async () => {
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(recipesDir, { recursive: true, force: true });
+  });
+
+  test('reports that it is available', async () => {
+    const response = await request('GET', '/health');
+    expect(await response.json()).toEqual({ status: 'ok' });
+  });
+
+  test('lists and reads recipes', async () => {
+    expect(await (await request('GET', '/recipes')).json()).toEqual({ recipes: [{ id: 'chili', title: 'Chili' }] });
+    expect(await (await request('GET', '/recipes/chili')).json()).toMatchObject({ id: 'chili', title: 'Chili' });
+
+    const missing = await request('GET', '/recipes/pasta');
+    expect(missing.status).toBe(404);
+    expect(await missing.json()).toEqual({ error: 'Recipe "pasta" not found' });
+  });
+
+  test('creates a recipe with an ID from its title and adds it to the index', async () => {
+    const soup = recipe('soup', 'Lentil Soup');
+    delete soup.id;
+
+    const response = await request('POST', '/recipes', soup);
+    expect(response.status).toBe(201);
+    expect(Object.keys(await response.json())[0]).toBe('id');
+
+    const written = JSON.parse(fs.readFileSync(path.join(recipesDir, 'lentil-soup.json'), 'utf8'));
+    expect(written).toMatchObject({ id: 'lentil-soup', title: 'Lentil Soup' });
+    expect(readIndex().recipes.map(entry => entry.id)).toEqual(['chili', 'lentil-soup']);
+
+    const again = await request('POST', '/recipes', soup);
+    expect(again.status).toBe(409);
+  });
+
+  test('updates a recipe and its index entry', async () => {
+    const response = await request('PUT', '/recipes/chili', recipe('ignored', 'Smoky Chili'));
+    expect(await response.json()).toMatchObject({ id: 'chili', title: 'Smoky Chili' });
+    expect(readIndex().recipes).toEqual([expect.objectContaining({ id: 'chili', title: 'Smoky Chili' })]);
+
+    expect((await request('PUT', '/recipes/pasta', recipe('pasta', 'Pasta'))).status).toBe(404);
+  });
+
+  test('rejects invalid IDs and recipe data', async () => {
+    expect((await request('GET', '/recipes/Not..Safe')).status).toBe(400);
+
+    const response = await request('POST', '/recipes', { id: 'empty', title: 'Empty' });
+    expect(response.status).toBe(400);
+    expect((await response.json()).error).toMatch(/^Invalid recipe data/);
+    expect(fs.existsSync(path.join(recipesDir, 'empty.json'))).toBe(false);
+  });
+
+  test('deletes a recipe and removes it from the index', async () => {
+    expect((await request('DELETE', '/recipes/chili')).status).toBe(204);
+    expect(fs.existsSync(path.join(recipesDir, 'chili.json'))).toBe(false);
+    expect(readIndex().recipes).toEqual([]);
+
+    expect((await request('DELETE', '/recipes/chili')).status).toBe(404);
+  });
+});
@@ -0,0 +1,94 @@
+import {
+  parseTags,
+  getUserTags,
+  setUserTags,
+  getRecipeTags,
+  getCollections,
+  createCollection,
+  deleteCollection,
+  getRecipeCollections,
+  setRecipeCollections,
+  exportTagsAndCollections,
+  EXPORT_VERSION
+} from '../src/js/modules/recipe/recipe-collections.js';
+import { importRecipe } from '../src/js/modules/recipe/recipe-import.js';
+import { toSchemaOrgRecipe } from '../src/js/modules/recipe/recipe-export.js';
+import eventBus from '../src/js/core/events/event-bus.js';
+import { useLocalStorage } from './helpers/local-storage.js';
+
+jest.mock('../src/js/core/events/event-bus.js');
+
+useLocalStorage();
+
+beforeEach(() => {
+  eventBus.publish.mockClear();
+});
+
+describe('tags', () => {
+  test('are normalized and de-duplicated', () => {
+    expect(parseTags('Weeknight, one pot,  ONE-POT ,')).toEqual(['weeknight', 'one-pot']);
+    expect(parseTags(['Fusion'])).toEqual(['fusion']);
+  });
+
+  test('added by the reader are stored and shown after the recipe file tags', () => {
+    expect(setUserTags('fiesta-chili', 'Game day, one-pot')).toEqual(['game-day', 'one-pot']);
+
+    expect(getUserTags('fiesta-chili')).toEqual(['game-day', 'one-pot']);
+    expect(eventBus.publish).toHaveBeenCalledWith('recipe:collections:changed');
+    expect(getRecipeTags({ id: 'fiesta-chili', tags: ['chili', 'one-pot'] })).toEqual(['chili', 'one-pot', 'game-day']);
+
+    setUserTags('fiesta-chili', '');
+    expect(getUserTags('fiesta-chili')).toEqual([]);
+  });
+
+  test('round-trip through schema.org keywords', () => {
+    const recipe = importRecipe(JSON.stringify({
+      '@type': 'Recipe',
+      name: 'Dal',
+      keywords: 'Weeknight, Vegetarian',
+      recipeIngredient: ['1 cup red lentils'],
+      recipeInstructions: 'Simmer the lentils.'
+    }));
+
+    expect(recipe.tags).toEqual(['weeknight', 'vegetarian']);
+    expect(toSchemaOrgRecipe(recipe).keywords).toMatch(/^weeknight, vegetarian, /);
+  });
+});
+
+describe('collections', () => {
+  test('are created with unique IDs', () => {
+    expect(createCollection('Sunday Dinners')).toEqual({ id: 'sunday-dinners', name: 'Sunday Dinners', recipeIds: [] });
+    expect(createCollection('Sunday dinners!').id).toBe('sunday-dinners-2');
+    expect(() => createCollection('  ')).toThrow('A collection needs a name');
+  });
+
+  test('hold the recipes put in them', () => {
+    const sundays = createCollection('Sundays');
+    const freezer = createCollection('Freezer');
+
+    setRecipeCollections('beef-veggie-stew', [sundays.id, freezer.id]);
+    setRecipeCollections('fiesta-chili', [freezer.id]);
+    expect(getRecipeCollections('beef-veggie-stew').map(collection => collection.id)).toEqual(['sundays', 'freezer']);
+
+    setRecipeCollections('beef-veggie-stew', [sundays.id]);
+    expect(getCollections()).toEqual([
+      { id: 'sundays', name: 'Sundays', recipeIds: ['beef-veggie-stew'] },
+      { id: 'freezer', name: 'Freezer', recipeIds: ['fiesta-chili'] }
+    ]);
+
+    deleteCollection(freezer.id);
+    expect(getRecipeCollections('fiesta-chili')).toEqual([]);
+  });
+
+  test('are exported with the tags', () => {
+    setUserTags('fiesta-chili', 'game day');
+    const sundays = createCollection('Sundays');
+    setRecipeCollections('fiesta-chili', [sundays.id]);
+
+    expect(exportTagsAndCollections()).toMatchObject({
+      version: EXPORT_VERSION,
+      tags: { 'fiesta-chili': ['game-day'] },
+      collections: [{ id: 'sundays', name: 'Sundays', recipeIds: ['fiesta-chili'] }]
+    });
+  });
+});
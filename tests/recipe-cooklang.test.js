@@ -0,0 +1,170 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { parseCooklang, serializeCooklang } from '../src/js/modules/recipe/recipe-cooklang.js';
+import { parseRecipeFile, isRecipeFile } from '../src/js/modules/recipe/recipe-files.js';
+import { validateRecipe } from '../src/js/modules/recipe/recipe-schema.js';
+import { findTimersInStep } from '../src/js/modules/timer/utils/timer-utils.js';
+import { generateRecipeIndex } from '../src/js/tools/generate-recipe-index.js';
+import { validateRecipeDirectory } from '../src/js/tools/validate-recipes.js';
+
+const FIXTURE = path.resolve(__dirname, 'fixtures/cooklang/weeknight-dal.cook');
+const RECIPES_DIR = path.resolve(__dirname, '../src/assets/recipes');
+
+const readFixture = () => fs.readFileSync(FIXTURE, 'utf8');
+
+describe('Cooklang parser', () => {
+  test('maps metadata, ingredients, cookware, timers and steps', () => {
+    const recipe = parseCooklang(readFixture(), { id: 'weeknight-dal' });
+
+    expect(recipe).toMatchObject({
+      id: 'weeknight-dal',
+      title: 'Weeknight Dal',
+      difficulty: 'Easy',
+      metadata: { yields: '4 servings', totalTime: '40 minutes', prepTime: '10 minutes' },
+      cookware: ['large pot']
+    });
+    expect(recipe.ingredients.map(({ name, quantity, unit }) => [name, quantity, unit])).toEqual([
+      ['Red lentils', '1', 'cup'],
+      ['Onion', '1', ''],
+      ['Garlic', '3', 'cloves'],
+      ['Water', '4', 'cups'],
+      ['Salt', '', ''],
+      ['Ground cumin', '1', 'tsp']
+    ]);
+    expect(recipe.ingredients[1].notation).toBe('finely diced');
+    expect(recipe.preparationSteps).toEqual([{
+      id: 'prep-step-1',
+      title: 'Prep Step 1',
+      mainStep: 'Rinse the lentils',
+      bullets: ['Rinse red lentils until the water runs clear', 'Dice onion and mince garlic']
+    }]);
+    expect(recipe.cookingSteps[0].bullets[1]).toBe('Simmer until soft, about 20 minutes');
+    expect(recipe.cookingSteps[0].timers).toEqual([{ duration: '20 minutes', bullet: 1 }]);
+    expect(recipe.cookingSteps[1].timers).toEqual([{ name: 'bloom', duration: '30 seconds', bullet: 0 }]);
+    expect(validateRecipe(recipe).errors).toEqual([]);
+  });
+
+  test('reads front matter, single-word markup and escapes', () => {
+    const recipe = parseCooklang([
+      '---',
+      'title: Toast',
+      'servings: 1',
+      'time: 5 minutes',
+      '---',
+      'Toast the bread',
+      'Toast @bread{2%slices} in the #toaster',
+      'Spread with @butter and serve \\@ home'
+    ].join('\n'));
+
+    expect(recipe.id).toBe('toast');
+    expect(recipe.cookware).toEqual(['toaster']);
+    expect(recipe.ingredients.map(ingredient => ingredient.name)).toEqual(['Bread', 'Butter']);
+    expect(recipe.cookingSteps[0].bullets).toEqual(['Toast bread in the toaster', 'Spread with butter and serve @ home']);
+  });
+
+  test('needs a title or an ID', () => {
+    expect(() => parseCooklang('Boil @water{}')).toThrow('needs a ">> title:" line');
+  });
+});
+
+describe('Cooklang serializer', () => {
+  test('round-trips a Cooklang recipe', () => {
+    const recipe = parseCooklang(readFixture(), { id: 'weeknight-dal' });
+
+    expect(parseCooklang(serializeCooklang(recipe), { id: 'weeknight-dal' })).toEqual(recipe);
+  });
+
+  test('marks ingredients in step text and lists the rest', () => {
+    const text = serializeCooklang({
+      id: 'salad',
+      title: 'Salad',
+      metadata: { yields: '2 servings', totalTime: '10 minutes' },
+      ingredients: [
+        { name: 'Olive oil', quantity: '2', unit: 'tablespoons', category: 'Pantry' },
+        { name: 'Oil', quantity: '1', unit: 'teaspoon', category: 'Pantry' },
+        { name: 'Flaky salt', quantity: '', unit: '', category: 'Spices & Herbs', notation: 'to taste' }
+      ],
+      preparationSteps: [],
+      cookingSteps: [
+        { id: 'cooking-step-1', title: 'Cooking Step 1', mainStep: 'Dress the greens', bullets: ['Drizzle with olive oil, then a little oil (1 minute)'] }
+      ]
+    });
+
+    expect(text).toContain('Drizzle with @olive oil{2%tablespoons}, then a little @oil{1%teaspoon} (1 minute)');
+    expect(text).toContain('== Ingredients ==\n\n@Flaky salt{}(to taste)');
+  });
+
+  test('round-trips the bundled recipes', () => {
+    const summarize = recipe => ({
+      ingredients: recipe.ingredients.map(({ name, quantity, unit, notation }) => [name.toLowerCase(), quantity, unit, notation || '']).sort(),
+      steps: [...recipe.preparationSteps, ...recipe.cookingSteps].map(step => [step.mainStep, step.bullets])
+    });
+
+    fs.readdirSync(RECIPES_DIR).filter(isRecipeFile).forEach(file => {
+      const recipe = parseRecipeFile(file, fs.readFileSync(path.join(RECIPES_DIR, file), 'utf8'));
+      const roundTripped = parseCooklang(serializeCooklang(recipe), { id: recipe.id });
+
+      expect(validateRecipe(roundTripped).errors).toEqual([]);
+      // Cooklang merges repeated "to taste" mentions of the same ingredient
+      const expected = summarize(recipe);
+      expected.ingredients = expected.ingredients.filter((line, index, all) =>
+        line[1] || !all.slice(0, index).some(other => other[0] === line[0] && !other[1]));
+      expect(summarize(roundTripped)).toEqual(expected);
+    });
+  });
+});
+
+describe('explicit step timers', () => {
+  test('replace the timers found in the step text', () => {
+    const timers = findTimersInStep({
+      title: 'Cooking Step 1',
+      mainStep: 'Simmer the dal',
+      bullets: ['Simmer until soft, about 20 minutes (check at 15 minutes)'],
+      timers: [{ name: 'simmer', duration: '20 minutes', bullet: 0 }]
+    });
+
+    expect(timers).toEqual([expect.objectContaining({
+      duration: 1200,
+      label: 'Simmer',
+      source: 'bullet',
+      bulletIndex: 0,
+      matchIndex: 25
+    })]);
+  });
+});
+
+describe('.cook files in the recipes directory', () => {
+  let recipesDir;
+
+  beforeEach(() => {
+    recipesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'recipe-cooklang-'));
+    fs.mkdirSync(path.join(recipesDir, 'recipes'));
+    recipesDir = path.join(recipesDir, 'recipes');
+    fs.copyFileSync(FIXTURE, path.join(recipesDir, 'weeknight-dal.cook'));
+    fs.writeFileSync(path.join(recipesDir, 'index.json'), '{ "recipes": [] }\n');
+  });
+
+  afterEach(() => {
+    fs.rmSync(path.dirname(recipesDir), { recursive: true, force: true });
+  });
+
+  test('are indexed with their filename and pass validation', () => {
+    const { index, problems } = generateRecipeIndex(recipesDir);
+
+    expect(problems).toEqual([]);
+    expect(index.recipes).toEqual([
+      expect.objectContaining({ id: 'weeknight-dal', file: 'weeknight-dal.cook', ingredientCount: 6, stepCount: 3 })
+    ]);
+    expect(validateRecipeDirectory(recipesDir, { log: () => {} }).errors).toBe(0);
+  });
+
+  test('cannot share an ID with a JSON recipe', () => {
+    const recipe = parseCooklang(readFixture(), { id: 'weeknight-dal' });
+    fs.writeFileSync(path.join(recipesDir, 'weeknight-dal.json'), JSON.stringify(recipe));
+
+    expect(generateRecipeIndex(recipesDir).problems).toEqual([
+      'weeknight-dal.json: recipe "weeknight-dal" is also defined by weeknight-dal.cook'
+    ]);
+  });
+});
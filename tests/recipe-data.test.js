@@ -0,0 +1,139 @@
+import { listRecipes, loadRecipeData, saveRecipeData } from '../src/js/modules/recipe/recipe-data.js';
+import {
+  isLocalStoreAvailable,
+  getLocalRecipe,
+  getAllLocalRecipes,
+  putLocalRecipe
+} from '../src/js/modules/data/local-recipe-store.js';
+
+// IndexedDB is not in Node, so the local store is faked; the real one is checked at the end
+jest.mock('../src/js/modules/data/local-recipe-store.js', () => ({
+  __esModule: true,
+  isLocalStoreAvailable: jest.fn(),
+  getLocalRecipe: jest.fn(),
+  getAllLocalRecipes: jest.fn(),
+  putLocalRecipe: jest.fn(),
+  deleteLocalRecipe: jest.fn()
+}));
+
+const recipe = (id, title, overrides = {}) => ({
+  id,
+  title,
+  metadata: {
+    imageUrl: `images/${id}.jpg`,
+    yields: '4 servings',
+    totalTime: '50 - 65 minutes'
+  },
+  preparationSteps: [{ id: 'prep-step-1', mainStep: 'Chop' }],
+  cookingSteps: [{ id: 'cooking-step-1', mainStep: 'Simmer' }],
+  ingredients: [{ name: 'Onion', quantity: '1', unit: '', category: 'Produce' }],
+  ...overrides
+});
+
+const bundledFiles = {
+  '/assets/recipes/index.json': {
+    recipes: [
+      { id: 'chili', title: 'Chili', thumbnail: 'images/chili.jpg', time: '50-65 minutes' },
+      { id: 'stew', title: 'Stew', thumbnail: 'images/stew.jpg', time: '50-65 minutes' }
+    ]
+  },
+  '/assets/recipes/chili.json': recipe('chili', 'Chili'),
+  '/assets/recipes/stew.json': recipe('stew', 'Stew')
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  global.fetch = jest.fn(url => Promise.resolve(bundledFiles[url]
+    ? { ok: true, status: 200, json: () => Promise.resolve(bundledFiles[url]), text: () => Promise.resolve(JSON.stringify(bundledFiles[url])) }
+    : { ok: false, status: 404, statusText: 'Not Found' }));
+  isLocalStoreAvailable.mockReturnValue(true);
+  getLocalRecipe.mockResolvedValue(null);
+  getAllLocalRecipes.mockResolvedValue([]);
+});
+
+afterEach(() => {
+  delete global.fetch;
+  jest.restoreAllMocks();
+});
+
+describe('Recipe list', () => {
+  test('is the bundled index when nothing is stored locally', async () => {
+    expect(await listRecipes()).toEqual(bundledFiles['/assets/recipes/index.json']);
+  });
+
+  test('puts local edits over the bundled recipes and adds recipes only stored locally', async () => {
+    getAllLocalRecipes.mockResolvedValue([
+      { id: 'stew', recipe: recipe('stew', 'Hearty Stew'), userCreated: false },
+      { id: 'dal', recipe: recipe('dal', 'Weeknight Dal'), userCreated: true }
+    ]);
+
+    const { recipes } = await listRecipes();
+    expect(recipes.map(entry => [entry.id, entry.title])).toEqual([
+      ['chili', 'Chili'],
+      ['stew', 'Hearty Stew'],
+      ['dal', 'Weeknight Dal']
+    ]);
+    expect(recipes[0].localOverride).toBeUndefined();
+    expect(recipes[1].localOverride).toBe(true);
+    expect(recipes[2].userCreated).toBe(true);
+  });
+
+  test('is the bundled index when IndexedDB is missing or fails', async () => {
+    isLocalStoreAvailable.mockReturnValue(false);
+    expect((await listRecipes()).recipes).toHaveLength(2);
+    expect(getAllLocalRecipes).not.toHaveBeenCalled();
+
+    isLocalStoreAvailable.mockReturnValue(true);
+    getAllLocalRecipes.mockRejectedValue(new Error('The database connection is closing'));
+    expect((await listRecipes()).recipes).toHaveLength(2);
+  });
+});
+
+describe('Recipe loading', () => {
+  test('prefers a locally saved copy to the bundled file', async () => {
+    getLocalRecipe.mockResolvedValue({ id: 'chili', recipe: recipe('chili', 'Smoky Chili') });
+
+    expect((await loadRecipeData('chili')).title).toBe('Smoky Chili');
+    expect(global.fetch).not.toHaveBeenCalledWith('/assets/recipes/chili.json');
+  });
+
+  test('reads the bundled file when IndexedDB is missing or fails', async () => {
+    isLocalStoreAvailable.mockReturnValue(false);
+    expect((await loadRecipeData('chili')).title).toBe('Chili');
+
+    isLocalStoreAvailable.mockReturnValue(true);
+    getLocalRecipe.mockRejectedValue(new Error('The database connection is closing'));
+    expect((await loadRecipeData('stew')).title).toBe('Stew');
+  });
+});
+
+describe('Recipe saving', () => {
+  test('keeps an edit to a bundled recipe as an override and a new recipe as user-created', async () => {
+    putLocalRecipe.mockImplementation((data, options) => Promise.resolve({ id: data.id, recipe: data, ...options }));
+
+    await saveRecipeData('chili', recipe('chili', 'Smoky Chili'));
+    expect(putLocalRecipe).toHaveBeenLastCalledWith(expect.objectContaining({ id: 'chili' }), { userCreated: false });
+
+    const saved = await saveRecipeData('', recipe(undefined, 'Weeknight Dal'));
+    expect(saved.id).toBe('weeknight-dal');
+    expect(putLocalRecipe).toHaveBeenLastCalledWith(expect.objectContaining({ id: 'weeknight-dal' }), { userCreated: true });
+  });
+
+  test('needs IndexedDB', async () => {
+    isLocalStoreAvailable.mockReturnValue(false);
+
+    await expect(saveRecipeData('chili', recipe('chili', 'Smoky Chili'))).rejects.toThrow('requires IndexedDB');
+    expect(putLocalRecipe).not.toHaveBeenCalled();
+  });
+});
+
+describe('Local recipe store', () => {
+  const store = jest.requireActual('../src/js/modules/data/local-recipe-store.js');
+
+  test('is unavailable without IndexedDB and says so', async () => {
+    expect(store.isLocalStoreAvailable()).toBe(false);
+    await expect(store.getLocalRecipe('chili')).rejects.toThrow('IndexedDB is not available');
+  });
+});
@@ -0,0 +1,129 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  parseDurationText,
+  toIsoDuration,
+  formatIngredientLine,
+  toSchemaOrgRecipe
+} from '../src/js/modules/recipe/recipe-export.js';
+import { importRecipe } from '../src/js/modules/recipe/recipe-import.js';
+import { exportRecipe } from '../src/js/tools/export-recipe.js';
+
+const recipe = {
+  id: 'garlic-green-beans',
+  title: 'Garlic Green Beans',
+  difficulty: 'Easy',
+  description: 'Blistered beans with plenty of garlic.',
+  metadata: {
+    imageUrl: 'images/garlic-green-beans.jpg',
+    yields: '4 servings',
+    totalTime: '20 - 25 minutes',
+    prepTime: '10 minutes',
+    activeTime: '10 - 15 minutes'
+  },
+  ingredients: [
+    { name: 'Green beans', quantity: '1', unit: 'pound', category: 'Produce', notation: 'trimmed' },
+    { name: 'Garlic', quantity: '4', unit: 'cloves', category: 'Produce' },
+    { name: 'Olive oil', quantity: '2', unit: 'tablespoons', category: 'Pantry' },
+    { name: 'Salt', quantity: '', unit: '', category: 'Pantry', notation: 'to taste' }
+  ],
+  preparationSteps: [
+    { id: 'prep-step-1', title: 'Prep Step 1', mainStep: 'Prep the vegetables', bullets: ['Trim the beans', 'Slice the garlic'] }
+  ],
+  cookingSteps: [
+    { id: 'cooking-step-1', title: 'Cooking Step 1', mainStep: 'Blister the beans', bullets: ['Heat the oil in a skillet', 'Cook the beans until charred (6-8 minutes)'] },
+    { id: 'cooking-step-2', title: 'Cooking Step 2', mainStep: 'Season and serve', bullets: [] }
+  ],
+  source: { url: 'https://kitchen.example.com/green-beans/' }
+};
+
+describe('schema.org recipe export', () => {
+  test.each([
+    ['15 minutes', 'PT15M'],
+    ['50 - 65 minutes', 'PT1H5M'],
+    ['50–65 minutes', 'PT1H5M'],
+    ['1 hour', 'PT1H'],
+    ['4 hours and 15 minutes', 'PT4H15M'],
+    ['1.5 hours', 'PT1H30M'],
+    ['about 90 mins', 'PT1H30M']
+  ])('converts "%s" to %s', (text, expected) => {
+    expect(toIsoDuration(text)).toBe(expected);
+  });
+
+  test('returns null for text without a duration', () => {
+    expect(parseDurationText('')).toBeNull();
+    expect(toIsoDuration('overnight')).toBeNull();
+    expect(toIsoDuration(undefined)).toBeNull();
+  });
+
+  test('formats ingredient lines', () => {
+    expect(formatIngredientLine(recipe.ingredients[0])).toBe('1 pound Green beans, trimmed');
+    expect(formatIngredientLine(recipe.ingredients[3])).toBe('Salt, to taste');
+  });
+
+  test('builds a schema.org Recipe', () => {
+    const jsonLd = toSchemaOrgRecipe(recipe, {
+      imageBaseUrl: 'https://example.com/assets/images/',
+      url: 'https://example.com/recipe-summary.html?id=garlic-green-beans'
+    });
+
+    expect(jsonLd).toMatchObject({
+      '@context': 'https://schema.org',
+      '@type': 'Recipe',
+      name: 'Garlic Green Beans',
+      description: 'Blistered beans with plenty of garlic.',
+      url: 'https://example.com/recipe-summary.html?id=garlic-green-beans',
+      image: 'https://example.com/assets/images/garlic-green-beans.jpg',
+      recipeYield: '4 servings',
+      prepTime: 'PT10M',
+      cookTime: 'PT15M',
+      totalTime: 'PT25M',
+      keywords: 'Produce, Pantry',
+      isBasedOn: 'https://kitchen.example.com/green-beans/'
+    });
+    expect(jsonLd.recipeIngredient).toHaveLength(4);
+    expect(jsonLd.recipeInstructions[1]).toEqual({
+      '@type': 'HowToStep',
+      name: 'Blister the beans',
+      text: 'Blister the beans. Heat the oil in a skillet. Cook the beans until charred (6-8 minutes).'
+    });
+  });
+
+  test('round-trips through the importer', () => {
+    const jsonLd = toSchemaOrgRecipe(recipe);
+    const imported = importRecipe(JSON.stringify(jsonLd));
+
+    expect(imported.title).toBe(recipe.title);
+    expect(imported.metadata).toMatchObject({ yields: '4 servings', prepTime: '10 minutes', totalTime: '25 minutes' });
+    expect(imported.ingredients.map(ingredient => ingredient.name)).toEqual(['Green beans', 'Garlic', 'Olive oil', 'Salt']);
+    expect([...imported.preparationSteps, ...imported.cookingSteps].map(step => step.bullets)).toEqual([
+      ...recipe.preparationSteps,
+      ...recipe.cookingSteps
+    ].map(step => step.bullets));
+  });
+});
+
+describe('export-recipe tool', () => {
+  let recipesDir;
+
+  beforeEach(() => {
+    recipesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'recipe-export-'));
+    fs.writeFileSync(path.join(recipesDir, `${recipe.id}.json`), JSON.stringify(recipe));
+  });
+
+  afterEach(() => {
+    fs.rmSync(recipesDir, { recursive: true, force: true });
+  });
+
+  test('uses the base URL for the page and image', () => {
+    const jsonLd = exportRecipe(recipe.id, { recipesDir, baseUrl: 'https://example.com/recipe_viewer/' });
+
+    expect(jsonLd.url).toBe('https://example.com/recipe_viewer/recipe-summary.html?id=garlic-green-beans');
+    expect(jsonLd.image).toBe('https://example.com/recipe_viewer/assets/images/garlic-green-beans.jpg');
+  });
+
+  test('reports unknown recipes', () => {
+    expect(() => exportRecipe('missing', { recipesDir })).toThrow('Recipe "missing" not found');
+  });
+});
@@ -0,0 +1,175 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  extractJsonLd,
+  parseIsoDuration,
+  formatMinutes,
+  parseYield,
+  parseIngredientLine,
+  importRecipe
+} from '../src/js/modules/recipe/recipe-import.js';
+import { validateRecipe } from '../src/js/modules/recipe/recipe-schema.js';
+import { importRecipeFile } from '../src/js/tools/import-recipe.js';
+
+const FIXTURES_DIR = path.resolve(__dirname, 'fixtures/json-ld');
+
+const readFixture = name => fs.readFileSync(path.join(FIXTURES_DIR, name), 'utf8');
+
+describe('schema.org recipe import', () => {
+  test('parses ISO-8601 durations', () => {
+    expect(parseIsoDuration('PT15M')).toBe(15);
+    expect(parseIsoDuration('PT1H5M')).toBe(65);
+    expect(parseIsoDuration('P0DT8H10M')).toBe(490);
+    expect(parseIsoDuration('PT90S')).toBe(2);
+    expect(parseIsoDuration('P')).toBeNull();
+    expect(parseIsoDuration('20 minutes')).toBeNull();
+  });
+
+  test('formats minutes like recipe metadata', () => {
+    expect(formatMinutes(45)).toBe('45 minutes');
+    expect(formatMinutes(60)).toBe('1 hour');
+    expect(formatMinutes(255)).toBe('4 hours and 15 minutes');
+  });
+
+  test('prefers descriptive yields', () => {
+    expect(parseYield(['4', '4 servings'])).toBe('4 servings');
+    expect(parseYield(6)).toBe('6 servings');
+    expect(parseYield('2 jars')).toBe('2 jars');
+    expect(parseYield(undefined)).toBe('');
+  });
+
+  test.each([
+    ['2 tablespoons olive oil', { name: 'Olive oil', quantity: '2', unit: 'tablespoons', category: 'Condiments & Sauces' }],
+    ['1 1/2 teaspoons ground cumin', { name: 'Ground cumin', quantity: '1 1/2', unit: 'teaspoons', category: 'Spices & Herbs' }],
+    ['1/2 cup blueberries', { name: 'Blueberries', quantity: '1/2', unit: 'cup', category: 'Produce' }],
+    ['1 ½ pounds baby potatoes, halved', { name: 'Baby potatoes', quantity: '1½', unit: 'pounds', category: 'Produce', notation: 'halved' }],
+    ['2 (15-ounce) cans black beans, drained', { name: 'Black beans', quantity: '2', unit: '15-ounce can', category: 'Canned Goods', notation: 'drained' }],
+    ['2 to 3 sprigs fresh rosemary', { name: 'Fresh rosemary', quantity: '2-3', unit: 'sprigs', category: 'Spices & Herbs' }],
+    ['8 bone-in, skin-on chicken thighs', { name: 'Bone-in, skin-on chicken thighs', quantity: '8', unit: '', category: 'Meat' }],
+    ['Salt and black pepper, to taste', { name: 'Salt and black pepper', quantity: '', unit: '', category: 'Spices & Herbs', notation: 'to taste' }],
+    ['&frac12; cup sour cream (for serving)', { name: 'Sour cream', quantity: '½', unit: 'cup', category: 'Dairy', notation: 'for serving' }]
+  ])('parses the ingredient line "%s"', (line, expected) => {
+    expect(parseIngredientLine(line)).toEqual(expected);
+  });
+
+  test('skips invalid JSON-LD blocks', () => {
+    const html = '<script type="application/ld+json">{oops}</script><script type="application/ld+json">{"a":1}</script>';
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    expect(extractJsonLd(html)).toEqual([{ a: 1 }]);
+    warn.mockRestore();
+  });
+
+  test('imports a page with an @graph and HowToSection groups', () => {
+    const recipe = importRecipe(readFixture('weeknight-black-bean-soup.html'));
+
+    expect(recipe).toMatchObject({
+      id: 'weeknight-black-bean-soup',
+      title: 'Weeknight Black Bean Soup',
+      description: 'A smoky, 40-minute soup made from pantry staples & a few fresh vegetables.',
+      metadata: { yields: '4 servings', totalTime: '40 minutes', prepTime: '15 minutes', activeTime: '25 minutes' },
+      source: { url: 'https://kitchen.example.com/black-bean-soup/' }
+    });
+    expect(recipe.preparationSteps).toEqual([
+      { id: 'prep-step-1', title: 'Prep Step 1', mainStep: 'Prep the vegetables', bullets: ['Finely chop the onion', 'Mince the garlic'] }
+    ]);
+    expect(recipe.cookingSteps.map(step => step.mainStep)).toEqual(['Make the soup', 'Serve']);
+    expect(recipe.cookingSteps[0].bullets[2]).toBe('Add the beans and broth, bring to a boil, then simmer (15 minutes)');
+    expect(recipe.ingredients).toHaveLength(8);
+    expect(validateRecipe(recipe).errors).toEqual([]);
+  });
+
+  test('imports a page with loose HowToSteps and splits prep from cooking', () => {
+    const recipe = importRecipe(readFixture('lemony-roast-chicken.html'));
+
+    expect(recipe.metadata).toEqual({
+      yields: '6 servings',
+      totalTime: '1 hour and 15 minutes',
+      prepTime: '10 minutes',
+      activeTime: '1 hour and 5 minutes'
+    });
+    expect(recipe.preparationSteps.map(step => step.mainStep)).toEqual([
+      'Preheat the oven to 425°F',
+      'Pat the chicken dry and season all over with salt'
+    ]);
+    expect(recipe.cookingSteps[0]).toEqual({
+      id: 'cooking-step-1',
+      title: 'Cooking Step 1',
+      mainStep: 'Roast',
+      bullets: [
+        'Toss the potatoes, lemons and rosemary with the oil on a sheet pan',
+        'Nestle the chicken on top, skin side up',
+        'Roast until the skin is crisp (55-65 minutes)'
+      ]
+    });
+    expect(validateRecipe(recipe).errors).toEqual([]);
+  });
+
+  test('imports a JSON-LD document with text instructions', () => {
+    const recipe = importRecipe(readFixture('overnight-oats.json'), { id: 'oats' });
+
+    expect(recipe.id).toBe('oats');
+    expect(recipe.metadata).toEqual({ yields: '2 jars', totalTime: '8 hours and 10 minutes' });
+    expect(recipe.cookingSteps).toHaveLength(3);
+    expect(validateRecipe(recipe).errors).toEqual([]);
+  });
+
+  test('never turns encoded tags into markup', () => {
+    const recipe = importRecipe(JSON.stringify({
+      '@context': 'https://schema.org',
+      '@type': 'Recipe',
+      name: 'X &lt;img src=x onerror=alert(1)&gt;',
+      description: 'Crisp &#60;script&#62;alert(1)&#60;/script&#62; edges &amp;lt;b&amp;gt;',
+      recipeIngredient: ['1 cup rice &lt;b'],
+      recipeInstructions: ['Cook the rice']
+    }));
+
+    expect(recipe.title).toBe('X');
+    expect(recipe.description).toBe('Crisp alert(1) edges &lt;b&gt;');
+    [recipe.title, recipe.description, recipe.ingredients[0].name].forEach(text => {
+      expect(text).not.toMatch(/[<>]/);
+    });
+  });
+
+  test('reports pages without a recipe', () => {
+    expect(() => importRecipe('<html><body>No recipe here</body></html>')).toThrow('No schema.org Recipe found');
+  });
+});
+
+describe('import-recipe tool', () => {
+  let recipesDir;
+
+  beforeEach(() => {
+    recipesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'recipe-import-'));
+    fs.writeFileSync(path.join(recipesDir, 'index.json'), '{ "recipes": [] }\n');
+  });
+
+  afterEach(() => {
+    fs.rmSync(recipesDir, { recursive: true, force: true });
+  });
+
+  test('writes the recipe and adds it to index.json', () => {
+    const { recipe } = importRecipeFile(path.join(FIXTURES_DIR, 'weeknight-black-bean-soup.html'), { recipesDir });
+
+    const written = JSON.parse(fs.readFileSync(path.join(recipesDir, 'weeknight-black-bean-soup.json'), 'utf8'));
+    const index = JSON.parse(fs.readFileSync(path.join(recipesDir, 'index.json'), 'utf8'));
+
+    expect(written).toEqual(recipe);
+    expect(index.recipes).toEqual([
+      expect.objectContaining({ id: 'weeknight-black-bean-soup', time: '40 minutes', ingredientCount: 8, stepCount: 3 })
+    ]);
+  });
+
+  test('refuses to overwrite an existing recipe without --force', () => {
+    const input = path.join(FIXTURES_DIR, 'overnight-oats.json');
+    importRecipeFile(input, { recipesDir });
+
+    expect(() => importRecipeFile(input, { recipesDir })).toThrow('already exists');
+    expect(() => importRecipeFile(input, { recipesDir, force: true })).not.toThrow();
+  });
+
+  test('does not fetch URLs', () => {
+    expect(() => importRecipeFile('https://example.com/recipe', { recipesDir })).toThrow('does not download');
+  });
+});
@@ -0,0 +1,109 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { buildIndexEntry, buildRecipeIndex, normalizeTime } from '../src/js/modules/recipe/recipe-index.js';
+import { validateRecipeIndex } from '../src/js/modules/recipe/recipe-schema.js';
+import { generateRecipeIndex } from '../src/js/tools/generate-recipe-index.js';
+
+const RECIPES_DIR = path.resolve(__dirname, '../src/assets/recipes');
+
+const recipe = (id, title, overrides = {}) => ({
+  id,
+  title,
+  metadata: {
+    imageUrl: `images/${id}.jpg`,
+    yields: '4 servings',
+    totalTime: '50 - 65 minutes'
+  },
+  preparationSteps: [{ id: 'prep-step-1', mainStep: 'Chop' }],
+  cookingSteps: [{ id: 'cooking-step-1', mainStep: 'Simmer' }, { id: 'cooking-step-2', mainStep: 'Serve' }],
+  ingredients: [
+    { name: 'Onion', quantity: '1', unit: '', category: 'Produce' },
+    { name: 'Beans', quantity: '1', unit: 'can', category: 'Canned Goods' },
+    { name: 'Cilantro', quantity: '', unit: '', category: 'Produce' }
+  ],
+  ...overrides
+});
+
+describe('Recipe index', () => {
+  test('normalizes the spacing in time ranges', () => {
+    expect(normalizeTime('50 - 65 minutes')).toBe('50-65 minutes');
+    expect(normalizeTime('50-65  minutes')).toBe('50-65 minutes');
+    expect(normalizeTime('4 hours and 15 minutes')).toBe('4 hours and 15 minutes');
+  });
+
+  test('derives entry fields from the recipe', () => {
+    expect(buildIndexEntry(recipe('chili', 'Chili', { difficulty: 'Medium' }))).toEqual({
+      id: 'chili',
+      title: 'Chili',
+      thumbnail: 'images/chili.jpg',
+      time: '50-65 minutes',
+      totalMinutes: 65,
+      difficulty: 'Medium',
+      ingredientCount: 3,
+      stepCount: 3,
+      categories: ['Produce', 'Canned Goods'],
+      ingredients: ['Onion', 'Beans', 'Cilantro']
+    });
+  });
+
+  test('keeps the existing order and appends new recipes by title', () => {
+    const previous = { recipes: [{ id: 'stew' }, { id: 'chili' }, { id: 'removed' }] };
+    const recipes = [recipe('chili', 'Chili'), recipe('pasta', 'Pasta'), recipe('bread', 'Bread'), recipe('stew', 'Stew')];
+
+    const index = buildRecipeIndex(recipes, previous);
+
+    expect(index.recipes.map(entry => entry.id)).toEqual(['stew', 'chili', 'bread', 'pasta']);
+    expect(validateRecipeIndex(index).valid).toBe(true);
+  });
+
+  test('the bundled index.json is up to date', () => {
+    const { changed, problems } = generateRecipeIndex(RECIPES_DIR, { check: true });
+    expect(problems).toEqual([]);
+    expect(changed).toBe(false);
+  });
+
+  describe('generator', () => {
+    let recipesDir;
+
+    const writeJson = (file, data) => {
+      fs.writeFileSync(path.join(recipesDir, file), `${JSON.stringify(data, null, 2)}\n`);
+    };
+
+    beforeEach(() => {
+      recipesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'recipe-index-'));
+      writeJson('chili.json', recipe('chili', 'Chili'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(recipesDir, { recursive: true, force: true });
+    });
+
+    test('writes index.json from the recipe files', () => {
+      const { changed, problems } = generateRecipeIndex(recipesDir);
+      const written = JSON.parse(fs.readFileSync(path.join(recipesDir, 'index.json'), 'utf8'));
+
+      expect(problems).toEqual([]);
+      expect(changed).toBe(true);
+      expect(written.recipes.map(entry => entry.id)).toEqual(['chili']);
+      expect(generateRecipeIndex(recipesDir).changed).toBe(false);
+    });
+
+    test('does not write in check mode', () => {
+      expect(generateRecipeIndex(recipesDir, { check: true }).changed).toBe(true);
+      expect(fs.existsSync(path.join(recipesDir, 'index.json'))).toBe(false);
+    });
+
+    test('refuses to write when a recipe is invalid', () => {
+      writeJson('stew.json', recipe('beef-stew', 'Stew', { ingredients: [] }));
+
+      const { problems } = generateRecipeIndex(recipesDir);
+
+      expect(problems).toEqual([
+        'stew.json: /ingredients must have at least 1 item',
+        'stew.json: id "beef-stew" does not match the filename'
+      ]);
+      expect(fs.existsSync(path.join(recipesDir, 'index.json'))).toBe(false);
+    });
+  });
+});
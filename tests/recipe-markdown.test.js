@@ -0,0 +1,160 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { parseMarkdownRecipe, serializeMarkdownRecipe } from '../src/js/modules/recipe/recipe-markdown.js';
+import { parseRecipeFile, isRecipeFile } from '../src/js/modules/recipe/recipe-files.js';
+import { validateRecipe } from '../src/js/modules/recipe/recipe-schema.js';
+import { generateRecipeIndex } from '../src/js/tools/generate-recipe-index.js';
+import { validateRecipeDirectory } from '../src/js/tools/validate-recipes.js';
+import { convertRecipeDirectory } from '../src/js/tools/update-recipes.js';
+
+const FIXTURE = path.resolve(__dirname, 'fixtures/markdown/weeknight-dal.md');
+const RECIPES_DIR = path.resolve(__dirname, '../src/assets/recipes');
+
+const readFixture = () => fs.readFileSync(FIXTURE, 'utf8');
+
+describe('Markdown recipe parser', () => {
+  test('maps front matter, ingredients by category, steps and timers', () => {
+    const recipe = parseMarkdownRecipe(readFixture(), { id: 'weeknight-dal' });
+
+    expect(recipe).toMatchObject({
+      id: 'weeknight-dal',
+      title: 'Weeknight Dal',
+      difficulty: 'Easy',
+      description: 'A quick red lentil dal for busy evenings.',
+      metadata: { yields: '4 servings', totalTime: '40 minutes', prepTime: '10 minutes' },
+      cookware: ['large pot', 'wooden spoon']
+    });
+    expect(recipe.ingredients.map(({ name, quantity, unit, category, notation }) => [name, quantity, unit, category, notation])).toEqual([
+      ['Water', '4', 'cups', 'Pantry', undefined],
+      ['Red lentils', '1', 'cup', 'Produce', 'rinsed'],
+      ['Onion', '1', '', 'Produce', 'finely diced'],
+      ['Garlic', '3', 'cloves', 'Produce', undefined],
+      ['Ground cumin', '1', 'tsp', 'Spices & Herbs', undefined],
+      ['Salt', '', '', 'Spices & Herbs', 'to taste']
+    ]);
+    expect(recipe.preparationSteps).toEqual([{
+      id: 'prep-step-1',
+      title: 'Prep Step 1',
+      mainStep: 'Rinse the lentils',
+      bullets: ['Rinse the lentils until the water runs clear', 'Dice the onion and mince the garlic']
+    }]);
+    expect(recipe.cookingSteps.map(step => step.mainStep)).toEqual(['Simmer the dal', 'Temper the spices']);
+    expect(recipe.cookingSteps[0].bullets[1]).toBe('Simmer until soft, about 20 minutes');
+    expect(recipe.cookingSteps[0].timers).toEqual([{ duration: '20 minutes', bullet: 1 }]);
+    expect(recipe.cookingSteps[1].timers).toEqual([{ name: 'bloom', duration: '30 seconds', bullet: 0 }]);
+    expect(validateRecipe(recipe).errors).toEqual([]);
+  });
+
+  test('reads plain ingredient lines and quoted front matter', () => {
+    const recipe = parseMarkdownRecipe([
+      '---',
+      'title: "Toast: the classic"',
+      'yields: 1 serving',
+      'totalTime: 5 minutes',
+      '---',
+      '## Ingredients',
+      '- 2 slices bread',
+      '- **1 ½ tbsp** Butter, _softened_',
+      '## Instructions',
+      '### Toast the bread',
+      '- Toast until golden'
+    ].join('\n'));
+
+    expect(recipe.id).toBe('toast-the-classic');
+    expect(recipe.title).toBe('Toast: the classic');
+    expect(recipe.ingredients.map(({ name, quantity, unit, notation }) => [name, quantity, unit, notation])).toEqual([
+      ['Bread', '2', 'slices', undefined],
+      ['Butter', '1 ½', 'tbsp', 'softened']
+    ]);
+    expect(recipe.cookingSteps[0].bullets).toEqual(['Toast until golden']);
+  });
+
+  test('needs a title or an ID', () => {
+    expect(() => parseMarkdownRecipe('## Cooking\n### Boil water')).toThrow('needs a "# Title" heading');
+  });
+});
+
+describe('Markdown recipe serializer', () => {
+  test('round-trips a Markdown recipe', () => {
+    const recipe = parseMarkdownRecipe(readFixture(), { id: 'weeknight-dal' });
+
+    expect(parseMarkdownRecipe(serializeMarkdownRecipe(recipe), { id: 'weeknight-dal' })).toEqual(recipe);
+  });
+
+  test('quotes front matter values that would not read back', () => {
+    const text = serializeMarkdownRecipe({
+      id: 'salad',
+      title: 'Salad',
+      metadata: { yields: '2 servings', totalTime: '10 minutes', imageUrl: 'images/salad.jpg#top' },
+      ingredients: [],
+      preparationSteps: [],
+      cookingSteps: []
+    });
+
+    expect(text).toContain('imageUrl: "images/salad.jpg#top"');
+    expect(parseMarkdownRecipe(text).metadata.imageUrl).toBe('images/salad.jpg#top');
+  });
+
+  test('round-trips the bundled recipes', () => {
+    const summarize = recipe => ({
+      title: recipe.title,
+      description: recipe.description,
+      metadata: Object.entries(recipe.metadata).filter(([, value]) => value).sort(),
+      ingredients: recipe.ingredients.map(({ name, quantity, unit, category, notation }) => [name, quantity, unit, category, notation || '']).sort(),
+      steps: [recipe.preparationSteps, recipe.cookingSteps].map(steps => steps.map(step => [step.mainStep, step.bullets]))
+    });
+
+    fs.readdirSync(RECIPES_DIR).filter(isRecipeFile).forEach(file => {
+      const recipe = parseRecipeFile(file, fs.readFileSync(path.join(RECIPES_DIR, file), 'utf8'));
+      const roundTripped = parseMarkdownRecipe(serializeMarkdownRecipe(recipe), { id: recipe.id });
+
+      expect(validateRecipe(roundTripped).errors).toEqual([]);
+      expect(summarize(roundTripped)).toEqual(summarize(recipe));
+    });
+  });
+});
+
+describe('.md files in the recipes directory', () => {
+  let recipesDir;
+
+  beforeEach(() => {
+    recipesDir = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'recipe-markdown-')), 'recipes');
+    fs.mkdirSync(recipesDir);
+    fs.copyFileSync(FIXTURE, path.join(recipesDir, 'weeknight-dal.md'));
+    fs.writeFileSync(path.join(recipesDir, 'index.json'), '{ "recipes": [] }\n');
+  });
+
+  afterEach(() => {
+    fs.rmSync(path.dirname(recipesDir), { recursive: true, force: true });
+  });
+
+  test('are indexed with their filename and pass validation', () => {
+    const { index, problems } = generateRecipeIndex(recipesDir);
+
+    expect(problems).toEqual([]);
+    expect(index.recipes).toEqual([
+      expect.objectContaining({ id: 'weeknight-dal', file: 'weeknight-dal.md', ingredientCount: 6, stepCount: 3 })
+    ]);
+    expect(validateRecipeDirectory(recipesDir, { log: () => {} }).errors).toBe(0);
+  });
+
+  test('can be converted to JSON and back in place', () => {
+    const original = parseRecipeFile('weeknight-dal.md', readFixture());
+    const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    expect(convertRecipeDirectory(recipesDir, 'json')).toEqual([{ from: 'weeknight-dal.md', to: 'weeknight-dal.json' }]);
+    expect(fs.readdirSync(recipesDir).sort()).toEqual(['index.json', 'weeknight-dal.json']);
+    expect(JSON.parse(fs.readFileSync(path.join(recipesDir, 'weeknight-dal.json'), 'utf8'))).toEqual(original);
+
+    convertRecipeDirectory(recipesDir, 'markdown');
+    log.mockRestore();
+
+    expect(fs.readdirSync(recipesDir).sort()).toEqual(['index.json', 'weeknight-dal.md']);
+    expect(parseRecipeFile('weeknight-dal.md', fs.readFileSync(path.join(recipesDir, 'weeknight-dal.md'), 'utf8'))).toEqual(original);
+  });
+
+  test('rejects an unknown target format', () => {
+    expect(() => convertRecipeDirectory(recipesDir, 'yaml')).toThrow('Unknown format "yaml"');
+  });
+});
@@ -0,0 +1,144 @@
+import fs from 'fs';
+import path from 'path';
+import {
+  parseQuantity,
+  formatQuantity,
+  scaleQuantity,
+  matchUnitToQuantity,
+  scaleIngredient,
+  parseServings,
+  getServingsScale,
+  scaleYields,
+  scaleStepText,
+  scaleRecipe
+} from '../src/js/modules/recipe/recipe-scaling.js';
+import { buildIngredientMatchers, findIngredientMentions } from '../src/js/modules/recipe/ingredient-links.js';
+import { parseRecipeFile, isRecipeFile } from '../src/js/modules/recipe/recipe-files.js';
+import { validateRecipe } from '../src/js/modules/recipe/recipe-schema.js';
+
+const RECIPES_DIR = path.resolve(__dirname, '../src/assets/recipes');
+
+const readRecipe = file => parseRecipeFile(file, fs.readFileSync(path.join(RECIPES_DIR, file), 'utf8'));
+
+describe('quantities', () => {
+  test('are read from whole numbers, fractions, ranges and approximations', () => {
+    expect(parseQuantity('2')).toEqual({ min: 2, max: 2, prefix: '', separator: '' });
+    expect(parseQuantity('2½').min).toBe(2.5);
+    expect(parseQuantity('1 ½').min).toBe(1.5);
+    expect(parseQuantity('1 1/2').min).toBe(1.5);
+    expect(parseQuantity('3/4').min).toBe(0.75);
+    expect(parseQuantity('2 to 3')).toEqual({ min: 2, max: 3, prefix: '', separator: '-' });
+    expect(parseQuantity('about 2')).toEqual({ min: 2, max: 2, prefix: 'about ', separator: '' });
+    expect(parseQuantity('')).toBeNull();
+    expect(parseQuantity('a few')).toBeNull();
+  });
+
+  test('are rounded to kitchen fractions', () => {
+    expect(formatQuantity(0.33)).toBe('⅓');
+    expect(formatQuantity(0.375)).toBe('⅜');
+    expect(formatQuantity(1.3)).toBe('1⅓');
+    expect(formatQuantity(2.6)).toBe('2⅔');
+    expect(formatQuantity(2.95)).toBe('3');
+    expect(formatQuantity(12.4)).toBe('12');
+    // A pinch never rounds away to nothing
+    expect(formatQuantity(0.01)).toBe('⅛');
+  });
+
+  test('scale with unicode fractions and ranges', () => {
+    expect(scaleQuantity('¼', 2)).toBe('½');
+    expect(scaleQuantity('2½', 2)).toBe('5');
+    expect(scaleQuantity('1½', 0.5)).toBe('¾');
+    expect(scaleQuantity('1-2', 2)).toBe('2-4');
+    expect(scaleQuantity('2-3', 1.5)).toBe('3-4½');
+    expect(scaleQuantity('about 2', 3)).toBe('about 6');
+    expect(scaleQuantity('', 2)).toBe('');
+    expect(scaleQuantity('2', 1)).toBe('2');
+  });
+});
+
+describe('ingredients', () => {
+  test('get units that agree with the scaled quantity', () => {
+    expect(matchUnitToQuantity('cup', '2')).toBe('cups');
+    expect(matchUnitToQuantity('Tablespoons', '½')).toBe('Tablespoon');
+    expect(matchUnitToQuantity('15-oz can', '2')).toBe('15-oz cans');
+    expect(matchUnitToQuantity('pinch', '2')).toBe('pinches');
+    expect(matchUnitToQuantity('tsp', '2')).toBe('tsp');
+  });
+
+  test('scale their quantity and keep everything else', () => {
+    expect(scaleIngredient({ name: 'Red lentils', quantity: '1', unit: 'cup', category: 'Produce', notation: 'rinsed' }, 2))
+      .toEqual({ name: 'Red lentils', quantity: '2', unit: 'cups', category: 'Produce', notation: 'rinsed' });
+    const salt = { name: 'Salt', quantity: '', unit: '', category: 'Pantry', notation: 'to taste' };
+    expect(scaleIngredient(salt, 2)).toBe(salt);
+  });
+});
+
+describe('servings', () => {
+  test('are read from and written back to the yields text', () => {
+    expect(parseServings('4 servings')).toBe(4);
+    expect(parseServings('Serves 6-8')).toBe(6);
+    expect(parseServings('1 loaf')).toBe(1);
+    expect(parseServings('')).toBeNull();
+    expect(scaleYields('4 servings', 2)).toBe('8 servings');
+    expect(scaleYields('Serves 6-8', 0.5)).toBe('Serves 3-4');
+  });
+
+  test('keep the word after the amount in agreement with it', () => {
+    expect(scaleYields('4 servings', 0.25)).toBe('1 serving');
+    expect(scaleYields('2 servings', 0.25)).toBe('½ serving');
+    expect(scaleYields('1 serving', 3)).toBe('3 servings');
+    expect(scaleYields('Makes 12 muffins', 1 / 12)).toBe('Makes 1 muffin');
+    expect(scaleYields('Serves 4-6', 0.5)).toBe('Serves 2-3');
+  });
+
+  test('give the scale for a number of servings', () => {
+    expect(getServingsScale('4 servings', 6)).toBe(1.5);
+    expect(getServingsScale('Serves 2', 2)).toBe(1);
+    expect(getServingsScale('', 6)).toBe(1);
+    expect(getServingsScale('4 servings', 0)).toBe(1);
+  });
+
+  test('scale a bundled recipe to a valid recipe', () => {
+    fs.readdirSync(RECIPES_DIR).filter(isRecipeFile).forEach(file => {
+      const recipe = readRecipe(file);
+      const scaled = scaleRecipe(recipe, 2.5);
+
+      expect(validateRecipe(scaled).errors).toEqual([]);
+      expect(scaled.ingredients.map(ingredient => ingredient.name)).toEqual(recipe.ingredients.map(ingredient => ingredient.name));
+    });
+  });
+});
+
+describe('step text', () => {
+  const scaleStep = (recipe, text, factor) =>
+    scaleStepText(text, factor, findIngredientMentions(text, buildIngredientMatchers(recipe.ingredients))).text;
+
+  test('scales the amounts written before ingredients', () => {
+    const chili = readRecipe('fiesta-chili.json');
+
+    expect(scaleStep(chili, '¼ cup extra-virgin olive oil', 2)).toBe('½ cup extra-virgin olive oil');
+    expect(scaleStep(chili, 'Drain and rinse 1 can (15 oz) pinto beans', 2)).toBe('Drain and rinse 2 cans (15 oz) pinto beans');
+    expect(scaleStep(chili, '1 Tablespoon chili powder (if you want more spicy, use 2 Tablespoons)', 3))
+      .toBe('3 Tablespoons chili powder (if you want more spicy, use 2 Tablespoons)');
+  });
+
+  test('leaves times, temperatures and sizes alone', () => {
+    const stew = readRecipe('beef-veggie-stew.json');
+
+    expect(scaleStep(stew, 'Cut 3 pounds beef stew meat into 2-inch cubes', 2)).toBe('Cut 6 pounds beef stew meat into 2-inch cubes');
+    expect(scaleStep(stew, 'Add and heat 2 Tablespoons of olive oil (1 minute)', 0.5)).toBe('Add and heat 1 Tablespoon of olive oil (1 minute)');
+
+    const salmon = readRecipe('recipe-fusion-pan-seared-salmon-with-tomato-pop-couscous.json');
+    const text = 'When the 4 minute salmon timer is up, reduce heat to medium';
+    expect(scaleStep(salmon, text, 2)).toBe(text);
+  });
+
+  test('moves the mentions to match the scaled text', () => {
+    const text = 'Add ½ cup olive oil';
+    const mentions = findIngredientMentions(text, buildIngredientMatchers([{ id: 'olive-oil', name: 'Olive oil' }]));
+    const scaled = scaleStepText(text, 3, mentions);
+
+    expect(scaled.text).toBe('Add 1½ cups olive oil');
+    expect(scaled.text.slice(scaled.mentions[0].start, scaled.mentions[0].end)).toBe('olive oil');
+  });
+});
@@ -0,0 +1,183 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { validateRecipe, validateRecipeIndex, hasStructuralErrors } from '../src/js/modules/recipe/recipe-schema.js';
+import { validateRecipeDirectory, mapJsonPositions } from '../src/js/tools/validate-recipes.js';
+
+const RECIPES_DIR = path.resolve(__dirname, '../src/assets/recipes');
+
+const validRecipe = () => ({
+  id: 'test-soup',
+  title: 'Test Soup',
+  metadata: {
+    yields: '4 servings',
+    totalTime: '30 minutes'
+  },
+  preparationSteps: [
+    { id: 'prep-step-1', title: 'Chop', mainStep: 'Chop the onion', bullets: ['Dice 1 onion'] }
+  ],
+  cookingSteps: [
+    { id: 'cooking-step-1', title: 'Simmer', mainStep: 'Simmer the soup', bullets: [] }
+  ],
+  ingredients: [
+    { name: 'Onion', quantity: '1', unit: '', category: 'Produce', notation: 'diced' },
+    { name: 'Salt', quantity: '', unit: '', category: 'Spices & Herbs', notation: 'to taste' }
+  ]
+});
+
+const indexEntry = overrides => ({
+  id: 'test-soup',
+  title: 'Test Soup',
+  thumbnail: 'images/test-soup.jpg',
+  time: '30 minutes',
+  difficulty: 'Easy',
+  ingredientCount: 2,
+  stepCount: 2,
+  categories: ['Produce', 'Spices & Herbs'],
+  ...overrides
+});
+
+describe('Recipe schema', () => {
+  test('accepts a well-formed recipe', () => {
+    expect(validateRecipe(validRecipe())).toEqual({ valid: true, errors: [] });
+  });
+
+  test('reports missing required fields as structural errors', () => {
+    const recipe = validRecipe();
+    delete recipe.ingredients;
+
+    const { valid, errors } = validateRecipe(recipe);
+
+    expect(valid).toBe(false);
+    expect(errors).toEqual([
+      expect.objectContaining({ path: '', keyword: 'required', message: expect.stringContaining('"ingredients"') })
+    ]);
+    expect(hasStructuralErrors(errors)).toBe(true);
+  });
+
+  test('points ingredient errors at the offending field', () => {
+    const recipe = validRecipe();
+    recipe.ingredients[0] = { name: '2 eggs', quantity: 'a few', unit: '15', category: 'Frozen' };
+
+    const paths = validateRecipe(recipe).errors.map(error => error.path);
+
+    expect(paths).toEqual([
+      '/ingredients/0/name',
+      '/ingredients/0/quantity',
+      '/ingredients/0/unit',
+      '/ingredients/0/category'
+    ]);
+  });
+
+  test('accepts fractions, ranges and approximate quantities', () => {
+    ['½', '2½', '1 1/2', '2-3', 'about ¾', '~10', '0.5'].forEach(quantity => {
+      const recipe = validRecipe();
+      recipe.ingredients[0].quantity = quantity;
+      expect(validateRecipe(recipe).valid).toBe(true);
+    });
+  });
+
+  test('rejects unknown properties', () => {
+    const recipe = validRecipe();
+    recipe.groceryList = [];
+
+    const { errors } = validateRecipe(recipe);
+
+    expect(errors).toEqual([expect.objectContaining({ path: '/groceryList', keyword: 'additionalProperties' })]);
+    expect(hasStructuralErrors(errors)).toBe(false);
+  });
+
+  test('validates index entries', () => {
+    const { errors } = validateRecipeIndex({
+      recipes: [indexEntry({ id: 'Test Soup', thumbnail: 'test-soup.jpg' })]
+    });
+
+    expect(errors.map(error => error.path)).toEqual(['/recipes/0/id', '/recipes/0/thumbnail']);
+  });
+});
+
+describe('validate-recipes tool', () => {
+  let tempDir;
+  let recipesDir;
+  let output;
+
+  const writeJson = (file, data) => {
+    fs.writeFileSync(path.join(recipesDir, file), `${JSON.stringify(data, null, 2)}\n`);
+  };
+
+  const run = options => validateRecipeDirectory(recipesDir, { log: line => output.push(line), ...options });
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'recipes-'));
+    recipesDir = path.join(tempDir, 'recipes');
+    fs.mkdirSync(recipesDir);
+    fs.mkdirSync(path.join(tempDir, 'images'));
+    fs.writeFileSync(path.join(tempDir, 'images', 'test-soup.jpg'), '');
+    output = [];
+
+    writeJson('test-soup.json', validRecipe());
+    writeJson('index.json', { recipes: [indexEntry()] });
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('passes the bundled recipes', () => {
+    const summary = validateRecipeDirectory(RECIPES_DIR, { log: () => {} });
+    expect(summary.errors).toBe(0);
+  });
+
+  test('passes a consistent directory', () => {
+    expect(run()).toEqual({ errors: 0, warnings: 0, files: 2 });
+  });
+
+  test('reports schema errors with line numbers', () => {
+    const recipe = validRecipe();
+    recipe.ingredients[1].category = 'Frozen';
+    writeJson('test-soup.json', recipe);
+
+    expect(run().errors).toBe(1);
+    expect(output[0]).toMatch(/test-soup\.json:38:7 error \/ingredients\/1\/category must be one of/);
+  });
+
+  test('reports invalid JSON and empty files', () => {
+    fs.writeFileSync(path.join(recipesDir, 'test-soup.json'), '{\n  "id": "test-soup",\n}\n');
+    fs.writeFileSync(path.join(recipesDir, 'empty.json'), '');
+
+    run();
+
+    expect(output).toEqual(expect.arrayContaining([
+      expect.stringMatching(/empty\.json:1:1 error file is empty/),
+      expect.stringMatching(/test-soup\.json:3:1 error invalid JSON/)
+    ]));
+  });
+
+  test('cross-checks the index against recipe files and images', () => {
+    writeJson('index.json', {
+      recipes: [indexEntry({ id: 'missing-stew', title: 'Missing Stew', thumbnail: 'images/missing-stew.jpg' })]
+    });
+
+    const summary = run();
+
+    expect(summary).toEqual({ errors: 2, warnings: 1, files: 2 });
+    expect(output).toEqual(expect.arrayContaining([
+      expect.stringMatching(/index\.json:4:7 error \/recipes\/0\/id "missing-stew" has no recipe file/),
+      expect.stringMatching(/index\.json:6:7 warning \/recipes\/0\/thumbnail/),
+      expect.stringMatching(/test-soup\.json:1:1 error recipe "test-soup" is not listed in index\.json/)
+    ]));
+  });
+
+  test('treats warnings as errors in strict mode', () => {
+    fs.rmSync(path.join(tempDir, 'images', 'test-soup.jpg'));
+    expect(run({ strict: true })).toEqual({ errors: 1, warnings: 0, files: 2 });
+  });
+
+  test('maps JSON pointers to source offsets', () => {
+    const text = '{\n  "a": [1, {"b": 2}]\n}';
+    const positions = mapJsonPositions(text);
+
+    expect(text.slice(positions.get('/a'))).toMatch(/^"a"/);
+    expect(text.slice(positions.get('/a/1/b'))).toMatch(/^"b"/);
+  });
+});
@@ -0,0 +1,119 @@
+import fs from 'fs';
+import path from 'path';
+import {
+  parseSearchParams,
+  toSearchParams,
+  getTimeBucket,
+  matchesQuery,
+  filterRecipes
+} from '../src/js/modules/recipe/recipe-search.js';
+
+const INDEX_PATH = path.resolve(__dirname, '../src/assets/recipes/index.json');
+
+const entry = (id, title, overrides = {}) => ({
+  id,
+  title,
+  difficulty: 'Easy',
+  totalMinutes: 45,
+  ingredients: [],
+  ...overrides
+});
+
+const recipes = [
+  entry('stew', 'Beef Stew', { totalMinutes: 255, ingredients: ['Beef stew meat', 'Carrots'] }),
+  entry('chili', 'Fiesta Chili', { totalMinutes: 65, difficulty: 'Medium', ingredients: ['Pinto beans', 'Jalapeño'], tags: ['one-pot'] }),
+  entry('salad', 'Couscous Salad', { totalMinutes: 25, description: 'A quick lunch' }),
+  entry('toast', 'Toast', { totalMinutes: undefined })
+];
+
+describe('URL query', () => {
+  test('is read with unknown values ignored', () => {
+    expect(parseSearchParams('?q=beef+stew&difficulty=Easy&time=quick&tag=one-pot&collection=sundays&sort=time&have=rice,+beans'))
+      .toEqual({ query: 'beef stew', difficulty: 'Easy', time: 'quick', tag: 'one-pot', collection: 'sundays', sort: 'time', have: 'rice, beans' });
+    expect(parseSearchParams('?difficulty=Impossible&tag=Not+A+Tag&sort=random'))
+      .toEqual({ query: '', difficulty: '', time: '', tag: '', collection: '', sort: '', have: '' });
+    expect(parseSearchParams('')).toEqual({ query: '', difficulty: '', time: '', tag: '', collection: '', sort: '', have: '' });
+  });
+
+  test('is written without empty filters', () => {
+    expect(toSearchParams({ query: 'beef stew', difficulty: '', time: 'long', tag: 'one-pot', sort: '' })).toBe('?q=beef+stew&time=long&tag=one-pot');
+    expect(toSearchParams({ query: '', difficulty: '', time: '', sort: '' })).toBe('');
+    expect(toSearchParams({ query: '', have: ' rice, beans ' })).toBe('?have=rice%2C+beans');
+  });
+});
+
+describe('filters', () => {
+  test('search titles, descriptions, tags and ingredient names, ignoring accents', () => {
+    expect(matchesQuery(recipes[0], 'carrot')).toBe(true);
+    expect(matchesQuery(recipes[1], 'jalapeno chili')).toBe(true);
+    expect(matchesQuery(recipes[2], 'quick')).toBe(true);
+    expect(matchesQuery(recipes[1], 'one-pot')).toBe(true);
+    expect(matchesQuery(recipes[1], 'beef')).toBe(false);
+    expect(matchesQuery(recipes[1], '  ')).toBe(true);
+  });
+
+  test('sort times into buckets', () => {
+    expect(getTimeBucket(30)).toBe('quick');
+    expect(getTimeBucket(45)).toBe('medium');
+    expect(getTimeBucket(65)).toBe('long');
+    expect(getTimeBucket(undefined)).toBe('');
+  });
+
+  test('narrow by difficulty and time', () => {
+    const ids = filters => filterRecipes(recipes, { query: '', difficulty: '', time: '', sort: '', ...filters }).map(recipe => recipe.id);
+
+    expect(ids({})).toEqual(['stew', 'chili', 'salad', 'toast']);
+    expect(ids({ difficulty: 'Medium' })).toEqual(['chili']);
+    expect(ids({ time: 'long' })).toEqual(['stew', 'chili']);
+    expect(ids({ query: 'beans', time: 'quick' })).toEqual([]);
+  });
+
+  test('narrow by tag and collection', () => {
+    const collections = [{ id: 'sundays', name: 'Sundays', recipeIds: ['salad', 'stew'] }];
+    const ids = filters => filterRecipes(recipes, { query: '', ...filters }, { collections }).map(recipe => recipe.id);
+
+    expect(ids({ tag: 'one-pot' })).toEqual(['chili']);
+    expect(ids({ collection: 'sundays' })).toEqual(['stew', 'salad']);
+    expect(ids({ collection: 'deleted' })).toEqual([]);
+  });
+
+  test('narrow to what you can make with what you have, best match first', () => {
+    const pantryMatches = [{ id: 'chili' }, { id: 'stew' }];
+    const ids = filters => filterRecipes(recipes, { query: '', ...filters }, { pantryMatches }).map(recipe => recipe.id);
+
+    expect(ids({ have: 'beans, carrots' })).toEqual(['chili', 'stew']);
+    expect(ids({ have: 'beans, carrots', sort: 'title' })).toEqual(['stew', 'chili']);
+    expect(ids({ have: '' })).toEqual(['stew', 'chili', 'salad', 'toast']);
+  });
+});
+
+describe('sorting', () => {
+  const ids = (sort, cookedTimes) => filterRecipes(recipes, { query: '', difficulty: '', time: '', sort }, { cookedTimes }).map(recipe => recipe.id);
+
+  test('by total time puts recipes without a time last', () => {
+    expect(ids('time')).toEqual(['salad', 'chili', 'stew', 'toast']);
+  });
+
+  test('by title', () => {
+    expect(ids('title')).toEqual(['stew', 'salad', 'chili', 'toast']);
+  });
+
+  test('by recently cooked keeps the index order for recipes never cooked', () => {
+    expect(ids('recent', { salad: 1000, chili: 2000 })).toEqual(['chili', 'salad', 'stew', 'toast']);
+  });
+
+  test('does not reorder the index it was given', () => {
+    filterRecipes(recipes, { query: '', difficulty: '', time: '', sort: 'title' });
+    expect(recipes.map(recipe => recipe.id)).toEqual(['stew', 'chili', 'salad', 'toast']);
+  });
+});
+
+test('the bundled index has the fields the grid filters by', () => {
+  const index = JSON.parse(fs.readFileSync(INDEX_PATH, 'utf8'));
+
+  index.recipes.forEach(recipe => {
+    expect(typeof recipe.totalMinutes).toBe('number');
+    expect(recipe.ingredients.length).toBeGreaterThan(0);
+  });
+  expect(filterRecipes(index.recipes, { query: 'chili', difficulty: '', time: '', sort: '' }).length).toBeGreaterThan(0);
+});
@@ -0,0 +1,67 @@
+import { isApiAvailable, resetApiAvailability, getAllRecipes, getRecipeById } from '../src/js/modules/data/recipe-service.js';
+import { listRecipes, loadRecipeData } from '../src/js/modules/recipe/recipe-data.js';
+
+// The static files stand in for the API when it cannot be reached
+jest.mock('../src/js/modules/recipe/recipe-data.js', () => ({
+  __esModule: true,
+  listRecipes: jest.fn(),
+  loadRecipeData: jest.fn(),
+  saveRecipeData: jest.fn()
+}));
+
+const jsonResponse = (body, status = 200) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  statusText: status === 200 ? 'OK' : 'Error',
+  json: () => Promise.resolve(body)
+});
+
+beforeEach(() => {
+  resetApiAvailability();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  listRecipes.mockResolvedValue({ recipes: [{ id: 'static' }] });
+  loadRecipeData.mockResolvedValue({ id: 'chili', title: 'Static Chili' });
+});
+
+afterEach(() => {
+  delete global.fetch;
+  jest.restoreAllMocks();
+});
+
+describe('Recipe service', () => {
+  test('uses the API when its health check answers', async () => {
+    global.fetch = jest.fn(url => Promise.resolve(url === '/api/health'
+      ? jsonResponse({ status: 'ok' })
+      : jsonResponse({ recipes: [{ id: 'from-api' }] })));
+
+    expect(await isApiAvailable()).toBe(true);
+    expect(await getAllRecipes()).toEqual({ recipes: [{ id: 'from-api' }] });
+    expect(listRecipes).not.toHaveBeenCalled();
+  });
+
+  test('falls back to the static files when the API cannot be reached', async () => {
+    global.fetch = jest.fn(() => Promise.reject(new TypeError('Failed to fetch')));
+
+    expect(await isApiAvailable()).toBe(false);
+    expect(await getAllRecipes()).toEqual({ recipes: [{ id: 'static' }] });
+    expect(await getRecipeById('chili')).toEqual({ id: 'chili', title: 'Static Chili' });
+    // The check is made once per page
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test('treats a page that is not the API as no API', async () => {
+    global.fetch = jest.fn(() => Promise.resolve({ ...jsonResponse(null), json: () => Promise.reject(new SyntaxError('Unexpected token <')) }));
+
+    expect(await isApiAvailable()).toBe(false);
+  });
+
+  test('falls back to the static files when the API fails on a recipe', async () => {
+    global.fetch = jest.fn(url => Promise.resolve(url === '/api/health'
+      ? jsonResponse({ status: 'ok' })
+      : jsonResponse({ error: 'Recipe "chili" could not be read' }, 500)));
+
+    expect(await getRecipeById('chili')).toEqual({ id: 'chili', title: 'Static Chili' });
+    expect(loadRecipeData).toHaveBeenCalledWith('chili');
+  });
+});
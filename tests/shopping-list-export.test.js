@@ -0,0 +1,150 @@
+import {
+  toPlainText,
+  toMarkdown,
+  toCsv,
+  exportShoppingList,
+  createShareLink,
+  readShareLink,
+  SHARE_PARAM
+} from '../src/js/modules/shopping/shopping-list-export.js';
+import { replaceShoppingList, getShoppingList, getShoppingListLines } from '../src/js/modules/shopping/shopping-list-store.js';
+import stateManager from '../src/js/core/state/state-manager.js';
+import { useLocalStorage } from './helpers/local-storage.js';
+
+jest.mock('../src/js/core/events/event-bus.js');
+
+const lines = [
+  { key: 'garlic clove', name: 'Garlic cloves', quantity: '10', unit: '', category: 'Produce', recipes: ['Fiesta Chili', 'Beef Stew'], checked: true },
+  { key: 'cumin', name: 'Ground cumin', quantity: '2', unit: 'tsp', category: 'Spices', recipes: ['Fiesta Chili'], checked: false },
+  { key: 'salt', name: 'Salt', quantity: '', unit: '', category: 'Spices', notation: 'to taste', recipes: ['Beef Stew'], checked: false },
+  { key: 'item-1', name: 'Paper towels, "big" rolls', quantity: '', unit: '', category: 'Other', recipes: [], checked: false }
+];
+
+const options = { system: 'us', categoryOrder: ['Spices'] };
+
+describe('Shopping list exports', () => {
+  test('writes plain text by category in aisle order', () => {
+    expect(toPlainText(lines, options)).toBe([
+      'SHOPPING LIST',
+      '',
+      'SPICES',
+      '- 2 tsp Ground cumin',
+      '- Salt, to taste',
+      '',
+      'PRODUCE',
+      '- 10 Garlic cloves (Fiesta Chili, Beef Stew)',
+      '',
+      'OTHER',
+      '- Paper towels, "big" rolls',
+      ''
+    ].join('\n'));
+  });
+
+  test('writes a Markdown checklist with checked lines ticked', () => {
+    const markdown = toMarkdown(lines, options);
+    expect(markdown.startsWith('# Shopping List\n\n## Spices\n\n- [ ] 2 tsp Ground cumin\n')).toBe(true);
+    expect(markdown).toContain('## Produce\n\n- [x] 10 Garlic cloves (Fiesta Chili, Beef Stew)\n');
+  });
+
+  test('writes CSV with quoted fields and one row per line', () => {
+    expect(toCsv(lines, options).split('\r\n')).toEqual([
+      'category,item,qty,unit,recipe',
+      'Spices,Ground cumin,2,tsp,Fiesta Chili',
+      'Spices,Salt,,,Beef Stew',
+      'Produce,Garlic cloves,10,,Fiesta Chili; Beef Stew',
+      'Other,"Paper towels, ""big"" rolls",,,',
+      ''
+    ]);
+  });
+
+  test('converts amounts to the reader\'s units', () => {
+    const metric = toCsv([{ name: 'Milk', quantity: '1', unit: 'cup', category: 'Dairy', recipes: [] }], { system: 'metric' });
+    expect(metric.split('\r\n')[1]).toBe('Dairy,Milk,235,ml,');
+  });
+
+  test('rejects unknown formats', () => {
+    expect(exportShoppingList('markdown', lines, options)).toBe(toMarkdown(lines, options));
+    expect(() => exportShoppingList('pdf', lines, options)).toThrow('Unknown export format "pdf"');
+  });
+});
+
+describe('Shopping list share links', () => {
+  const pageUrl = 'https://example.com/recipes/index.html?search=chili#top';
+
+  test('round-trips the lines, checks and aisle order', () => {
+    const link = createShareLink(lines, ['Spices'], pageUrl);
+    const url = new URL(link);
+    expect(url.origin + url.pathname).toBe('https://example.com/recipes/index.html');
+    expect(url.hash).toBe('');
+    expect([...url.searchParams.keys()]).toEqual([SHARE_PARAM]);
+    expect(url.searchParams.get(SHARE_PARAM)).toMatch(/^[A-Za-z0-9_-]+$/);
+
+    const { lines: shared, categoryOrder } = readShareLink(url.searchParams.get(SHARE_PARAM));
+    expect(categoryOrder).toEqual(['Spices', 'Produce', 'Other']);
+    expect(shared).toEqual(lines.map(line => ({ ...line, key: undefined })));
+  });
+
+  test('keeps text outside ASCII', () => {
+    const link = createShareLink([{ name: 'Jalapeños', quantity: '½', unit: 'cup', category: 'Produce', recipes: ['Crème brûlée'] }], [], pageUrl);
+    const { lines: shared } = readShareLink(new URL(link).searchParams.get(SHARE_PARAM));
+    expect(shared[0]).toMatchObject({ name: 'Jalapeños', quantity: '½', recipes: ['Crème brûlée'] });
+  });
+
+  test('rejects damaged links', () => {
+    expect(() => readShareLink('not a list')).toThrow('damaged');
+    expect(() => readShareLink('')).toThrow('damaged');
+    const newer = Buffer.from(JSON.stringify({ v: 99, c: [], l: [] })).toString('base64url');
+    expect(() => readShareLink(newer)).toThrow('newer version');
+  });
+
+  test('rejects links whose lines or categories are the wrong shape', () => {
+    const link = data => Buffer.from(JSON.stringify({ v: 1, c: ['Produce'], l: [[0, 'Onion', '1', '', '', '', 0]], ...data })).toString('base64url');
+    expect(readShareLink(link({})).lines).toHaveLength(1);
+    expect(() => readShareLink(link({ l: [null] }))).toThrow('damaged');
+    expect(() => readShareLink(link({ l: ['Onion'] }))).toThrow('damaged');
+    expect(() => readShareLink(link({ l: [{ name: 'Onion' }] }))).toThrow('damaged');
+    expect(() => readShareLink(link({ l: [[0]] }))).toThrow('damaged');
+    expect(() => readShareLink(link({ c: [{ name: 'Produce' }] }))).toThrow('damaged');
+  });
+
+  test('rejects lines whose category or fields are not what a share link writes', () => {
+    const line = (...fields) => Buffer.from(JSON.stringify({ v: 1, c: ['Produce'], l: [fields] })).toString('base64url');
+    expect(readShareLink(line(0, 'Onion')).lines[0]).toMatchObject({ name: 'Onion', quantity: '', category: 'Produce', recipes: [] });
+    expect(() => readShareLink(line('length', 'Onion'))).toThrow('damaged');
+    expect(() => readShareLink(line('constructor', 'Onion'))).toThrow('damaged');
+    expect(() => readShareLink(line(1, 'Onion'))).toThrow('damaged');
+    expect(() => readShareLink(line(-1, 'Onion'))).toThrow('damaged');
+    expect(() => readShareLink(line(0.5, 'Onion'))).toThrow('damaged');
+    expect(() => readShareLink(line(0, 'Onion', 2))).toThrow('damaged');
+    expect(() => readShareLink(line(0, 'Onion', '1', { cup: true }))).toThrow('damaged');
+    expect(() => readShareLink(line(0, 'Onion', '1', '', null))).toThrow('damaged');
+    expect(() => readShareLink(line(0, 'Onion', '1', '', '', ['Chili']))).toThrow('damaged');
+    expect(() => readShareLink(line(0, 'Onion', '1', '', '', '', 'yes'))).toThrow('damaged');
+  });
+
+  describe('opening a shared list', () => {
+    useLocalStorage();
+
+    beforeEach(() => {
+      if (stateManager.namespaces.has('shoppingList')) stateManager.resetState('shoppingList');
+    });
+
+    test('rebuilds the list as items that name their recipes', () => {
+      const link = createShareLink(lines, ['Spices'], pageUrl);
+      const shared = readShareLink(new URL(link).searchParams.get(SHARE_PARAM));
+      replaceShoppingList(shared.lines, shared.categoryOrder);
+
+      const state = getShoppingList();
+      expect(state.recipes).toEqual([]);
+      expect(state.checked).toEqual(['item-1']);
+      expect(state.categoryOrder).toEqual(['Spices', 'Produce', 'Other']);
+      expect(getShoppingListLines(state).map(({ key, name, recipes, checked }) => ({ key, name, recipes, checked }))).toEqual([
+        { key: 'item-1', name: 'Garlic cloves', recipes: ['Fiesta Chili', 'Beef Stew'], checked: true },
+        { key: 'item-2', name: 'Ground cumin', recipes: ['Fiesta Chili'], checked: false },
+        { key: 'item-3', name: 'Salt', recipes: ['Beef Stew'], checked: false },
+        { key: 'item-4', name: 'Paper towels, "big" rolls', recipes: [], checked: false }
+      ]);
+      expect(getShoppingListLines(state)[2].notation).toBe('to taste');
+    });
+  });
+});
@@ -0,0 +1,174 @@
+import {
+  getShoppingList,
+  getShoppingListRecipes,
+  isOnShoppingList,
+  addRecipeToShoppingList,
+  removeRecipeFromShoppingList,
+  clearShoppingList,
+  addShoppingListItem,
+  removeShoppingListItem,
+  setLineChecked,
+  clearCheckedLines,
+  moveCategory,
+  aggregateIngredients,
+  getShoppingListLines
+} from '../src/js/modules/shopping/shopping-list-store.js';
+import { organizeByCategory } from '../src/js/modules/shopping/shopping-list.js';
+import stateManager from '../src/js/core/state/state-manager.js';
+import eventBus from '../src/js/core/events/event-bus.js';
+import { useLocalStorage } from './helpers/local-storage.js';
+
+jest.mock('../src/js/core/events/event-bus.js');
+
+useLocalStorage();
+
+beforeEach(() => {
+  if (stateManager.namespaces.has('shoppingList')) stateManager.resetState('shoppingList');
+  eventBus.publish.mockClear();
+});
+
+const chili = {
+  id: 'fiesta-chili',
+  title: 'Fiesta Chili',
+  ingredients: [
+    { name: 'Garlic cloves', quantity: '4', unit: '', category: 'Produce' },
+    { name: 'Extra-virgin olive oil', quantity: '¼', unit: 'cup', category: 'Pantry' },
+    { name: 'Salt', quantity: '', unit: '', category: 'Pantry', notation: 'to taste' },
+    { name: 'Fresh parsley', quantity: '1', unit: 'bunch', category: 'Produce' }
+  ]
+};
+
+const stew = {
+  id: 'beef-veggie-stew',
+  title: 'Beef Stew',
+  ingredients: [
+    { name: 'Garlic cloves', quantity: '6', unit: '', category: 'Produce', notation: 'minced' },
+    { name: 'Extra-virgin olive oil', quantity: '2', unit: 'tablespoons', category: 'Pantry' },
+    { name: 'Kosher salt', quantity: '1', unit: 'teaspoon', category: 'Pantry' },
+    { name: 'Salt', quantity: '2', unit: 'teaspoons', category: 'Pantry' },
+    { name: 'Parsley', quantity: '2', unit: 'tablespoons', category: 'Produce' },
+    { name: 'Carrots', quantity: '2-3', unit: '', category: 'Produce' }
+  ]
+};
+
+describe('the shopping list', () => {
+  test('keeps each recipe once, in the order they were added', () => {
+    addRecipeToShoppingList(chili);
+    addRecipeToShoppingList(stew);
+    addRecipeToShoppingList({ ...chili, ingredients: [] });
+
+    expect(getShoppingListRecipes().map(recipe => [recipe.id, recipe.ingredients.length])).toEqual([
+      ['fiesta-chili', 0],
+      ['beef-veggie-stew', 6]
+    ]);
+    expect(eventBus.publish).toHaveBeenCalledWith('state:shoppingList:updated', expect.any(Object));
+    expect(JSON.parse(localStorage.getItem('recipe-viewer-shopping-list')).recipes).toHaveLength(2);
+  });
+
+  test('takes recipes off', () => {
+    addRecipeToShoppingList(chili);
+    addRecipeToShoppingList(stew);
+
+    removeRecipeFromShoppingList('fiesta-chili');
+    expect(isOnShoppingList('fiesta-chili')).toBe(false);
+    expect(isOnShoppingList('beef-veggie-stew')).toBe(true);
+
+    clearShoppingList();
+    expect(getShoppingListRecipes()).toEqual([]);
+  });
+});
+
+describe('merging ingredients', () => {
+  const lines = aggregateIngredients([chili, stew]);
+  const line = name => lines.filter(entry => entry.name === name);
+
+  test('adds up the same ingredient and notes the recipes that need it', () => {
+    expect(line('Garlic cloves')).toEqual([
+      { key: 'garlic', name: 'Garlic cloves', quantity: '10', unit: '', category: 'Produce', recipes: ['Fiesta Chili', 'Beef Stew'] }
+    ]);
+  });
+
+  test('adds different units of volume together', () => {
+    expect(line('Extra-virgin olive oil')).toEqual([
+      { key: 'extra-virgin olive oil', name: 'Extra-virgin olive oil', quantity: '⅜', unit: 'cup', category: 'Pantry', recipes: ['Fiesta Chili', 'Beef Stew'] }
+    ]);
+  });
+
+  test('joins an amount "to taste" to the line with an amount', () => {
+    expect(line('Salt')).toEqual([
+      { key: 'salt', name: 'Salt', quantity: '2', unit: 'teaspoons', category: 'Pantry', recipes: ['Fiesta Chili', 'Beef Stew'] }
+    ]);
+  });
+
+  test('keeps amounts that cannot be added on separate lines', () => {
+    expect(line('Fresh parsley').map(entry => `${entry.quantity} ${entry.unit}`)).toEqual(['1 bunch']);
+    expect(line('Parsley').map(entry => `${entry.quantity} ${entry.unit}`)).toEqual(['2 tablespoons']);
+  });
+
+  test('keeps a recipe\'s own ranges and notes', () => {
+    expect(aggregateIngredients([stew, { title: 'Soup', ingredients: [{ name: 'Carrots', quantity: '1', unit: '' }] }])
+      .find(entry => entry.name === 'Carrots').quantity).toBe('3-4');
+    expect(aggregateIngredients([stew]).find(entry => entry.name === 'Garlic cloves').notation).toBe('minced');
+  });
+
+  test('are grouped by category with their recipes', () => {
+    const categories = organizeByCategory(aggregateIngredients([chili, stew]), [], []);
+
+    expect(Object.keys(categories)).toEqual(['Produce', 'Pantry']);
+    expect(categories.Produce[0]).toEqual({
+      key: 'garlic',
+      text: '10 Garlic cloves',
+      status: 'need',
+      recipes: ['Fiesta Chili', 'Beef Stew'],
+      checked: false
+    });
+  });
+});
+
+describe('shopping', () => {
+  test('checks lines off and clears them until the recipe is added again', () => {
+    addRecipeToShoppingList(stew);
+    setLineChecked('garlic', true);
+    setLineChecked('carrot', true);
+    setLineChecked('carrot', false);
+
+    expect(getShoppingListLines().filter(line => line.checked).map(line => line.key)).toEqual(['garlic']);
+
+    clearCheckedLines();
+    expect(getShoppingListLines().map(line => line.key)).not.toContain('garlic');
+    expect(getShoppingList().checked).toEqual([]);
+
+    addRecipeToShoppingList(chili);
+    expect(getShoppingListLines().find(line => line.key === 'garlic')).toMatchObject({ quantity: '10', checked: false });
+  });
+
+  test('adds items by hand, with a guessed category', () => {
+    const lemons = addShoppingListItem('2 lemons');
+    const towels = addShoppingListItem('Paper towels');
+
+    expect(lemons).toEqual({ id: 'item-1', name: 'Lemons', quantity: '2', unit: '', category: 'Produce' });
+    expect(getShoppingListLines().map(line => line.key)).toEqual(['item-1', 'item-2']);
+    expect(() => addShoppingListItem('  ')).toThrow('Type an item to add');
+
+    setLineChecked(towels.id, true);
+    clearCheckedLines();
+    removeShoppingListItem(lemons.id);
+    expect(getShoppingList().items).toEqual([]);
+  });
+
+  test('keeps categories in the order they were moved to', () => {
+    addRecipeToShoppingList(chili);
+    expect(moveCategory(['Produce', 'Pantry'], 'Pantry', -1)).toEqual(['Pantry', 'Produce']);
+    expect(moveCategory(['Pantry', 'Produce'], 'Pantry', -1)).toEqual(['Pantry', 'Produce']);
+
+    expect(Object.keys(organizeByCategory(getShoppingListLines(), []))).toEqual(['Pantry', 'Produce']);
+  });
+
+  test('survives a reload', () => {
+    addRecipeToShoppingList(chili);
+    setLineChecked('garlic', true);
+
+    const stored = JSON.parse(localStorage.getItem('recipe-viewer-shopping-list'));
+    expect(stored).toMatchObject({ recipes: [{ id: 'fiesta-chili' }], checked: ['garlic'] });
+  });
+});
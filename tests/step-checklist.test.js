@@ -0,0 +1,79 @@
+import {
+  isChecklistMode,
+  setChecklistMode,
+  setBulletChecked,
+  getStepCompletion,
+  calculateChecklistProgress,
+  parseChecklistCommand
+} from '../src/js/modules/cooking/step-checklist.js';
+import { useLocalStorage } from './helpers/local-storage.js';
+
+const bullets = [
+  'Add and heat olive oil (1 minute)',
+  'Add minced garlic and cook until fragrant',
+  'Cook onion until golden (3-5 minutes)'
+];
+
+const steps = [
+  { mainStep: 'Heat a large pot', bullets },
+  { mainStep: 'Stir in the beans', bullets: [] },
+  { mainStep: 'Season to taste', bullets: ['Add salt', 'Add pepper'] }
+];
+
+describe('Checklist mode', () => {
+  useLocalStorage();
+
+  test('is off until it is turned on, and is remembered', () => {
+    expect(isChecklistMode()).toBe(false);
+    setChecklistMode(true);
+    expect(isChecklistMode()).toBe(true);
+    setChecklistMode(false);
+    expect(isChecklistMode()).toBe(false);
+  });
+});
+
+describe('Ticked bullets', () => {
+  test('are kept by step, and a step with none ticked is dropped', () => {
+    let checked = setBulletChecked({}, 0, 2, true);
+    checked = setBulletChecked(checked, 0, 0, true);
+    checked = setBulletChecked(checked, 2, 1, true);
+    expect(checked).toEqual({ 0: [0, 2], 2: [1] });
+
+    const unchecked = setBulletChecked(checked, 2, 1, false);
+    expect(unchecked).toEqual({ 0: [0, 2] });
+    expect(checked).toEqual({ 0: [0, 2], 2: [1] });
+  });
+
+  test('count towards their step and the progress bar', () => {
+    const checked = { 0: [0, 2], 2: [0] };
+    expect(getStepCompletion(steps[0], 0, checked)).toEqual({ checked: 2, total: 3 });
+    expect(getStepCompletion(steps[1], 1, checked)).toEqual({ checked: 0, total: 0 });
+
+    // Two thirds of the first step and half of the third
+    expect(calculateChecklistProgress(steps, checked, new Set())).toBeCloseTo(((2 / 3) + 0.5) / 3 * 100);
+    // A finished step counts whole
+    expect(calculateChecklistProgress(steps, checked, new Set([0, 1]))).toBeCloseTo((2.5 / 3) * 100);
+    expect(calculateChecklistProgress([], {}, [])).toBe(0);
+  });
+});
+
+describe('Voice commands for the checklist', () => {
+  test('tick off an item by its number', () => {
+    expect(parseChecklistCommand('check item three', bullets)).toEqual({ checked: true, index: 2 });
+    expect(parseChecklistCommand('check off the second item', bullets)).toEqual({ checked: true, index: 1 });
+    expect(parseChecklistCommand('check the last item', bullets)).toEqual({ checked: true, index: 2 });
+    expect(parseChecklistCommand('uncheck item 1', bullets)).toEqual({ checked: false, index: 0 });
+  });
+
+  test('tick off an item by what it says', () => {
+    expect(parseChecklistCommand('done with garlic', bullets)).toEqual({ checked: true, index: 1 });
+    expect(parseChecklistCommand('finished the onions', bullets)).toEqual({ checked: true, index: 2 });
+  });
+
+  test('leave other commands alone', () => {
+    expect(parseChecklistCommand('check item five', bullets)).toBeNull();
+    expect(parseChecklistCommand('done with the pasta', bullets)).toBeNull();
+    expect(parseChecklistCommand('next step', bullets)).toBeNull();
+    expect(parseChecklistCommand('check item one', [])).toBeNull();
+  });
+});
@@ -0,0 +1,71 @@
+import {
+  getStepOverview,
+  formatTimerState,
+  parseStepCommand
+} from '../src/js/modules/cooking/step-navigator.js';
+
+const steps = [
+  { phase: 'preparation', description: 'Dice the onion', bullets: [] },
+  { phase: 'preparation', description: 'Mince the garlic', bullets: [] },
+  { phase: 'cooking', description: 'Heat a large pot', bullets: ['Cook onion until golden (3-5 minutes)'] },
+  { phase: 'cooking', description: 'Bring to a boil, then simmer covered (20 minutes)', bullets: [] },
+  { phase: 'cooking', description: 'Stir in the beans and season to taste', bullets: [] }
+];
+
+describe('Step overview', () => {
+  test('numbers the steps by phase and marks them done, current or upcoming', () => {
+    const overview = getStepOverview(steps, { currentStep: 2, completedSteps: new Set([0, 1]) });
+
+    expect(overview.map(step => [step.label, step.status])).toEqual([
+      ['Preparation Step 1', 'done'],
+      ['Preparation Step 2', 'done'],
+      ['Cooking Step 1', 'current'],
+      ['Cooking Step 2', 'upcoming'],
+      ['Cooking Step 3', 'upcoming']
+    ]);
+    expect(overview[3].text).toBe('Bring to a boil, then simmer covered (20 minutes)');
+  });
+
+  test('shows the timers a step asks for until they are made', () => {
+    const overview = getStepOverview(steps, { currentStep: 0, completedSteps: [] });
+
+    expect(overview[0].timers).toEqual([]);
+    expect(overview[3].timers).toHaveLength(1);
+    expect(overview[3].timers[0]).toMatchObject({ duration: 1200, remaining: 1200, status: 'idle' });
+  });
+
+  test('shows the timers made for a step, numbered across the recipes', () => {
+    const timers = [
+      { id: 'timer-1', name: 'Simmer', duration: 1200, remaining: 522, status: 'running', metadata: { stepIndex: 8 } },
+      { id: 'timer-2', name: 'Pasta', duration: 600, remaining: 600, status: 'idle', metadata: {} }
+    ];
+    const overview = getStepOverview(steps, { currentStep: 3, completedSteps: [], timers, stepOffset: 5 });
+
+    expect(overview[3].timers).toEqual([{ id: 'timer-1', name: 'Simmer', duration: 1200, remaining: 522, status: 'running' }]);
+    expect(overview.flatMap(step => step.timers).map(timer => timer.name)).not.toContain('Pasta');
+  });
+});
+
+describe('Timer state', () => {
+  test('is the time set, the time left or done', () => {
+    expect(formatTimerState({ duration: 720, remaining: 720, status: 'idle' })).toBe('12:00');
+    expect(formatTimerState({ duration: 720, remaining: 522, status: 'running' })).toBe('08:42 left');
+    expect(formatTimerState({ duration: 720, remaining: 522, status: 'paused' })).toBe('08:42 paused');
+    expect(formatTimerState({ duration: 720, remaining: 0, status: 'completed' })).toBe('done');
+  });
+});
+
+describe('Voice commands for a step', () => {
+  test('count within the current phase unless they name one', () => {
+    expect(parseStepCommand('go to step 2', steps, 'preparation')).toBe(1);
+    expect(parseStepCommand('go to step three', steps, 'cooking')).toBe(4);
+    expect(parseStepCommand('cooking step 2', steps, 'preparation')).toBe(3);
+    expect(parseStepCommand('go to prep step one', steps, 'cooking')).toBe(0);
+  });
+
+  test('leave other commands and missing steps alone', () => {
+    expect(parseStepCommand('go to step 4', steps, 'preparation')).toBeNull();
+    expect(parseStepCommand('go to the next step', steps, 'cooking')).toBeNull();
+    expect(parseStepCommand('go to the rice', steps, 'cooking')).toBeNull();
+  });
+});
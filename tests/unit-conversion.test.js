@@ -0,0 +1,121 @@
+import fs from 'fs';
+import path from 'path';
+import {
+  normalizeUnit,
+  getIngredientDensity,
+  convertAmount,
+  convertIngredient,
+  convertTemperatures
+} from '../src/js/modules/recipe/unit-conversion.js';
+import { parseRecipeFile, isRecipeFile } from '../src/js/modules/recipe/recipe-files.js';
+import { validateRecipe } from '../src/js/modules/recipe/recipe-schema.js';
+
+const RECIPES_DIR = path.resolve(__dirname, '../src/assets/recipes');
+
+describe('units', () => {
+  test('are recognized in their usual spellings', () => {
+    expect(normalizeUnit('Tablespoons')).toBe('tablespoon');
+    expect(normalizeUnit('tbsp')).toBe('tablespoon');
+    expect(normalizeUnit('lbs.')).toBe('pound');
+    expect(normalizeUnit('ml')).toBe('milliliter');
+    expect(normalizeUnit('large')).toBeNull();
+    expect(normalizeUnit('')).toBeNull();
+  });
+
+  test('dry pantry items have a density and liquids do not', () => {
+    expect(getIngredientDensity('All-purpose flour')).toBe(125);
+    expect(getIngredientDensity('Brown sugar')).toBe(213);
+    expect(getIngredientDensity('Beef broth')).toBeNull();
+  });
+
+  test('the most specific name wins, and liquids and other dishes named after a dry item are left alone', () => {
+    expect(getIngredientDensity('Peanut butter')).toBe(258);
+    expect(getIngredientDensity('Unsalted butter')).toBe(227);
+    expect(getIngredientDensity('Jasmine rice')).toBe(185);
+    expect(getIngredientDensity('Rice vinegar')).toBeNull();
+    expect(getIngredientDensity('Sugar snap peas')).toBeNull();
+    expect(getIngredientDensity('Coconut milk')).toBeNull();
+    expect(getIngredientDensity('Butter lettuce')).toBeNull();
+    expect(getIngredientDensity('Panko')).toBe(60);
+    expect(getIngredientDensity('Grated pecorino')).toBe(100);
+  });
+});
+
+describe('amounts', () => {
+  test('convert volumes and weights to metric', () => {
+    expect(convertAmount('1', 'cup', 'metric')).toEqual({ quantity: '235', unit: 'ml' });
+    expect(convertAmount('5', 'cups', 'metric')).toEqual({ quantity: '1.18', unit: 'l' });
+    expect(convertAmount('8', 'ounces', 'metric')).toEqual({ quantity: '225', unit: 'g' });
+    expect(convertAmount('3', 'pounds', 'metric')).toEqual({ quantity: '1.36', unit: 'kg' });
+    expect(convertAmount('2-3', 'cups', 'metric')).toEqual({ quantity: '475-710', unit: 'ml' });
+  });
+
+  test('convert cups of dry items to grams by density', () => {
+    expect(convertAmount('2', 'cups', 'metric', 125)).toEqual({ quantity: '250', unit: 'g' });
+    expect(convertAmount('250', 'g', 'us', 125)).toEqual({ quantity: '2', unit: 'cups' });
+  });
+
+  test('convert metric amounts to US units', () => {
+    expect(convertAmount('250', 'ml', 'us')).toEqual({ quantity: '1', unit: 'cup' });
+    expect(convertAmount('30', 'ml', 'us')).toEqual({ quantity: '2', unit: 'tablespoons' });
+    expect(convertAmount('500', 'g', 'us')).toEqual({ quantity: '1', unit: 'pound' });
+    expect(convertAmount('100', 'g', 'us')).toEqual({ quantity: '3½', unit: 'ounces' });
+  });
+
+  test('leave spoons, counts and amounts already in the system alone', () => {
+    expect(convertAmount('2', 'Tablespoons', 'metric')).toBeNull();
+    expect(convertAmount('1', 'cup', 'us')).toBeNull();
+    expect(convertAmount('4', 'medium', 'metric')).toBeNull();
+    expect(convertAmount('', 'cup', 'metric')).toBeNull();
+  });
+});
+
+describe('ingredients', () => {
+  test('convert their amount and keep everything else', () => {
+    expect(convertIngredient({ name: 'Beef broth', quantity: '4', unit: 'cups', category: 'Pantry', notation: '' }, 'metric'))
+      .toEqual({ name: 'Beef broth', quantity: '945', unit: 'ml', category: 'Pantry', notation: '' });
+    const salt = { name: 'Salt', quantity: '', unit: '', category: 'Pantry', notation: 'to taste' };
+    expect(convertIngredient(salt, 'metric')).toBe(salt);
+  });
+
+  test('convert the size of a package', () => {
+    const beans = { name: 'Cannellini beans', quantity: '2', unit: '15-ounce can' };
+    expect(convertIngredient(beans, 'metric').unit).toBe('425-g can');
+    expect(convertIngredient(convertIngredient(beans, 'metric'), 'us').unit).toBe('15-oz can');
+  });
+
+  test('bundled recipes stay valid in metric', () => {
+    fs.readdirSync(RECIPES_DIR).filter(isRecipeFile).forEach(file => {
+      const recipe = parseRecipeFile(file, fs.readFileSync(path.join(RECIPES_DIR, file), 'utf8'));
+      const metric = { ...recipe, ingredients: recipe.ingredients.map(ingredient => convertIngredient(ingredient, 'metric')) };
+
+      expect(validateRecipe(metric).errors).toEqual([]);
+    });
+  });
+});
+
+describe('temperatures', () => {
+  test('convert oven and doneness temperatures in step text', () => {
+    expect(convertTemperatures('Preheat oven to 375°F.', 'metric')).toBe('Preheat oven to 190°C.');
+    expect(convertTemperatures('Bake at 350 degrees F', 'metric')).toBe('Bake at 175°C');
+    expect(convertTemperatures('Roast at 400o for 20 minutes', 'metric')).toBe('Roast at 205°C for 20 minutes');
+    expect(convertTemperatures('Cook to 135°F inside', 'metric')).toBe('Cook to 57°C inside');
+    expect(convertTemperatures('Heat the oven to 200°C', 'us')).toBe('Heat the oven to 390°F');
+  });
+
+  test('leave other numbers alone', () => {
+    const text = 'Cut into 2-inch cubes and cook 10 minutes at 375°F';
+    expect(convertTemperatures(text, 'us')).toBe(text);
+    expect(convertTemperatures('Add 2 cups', 'metric')).toBe('Add 2 cups');
+    expect(convertTemperatures('Rotate the pan 90 degrees and cook 5 more minutes', 'metric'))
+      .toBe('Rotate the pan 90 degrees and cook 5 more minutes');
+    expect(convertTemperatures('Slice at a 45° angle', 'us')).toBe('Slice at a 45° angle');
+  });
+
+  test('without a scale are only read next to the oven, in the scale that fits an oven', () => {
+    expect(convertTemperatures('Roast in a 200° oven', 'us')).toBe('Roast in a 390°F oven');
+    expect(convertTemperatures('Preheat the oven to 425°', 'metric')).toBe('Preheat the oven to 220°C');
+    expect(convertTemperatures('Bake at 180 degrees. Turn the tray 180 degrees halfway.', 'us'))
+      .toBe('Bake at 355°F. Turn the tray 180 degrees halfway.');
+  });
+});
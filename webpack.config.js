@@ -10,7 +10,8 @@ module.exports = (env, argv) => {
     entry: {
       main: path.resolve(__dirname, 'src/js/index.js'),
       'recipe-summary': path.resolve(__dirname, 'src/js/modules/recipe/recipe-summary.js'),
-      'cooking': path.resolve(__dirname, 'src/js/modules/cooking/cooking-mode.js')
+      'cooking': path.resolve(__dirname, 'src/js/modules/cooking/cooking-mode.js'),
+      'meal-planner': path.resolve(__dirname, 'src/js/modules/planner/meal-planner.js')
     },
     output: {
       path: path.resolve(__dirname, 'dist'),
@@ -59,6 +60,12 @@ module.exports = (env, argv) => {
         chunks: ['cooking'],
         publicPath: publicPath
       }),
+      new HtmlWebpackPlugin({
+        template: './src/html/meal-planner.html',
+        filename: 'meal-planner.html',
+        chunks: ['meal-planner'],
+        publicPath: publicPath
+      }),
       new CopyWebpackPlugin({
         patterns: [
           {
@@ -106,6 +113,10 @@ module.exports = (env, argv) => {
           { from: /^\/cooking\/.*/, to: '/cooking.html' }
         ]
       },
+      // Forward API calls to the Express server (npm run start:api)
+      proxy: {
+        '/api': 'http://localhost:3001'
+      },
       hot: true,
       port: 3000,
       open: true